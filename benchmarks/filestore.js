@@ -0,0 +1,115 @@
+/**
+ * FileStore Benchmark - Measures throughput and event-loop latency of FileStore operations
+ * 
+ * Usage: node benchmarks/filestore.js [documents] [concurrent requests]
+ * 
+ * The event-loop delay shows how long other work, such as HTTP requests,
+ * would wait while the operations run.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const FileStoreAdapter = require('../src/adapters/filestore-adapter');
+
+const DOCUMENTS = Number(process.argv[2]) || 2000;
+const CONCURRENCY = Number(process.argv[3]) || 32;
+
+/**
+ * Runs tasks with a fixed number of requests in flight, like a busy server
+ */
+async function inFlight(count, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < count) {
+      await task(next++);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, count) }, worker));
+}
+
+/**
+ * Starts a timer that records how late each of its ticks runs
+ * A blocked event loop delays the ticks, so the delays are what a request
+ * arriving at that moment would have waited.
+ */
+function probeEventLoop(interval = 5) {
+  const delays = [];
+  let last = performance.now();
+  const timer = setInterval(() => {
+    const now = performance.now();
+    delays.push(Math.max(0, now - last - interval));
+    last = now;
+  }, interval);
+  
+  return () => {
+    clearInterval(timer);
+    // The loop may have been blocked since the last tick
+    delays.push(Math.max(0, performance.now() - last - interval));
+    return delays.sort((a, b) => a - b);
+  };
+}
+
+/**
+ * Times an operation and reports its rate and the event-loop delay it caused
+ */
+async function measure(name, operations, fn) {
+  const stopProbe = probeEventLoop();
+  const start = performance.now();
+  
+  await fn();
+  
+  const elapsed = performance.now() - start;
+  const delays = stopProbe();
+  
+  const rate = Math.round(operations / (elapsed / 1000));
+  const p99 = delays[Math.min(delays.length - 1, Math.floor(delays.length * 0.99))].toFixed(1);
+  const max = delays[delays.length - 1].toFixed(1);
+  console.log(`${name.padEnd(24)} ${String(rate).padStart(8)} ops/s   event-loop delay p99 ${p99.padStart(7)} ms, max ${max.padStart(7)} ms`);
+}
+
+async function main() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyperdb-bench-'));
+  const adapter = new FileStoreAdapter({ path: dir });
+  await adapter.connect();
+  
+  try {
+    console.log(`FileStore: ${DOCUMENTS} documents, ${CONCURRENCY} concurrent requests\n`);
+    
+    await measure('insert', DOCUMENTS, () => inFlight(DOCUMENTS, i => 
+      adapter.insert('bench', { id: `doc${i}`, n: i, group: i % 10, text: 'x'.repeat(200) })
+    ));
+    
+    await measure('findOne by id', DOCUMENTS, () => inFlight(DOCUMENTS, i => 
+      adapter.findOne('bench', { id: `doc${i}` })
+    ));
+    
+    const scans = 20;
+    await measure('find (full scan)', scans * DOCUMENTS, () => inFlight(scans, () => 
+      adapter.find('bench', { group: 3 })
+    ));
+    
+    await measure('iterate (full scan)', DOCUMENTS, async () => {
+      for await (const doc of adapter.iterate('bench', {})) {
+        // Consume every document
+      }
+    });
+    
+    await measure('update by id', DOCUMENTS, () => inFlight(DOCUMENTS, i => 
+      adapter.update('bench', { id: `doc${i}` }, { $inc: { n: 1 } })
+    ));
+    
+    await measure('set', DOCUMENTS, () => inFlight(DOCUMENTS, i => adapter.set(`key${i}`, { i })));
+    
+    await measure('deleteFrom (all)', DOCUMENTS, () => adapter.deleteFrom('bench', {}));
+  } finally {
+    await adapter.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -8,6 +8,8 @@ declare module 'hyperdbx.js' {
    */
   export interface HyperDBConfig {
     storage?: string;
+    /** Custom storage adapter instance, class or factory; takes precedence over storage */
+    adapter?: StorageAdapter | AdapterFactory;
     path?: string;
     cache?: {
       enabled?: boolean;
@@ -24,6 +26,82 @@ declare module 'hyperdbx.js' {
       serverUrl?: string;
       server?: any;
     };
+    /** Coordination between processes sharing the same path (FileStore) */
+    locking?: {
+      enabled?: boolean;
+      /** 'multi-writer' serializes writes per collection; 'single-writer' allows one writer */
+      mode?: 'multi-writer' | 'single-writer';
+      /** How long to wait for a lock, in ms */
+      timeout?: number;
+      /** Age in ms after which an unrefreshed lock counts as abandoned */
+      staleTimeout?: number;
+    };
+    /** Refuse writes, e.g. for readers in single-writer mode */
+    readOnly?: boolean;
+    /** Throw typed errors instead of returning null or false for failures and missing keys */
+    strict?: boolean;
+    /** pino, winston or console-like logger; nothing is logged without one */
+    logger?: Logger;
+    /** Lowest level passed to the logger (default 'info') */
+    logLevel?: LogLevel;
+    metrics?: {
+      /** Record operation metrics (default true) */
+      enabled?: boolean;
+      /** Upper bounds in ms of the latency histogram buckets */
+      buckets?: number[];
+      /** Duration in ms from which a query goes to the slow-query log; null (default) turns it off */
+      slowQueryThreshold?: number | null;
+    };
+    /** Compression of key-value and document files (FileStore); an algorithm name stands for { algorithm } */
+    compression?: CompressionAlgorithm | {
+      /**
+       * Compress files when writing them (default true if an algorithm is given);
+       * compressed files are read either way
+       */
+      enabled?: boolean;
+      algorithm?: CompressionAlgorithm;
+      /** Smallest file size in bytes worth compressing */
+      threshold?: number;
+      /** Compression level of the algorithm */
+      level?: number;
+    };
+    /** Options for storage: 'filestore' */
+    filestore?: {
+      /** Most files a single operation reads or writes in parallel */
+      concurrency?: number;
+      /** Layout of new collections: one file per document, or documents packed into pages */
+      layout?: CollectionLayout;
+      /** Number of documents at which a page of a packed collection is split */
+      pageSize?: number;
+    };
+    /** Options for storage: 'logstore' */
+    logstore?: {
+      /** Size in bytes at which a new segment is started */
+      segmentSize?: number;
+      /** How often to check for segments worth compacting, in ms; 0 disables it */
+      compactionInterval?: number;
+      /** Fraction of dead records in closed segments that triggers compaction */
+      compactionThreshold?: number;
+      /** Flush every append to disk */
+      fsync?: boolean;
+    };
+    /** Options for storage: 'json' */
+    json?: {
+      /** How long to wait for more writes before saving, in ms; 0 saves on every write */
+      writeDelay?: number;
+      /** Longest a write stays unsaved while more writes keep arriving, in ms */
+      maxWriteDelay?: number;
+    };
+    /** Options for storage: 'sqlite' (requires Node.js 22.5 or later) */
+    sqlite?: {
+      /** Database file inside the data directory */
+      filename?: string;
+    };
+    /** Options for storage: 'memory' */
+    memory?: {
+      /** Snapshot loaded on connect if it exists, and the default for saveSnapshot()/loadSnapshot() */
+      snapshotFile?: string;
+    };
     security?: {
       encryption?: {
         enabled?: boolean;
@@ -36,6 +114,525 @@ declare module 'hyperdbx.js' {
     };
   }
 
+  /**
+   * Operators accepted inside a field condition
+   */
+  export interface QueryOperators {
+    $eq?: any;
+    $ne?: any;
+    $gt?: any;
+    $gte?: any;
+    $lt?: any;
+    $lte?: any;
+    $in?: any[];
+    $nin?: any[];
+    $exists?: boolean;
+    $regex?: string | RegExp;
+    $options?: string;
+    $elemMatch?: Query | QueryOperators;
+    $size?: number;
+    $not?: QueryOperators | RegExp;
+  }
+
+  /**
+   * Document query: field conditions plus logical operators
+   */
+  export type Query = {
+    $and?: Query[];
+    $or?: Query[];
+    $nor?: Query[];
+    $not?: Query;
+    [field: string]: any;
+  };
+
+  /**
+   * Update operators; a plain object of fields is merged instead
+   */
+  export interface UpdateOperators {
+    $set?: Record<string, any>;
+    $unset?: Record<string, any>;
+    $inc?: Record<string, number>;
+    $mul?: Record<string, number>;
+    $min?: Record<string, any>;
+    $max?: Record<string, any>;
+    $push?: Record<string, any | { $each: any[]; $slice?: number }>;
+    $addToSet?: Record<string, any | { $each: any[] }>;
+    $pull?: Record<string, any>;
+    $rename?: Record<string, string>;
+    $currentDate?: Record<string, true | { $type: 'date' | 'timestamp' }>;
+  }
+
+  export type Update = UpdateOperators | Record<string, any>;
+
+  export interface UpdateOptions {
+    /** Update every matching document rather than the first (default true) */
+    multi?: boolean;
+    /** Insert a document built from the query and update when nothing matches */
+    upsert?: boolean;
+  }
+
+  export interface FindOneAndUpdateOptions {
+    upsert?: boolean;
+    /** Return the document as it was before the update (default) or after it */
+    returnDocument?: 'before' | 'after';
+  }
+
+  export interface FindOptions {
+    /** Field: direction pairs, 1 ascending and -1 descending */
+    sort?: Record<string, 1 | -1>;
+    skip?: number;
+    /** Maximum number of documents to return (0 for no limit) */
+    limit?: number;
+    /** Fields to include (1) or exclude (0) */
+    projection?: Record<string, 0 | 1 | boolean>;
+  }
+
+  export interface StreamOptions {
+    skip?: number;
+    limit?: number;
+    projection?: Record<string, 0 | 1 | boolean>;
+    /** 'objects' (default) for an object-mode stream, 'ndjson' for newline-delimited JSON */
+    format?: 'objects' | 'ndjson';
+  }
+
+  /** A single aggregation stage, e.g. { $group: { _id: '$status', n: { $sum: 1 } } } */
+  export type PipelineStage =
+    | { $match: Query }
+    | { $group: { _id: any; [field: string]: any } }
+    | { $project: Record<string, any> }
+    | { $sort: Record<string, 1 | -1> }
+    | { $limit: number }
+    | { $skip: number }
+    | { $unwind: string | { path: string; preserveNullAndEmptyArrays?: boolean } }
+    | { $count: string }
+    | { $lookup: { from: string; localField: string; foreignField: string; as: string } };
+
+  export interface IndexOptions {
+    name?: string;
+    unique?: boolean;
+    sparse?: boolean;
+  }
+
+  export interface IndexInfo {
+    name: string;
+    fields: string[];
+    unique: boolean;
+    sparse: boolean;
+  }
+
+  export interface CollectionOptions {
+    /** Unique constraints: a field, or an array of fields for a compound constraint */
+    unique?: Array<string | string[]>;
+  }
+
+  export type CompressionAlgorithm = 'gzip' | 'deflate' | 'brotli';
+
+  /** How FileStore keeps a collection: one file per document, or documents packed into pages */
+  export type CollectionLayout = 'files' | 'packed';
+
+  export interface TransactionOptions {
+    /** How often to run the callback again after a conflicting write (default 3) */
+    retries?: number;
+  }
+
+  export interface InsertOptions {
+    /** Replace an existing document with the same ID (default true) */
+    overwrite?: boolean;
+  }
+
+  export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+  /**
+   * Fields of a log entry; every entry has `subsystem`, and storage operations
+   * logged at debug level have `op` and `durationMs`
+   */
+  export interface LogFields {
+    subsystem?: string;
+    op?: string;
+    collection?: string;
+    key?: string | number;
+    durationMs?: number;
+    err?: Error;
+    [field: string]: any;
+  }
+
+  /**
+   * A logger called pino-style, as (fields, message); winston loggers are
+   * called as (message, fields)
+   */
+  export interface Logger {
+    debug(...args: any[]): void;
+    info(...args: any[]): void;
+    warn(...args: any[]): void;
+    error(...args: any[]): void;
+    child?(bindings: LogFields): Logger;
+  }
+
+  export type HyperDBErrorCode =
+    | 'DUPLICATE_KEY'
+    | 'VALIDATION_ERROR'
+    | 'NOT_FOUND'
+    | 'CORRUPTION'
+    | 'STORAGE_IO'
+    | 'CONNECTION_FAILED'
+    | 'LOCK_TIMEOUT'
+    | 'TRANSACTION_CONFLICT'
+    | 'TRANSACTION_INACTIVE'
+    | 'READ_ONLY'
+    | 'UNSUPPORTED_OPERATION';
+
+  /**
+   * Base class of every error HyperDB raises
+   */
+  export class HyperDBError extends Error {
+    code: HyperDBErrorCode;
+    cause?: unknown;
+  }
+
+  /**
+   * Raised when an insert or update would create a duplicate key
+   */
+  export class DuplicateKeyError extends HyperDBError {
+    code: 'DUPLICATE_KEY';
+    collection: string;
+    index: string;
+    fields: string[];
+    field: string;
+    value: any;
+    conflictingId: string | number;
+  }
+
+  /**
+   * Raised for malformed queries, updates or options
+   */
+  export class ValidationError extends HyperDBError {
+    code: 'VALIDATION_ERROR';
+  }
+
+  /**
+   * Raised in strict mode for a missing key, or a missing collection or index
+   */
+  export class NotFoundError extends HyperDBError {
+    code: 'NOT_FOUND';
+    key?: string | number;
+    collection?: string;
+    index?: string;
+  }
+
+  /**
+   * Raised for stored data that can't be decompressed, parsed or decrypted
+   */
+  export class CorruptionError extends HyperDBError {
+    code: 'CORRUPTION';
+    file?: string;
+  }
+
+  /**
+   * Raised in strict mode when reading or writing the underlying storage fails
+   */
+  export class StorageIOError extends HyperDBError {
+    code: 'STORAGE_IO';
+  }
+
+  /**
+   * Raised when the storage can't be opened, or is used before it is connected
+   */
+  export class ConnectionError extends HyperDBError {
+    code: 'CONNECTION_FAILED';
+  }
+
+  /**
+   * Raised when a lock held by another process is not released in time
+   */
+  export class LockTimeoutError extends HyperDBError {
+    code: 'LOCK_TIMEOUT';
+    resource: string;
+    timeout: number;
+    holder: { pid: number; hostname: string; acquired_at: number } | null;
+  }
+
+  /**
+   * Raised when a document or key a transaction read was changed by another
+   * write before the transaction committed, and no retries are left
+   */
+  export class TransactionConflictError extends HyperDBError {
+    code: 'TRANSACTION_CONFLICT';
+    /** Set for a conflicting document */
+    collection?: string;
+    id?: string | number;
+    /** Set for a conflicting key */
+    key?: string;
+  }
+
+  /**
+   * Raised when a transaction is used after its callback returned
+   */
+  export class TransactionInactiveError extends HyperDBError {
+    code: 'TRANSACTION_INACTIVE';
+  }
+
+  /**
+   * Raised for writes to storage opened with readOnly: true
+   */
+  export class ReadOnlyError extends HyperDBError {
+    code: 'READ_ONLY';
+  }
+
+  /**
+   * Raised for an operation the storage adapter does not implement, such as
+   * createIndex() on an adapter without indexes
+   */
+  export class UnsupportedOperationError extends HyperDBError {
+    code: 'UNSUPPORTED_OPERATION';
+    /** Name of the missing adapter method */
+    operation?: string;
+  }
+
+  /**
+   * Chainable, thenable query results
+   */
+  export class Cursor<T = Record<string, any>> implements PromiseLike<T[]>, AsyncIterable<T> {
+    sort(sort: Record<string, 1 | -1>): this;
+    skip(count: number): this;
+    limit(count: number): this;
+    project(projection: Record<string, 0 | 1 | boolean>): this;
+    /** Counts every matching document, ignoring skip and limit */
+    count(): Promise<number>;
+    /** Counts the documents the cursor returns, applying skip and limit */
+    size(): Promise<number>;
+    toArray(): Promise<T[]>;
+    /** Streams the results; throws if the cursor is sorted */
+    stream(options?: Pick<StreamOptions, 'format'>): import('stream').Readable;
+    then<R1 = T[], R2 = never>(
+      onFulfilled?: ((value: T[]) => R1 | PromiseLike<R1>) | null,
+      onRejected?: ((reason: any) => R2 | PromiseLike<R2>) | null
+    ): Promise<R1 | R2>;
+    catch<R = never>(onRejected?: ((reason: any) => R | PromiseLike<R>) | null): Promise<T[] | R>;
+    [Symbol.asyncIterator](): AsyncIterator<T>;
+  }
+
+  /**
+   * Handle for one document collection
+   */
+  export class Collection {
+    readonly name: string;
+    insert(document: Record<string, any>, options?: InsertOptions): Promise<boolean>;
+    find(query?: Query): Cursor;
+    stream(query?: Query, options?: StreamOptions): import('stream').Readable;
+    aggregate(pipeline: PipelineStage[]): Promise<Array<Record<string, any>>>;
+    findOne(query?: Query): Promise<Record<string, any> | null>;
+    count(query?: Query): Promise<number>;
+    update(query: Query, update: Update, options?: UpdateOptions): Promise<number>;
+    findOneAndUpdate(query: Query, update: Update, options?: FindOneAndUpdateOptions): Promise<Record<string, any> | null>;
+    deleteFrom(query: Query): Promise<number>;
+    findOneAndDelete(query: Query): Promise<Record<string, any> | null>;
+    createIndex(fields: string | string[], options?: IndexOptions): Promise<string | null>;
+    dropIndex(name: string): Promise<boolean>;
+    listIndexes(): Promise<IndexInfo[]>;
+  }
+
+  /**
+   * Transaction handle passed to HyperDB#transaction()
+   * Reads see the transaction's own writes; other readers see them only after commit.
+   */
+  export interface Transaction {
+    get(key: string): Promise<any>;
+    has(key: string): Promise<boolean>;
+    set(key: string, value: any): Promise<boolean>;
+    delete(key: string): Promise<boolean>;
+    insert(collection: string, document: Record<string, any>, options?: InsertOptions): Promise<Record<string, any>>;
+    find(collection: string, query?: Query, options?: FindOptions): Promise<Array<Record<string, any>>>;
+    findOne(collection: string, query?: Query): Promise<Record<string, any> | null>;
+    update(collection: string, query: Query, update: Update, options?: UpdateOptions): Promise<number>;
+    deleteFrom(collection: string, query: Query): Promise<number>;
+  }
+
+  /**
+   * Transaction operation passed to StorageAdapter.applyTransaction
+   * `expected` is the document or value as the transaction read it, null if it
+   * did not exist; adapters throw TransactionConflictError if it no longer matches.
+   */
+  export type TransactionOperation =
+    | { type: 'set'; key: string; value: any; expected?: any }
+    | { type: 'delete'; key: string; expected?: any }
+    | { type: 'put'; collection: string; document: Record<string, any>; expected?: Record<string, any> | null }
+    | { type: 'remove'; collection: string; id: string | number; expected?: Record<string, any> | null };
+
+  /**
+   * Storage adapter contract
+   * Adapters assign IDs and timestamps on insert, return copies of stored data,
+   * treat missing collections as empty and throw DuplicateKeyError for duplicate
+   * keys. The optional methods enable the matching HyperDB features; count and
+   * iterate fall back to find when missing.
+   */
+  export interface StorageAdapter {
+    connect(): Promise<boolean>;
+    close(): Promise<boolean>;
+    set(key: string, value: any): Promise<boolean>;
+    get(key: string): Promise<any>;
+    has(key: string): Promise<boolean>;
+    delete(key: string): Promise<boolean>;
+    getCollections(): Promise<Array<{ name: string }>>;
+    createCollection(name: string): Promise<boolean>;
+    insert(collection: string, document: Record<string, any>, options?: InsertOptions): Promise<boolean>;
+    find(collection: string, query: Query, options?: FindOptions): Promise<Array<Record<string, any>>>;
+    findOne(collection: string, query: Query): Promise<Record<string, any> | null>;
+    /**
+     * With returnDocuments, resolves to the { before, after } documents (before is null for an
+     * upsert); adapters may ignore it and resolve to the number, at the cost of leaner events
+     */
+    update(
+      collection: string,
+      query: Query,
+      update: Update,
+      options?: UpdateOptions & { returnDocuments?: boolean }
+    ): Promise<number | Array<{ before: Record<string, any> | null; after: Record<string, any> }>>;
+    /** With returnDocuments, resolves to the deleted documents; adapters may ignore it */
+    deleteFrom(
+      collection: string,
+      query: Query,
+      options?: { returnDocuments?: boolean }
+    ): Promise<number | Array<Record<string, any>>>;
+    
+    count?(collection: string, query: Query): Promise<number>;
+    iterate?(collection: string, query?: Query): AsyncIterable<Record<string, any>>;
+    findOneAndUpdate?(
+      collection: string,
+      query: Query,
+      update: Update,
+      options?: FindOneAndUpdateOptions
+    ): Promise<{ before: Record<string, any> | null; after: Record<string, any> } | null>;
+    findOneAndDelete?(collection: string, query: Query): Promise<Record<string, any> | null>;
+    createIndex?(collection: string, fields: string | string[], options?: IndexOptions): Promise<string>;
+    dropIndex?(collection: string, name: string): Promise<boolean>;
+    listIndexes?(collection: string): Promise<IndexInfo[]>;
+    getCollectionLayout?(collection: string): Promise<CollectionLayout | null>;
+    convertCollection?(collection: string, layout: CollectionLayout): Promise<boolean>;
+    applyTransaction?(operations: TransactionOperation[]): Promise<boolean>;
+    getScanStats?(): Record<string, ScanStats>;
+  }
+
+  /**
+   * Adapter class, or function taking the HyperDB config and returning an adapter
+   */
+  export type AdapterFactory =
+    | (new (config: HyperDBConfig) => StorageAdapter)
+    | ((config: HyperDBConfig) => StorageAdapter);
+
+  export interface ConformanceOptions {
+    /** Run the checks that reopen storage (default true) */
+    persistent?: boolean;
+    /** Names of checks to skip */
+    skip?: string[];
+  }
+
+  export interface ConformanceResult {
+    name: string;
+    status: 'passed' | 'failed' | 'skipped';
+    error?: Error;
+    reason?: string;
+  }
+
+  export interface ConformanceReport {
+    ok: boolean;
+    results: ConformanceResult[];
+    failures: ConformanceResult[];
+  }
+
+  /**
+   * Runs the adapter conformance checks
+   * createAdapter is called with a storage name per check and must return an
+   * unconnected adapter; calling it again with the same name reopens that storage.
+   */
+  export function runAdapterConformance(
+    createAdapter: (name: string) => StorageAdapter | Promise<StorageAdapter>,
+    options?: ConformanceOptions
+  ): Promise<ConformanceReport>;
+
+  export interface ScanStats {
+    queries: number;
+    /** Documents read and matched against the queries */
+    scanned: number;
+    /** Documents that matched */
+    returned: number;
+  }
+
+  export interface OperationMetrics {
+    count: number;
+    errors: number;
+    totalMs: number;
+    meanMs: number;
+    maxMs: number;
+    /** Cumulative latency buckets */
+    buckets: Array<{ le: number; count: number }>;
+  }
+
+  export interface SlowQuery {
+    op: string;
+    collection: string;
+    query: Query;
+    durationMs: number;
+    /** When the query finished, in ms since the epoch */
+    at: number;
+  }
+
+  export interface Metrics {
+    operations: Record<string, OperationMetrics>;
+    scans: Record<string, ScanStats>;
+    slowQueries: { threshold: number | null; count: number; recent: SlowQuery[] };
+    cache: { hits: number; misses: number; sets: number; deletes: number; size: number; hitRate: number };
+    realtime: { connected: boolean; clients: number } | null;
+    cloudSync: { pending: number; synced: number; failed: number } | null;
+  }
+
+  /**
+   * Formats the result of db.metrics() in the Prometheus text exposition format
+   */
+  export function formatPrometheus(metrics: Metrics, options?: { prefix?: string }): string;
+
+  /**
+   * Events emitted by HyperDB and their payloads; `transaction` is true for
+   * writes committed by a transaction
+   */
+  export interface HyperDBEvents {
+    ready: {};
+    /** Failed initialization (op 'open'), or an error thrown by a listener of `event` */
+    error: { error: Error; op?: string; event?: string };
+    close: {};
+    set: { key: string | number; value: any; transaction?: boolean };
+    delete: { key: string | number; transaction?: boolean };
+    insert: { collection: string; id: string | number; document: Record<string, any>; transaction?: boolean };
+    /**
+     * update() reports the IDs and each document before and after; findOneAndUpdate() the ID and
+     * the document before and after. Custom adapters that don't return documents only give the count.
+     */
+    update: {
+      collection: string;
+      query: Query;
+      update: Update;
+      count: number;
+      ids?: Array<string | number>;
+      changes?: Array<{ before: Record<string, any>; after: Record<string, any> }>;
+      id?: string | number;
+      before?: Record<string, any>;
+      after?: Record<string, any>;
+    };
+    /**
+     * deleteFrom() reports the IDs and deleted documents; findOneAndDelete() the ID and the
+     * deleted document. Custom adapters that don't return documents only give the count.
+     */
+    remove: {
+      collection: string;
+      count: number;
+      query?: Query;
+      ids?: Array<string | number>;
+      documents?: Array<Record<string, any>>;
+      id?: string | number;
+      before?: Record<string, any>;
+      transaction?: boolean;
+    };
+  }
+
   export interface SecurityAPI {
     encrypt(data: any): any;
     decrypt(data: any): any;
@@ -49,6 +646,15 @@ declare module 'hyperdbx.js' {
   export default class HyperDB {
     constructor(options?: HyperDBConfig);
     
+    /** Registers a custom storage adapter under a storage type */
+    static registerAdapter(name: string, factory: AdapterFactory): void;
+    
+    /** Creates an instance and waits until its storage is initialized */
+    static open(options?: HyperDBConfig): Promise<HyperDB>;
+    
+    /** Resolves with the instance once its storage is initialized; rejects if that fails */
+    ready: Promise<HyperDB>;
+    
     security: SecurityAPI;
     
     set(key: string, value: any): Promise<boolean>;
@@ -56,14 +662,37 @@ declare module 'hyperdbx.js' {
     has(key: string): Promise<boolean>;
     delete(key: string): Promise<boolean>;
     
-    createCollection(name: string): Promise<boolean>;
-    insert(collection: string, document: Record<string, any>): Promise<boolean>;
-    findOne(collection: string, query: Record<string, any>): Promise<Record<string, any> | null>;
-    find(collection: string, query: Record<string, any>): Promise<Array<Record<string, any>>>;
-    update(collection: string, query: Record<string, any>, update: Record<string, any>): Promise<number>;
-    deleteFrom(collection: string, query: Record<string, any>): Promise<number>;
+    createCollection(name: string, options?: CollectionOptions): Promise<boolean>;
+    insert(collection: string, document: Record<string, any>, options?: InsertOptions): Promise<boolean>;
+    findOne(collection: string, query: Query): Promise<Record<string, any> | null>;
+    find(collection: string, query: Query, options?: FindOptions): Promise<Array<Record<string, any>>>;
+    count(collection: string, query?: Query): Promise<number>;
+    stream(collection: string, query?: Query, options?: StreamOptions): import('stream').Readable;
+    aggregate(collection: string, pipeline: PipelineStage[]): Promise<Array<Record<string, any>>>;
+    collection(name: string): Collection;
+    update(collection: string, query: Query, update: Update, options?: UpdateOptions): Promise<number>;
+    deleteFrom(collection: string, query: Query): Promise<number>;
+    findOneAndUpdate(collection: string, query: Query, update: Update, options?: FindOneAndUpdateOptions): Promise<Record<string, any> | null>;
+    findOneAndDelete(collection: string, query: Query): Promise<Record<string, any> | null>;
+    
+    createIndex(collection: string, fields: string | string[], options?: IndexOptions): Promise<string | null>;
+    dropIndex(collection: string, name: string): Promise<boolean>;
+    listIndexes(collection: string): Promise<IndexInfo[]>;
+    
+    getCollectionLayout(collection: string): Promise<CollectionLayout | null>;
+    convertCollection(collection: string, layout: CollectionLayout): Promise<boolean>;
+    
+    transaction<T>(callback: (tx: Transaction) => Promise<T>, options?: TransactionOptions): Promise<T>;
+    
+    metrics(options?: { format?: 'json'; prefix?: string }): Metrics;
+    metrics(options: { format: 'prometheus'; prefix?: string }): string;
     
+    on<E extends keyof HyperDBEvents>(event: E, callback: (payload: HyperDBEvents[E]) => void | Promise<void>): void;
+    on(event: '*', callback: (event: keyof HyperDBEvents, payload: any) => void | Promise<void>): void;
     on(event: string, callback: Function): void;
+    once<E extends keyof HyperDBEvents>(event: E, callback: (payload: HyperDBEvents[E]) => void | Promise<void>): void;
+    once(event: '*', callback: (event: keyof HyperDBEvents, payload: any) => void | Promise<void>): void;
+    once(event: string, callback: Function): void;
     off(event: string, callback: Function): void;
     
     close(): Promise<void>;
@@ -4,12 +4,33 @@
  * By GhostNet Studio
  */
 
+const { Readable } = require('stream');
 const StorageEngine = require('./src/storage-engine');
 const MemoryCache = require('./src/memory-cache');
 const CloudSync = require('./src/cloud-sync');
 const RealtimeSync = require('./src/realtime-sync');
 const Security = require('./src/security');
-const { validateConfig } = require('./src/utils');
+const { validateConfig, validateFindOptions, projectDocument, generateId } = require('./src/utils');
+const Collection = require('./src/collection');
+const AggregationPipeline = require('./src/aggregation');
+const Transaction = require('./src/transaction');
+const {
+  HyperDBError,
+  DuplicateKeyError,
+  ValidationError,
+  NotFoundError,
+  CorruptionError,
+  StorageIOError,
+  ConnectionError,
+  LockTimeoutError,
+  TransactionConflictError,
+  TransactionInactiveError,
+  ReadOnlyError,
+  UnsupportedOperationError
+} = require('./src/errors');
+const { runAdapterConformance } = require('./src/adapter-conformance');
+const { formatPrometheus } = require('./src/metrics');
+const { loggerFor } = require('./src/logger');
 
 class HyperDB {
   /**
@@ -17,14 +38,27 @@ class HyperDB {
    * 
    * @param {Object} options - Configuration options
    * @param {string} options.storage - Storage engine type ('filestore' is the default and recommended)
+   * @param {Object|Function} [options.adapter] - Custom storage adapter instance, class or
+   *   factory function, used instead of options.storage
    * @param {string} [options.path] - Path for file-based storage
    * @param {Object} [options.sync] - Cloud sync configuration
    * @param {Object} [options.realtime] - Real-time sync configuration
    * @param {Object} [options.security] - Security configuration
+   * @param {boolean} [options.strict=false] - Throw typed errors (NotFoundError, StorageIOError,
+   *   CorruptionError, ConnectionError) instead of returning null or false
+   * @param {Object} [options.logger] - pino, winston or console-like logger; nothing is logged without one
+   * @param {string} [options.logLevel='info'] - Lowest level logged: 'debug', 'info', 'warn', 'error' or 'silent'
+   * @param {Object} [options.metrics] - Metrics options: enabled, buckets, slowQueryThreshold
+   * 
+   * The storage is initialized in the background. Operations called meanwhile
+   * wait for it; `await db.ready`, or create the instance with HyperDB.open(),
+   * to find out when it is done or why it failed. It emits 'ready' or 'error'
+   * when done.
    */
   constructor(options = {}) {
     // Validate configuration
     this.config = validateConfig(options);
+    this.logger = loggerFor(this.config, 'HyperDB');
     
     // Initialize memory cache for fast access
     this.cache = new MemoryCache();
@@ -34,39 +68,78 @@ class HyperDB {
     
     // Initialize cloud sync if configured
     if (this.config.sync && this.config.sync.enabled) {
-      this.cloudSync = new CloudSync(this.config.sync, this.storage);
+      this.cloudSync = new CloudSync({ ...this.config.sync, logger: this.config.logger }, this.storage);
     }
     
     // Initialize real-time sync if configured
     if (this.config.realtime && this.config.realtime.enabled) {
-      this.realtimeSync = new RealtimeSync(this.config.realtime, this.storage);
+      this.realtimeSync = new RealtimeSync({ ...this.config.realtime, logger: this.config.logger }, this.storage);
     }
     
     // Initialize security if configured
     if (this.config.security) {
-      this.security = new Security(this.config.security);
+      this.security = new Security({ ...this.config.security, strict: this.config.strict, logger: this.config.logger });
     }
     
     // Events listeners
     this.events = {};
+    
+    // Collection handles returned by collection()
+    this.collectionHandles = new Map();
+    
+    // Transactions run one at a time, in the order they were started
+    this.transactionQueue = Promise.resolve();
 
-    // Load initial data
-    this._loadInitialData();
+    // Resolves with this instance once the storage is initialized; rejects if
+    // that fails, as do operations waiting for it
+    this.ready = this._loadInitialData();
+    this.ready.catch(error => this._emit('error', { error, op: 'open' }));
   }
 
   /**
-   * Loads initial data from storage into memory cache
-   * @private
+   * Creates a HyperDB instance and waits until it is ready
+   * 
+   * @param {Object} [options] - Configuration options, as for the constructor
+   * @returns {Promise<HyperDB>} - The ready instance
+   * @throws {Error} - If the storage could not be initialized
    */
-  async _loadInitialData() {
+  static async open(options = {}) {
+    const db = new HyperDB(options);
+    
     try {
-      // Load data from storage to cache
-      await this.storage.initialize();
+      return await db.ready;
     } catch (error) {
-      console.error('Error initializing HyperDB:', error);
+      // Don't leave sync connections open for an unusable instance
+      await db.close().catch(() => {});
+      throw error;
     }
   }
 
+  /**
+   * Registers a custom storage adapter under a storage type
+   * 
+   * @param {string} name - Storage type to use in `new HyperDB({ storage: name })`
+   * @param {Function} factory - Adapter class, or function taking the config and returning an adapter
+   * @throws {Error} - If the name or factory is invalid
+   */
+  static registerAdapter(name, factory) {
+    StorageEngine.registerAdapter(name, factory);
+  }
+
+  /**
+   * Loads initial data from storage into memory cache
+   * 
+   * @returns {Promise<HyperDB>} - This instance
+   * @throws {Error} - If the storage could not be initialized
+   * @private
+   */
+  async _loadInitialData() {
+    // Load data from storage to cache
+    await this.storage.initialize();
+    this._emit('ready', {});
+    return this;
+  }
+
   /**
    * Stores a value with the specified key
    * 
@@ -75,6 +148,8 @@ class HyperDB {
    * @returns {Promise<boolean>} - Success status
    */
   async set(key, value) {
+    await this.ready;
+    
     // Encrypt if security is enabled
     const secureValue = this.security ? 
       this.security.encrypt(value) : value;
@@ -94,6 +169,10 @@ class HyperDB {
       this.realtimeSync.broadcast({ key, operation: 'set' });
     }
     
+    if (result) {
+      this._emit('set', { key, value });
+    }
+    
     return result;
   }
 
@@ -104,6 +183,8 @@ class HyperDB {
    * @returns {Promise<any>} - The stored value or null if not found
    */
   async get(key) {
+    await this.ready;
+    
     // Try to get from memory cache first for speed
     const cachedValue = this.cache.get(key);
     if (cachedValue !== undefined) {
@@ -132,6 +213,8 @@ class HyperDB {
    * @returns {Promise<boolean>} - True if the key exists
    */
   async has(key) {
+    await this.ready;
+    
     // Check cache first
     if (this.cache.has(key)) {
       return true;
@@ -148,6 +231,8 @@ class HyperDB {
    * @returns {Promise<boolean>} - Success status
    */
   async delete(key) {
+    await this.ready;
+    
     // Remove from cache
     this.cache.delete(key);
     
@@ -163,6 +248,10 @@ class HyperDB {
       this.realtimeSync.broadcast({ key, operation: 'delete' });
     }
     
+    if (result) {
+      this._emit('delete', { key });
+    }
+    
     return result;
   }
 
@@ -170,10 +259,15 @@ class HyperDB {
    * Creates a new collection
    * 
    * @param {string} name - The name of the collection
+   * @param {Object} [options] - Collection options
+   * @param {Array<string|Array<string>>} [options.unique] - Unique constraints; each entry is
+   *   a field or an array of fields for a compound constraint
    * @returns {Promise<boolean>} - Success status
    */
-  async createCollection(name) {
-    return await this.storage.createCollection(name);
+  async createCollection(name, options = {}) {
+    await this.ready;
+    
+    return await this.storage.createCollection(name, options);
   }
 
   /**
@@ -181,15 +275,25 @@ class HyperDB {
    * 
    * @param {string} collection - The collection name
    * @param {Object} document - The document to insert
+   * @param {Object} [options] - Insert options
+   * @param {boolean} [options.overwrite=true] - Replace an existing document with the same ID;
+   *   when false, inserting an existing ID throws a DuplicateKeyError
    * @returns {Promise<boolean>} - Success status
+   * @throws {DuplicateKeyError} - If the insert violates a unique constraint
    */
-  async insert(collection, document) {
+  async insert(collection, document, options = {}) {
+    await this.ready;
+    
+    // Assign the ID here rather than in the adapter, so that it can be reported
+    const doc = document.id || document._id ? document : { ...document, id: generateId() };
+    const id = doc.id || doc._id;
+    
     // Encrypt if security is enabled
     const secureDocument = this.security ? 
-      this.security.encrypt(document) : document;
+      this.security.encrypt(doc) : doc;
       
     // Insert into storage
-    const result = await this.storage.insert(collection, secureDocument);
+    const result = await this.storage.insert(collection, secureDocument, options);
     
     // Trigger sync with cloud and real-time clients if enabled
     if (result && this.cloudSync) {
@@ -203,11 +307,15 @@ class HyperDB {
     if (result && this.realtimeSync) {
       this.realtimeSync.broadcast({ 
         collection, 
-        documentId: document.id || document._id, 
+        documentId: id, 
         operation: 'insert' 
       });
     }
     
+    if (result) {
+      this._emit('insert', { collection, id, document: doc });
+    }
+    
     return result;
   }
 
@@ -219,6 +327,8 @@ class HyperDB {
    * @returns {Promise<Object|null>} - The found document or null
    */
   async findOne(collection, query) {
+    await this.ready;
+    
     const result = await this.storage.findOne(collection, query);
     
     // Decrypt if security is enabled and result exists
@@ -231,10 +341,18 @@ class HyperDB {
    * 
    * @param {string} collection - The collection name
    * @param {Object} query - Query parameters
+   * @param {Object} [options] - Find options
+   * @param {Object} [options.sort] - Field: direction pairs, 1 ascending and -1 descending
+   * @param {number} [options.skip] - Number of documents to skip
+   * @param {number} [options.limit] - Maximum number of documents to return
+   * @param {Object} [options.projection] - Fields to include (1) or exclude (0)
    * @returns {Promise<Array>} - Array of matching documents
+   * @throws {ValidationError} - If the options are malformed
    */
-  async find(collection, query) {
-    const results = await this.storage.find(collection, query);
+  async find(collection, query, options = {}) {
+    await this.ready;
+    
+    const results = await this.storage.find(collection, query, options);
     
     // Decrypt if security is enabled
     if (this.security && results.length > 0) {
@@ -244,24 +362,168 @@ class HyperDB {
     return results;
   }
 
+  /**
+   * Streams the documents in a collection matching a query
+   * Documents are read lazily as the stream is consumed, so memory use stays
+   * bounded and backpressure is respected. The stream works with
+   * stream.pipeline() and is itself async iterable.
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} [query={}] - Query parameters
+   * @param {Object} [options] - Stream options
+   * @param {number} [options.skip] - Number of documents to skip
+   * @param {number} [options.limit] - Maximum number of documents to stream
+   * @param {Object} [options.projection] - Fields to include (1) or exclude (0)
+   * @param {string} [options.format='objects'] - 'objects' for an object-mode stream of
+   *   documents, or 'ndjson' for a byte stream of newline-delimited JSON
+   * @returns {Readable} - Readable stream of documents
+   * @throws {ValidationError} - If the options are malformed
+   */
+  stream(collection, query = {}, options = {}) {
+    const { format = 'objects', ...findOptions } = options;
+    
+    if (format !== 'objects' && format !== 'ndjson') {
+      throw new ValidationError(`Invalid stream format '${format}': must be 'objects' or 'ndjson'`);
+    }
+    if (findOptions.sort) {
+      throw new ValidationError('Streams cannot be sorted; use find() with sort instead');
+    }
+    validateFindOptions(findOptions);
+    
+    const documents = this._streamDocuments(this._whenReady(this.storage.iterate(collection, query)), findOptions);
+    
+    if (format === 'ndjson') {
+      return Readable.from(toNdjson(documents), { objectMode: false });
+    }
+    return Readable.from(documents);
+  }
+
+  /**
+   * Yields the documents of a storage iteration once the storage is ready
+   * 
+   * @param {AsyncIterable<Object>} source - Matching documents from storage
+   * @returns {AsyncGenerator<Object>} - The same documents
+   * @private
+   */
+  async *_whenReady(source) {
+    await this.ready;
+    yield* source;
+  }
+
+  /**
+   * Applies skip, limit, projection and decryption to streamed documents
+   * 
+   * @param {AsyncIterable<Object>} source - Matching documents from storage
+   * @param {Object} options - Stream options
+   * @returns {AsyncGenerator<Object>} - Documents to stream
+   * @private
+   */
+  async *_streamDocuments(source, options) {
+    let toSkip = options.skip || 0;
+    let remaining = options.limit || Infinity;
+    
+    if (remaining <= 0) {
+      return;
+    }
+    
+    for await (const doc of source) {
+      if (toSkip > 0) {
+        toSkip--;
+        continue;
+      }
+      
+      // Decrypt if security is enabled
+      const document = this.security ? this.security.decrypt(doc) : doc;
+      yield options.projection ? projectDocument(document, options.projection) : document;
+      
+      // Returning from the loop closes the source and its directory handle
+      if (--remaining <= 0) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Runs an aggregation pipeline over a collection
+   * Leading $match stages are used to read only matching documents (and can use
+   * an index); the rest of the pipeline streams documents through one at a
+   * time, except $group and $sort, which hold their input.
+   * 
+   * @param {string} collection - The collection name
+   * @param {Array<Object>} pipeline - Stages: $match, $group, $project, $sort, $limit,
+   *   $skip, $unwind, $count and $lookup
+   * @returns {Promise<Array>} - The pipeline results
+   * @throws {ValidationError} - If the pipeline is malformed
+   */
+  async aggregate(collection, pipeline) {
+    const aggregation = new AggregationPipeline(pipeline, {
+      lookup: (from, query) => this.find(from, query)
+    });
+    
+    const source = this._streamDocuments(this._whenReady(this.storage.iterate(collection, aggregation.sourceQuery)), {});
+    
+    const results = [];
+    for await (const doc of aggregation.run(source)) {
+      results.push(doc);
+    }
+    return results;
+  }
+
+  /**
+   * Counts the documents in a collection matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} [query={}] - Query parameters
+   * @returns {Promise<number>} - Number of matching documents
+   */
+  async count(collection, query = {}) {
+    await this.ready;
+    
+    return await this.storage.count(collection, query);
+  }
+
+  /**
+   * Gets a handle for a collection with a fluent, cursor-based API
+   * The collection is created on first insert, as with insert().
+   * 
+   * @param {string} name - The collection name
+   * @returns {Collection} - The collection handle
+   */
+  collection(name) {
+    if (!this.collectionHandles.has(name)) {
+      this.collectionHandles.set(name, new Collection(this, name));
+    }
+    return this.collectionHandles.get(name);
+  }
+
   /**
    * Updates documents in a collection based on query
    * 
    * @param {string} collection - The collection name
    * @param {Object} query - Query parameters
-   * @param {Object} update - Update data
-   * @returns {Promise<number>} - Number of updated documents
+   * @param {Object} update - Plain fields to merge, or update operators ($set, $inc, $push, ...)
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.multi=true] - Update every matching document rather than the first
+   * @param {boolean} [options.upsert=false] - Insert a document built from the query's equality
+   *   conditions and the update when nothing matches
+   * @returns {Promise<number>} - Number of updated (or upserted) documents
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @throws {ValidationError} - If the update is malformed or does not apply to a document
    */
-  async update(collection, query, update) {
+  async update(collection, query, update, options = {}) {
+    await this.ready;
+    
     // Encrypt update data if security is enabled
     const secureUpdate = this.security ? 
       this.security.encrypt(update) : update;
       
-    // Perform update
-    const result = await this.storage.update(collection, query, secureUpdate);
+    // Perform update, asking for the changed documents to tell listeners about them
+    const result = await this.storage.update(collection, query, secureUpdate, { ...options, returnDocuments: true });
+    const changes = Array.isArray(result) ? result : null;
+    const count = changes ? changes.length : result;
     
     // Trigger sync with cloud and real-time clients if enabled
-    if (result > 0 && this.cloudSync) {
+    if (count > 0 && this.cloudSync) {
       this.cloudSync.sync({ 
         collection, 
         query, 
@@ -270,7 +532,7 @@ class HyperDB {
       });
     }
     
-    if (result > 0 && this.realtimeSync) {
+    if (count > 0 && this.realtimeSync) {
       this.realtimeSync.broadcast({ 
         collection, 
         query, 
@@ -278,7 +540,86 @@ class HyperDB {
       });
     }
     
-    return result;
+    // Decrypt if security is enabled
+    const decrypted = changes && changes.map(({ before, after }) => this.security ?
+      { before: before && this.security.decrypt(before), after: this.security.decrypt(after) } :
+      { before, after });
+    
+    if (decrypted && decrypted.length === 1 && !decrypted[0].before) {
+      // The update inserted a document for an upsert
+      const document = decrypted[0].after;
+      this._emit('insert', { collection, id: document.id || document._id, document });
+    } else if (decrypted && count > 0) {
+      const ids = decrypted.map(({ after }) => after.id || after._id);
+      this._emit('update', { collection, query, update, count, ids, changes: decrypted });
+    } else if (count > 0) {
+      this._emit('update', { collection, query, update, count });
+    }
+    
+    return count;
+  }
+
+  /**
+   * Updates the first document matching a query and returns it
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.upsert=false] - Insert a document when nothing matches
+   * @param {string} [options.returnDocument='before'] - Return the document as it was
+   *   'before' the update or as it is 'after' it
+   * @returns {Promise<Object|null>} - The document, or null if nothing matched (or if an
+   *   upsert inserted it and 'before' was requested)
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @throws {ValidationError} - If the update is malformed or does not apply to the document
+   */
+  async findOneAndUpdate(collection, query, update, options = {}) {
+    await this.ready;
+    
+    // Encrypt update data if security is enabled
+    const secureUpdate = this.security ? 
+      this.security.encrypt(update) : update;
+      
+    // Perform update
+    const result = await this.storage.findOneAndUpdate(collection, query, secureUpdate, options);
+    if (!result) {
+      return null;
+    }
+    
+    const documentId = result.after.id || result.after._id;
+    
+    // Trigger sync with cloud and real-time clients if enabled
+    if (this.cloudSync) {
+      this.cloudSync.sync({ 
+        collection, 
+        query: { id: documentId }, 
+        update: secureUpdate, 
+        operation: result.before ? 'update' : 'insert' 
+      });
+    }
+    
+    if (this.realtimeSync) {
+      this.realtimeSync.broadcast({ 
+        collection, 
+        documentId, 
+        operation: result.before ? 'update' : 'insert' 
+      });
+    }
+    
+    // Decrypt if security is enabled and document exists
+    const before = result.before && this.security ?
+      this.security.decrypt(result.before) : result.before;
+    const after = this.security ?
+      this.security.decrypt(result.after) : result.after;
+    
+    if (before) {
+      this._emit('update', { collection, id: documentId, query, update, before, after, count: 1 });
+    } else {
+      this._emit('insert', { collection, id: documentId, document: after });
+    }
+    
+    return options.returnDocument === 'after' ? after : before;
   }
 
   /**
@@ -289,11 +630,15 @@ class HyperDB {
    * @returns {Promise<number>} - Number of deleted documents
    */
   async deleteFrom(collection, query) {
-    // Perform deletion
-    const result = await this.storage.deleteFrom(collection, query);
+    await this.ready;
+    
+    // Perform deletion, asking for the deleted documents to tell listeners about them
+    const result = await this.storage.deleteFrom(collection, query, { returnDocuments: true });
+    const documents = Array.isArray(result) ? result : null;
+    const count = documents ? documents.length : result;
     
     // Trigger sync with cloud and real-time clients if enabled
-    if (result > 0 && this.cloudSync) {
+    if (count > 0 && this.cloudSync) {
       this.cloudSync.sync({ 
         collection, 
         query, 
@@ -301,7 +646,7 @@ class HyperDB {
       });
     }
     
-    if (result > 0 && this.realtimeSync) {
+    if (count > 0 && this.realtimeSync) {
       this.realtimeSync.broadcast({ 
         collection, 
         query, 
@@ -309,14 +654,269 @@ class HyperDB {
       });
     }
     
+    if (documents && count > 0) {
+      // Decrypt if security is enabled
+      const deleted = this.security ? documents.map(doc => this.security.decrypt(doc)) : documents;
+      const ids = deleted.map(doc => doc.id || doc._id);
+      this._emit('remove', { collection, query, count, ids, documents: deleted });
+    } else if (count > 0) {
+      this._emit('remove', { collection, query, count });
+    }
+    
+    return count;
+  }
+
+  /**
+   * Deletes the first document matching a query and returns it
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object|null>} - The deleted document or null
+   */
+  async findOneAndDelete(collection, query) {
+    await this.ready;
+    
+    const document = await this.storage.findOneAndDelete(collection, query);
+    if (!document) {
+      return null;
+    }
+    
+    const documentId = document.id || document._id;
+    
+    // Trigger sync with cloud and real-time clients if enabled
+    if (this.cloudSync) {
+      this.cloudSync.sync({ 
+        collection, 
+        query: { id: documentId }, 
+        operation: 'delete' 
+      });
+    }
+    
+    if (this.realtimeSync) {
+      this.realtimeSync.broadcast({ 
+        collection, 
+        documentId, 
+        operation: 'delete' 
+      });
+    }
+    
+    // Decrypt if security is enabled
+    const before = this.security ? 
+      this.security.decrypt(document) : document;
+    
+    this._emit('remove', { collection, id: documentId, query, before, count: 1 });
+    return before;
+  }
+
+  /**
+   * Creates a secondary index on a collection
+   * Equality and range queries on indexed fields only read matching documents.
+   * 
+   * @param {string} collection - The collection name
+   * @param {string|Array<string>} fields - Field or fields (compound index) to index
+   * @param {Object} [options] - Index options
+   * @param {string} [options.name] - Custom index name (defaults to the fields joined by '_')
+   * @param {boolean} [options.unique=false] - Enforce a unique constraint on the fields
+   * @param {boolean} [options.sparse=false] - Skip documents missing the indexed fields
+   * @returns {Promise<string|null>} - The index name or null on failure
+   */
+  async createIndex(collection, fields, options = {}) {
+    await this.ready;
+    
+    return await this.storage.createIndex(collection, fields, options);
+  }
+
+  /**
+   * Drops a secondary index from a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {string} name - The index name
+   * @returns {Promise<boolean>} - True if the index existed
+   */
+  async dropIndex(collection, name) {
+    await this.ready;
+    
+    return await this.storage.dropIndex(collection, name);
+  }
+
+  /**
+   * Lists the secondary indexes of a collection
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<Array>} - Index definitions
+   */
+  async listIndexes(collection) {
+    await this.ready;
+    
+    return await this.storage.listIndexes(collection);
+  }
+
+  /**
+   * Gets the layout a collection is stored in
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<string|null>} - 'files' or 'packed', or null if the collection does not exist
+   * @throws {UnsupportedOperationError} - If the storage has no collection layouts
+   */
+  async getCollectionLayout(collection) {
+    await this.ready;
+    
+    return await this.storage.getCollectionLayout(collection);
+  }
+
+  /**
+   * Converts a collection to another layout, in place
+   * The database stays usable while the collection is converted. See the
+   * FileStore section of the README.
+   * 
+   * @param {string} collection - The collection name
+   * @param {string} layout - 'files' or 'packed'
+   * @returns {Promise<boolean>} - Success status; false if the collection does not exist
+   * @throws {ValidationError} - If the layout is unknown
+   * @throws {UnsupportedOperationError} - If the storage has no collection layouts
+   */
+  async convertCollection(collection, layout) {
+    await this.ready;
+    
+    return await this.storage.convertCollection(collection, layout);
+  }
+
+  /**
+   * Runs a function in a transaction
+   * Writes made through the transaction are only visible to it until the
+   * function resolves, then they are committed atomically across collections
+   * and keys. If the function throws, nothing is written. If the process stops
+   * during the commit, the next connect() completes it.
+   * 
+   * A document the transaction read and then wrote is only written if no other
+   * write changed it in the meantime. Otherwise the function is run again, with
+   * a new transaction, so it should have no effects besides its writes.
+   * 
+   * @param {Function} callback - async (tx) => result; tx has get, has, set, delete,
+   *   insert, find, findOne, update and deleteFrom
+   * @param {Object} [options] - Transaction options
+   * @param {number} [options.retries=3] - How often to run the function again after a conflict
+   * @returns {Promise<any>} - The callback's result
+   * @throws {DuplicateKeyError} - If the writes violate a unique constraint
+   * @throws {TransactionConflictError} - If the transaction still conflicts after the last retry
+   */
+  async transaction(callback, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : 3;
+    
+    const attempt = async () => {
+      const tx = new Transaction(this);
+      
+      try {
+        const result = await callback(tx);
+        await this._commitTransaction(tx.operations);
+        return result;
+      } finally {
+        tx.active = false;
+      }
+    };
+    
+    const run = async () => {
+      await this.ready;
+      
+      for (let attempts = 1; ; attempts++) {
+        try {
+          return await attempt();
+        } catch (error) {
+          if (!(error instanceof TransactionConflictError) || attempts > retries) {
+            throw error;
+          }
+          this.logger.debug('Retrying transaction after a conflicting write', {
+            collection: error.collection,
+            id: error.id,
+            key: error.key,
+            attempts
+          });
+        }
+      }
+    };
+    
+    const result = this.transactionQueue.then(run, run);
+    this.transactionQueue = result.catch(() => {});
     return result;
   }
 
+  /**
+   * Commits transaction operations and notifies the cache and sync clients
+   * 
+   * @param {Array<Object>} operations - Transaction operations
+   * @private
+   */
+  async _commitTransaction(operations) {
+    // Encrypt values if security is enabled
+    const secureOperations = operations.map(operation =>
+      operation.type === 'set' && this.security ?
+        { ...operation, value: this.security.encrypt(operation.value) } :
+        operation
+    );
+    
+    await this.storage.applyTransaction(secureOperations);
+    
+    operations.forEach((operation, i) => {
+      // Keep the cache in step with the committed values
+      if (operation.type === 'set') {
+        this.cache.set(operation.key, operation.value);
+      } else if (operation.type === 'delete') {
+        this.cache.delete(operation.key);
+      }
+      
+      // Trigger sync with cloud and real-time clients if enabled
+      const { sync, broadcast } = syncMessages(secureOperations[i]);
+      
+      if (this.cloudSync) {
+        this.cloudSync.sync(sync);
+      }
+      
+      if (this.realtimeSync) {
+        this.realtimeSync.broadcast(broadcast);
+      }
+    });
+    
+    // Tell listeners once the cache reflects every write
+    operations.forEach(operation => this._emit(...changeEvent(operation)));
+  }
+
+  /**
+   * Returns metrics for the whole database
+   * 
+   * @param {Object} [options] - Output options
+   * @param {string} [options.format='json'] - 'json' for an object, 'prometheus' for the
+   *   Prometheus text exposition format
+   * @param {string} [options.prefix='hyperdb'] - Metric name prefix in the Prometheus format
+   * @returns {Object|string} - { operations, scans, slowQueries, cache, realtime, cloudSync },
+   *   with realtime and cloudSync null when disabled, or the Prometheus text
+   * @throws {ValidationError} - If the format is unknown
+   */
+  metrics(options = {}) {
+    const { format = 'json' } = options;
+    if (format !== 'json' && format !== 'prometheus') {
+      throw new ValidationError(`Invalid metrics format: ${format}. Valid formats are: json, prometheus`);
+    }
+    
+    const metrics = {
+      ...this.storage.getMetrics(),
+      cache: this.cache.getStats(),
+      realtime: this.realtimeSync ? this.realtimeSync.getStats() : null,
+      cloudSync: this.cloudSync ? this.cloudSync.getStats() : null
+    };
+    
+    return format === 'prometheus' ? formatPrometheus(metrics, options) : metrics;
+  }
+
   /**
    * Registers an event listener
+   * Lifecycle events are 'ready', 'error' and 'close'; data-change events are
+   * 'set', 'delete', 'insert', 'update' and 'remove'. Listeners of '*' get
+   * every event as (event, payload). A listener that throws or rejects does
+   * not affect the write that emitted the event; its error is emitted as
+   * 'error' instead.
    * 
-   * @param {string} event - Event name
-   * @param {Function} callback - Event callback
+   * @param {string} event - Event name, or '*' for all events
+   * @param {Function} callback - Event callback, called with the event payload
    */
   on(event, callback) {
     if (!this.events[event]) {
@@ -330,6 +930,23 @@ class HyperDB {
     }
   }
 
+  /**
+   * Registers an event listener that is removed after its first call
+   * 
+   * @param {string} event - Event name, or '*' for all events
+   * @param {Function} callback - Event callback
+   */
+  once(event, callback) {
+    const listener = (...args) => {
+      this.off(event, listener);
+      return callback(...args);
+    };
+    // Lets off() remove it by the original callback
+    listener.callback = callback;
+    
+    this.on(event, listener);
+  }
+
   /**
    * Removes an event listener
    * 
@@ -339,11 +956,55 @@ class HyperDB {
   off(event, callback) {
     if (!this.events[event]) return;
     
-    this.events[event] = this.events[event].filter(cb => cb !== callback);
+    const removed = this.events[event].filter(cb => cb === callback || cb.callback === callback);
+    this.events[event] = this.events[event].filter(cb => !removed.includes(cb));
     
     // Unregister from realtime sync if it's a sync event
     if (event === 'sync' && this.realtimeSync) {
-      this.realtimeSync.offSync(callback);
+      removed.forEach(cb => this.realtimeSync.offSync(cb));
+    }
+  }
+
+  /**
+   * Calls the listeners of an event and the '*' listeners
+   * Listener errors, thrown or rejected, are logged and emitted as 'error'.
+   * 
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   * @private
+   */
+  _emit(event, payload) {
+    // Copy the lists, as once() listeners remove themselves while they run
+    const calls = [
+      ...(this.events[event] || []).map(listener => () => listener(payload)),
+      ...(this.events['*'] || []).map(listener => () => listener(event, payload))
+    ];
+    
+    for (const call of calls) {
+      try {
+        const result = call();
+        if (result && typeof result.then === 'function') {
+          result.then(null, error => this._listenerFailed(event, error));
+        }
+      } catch (error) {
+        this._listenerFailed(event, error);
+      }
+    }
+  }
+
+  /**
+   * Reports an error thrown by an event listener
+   * Errors of 'error' listeners are only logged, so they can't loop.
+   * 
+   * @param {string} event - Event the listener was called for
+   * @param {Error} error - The listener's error
+   * @private
+   */
+  _listenerFailed(event, error) {
+    this.logger.error(`Error in '${event}' event listener`, { err: error, event });
+    
+    if (event !== 'error') {
+      this._emit('error', { error, event });
     }
   }
 
@@ -353,6 +1014,9 @@ class HyperDB {
    * @returns {Promise<void>}
    */
   async close() {
+    // Let initialization finish, so that nothing opens after the close
+    await this.ready.catch(() => {});
+    
     // Close storage
     if (this.storage) {
       await this.storage.close();
@@ -371,9 +1035,90 @@ class HyperDB {
     // Clear cache
     this.cache.clear();
     
-    // Clear event listeners
+    // Clear event listeners, after telling them
+    this._emit('close', {});
     this.events = {};
   }
 }
 
-module.exports = HyperDB; 
\ No newline at end of file
+/**
+ * Builds the cloud sync and real-time messages for a transaction operation,
+ * matching those sent by set(), delete(), insert() and deleteFrom()
+ * 
+ * @param {Object} operation - Transaction operation
+ * @returns {Object} - { sync, broadcast } messages
+ * @private
+ */
+function syncMessages(operation) {
+  const { type, key, value, collection, document } = operation;
+  
+  switch (type) {
+    case 'set':
+      return { sync: { key, value, operation: 'set' }, broadcast: { key, operation: 'set' } };
+    case 'delete':
+      return { sync: { key, operation: 'delete' }, broadcast: { key, operation: 'delete' } };
+    case 'put':
+      return {
+        sync: { collection, document, operation: 'insert' },
+        broadcast: { collection, documentId: document.id || document._id, operation: 'insert' }
+      };
+    default:
+      return {
+        sync: { collection, query: { id: operation.id }, operation: 'delete' },
+        broadcast: { collection, documentId: operation.id, operation: 'delete' }
+      };
+  }
+}
+
+/**
+ * Builds the event for a committed transaction operation, matching those
+ * emitted by set(), delete(), insert() and findOneAndDelete()
+ * Like the cloud sync message, a stored document is reported as an insert.
+ * 
+ * @param {Object} operation - Transaction operation
+ * @returns {Array} - [event, payload]
+ * @private
+ */
+function changeEvent(operation) {
+  const { type, key, value, collection, document, id } = operation;
+  
+  switch (type) {
+    case 'set':
+      return ['set', { key, value, transaction: true }];
+    case 'delete':
+      return ['delete', { key, transaction: true }];
+    case 'put':
+      return ['insert', { collection, id: document.id || document._id, document, transaction: true }];
+    default:
+      return ['remove', { collection, id, count: 1, transaction: true }];
+  }
+}
+
+/**
+ * Serializes documents as newline-delimited JSON
+ * 
+ * @param {AsyncIterable<Object>} documents - Documents to serialize
+ * @returns {AsyncGenerator<string>} - One line per document
+ * @private
+ */
+async function* toNdjson(documents) {
+  for await (const doc of documents) {
+    yield JSON.stringify(doc) + '\n';
+  }
+}
+
+module.exports = HyperDB;
+module.exports.HyperDBError = HyperDBError;
+module.exports.DuplicateKeyError = DuplicateKeyError;
+module.exports.ValidationError = ValidationError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.CorruptionError = CorruptionError;
+module.exports.StorageIOError = StorageIOError;
+module.exports.ConnectionError = ConnectionError;
+module.exports.LockTimeoutError = LockTimeoutError;
+module.exports.TransactionConflictError = TransactionConflictError;
+module.exports.TransactionInactiveError = TransactionInactiveError;
+module.exports.ReadOnlyError = ReadOnlyError;
+module.exports.UnsupportedOperationError = UnsupportedOperationError;
+module.exports.runAdapterConformance = runAdapterConformance;
+module.exports.formatPrometheus = formatPrometheus; 
\ No newline at end of file
@@ -0,0 +1,520 @@
+/**
+ * Adapter Conformance - Checks that a storage adapter honours the adapter contract
+ * 
+ * Runs the behaviour HyperDB relies on against an adapter: key-value storage,
+ * collections, queries, find options, updates, upserts, deletes and persistence
+ * across reconnects, plus the optional methods (count, iterate, findOneAndUpdate,
+ * findOneAndDelete, indexes and transactions) when the adapter has them.
+ */
+
+const assert = require('assert');
+const { generateId } = require('./utils');
+const StorageEngine = require('./storage-engine');
+
+/**
+ * Documents the query and update checks run against
+ */
+const PEOPLE = [
+  { id: 'p1', name: 'Ada', age: 36, city: 'London', tags: ['math', 'code'], address: { zip: '100' } },
+  { id: 'p2', name: 'Grace', age: 45, city: 'New York', tags: ['code'], address: { zip: '200' } },
+  { id: 'p3', name: 'Alan', age: 41, city: 'London', tags: ['math'] },
+  { id: 'p4', name: 'Edsger', age: 72, city: 'Austin', tags: [], address: { zip: '300' } },
+  { id: 'p5', name: 'Barbara', age: 29, city: 'Boston', tags: ['code', 'systems'] }
+];
+
+/**
+ * Inserts the sample documents into a collection
+ * @private
+ */
+async function seed(adapter, collection) {
+  await adapter.createCollection(collection);
+  for (const person of PEOPLE) {
+    await adapter.insert(collection, person);
+  }
+}
+
+/**
+ * Returns the sorted IDs of documents
+ * @private
+ */
+function ids(docs) {
+  return docs.map(doc => doc.id).sort();
+}
+
+/**
+ * Conformance checks
+ * Each check runs against a fresh, connected adapter. `methods` lists the
+ * optional methods a check needs; checks marked `persistent` reopen the storage.
+ */
+const CHECKS = [
+  {
+    name: 'stores, reads and deletes key-value pairs',
+    async run(adapter) {
+      await adapter.set('config', { theme: 'dark', size: 3 });
+      await adapter.set(42, 'answer');
+      
+      assert.deepStrictEqual(await adapter.get('config'), { theme: 'dark', size: 3 });
+      assert.strictEqual(await adapter.get('42'), 'answer');
+      assert.strictEqual(await adapter.has('config'), true);
+      assert.strictEqual(await adapter.get('missing'), null);
+      assert.strictEqual(await adapter.has('missing'), false);
+      
+      assert.strictEqual(await adapter.delete('config'), true);
+      assert.strictEqual(await adapter.get('config'), null);
+      assert.strictEqual(await adapter.has('config'), false);
+      assert.strictEqual(await adapter.delete('config'), false);
+    }
+  },
+  {
+    name: 'overwrites key-value pairs',
+    async run(adapter) {
+      await adapter.set('counter', 1);
+      await adapter.set('counter', { value: 2 });
+      
+      assert.deepStrictEqual(await adapter.get('counter'), { value: 2 });
+    }
+  },
+  {
+    name: 'returns copies that callers cannot change',
+    async run(adapter) {
+      const value = { list: [1, 2] };
+      await adapter.set('copy', value);
+      value.list.push(3);
+      
+      const stored = await adapter.get('copy');
+      stored.list.push(4);
+      
+      assert.deepStrictEqual(await adapter.get('copy'), { list: [1, 2] });
+    }
+  },
+  {
+    name: 'creates and lists collections',
+    async run(adapter) {
+      assert.deepStrictEqual(await adapter.getCollections(), []);
+      
+      await adapter.createCollection('users');
+      await adapter.createCollection('orders');
+      await adapter.createCollection('users');
+      
+      const names = (await adapter.getCollections()).map(collection => collection.name).sort();
+      assert.deepStrictEqual(names, ['orders', 'users']);
+    }
+  },
+  {
+    name: 'inserts documents and finds them by ID',
+    async run(adapter) {
+      await adapter.createCollection('users');
+      await adapter.insert('users', { id: 'u1', name: 'Ada', nested: { level: 1 } });
+      
+      const doc = await adapter.findOne('users', { id: 'u1' });
+      assert.ok(doc, 'inserted document was not found');
+      assert.strictEqual(doc.name, 'Ada');
+      assert.deepStrictEqual(doc.nested, { level: 1 });
+      assert.strictEqual(await adapter.findOne('users', { id: 'u2' }), null);
+    }
+  },
+  {
+    name: 'assigns IDs and timestamps',
+    async run(adapter) {
+      await adapter.createCollection('users');
+      await adapter.insert('users', { name: 'Anonymous' });
+      
+      const doc = await adapter.findOne('users', { name: 'Anonymous' });
+      assert.ok(doc, 'inserted document was not found');
+      assert.ok(doc.id !== undefined || doc._id !== undefined, 'document was not given an ID');
+      assert.strictEqual(typeof doc.created_at, 'number');
+      assert.strictEqual(typeof doc.updated_at, 'number');
+    }
+  },
+  {
+    name: 'replaces documents inserted with an existing ID',
+    async run(adapter) {
+      await adapter.createCollection('users');
+      await adapter.insert('users', { id: 'u1', name: 'Ada', role: 'admin' });
+      await adapter.insert('users', { id: 'u1', name: 'Grace' });
+      
+      const docs = await adapter.find('users', {});
+      assert.strictEqual(docs.length, 1);
+      assert.strictEqual(docs[0].name, 'Grace');
+      assert.strictEqual(docs[0].role, undefined);
+    }
+  },
+  {
+    name: 'rejects existing IDs when overwrite is disabled',
+    async run(adapter) {
+      await adapter.createCollection('users');
+      await adapter.insert('users', { id: 'u1', name: 'Ada' });
+      
+      await assert.rejects(
+        adapter.insert('users', { id: 'u1', name: 'Grace' }, { overwrite: false }),
+        { name: 'DuplicateKeyError' }
+      );
+      assert.strictEqual((await adapter.findOne('users', { id: 'u1' })).name, 'Ada');
+    }
+  },
+  {
+    name: 'matches query operators',
+    async run(adapter) {
+      await seed(adapter, 'people');
+      const find = async query => ids(await adapter.find('people', query));
+      
+      assert.deepStrictEqual(await find({}), ['p1', 'p2', 'p3', 'p4', 'p5']);
+      assert.deepStrictEqual(await find({ city: 'London' }), ['p1', 'p3']);
+      assert.deepStrictEqual(await find({ age: { $gt: 40, $lte: 45 } }), ['p2', 'p3']);
+      assert.deepStrictEqual(await find({ city: { $ne: 'London' } }), ['p2', 'p4', 'p5']);
+      assert.deepStrictEqual(await find({ city: { $in: ['Austin', 'Boston'] } }), ['p4', 'p5']);
+      assert.deepStrictEqual(await find({ city: { $nin: ['London', 'Austin'] } }), ['p2', 'p5']);
+      assert.deepStrictEqual(await find({ address: { $exists: false } }), ['p3', 'p5']);
+      assert.deepStrictEqual(await find({ 'address.zip': '200' }), ['p2']);
+      assert.deepStrictEqual(await find({ tags: 'math' }), ['p1', 'p3']);
+      assert.deepStrictEqual(await find({ tags: { $size: 0 } }), ['p4']);
+      assert.deepStrictEqual(await find({ name: { $regex: '^a', $options: 'i' } }), ['p1', 'p3']);
+      assert.deepStrictEqual(await find({ $or: [{ age: { $lt: 30 } }, { city: 'Austin' }] }), ['p4', 'p5']);
+      assert.deepStrictEqual(await find({ $and: [{ city: 'London' }, { age: { $gt: 40 } }] }), ['p3']);
+      assert.deepStrictEqual(await find({ city: 'Paris' }), []);
+    }
+  },
+  {
+    name: 'applies sort, skip, limit and projection',
+    async run(adapter) {
+      await seed(adapter, 'people');
+      
+      const sorted = await adapter.find('people', {}, { sort: { age: -1 }, skip: 1, limit: 2 });
+      assert.deepStrictEqual(sorted.map(doc => doc.id), ['p2', 'p3']);
+      
+      const projected = await adapter.find('people', { id: 'p1' }, { projection: { name: 1 } });
+      assert.deepStrictEqual(projected, [{ id: 'p1', name: 'Ada' }]);
+      
+      const limited = await adapter.find('people', { city: 'London' }, { limit: 1 });
+      assert.strictEqual(limited.length, 1);
+    }
+  },
+  {
+    name: 'updates documents with plain fields and operators',
+    async run(adapter) {
+      await seed(adapter, 'people');
+      
+      assert.strictEqual(await adapter.update('people', { city: 'London' }, { $inc: { age: 1 } }), 2);
+      assert.strictEqual((await adapter.findOne('people', { id: 'p1' })).age, 37);
+      assert.strictEqual((await adapter.findOne('people', { id: 'p3' })).age, 42);
+      
+      assert.strictEqual(await adapter.update('people', { id: 'p2' }, { title: 'Rear Admiral' }), 1);
+      const grace = await adapter.findOne('people', { id: 'p2' });
+      assert.strictEqual(grace.title, 'Rear Admiral');
+      assert.strictEqual(grace.name, 'Grace');
+      
+      await adapter.update('people', { id: 'p4' }, { $push: { tags: 'algorithms' }, $unset: { address: '' } });
+      const edsger = await adapter.findOne('people', { id: 'p4' });
+      assert.deepStrictEqual(edsger.tags, ['algorithms']);
+      assert.strictEqual(edsger.address, undefined);
+      
+      assert.strictEqual(await adapter.update('people', { city: 'Paris' }, { $set: { visited: true } }), 0);
+    }
+  },
+  {
+    name: 'updates a single document when multi is false',
+    async run(adapter) {
+      await seed(adapter, 'people');
+      
+      assert.strictEqual(await adapter.update('people', { city: 'London' }, { $set: { flagged: true } }, { multi: false }), 1);
+      assert.strictEqual((await adapter.find('people', { flagged: true })).length, 1);
+    }
+  },
+  {
+    name: 'upserts documents when nothing matches',
+    async run(adapter) {
+      await adapter.createCollection('people');
+      
+      assert.strictEqual(await adapter.update('people', { name: 'Linus' }, { $set: { age: 28 } }, { upsert: true }), 1);
+      const doc = await adapter.findOne('people', { name: 'Linus' });
+      assert.ok(doc, 'upserted document was not found');
+      assert.strictEqual(doc.age, 28);
+      assert.ok(doc.id !== undefined || doc._id !== undefined, 'upserted document was not given an ID');
+      
+      assert.strictEqual(await adapter.update('people', { name: 'Linus' }, { $set: { age: 29 } }, { upsert: true }), 1);
+      assert.strictEqual((await adapter.find('people', { name: 'Linus' })).length, 1);
+    }
+  },
+  {
+    name: 'deletes matching documents',
+    async run(adapter) {
+      await seed(adapter, 'people');
+      
+      assert.strictEqual(await adapter.deleteFrom('people', { city: 'London' }), 2);
+      assert.deepStrictEqual(ids(await adapter.find('people', {})), ['p2', 'p4', 'p5']);
+      assert.strictEqual(await adapter.deleteFrom('people', { city: 'Paris' }), 0);
+    }
+  },
+  {
+    name: 'treats missing collections as empty',
+    async run(adapter) {
+      assert.deepStrictEqual(await adapter.find('missing', {}), []);
+      assert.strictEqual(await adapter.findOne('missing', { id: 'x' }), null);
+      assert.strictEqual(await adapter.update('missing', {}, { $set: { a: 1 } }), 0);
+      assert.strictEqual(await adapter.deleteFrom('missing', {}), 0);
+    }
+  },
+  {
+    name: 'keeps data across reconnects',
+    persistent: true,
+    async run(adapter, reopen) {
+      await adapter.set('settings', { mode: 'strict' });
+      await seed(adapter, 'people');
+      await adapter.update('people', { id: 'p1' }, { $set: { age: 37 } });
+      await adapter.deleteFrom('people', { id: 'p5' });
+      
+      adapter = await reopen();
+      
+      assert.deepStrictEqual(await adapter.get('settings'), { mode: 'strict' });
+      assert.deepStrictEqual((await adapter.getCollections()).map(collection => collection.name), ['people']);
+      assert.deepStrictEqual(ids(await adapter.find('people', {})), ['p1', 'p2', 'p3', 'p4']);
+      assert.strictEqual((await adapter.findOne('people', { id: 'p1' })).age, 37);
+    }
+  },
+  {
+    name: 'counts matching documents',
+    methods: ['count'],
+    async run(adapter) {
+      await seed(adapter, 'people');
+      
+      assert.strictEqual(await adapter.count('people', {}), 5);
+      assert.strictEqual(await adapter.count('people', { city: 'London' }), 2);
+      assert.strictEqual(await adapter.count('missing', {}), 0);
+    }
+  },
+  {
+    name: 'iterates over matching documents',
+    methods: ['iterate'],
+    async run(adapter) {
+      await seed(adapter, 'people');
+      
+      const docs = [];
+      for await (const doc of adapter.iterate('people', { age: { $lt: 42 } })) {
+        docs.push(doc);
+      }
+      assert.deepStrictEqual(ids(docs), ['p1', 'p3', 'p5']);
+    }
+  },
+  {
+    name: 'finds and updates or deletes a single document',
+    methods: ['findOneAndUpdate', 'findOneAndDelete'],
+    async run(adapter) {
+      await seed(adapter, 'people');
+      
+      const updated = await adapter.findOneAndUpdate('people', { id: 'p1' }, { $inc: { age: 1 } });
+      assert.strictEqual(updated.before.age, 36);
+      assert.strictEqual(updated.after.age, 37);
+      assert.strictEqual(await adapter.findOneAndUpdate('people', { id: 'none' }, { $set: { a: 1 } }), null);
+      
+      const upserted = await adapter.findOneAndUpdate('people', { id: 'p9' }, { $set: { name: 'Ken' } }, { upsert: true });
+      assert.strictEqual(upserted.before, null);
+      assert.strictEqual(upserted.after.name, 'Ken');
+      
+      const deleted = await adapter.findOneAndDelete('people', { id: 'p2' });
+      assert.strictEqual(deleted.name, 'Grace');
+      assert.strictEqual(await adapter.findOne('people', { id: 'p2' }), null);
+      assert.strictEqual(await adapter.findOneAndDelete('people', { id: 'p2' }), null);
+    }
+  },
+  {
+    name: 'maintains secondary indexes and unique constraints',
+    methods: ['createIndex', 'dropIndex', 'listIndexes'],
+    async run(adapter) {
+      await seed(adapter, 'people');
+      
+      const name = await adapter.createIndex('people', 'name', { unique: true });
+      await adapter.createIndex('people', 'age');
+      assert.strictEqual(typeof name, 'string');
+      assert.strictEqual((await adapter.listIndexes('people')).length, 2);
+      
+      assert.deepStrictEqual(ids(await adapter.find('people', { age: { $gte: 41, $lt: 72 } })), ['p2', 'p3']);
+      
+      await assert.rejects(adapter.insert('people', { id: 'p6', name: 'Ada' }), { name: 'DuplicateKeyError' });
+      await assert.rejects(
+        adapter.update('people', { id: 'p2' }, { $set: { name: 'Alan' } }),
+        { name: 'DuplicateKeyError' }
+      );
+      assert.strictEqual(await adapter.findOne('people', { id: 'p6' }), null);
+      assert.strictEqual((await adapter.findOne('people', { id: 'p2' })).name, 'Grace');
+      await assert.rejects(adapter.createIndex('people', 'city', { unique: true }), { name: 'DuplicateKeyError' });
+      
+      assert.strictEqual(await adapter.dropIndex('people', name), true);
+      assert.strictEqual(await adapter.dropIndex('people', name), false);
+      await adapter.insert('people', { id: 'p6', name: 'Ada' });
+      assert.strictEqual((await adapter.find('people', { name: 'Ada' })).length, 2);
+    }
+  },
+  {
+    name: 'applies transactions atomically',
+    methods: ['applyTransaction'],
+    async run(adapter) {
+      await seed(adapter, 'people');
+      const now = Date.now();
+      
+      await adapter.applyTransaction([
+        { type: 'set', key: 'balance', value: 100 },
+        { type: 'put', collection: 'people', document: { id: 'p6', name: 'Ken', created_at: now, updated_at: now } },
+        { type: 'remove', collection: 'people', id: 'p1' }
+      ]);
+      assert.strictEqual(await adapter.get('balance'), 100);
+      assert.strictEqual((await adapter.findOne('people', { id: 'p6' })).name, 'Ken');
+      assert.strictEqual(await adapter.findOne('people', { id: 'p1' }), null);
+      
+      await assert.rejects(adapter.applyTransaction([
+        { type: 'set', key: 'balance', value: 0 },
+        { type: 'remove', collection: 'people', id: 'p2' },
+        { type: 'rename', key: 'balance' }
+      ]));
+      assert.strictEqual(await adapter.get('balance'), 100);
+      assert.ok(await adapter.findOne('people', { id: 'p2' }), 'failed transaction removed a document');
+    }
+  },
+  {
+    name: 'rejects transactions whose documents or keys changed after they were read',
+    methods: ['applyTransaction'],
+    async run(adapter) {
+      await seed(adapter, 'people');
+      const read = await adapter.findOne('people', { id: 'p1' });
+      await adapter.update('people', { id: 'p1' }, { $set: { age: 37 } });
+      
+      await assert.rejects(adapter.applyTransaction([
+        { type: 'set', key: 'balance', value: 0 },
+        { type: 'put', collection: 'people', document: { ...read, age: 40 }, expected: read }
+      ]), { code: 'TRANSACTION_CONFLICT' });
+      await assert.rejects(adapter.applyTransaction([
+        { type: 'put', collection: 'people', document: { id: 'p9', name: 'Ken' }, expected: null },
+        { type: 'remove', collection: 'people', id: 'p2', expected: { ...PEOPLE[1], age: 46 } }
+      ]), { code: 'TRANSACTION_CONFLICT' });
+      assert.strictEqual(await adapter.get('balance'), null);
+      assert.strictEqual((await adapter.findOne('people', { id: 'p1' })).age, 37);
+      assert.strictEqual(await adapter.findOne('people', { id: 'p9' }), null);
+      
+      const current = await adapter.findOne('people', { id: 'p1' });
+      await adapter.applyTransaction([
+        { type: 'put', collection: 'people', document: { ...current, age: 38 }, expected: current },
+        { type: 'put', collection: 'people', document: { id: 'p9', name: 'Ken' }, expected: null }
+      ]);
+      assert.strictEqual((await adapter.findOne('people', { id: 'p1' })).age, 38);
+      assert.strictEqual((await adapter.findOne('people', { id: 'p9' })).name, 'Ken');
+      
+      await adapter.set('counter', 2);
+      await assert.rejects(adapter.applyTransaction([
+        { type: 'set', key: 'counter', value: 5, expected: 1 }
+      ]), { code: 'TRANSACTION_CONFLICT' });
+      await assert.rejects(adapter.applyTransaction([
+        { type: 'delete', key: 'counter', expected: null }
+      ]), { code: 'TRANSACTION_CONFLICT' });
+      assert.strictEqual(await adapter.get('counter'), 2);
+      
+      await adapter.applyTransaction([
+        { type: 'set', key: 'counter', value: 3, expected: 2 },
+        { type: 'set', key: 'fresh', value: 1, expected: null }
+      ]);
+      assert.strictEqual(await adapter.get('counter'), 3);
+      assert.strictEqual(await adapter.get('fresh'), 1);
+    }
+  },
+  {
+    name: 'keeps transactions across reconnects',
+    methods: ['applyTransaction'],
+    persistent: true,
+    async run(adapter, reopen) {
+      await adapter.createCollection('orders');
+      await adapter.applyTransaction([
+        { type: 'set', key: 'sequence', value: 1 },
+        { type: 'put', collection: 'orders', document: { id: 'o1', total: 10 } }
+      ]);
+      
+      adapter = await reopen();
+      
+      assert.strictEqual(await adapter.get('sequence'), 1);
+      assert.strictEqual((await adapter.findOne('orders', { id: 'o1' })).total, 10);
+    }
+  }
+];
+
+/**
+ * Runs the conformance checks against a storage adapter
+ * Each check gets its own storage: `createAdapter(name)` is called with a name
+ * unique to the check and must return an adapter (or a promise of one) over empty
+ * storage. Checks that reopen storage call it again with the same name, and must
+ * get an adapter over the data written before. The harness connects and closes
+ * every adapter it is given.
+ * 
+ * @param {Function} createAdapter - Returns an unconnected adapter for a storage name
+ * @param {Object} [options] - Conformance options
+ * @param {boolean} [options.persistent=true] - Run the checks that reopen storage;
+ *   disable for adapters that keep nothing between connections
+ * @param {Array<string>} [options.skip] - Names of checks to skip
+ * @returns {Promise<Object>} - { ok, results, failures }; each result has the check
+ *   name, a status of 'passed', 'failed' or 'skipped', and the error or skip reason
+ * @throws {Error} - If createAdapter is not a function
+ */
+async function runAdapterConformance(createAdapter, options = {}) {
+  if (typeof createAdapter !== 'function') {
+    throw new Error('runAdapterConformance() requires a function that creates adapters');
+  }
+  
+  const skip = new Set(options.skip || []);
+  const results = [];
+  
+  for (const check of CHECKS) {
+    let reason = null;
+    
+    if (skip.has(check.name)) {
+      reason = 'Skipped by options';
+    } else if (check.persistent && options.persistent === false) {
+      reason = 'Storage is not persistent';
+    }
+    
+    if (reason) {
+      results.push({ name: check.name, status: 'skipped', reason });
+      continue;
+    }
+    
+    const storageName = `conformance-${generateId()}`;
+    let adapter = null;
+    
+    const open = async () => {
+      adapter = await createAdapter(storageName);
+      StorageEngine.checkAdapter(adapter);
+      await adapter.connect();
+      return adapter;
+    };
+    
+    const reopen = async () => {
+      const previous = adapter;
+      adapter = null;
+      await previous.close();
+      return open();
+    };
+    
+    try {
+      await open();
+      
+      const unsupported = (check.methods || []).filter(method => typeof adapter[method] !== 'function');
+      if (unsupported.length > 0) {
+        results.push({ name: check.name, status: 'skipped', reason: `Adapter does not implement ${unsupported.join(', ')}` });
+        continue;
+      }
+      
+      await check.run(adapter, reopen);
+      results.push({ name: check.name, status: 'passed' });
+    } catch (error) {
+      results.push({ name: check.name, status: 'failed', error });
+    } finally {
+      if (adapter) {
+        try {
+          await adapter.close();
+        } catch (error) {
+          // The check result already records what went wrong
+        }
+      }
+    }
+  }
+  
+  const failures = results.filter(result => result.status === 'failed');
+  return { ok: failures.length === 0, results, failures };
+}
+
+module.exports = { runAdapterConformance };
@@ -1,10 +1,132 @@
 /**
  * FileStore Adapter - Provides file-based storage backend
+ * 
+ * All file I/O is asynchronous. Scans read documents in parallel, a bounded
+ * number at a time, and writes to the same file are queued so they land in
+ * the order they were made.
+ * 
+ * A collection stores each document in its own file, or, in the packed layout,
+ * many documents per page file. The page holding a document is found by hashing
+ * its ID, and pages split in two as they fill up (linear hashing), so a lookup
+ * by ID reads one small page however large the collection grows.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { generateId, matches, normalizeName } = require('../utils');
+const util = require('util');
+const {
+  generateId,
+  matches,
+  validateQuery,
+  validateUpdate,
+  applyUpdate,
+  buildUpsertDocument,
+  writeResult,
+  validateFindOptions,
+  applyFindOptions,
+  scanLimit,
+  normalizeName,
+  toKey,
+  checkExpected
+} = require('../utils');
+const IndexManager = require('../index-manager');
+const {
+  atomicWriteFile,
+  removeTempFiles,
+  isProcessAlive,
+  encodeFileName,
+  resolveInside
+} = require('../file-utils');
+const { LockManager } = require('../file-lock');
+const { KeyedQueue, mapConcurrent, readAhead } = require('../concurrency');
+const { resolveCompression, compress, decompress } = require('../compression');
+const { DuplicateKeyError, ValidationError, LockTimeoutError, ConnectionError, CorruptionError, ReadOnlyError, toStorageError } = require('../errors');
+const { loggerFor } = require('../logger');
+const { ScanStats } = require('../metrics');
+
+/**
+ * Reads a file without blocking
+ * fs.promises.readFile is markedly slower for the small files documents are
+ * stored in, so the callback version is used.
+ * @private
+ */
+const readFile = util.promisify(fs.readFile);
+
+/**
+ * Default FileStore options
+ */
+const DEFAULT_OPTIONS = {
+  concurrency: 16,
+  layout: 'files',
+  pageSize: 256
+};
+
+/**
+ * Collection layouts convertCollection() accepts
+ */
+const LAYOUTS = ['files', 'packed'];
+
+/**
+ * File in a packed collection's directory recording its page count
+ * Its presence is what marks a collection as packed.
+ */
+const PAGES_FILE = 'pages.manifest';
+
+/**
+ * Extension of page files
+ */
+const PAGE_EXTENSION = '.page';
+
+/**
+ * Size an index change log may always grow to
+ * Beyond it, the log is folded into the index file once it outgrows that
+ * file, so keeping indexes on disk costs time proportional to the changes.
+ */
+const INDEX_LOG_MIN_BYTES = 64 * 1024;
+
+/**
+ * On-disk format version, recorded in format.json
+ * Version 2 encodes keys and document IDs with encodeFileName().
+ */
+const FORMAT_VERSION = 2;
+
+/**
+ * Builds the file name of a page
+ * @private
+ */
+function pageName(page) {
+  return `${String(page).padStart(8, '0')}${PAGE_EXTENSION}`;
+}
+
+/**
+ * Hashes a document ID with 32-bit FNV-1a
+ * The hash decides which page holds the document, so it must never change.
+ * @private
+ */
+function hashId(key) {
+  let hash = 0x811c9dc5;
+  for (const byte of Buffer.from(key, 'utf8')) {
+    hash = Math.imul(hash ^ byte, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Finds the page holding a document in a collection of `pages` pages
+ * Pages below `pages - low` have already been split for this round and are
+ * addressed with one more bit of the hash than the pages still to be split.
+ * @private
+ */
+function pageOf(key, pages) {
+  let low = 1;
+  while (low * 2 <= pages) {
+    low *= 2;
+  }
+  
+  const hash = hashId(key);
+  const page = hash % (low * 2);
+  return page < pages ? page : hash % low;
+}
 
 class FileStoreAdapter {
   /**
@@ -12,95 +134,189 @@ class FileStoreAdapter {
    * 
    * @param {Object} config - Configuration options
    * @param {string} [config.path='./hyperdb-data'] - Database file path
+   * @param {Object} [config.locking] - Coordination with other processes using the same path
+   * @param {boolean} [config.locking.enabled=true] - Lock shared files while writing them
+   * @param {string} [config.locking.mode='multi-writer'] - 'multi-writer' serializes writes per
+   *   collection; 'single-writer' lets one process write while others open the path read-only
+   * @param {number} [config.locking.timeout=10000] - How long to wait for a lock, in ms
+   * @param {number} [config.locking.staleTimeout=30000] - Age in ms after which an unrefreshed
+   *   lock counts as abandoned
+   * @param {boolean} [config.readOnly=false] - Refuse writes
+   * @param {string|Object} [config.compression] - Compression of key-value and document files;
+   *   an algorithm name stands for { algorithm }
+   * @param {boolean} [config.compression.enabled] - Compress files when writing them; defaults
+   *   to true if an algorithm is given. Compressed files are read either way
+   * @param {string} [config.compression.algorithm='gzip'] - 'gzip', 'deflate' or 'brotli'
+   * @param {number} [config.compression.threshold=1024] - Smallest file size in bytes worth
+   *   compressing
+   * @param {number} [config.compression.level] - Compression level of the algorithm
+   * @param {Object} [config.filestore] - FileStore options
+   * @param {number} [config.filestore.concurrency=16] - Most files read or written in parallel
+   *   by a single operation
+   * @param {string} [config.filestore.layout='files'] - Layout of new collections: 'files' keeps
+   *   one file per document, 'packed' packs documents into page files
+   * @param {number} [config.filestore.pageSize=256] - Number of documents at which a page of a
+   *   packed collection is split
    */
   constructor(config) {
     this.config = config;
+    this.options = { ...DEFAULT_OPTIONS, ...config.filestore };
     this.dbDir = path.resolve(config.path || './hyperdb-data');
     this.keyValueDir = path.join(this.dbDir, 'keyvalue');
     this.collectionsDir = path.join(this.dbDir, 'collections');
     this.collectionsListFile = path.join(this.dbDir, 'collections.json');
+    this.transactionsDir = path.join(this.dbDir, 'transactions');
+    this.formatFile = path.join(this.dbDir, 'format.json');
+    this.locksDir = path.join(this.dbDir, 'locks');
     this.connected = false;
     this.collections = new Set();
+    this.indexes = new Map();
+    this.indexStamps = new Map();
+    this.indexLogSizes = new Map();
+    this.layouts = new Map();
+    this.readOnly = Boolean(config.readOnly);
+    this.strict = Boolean(config.strict);
+    this.logger = loggerFor(config, 'FileStore');
+    this.scanStats = new ScanStats();
+    this.locking = {
+      enabled: true,
+      mode: 'multi-writer',
+      timeout: 10000,
+      staleTimeout: 30000,
+      ...config.locking
+    };
+    this.locks = new LockManager(this.locksDir, {
+      timeout: this.locking.timeout,
+      staleTimeout: this.locking.staleTimeout
+    });
+    this.writerLock = null;
+    this.compression = resolveCompression(config.compression);
+    
+    // Serializes work on lock resources within this process, and writes per file
+    this.lockQueue = new KeyedQueue();
+    this.fileQueue = new KeyedQueue();
   }
 
   /**
    * Connects to the FileStore database
    * 
    * @returns {Promise<boolean>} - Success status
+   * @throws {LockTimeoutError} - In single-writer mode, if another process is the writer
    */
   async connect() {
     try {
       // Create directories if they don't exist
-      if (!fs.existsSync(this.dbDir)) {
-        fs.mkdirSync(this.dbDir, { recursive: true });
+      for (const dir of [this.dbDir, this.keyValueDir, this.collectionsDir, this.transactionsDir, this.locksDir]) {
+        await fs.promises.mkdir(dir, { recursive: true });
       }
       
-      if (!fs.existsSync(this.keyValueDir)) {
-        fs.mkdirSync(this.keyValueDir, { recursive: true });
+      // In single-writer mode, hold the writer lock for as long as we are connected
+      if (this.locking.enabled && this.locking.mode === 'single-writer' && !this.readOnly) {
+        this.writerLock = this.locks.lock('writer');
+        await this.writerLock.acquire({ keepAlive: true });
       }
       
-      if (!fs.existsSync(this.collectionsDir)) {
-        fs.mkdirSync(this.collectionsDir, { recursive: true });
-      }
-      
-      // Load collections if the collections list file exists
-      if (fs.existsSync(this.collectionsListFile)) {
-        try {
-          const collectionsData = fs.readFileSync(this.collectionsListFile, 'utf8');
-          const collectionsArray = JSON.parse(collectionsData);
-          this.collections = new Set(collectionsArray);
-          
-          // Ensure collection directories exist
-          for (const collection of this.collections) {
-            const collectionDir = path.join(this.collectionsDir, normalizeName(collection));
-            if (!fs.existsSync(collectionDir)) {
-              fs.mkdirSync(collectionDir, { recursive: true });
+      // Recovery rewrites shared files, so only one process runs it at a time
+      await this._withLocks(['catalog'], async () => {
+        // Discard the temporary files of writes interrupted by a crash
+        if (!this.readOnly) {
+          await this._removeTempFiles();
+        }
+        
+        // Load collections if the collections list file exists
+        if (await this._exists(this.collectionsListFile)) {
+          if (!await this._readCollectionsList()) {
+            // Rebuild an unreadable list from the collection directories rather than losing them
+            this.collections = await this._scanCollections();
+            this.logger.warn(
+              `FileStore collections list at ${this.collectionsListFile} was unreadable; ` +
+              `rebuilt it from ${this.collections.size} collection directories`,
+              { file: this.collectionsListFile, collections: this.collections.size }
+            );
+            if (!this.readOnly) {
+              await this._saveCollectionsList();
             }
           }
-        } catch (err) {
-          // If there's an error reading the collections file, create a new one
-          fs.writeFileSync(this.collectionsListFile, JSON.stringify([]), 'utf8');
+        } else if (!this.readOnly) {
+          // Initialize with empty array
+          await this._saveCollectionsList();
         }
-      } else {
-        // Initialize with empty array
-        fs.writeFileSync(this.collectionsListFile, JSON.stringify([]), 'utf8');
-      }
+        
+        // Ensure collection directories exist and load their indexes
+        for (const collection of this.collections) {
+          await fs.promises.mkdir(path.join(this.collectionsDir, normalizeName(collection)), { recursive: true });
+          await this._loadIndexes(normalizeName(collection));
+        }
+        
+        if (!this.readOnly) {
+          // Finish any transaction that committed before its process stopped
+          await this._recoverTransactions();
+          
+          // Rename files written before keys and IDs were encoded
+          await this._migrateFileNames();
+        }
+      });
       
       this.connected = true;
       return true;
     } catch (error) {
-      console.error('Error connecting to FileStore database:', error);
+      this._releaseLocks();
+      if (error instanceof LockTimeoutError) {
+        throw error;
+      }
+      if (this.strict) {
+        throw new ConnectionError(`Error connecting to FileStore database: ${error.message}`, { cause: error });
+      }
+      this.logger.error('Error connecting to FileStore database', { err: error });
       return false;
     }
   }
 
   /**
    * Closes the database connection
+   * Waits for writes already started to finish first.
    * 
    * @returns {Promise<boolean>} - Success status
    */
   async close() {
+    await this.lockQueue.idle();
+    await this.fileQueue.idle();
+    this._releaseLocks();
     this.connected = false;
+    this.indexes.clear();
+    this.indexStamps.clear();
+    this.indexLogSizes.clear();
+    this.layouts.clear();
     return true;
   }
 
+  /**
+   * Returns how many documents queries have read and matched, per collection
+   * 
+   * @returns {Object} - { [collection]: { queries, scanned, returned } }
+   */
+  getScanStats() {
+    return this.scanStats.toJSON();
+  }
+
   /**
    * Stores a value with the specified key
    * 
    * @param {string} key - The key to store data under
    * @param {any} value - The data to store
    * @returns {Promise<boolean>} - Success status
+   * @throws {ValidationError} - If the key is empty or not a string or number
    */
   async set(key, value) {
     this._ensureConnected();
+    this._ensureWritable();
+    const filePath = this._keyPath(key);
     
     try {
-      const filePath = path.join(this.keyValueDir, `${key}.json`);
-      fs.writeFileSync(filePath, JSON.stringify(value, null, 2), 'utf8');
+      await this._writeFile(filePath, JSON.stringify(value, null, 2), true);
       return true;
     } catch (error) {
-      console.error('Error setting value in FileStore:', error);
-      return false;
+      return this._handleError(error, 'Error setting value in FileStore', false);
     }
   }
 
@@ -112,19 +328,12 @@ class FileStoreAdapter {
    */
   async get(key) {
     this._ensureConnected();
+    const filePath = this._keyPath(key);
     
     try {
-      const filePath = path.join(this.keyValueDir, `${key}.json`);
-      
-      if (!fs.existsSync(filePath)) {
-        return null;
-      }
-      
-      const data = fs.readFileSync(filePath, 'utf8');
-      return JSON.parse(data);
+      return await this._readJsonFile(filePath);
     } catch (error) {
-      console.error('Error getting value from FileStore:', error);
-      return null;
+      return this._handleError(error, 'Error getting value from FileStore', null);
     }
   }
 
@@ -136,13 +345,12 @@ class FileStoreAdapter {
    */
   async has(key) {
     this._ensureConnected();
+    const filePath = this._keyPath(key);
     
     try {
-      const filePath = path.join(this.keyValueDir, `${key}.json`);
-      return fs.existsSync(filePath);
+      return await this._exists(filePath);
     } catch (error) {
-      console.error('Error checking key in FileStore:', error);
-      return false;
+      return this._handleError(error, 'Error checking key in FileStore', false);
     }
   }
 
@@ -154,19 +362,13 @@ class FileStoreAdapter {
    */
   async delete(key) {
     this._ensureConnected();
+    this._ensureWritable();
+    const filePath = this._keyPath(key);
     
     try {
-      const filePath = path.join(this.keyValueDir, `${key}.json`);
-      
-      if (!fs.existsSync(filePath)) {
-        return false;
-      }
-      
-      fs.unlinkSync(filePath);
-      return true;
+      return await this._removeFile(filePath);
     } catch (error) {
-      console.error('Error deleting key from FileStore:', error);
-      return false;
+      return this._handleError(error, 'Error deleting key from FileStore', false);
     }
   }
 
@@ -179,10 +381,14 @@ class FileStoreAdapter {
     this._ensureConnected();
     
     try {
+      // Include collections other processes created since we connected
+      if (this._sharesWrites()) {
+        await this._readCollectionsList();
+      }
+      
       return Array.from(this.collections).map(name => ({ name }));
     } catch (error) {
-      console.error('Error getting collections from FileStore:', error);
-      return [];
+      return this._handleError(error, 'Error getting collections from FileStore', []);
     }
   }
 
@@ -191,36 +397,44 @@ class FileStoreAdapter {
    * 
    * @param {string} name - The name of the collection
    * @returns {Promise<boolean>} - Success status
+   * @throws {LockTimeoutError} - If the collections list stays locked past the timeout
    */
   async createCollection(name) {
     this._ensureConnected();
+    this._ensureWritable();
     
     try {
       // Normalize collection name
       const normalizedName = normalizeName(name);
       
       // Create collection directory if it doesn't exist
-      const collectionDir = path.join(this.collectionsDir, normalizedName);
-      if (!fs.existsSync(collectionDir)) {
-        fs.mkdirSync(collectionDir, { recursive: true });
-      }
+      await fs.promises.mkdir(path.join(this.collectionsDir, normalizedName), { recursive: true });
       
       // Add to collections set and save to disk
+      let created = false;
       if (!this.collections.has(normalizedName)) {
-        this.collections.add(normalizedName);
-        
-        // Save updated collections list
-        fs.writeFileSync(
-          this.collectionsListFile, 
-          JSON.stringify(Array.from(this.collections)), 
-          'utf8'
-        );
+        await this._withLocks(['catalog'], async () => {
+          // Keep the collections other processes added since we last read the list
+          await this._readCollectionsList();
+          created = !this.collections.has(normalizedName);
+          this.collections.add(normalizedName);
+          
+          // Save updated collections list
+          await this._saveCollectionsList();
+        });
+      }
+      
+      // New collections start out in the configured layout
+      if (created && this.options.layout === 'packed') {
+        await this._withCollectionLock(normalizedName, () => this._convertLayout(normalizedName, 'packed'));
       }
       
       return true;
     } catch (error) {
-      console.error('Error creating collection in FileStore:', error);
-      return false;
+      if (error instanceof LockTimeoutError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error creating collection in FileStore', false);
     }
   }
 
@@ -229,10 +443,17 @@ class FileStoreAdapter {
    * 
    * @param {string} collection - The collection name
    * @param {Object} document - The document to insert
+   * @param {Object} [options] - Insert options
+   * @param {boolean} [options.overwrite=true] - Replace an existing document with the same ID
    * @returns {Promise<boolean>} - Success status
+   * @throws {DuplicateKeyError} - If the insert violates a unique constraint, or the ID
+   *   exists and overwrite is disabled
+   * @throws {ValidationError} - If the document ID is not a string or number
+   * @throws {LockTimeoutError} - If the collection stays locked past the timeout
    */
-  async insert(collection, document) {
+  async insert(collection, document, options = {}) {
     this._ensureConnected();
+    this._ensureWritable();
     
     try {
       // Normalize collection name
@@ -241,30 +462,13 @@ class FileStoreAdapter {
       // Ensure collection exists
       await this.createCollection(normalizedName);
       
-      // Generate ID if not provided
-      const docWithId = { ...document };
-      if (!docWithId.id && !docWithId._id) {
-        docWithId.id = generateId();
-      }
-      
-      // Use provided ID or generated ID
-      const id = docWithId.id || docWithId._id;
-      
-      // Current timestamp
-      const now = Date.now();
-      
-      // Add timestamps
-      docWithId.created_at = now;
-      docWithId.updated_at = now;
-      
-      // Save document to file
-      const docPath = path.join(this.collectionsDir, normalizedName, `${id}.json`);
-      fs.writeFileSync(docPath, JSON.stringify(docWithId, null, 2), 'utf8');
-      
+      await this._withCollectionLock(normalizedName, () => this._insertDocument(normalizedName, document, options));
       return true;
     } catch (error) {
-      console.error('Error inserting document in FileStore:', error);
-      return false;
+      if (error instanceof DuplicateKeyError || error instanceof ValidationError || error instanceof LockTimeoutError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error inserting document in FileStore', false);
     }
   }
 
@@ -277,50 +481,22 @@ class FileStoreAdapter {
    */
   async findOne(collection, query) {
     this._ensureConnected();
+    validateQuery(query);
     
     try {
       // Normalize collection name
       const normalizedName = normalizeName(collection);
       
       // Check if collection exists
-      if (!this.collections.has(normalizedName)) {
+      if (!await this._collectionExists(normalizedName)) {
         return null;
       }
       
-      // If query contains ID, optimize by loading just that document
-      if (query.id || query._id) {
-        const id = query.id || query._id;
-        const docPath = path.join(this.collectionsDir, normalizedName, `${id}.json`);
-        
-        if (fs.existsSync(docPath)) {
-          const docData = fs.readFileSync(docPath, 'utf8');
-          return JSON.parse(docData);
-        }
-        
-        return null;
-      }
-      
-      // Otherwise, scan all documents
-      const collectionDir = path.join(this.collectionsDir, normalizedName);
-      const files = fs.readdirSync(collectionDir);
-      
       // Find first match
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const docPath = path.join(collectionDir, file);
-          const docData = fs.readFileSync(docPath, 'utf8');
-          const doc = JSON.parse(docData);
-          
-          if (matches(doc, query)) {
-            return doc;
-          }
-        }
-      }
-      
-      return null;
+      const [doc] = await this._findDocuments(normalizedName, query, 1);
+      return doc || null;
     } catch (error) {
-      console.error('Error finding document in FileStore:', error);
-      return null;
+      return this._handleError(error, 'Error finding document in FileStore', null);
     }
   }
 
@@ -329,94 +505,215 @@ class FileStoreAdapter {
    * 
    * @param {string} collection - The collection name
    * @param {Object} query - Query parameters
+   * @param {Object} [options] - Find options
+   * @param {Object} [options.sort] - Field: direction pairs, 1 ascending and -1 descending
+   * @param {number} [options.skip] - Number of documents to skip
+   * @param {number} [options.limit] - Maximum number of documents to return
+   * @param {Object} [options.projection] - Fields to include (1) or exclude (0)
    * @returns {Promise<Array>} - Array of matching documents
+   * @throws {ValidationError} - If the options are malformed
    */
-  async find(collection, query) {
+  async find(collection, query, options = {}) {
     this._ensureConnected();
+    validateQuery(query);
+    validateFindOptions(options);
     
     try {
       // Normalize collection name
       const normalizedName = normalizeName(collection);
       
       // Check if collection exists
-      if (!this.collections.has(normalizedName)) {
+      if (!await this._collectionExists(normalizedName)) {
         return [];
       }
       
-      // Load all documents in the collection
-      const collectionDir = path.join(this.collectionsDir, normalizedName);
-      const files = fs.readdirSync(collectionDir);
-      
-      const documents = [];
-      
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const docPath = path.join(collectionDir, file);
-          const docData = fs.readFileSync(docPath, 'utf8');
-          const doc = JSON.parse(docData);
-          
-          // If no query or document matches query, add to results
-          if (!query || Object.keys(query).length === 0 || matches(doc, query)) {
-            documents.push(doc);
-          }
-        }
-      }
-      
-      return documents;
+      // Without a sort, stop reading once enough documents have matched
+      const docs = await this._findDocuments(normalizedName, query, scanLimit(options));
+      return applyFindOptions(docs, options);
     } catch (error) {
-      console.error('Error finding documents in FileStore:', error);
-      return [];
+      return this._handleError(error, 'Error finding documents in FileStore', []);
     }
   }
 
   /**
-   * Updates documents in a collection based on query
+   * Counts the documents in a collection matching a query
    * 
    * @param {string} collection - The collection name
    * @param {Object} query - Query parameters
-   * @param {Object} update - Update data
-   * @returns {Promise<number>} - Number of updated documents
+   * @returns {Promise<number>} - Number of matching documents
    */
-  async update(collection, query, update) {
+  async count(collection, query) {
     this._ensureConnected();
+    validateQuery(query);
     
     try {
       // Normalize collection name
       const normalizedName = normalizeName(collection);
       
       // Check if collection exists
-      if (!this.collections.has(normalizedName)) {
+      if (!await this._collectionExists(normalizedName)) {
         return 0;
       }
       
-      // Find documents to update
-      const docs = await this.find(collection, query);
-      if (docs.length === 0) {
-        return 0;
+      return (await this._findDocuments(normalizedName, query)).length;
+    } catch (error) {
+      return this._handleError(error, 'Error counting documents in FileStore', 0);
+    }
+  }
+
+  /**
+   * Iterates over the documents matching a query
+   * The collection directory, or a packed collection's pages, are streamed and
+   * only a few documents are read ahead, so memory use stays bounded however
+   * large the collection is.
+   * Documents deleted while the iteration runs are skipped.
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} [query={}] - Query parameters
+   * @returns {AsyncGenerator<Object>} - Matching documents
+   */
+  async *iterate(collection, query = {}) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    // Normalize collection name
+    const normalizedName = normalizeName(collection);
+    
+    // Check if collection exists
+    if (!await this._collectionExists(normalizedName)) {
+      return;
+    }
+    
+    const matchAll = !query || Object.keys(query).length === 0;
+    let scanned = 0;
+    let returned = 0;
+    
+    // Record the scan even if the caller stops iterating early
+    try {
+      for await (const doc of this._candidateDocuments(normalizedName, query, true)) {
+        scanned++;
+        if (matchAll || matches(doc, query)) {
+          returned++;
+          yield doc;
+        }
       }
+    } finally {
+      this.scanStats.record(normalizedName, scanned, returned);
+    }
+  }
+
+  /**
+   * Updates documents in a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators ($set, $inc, $push, ...)
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.multi=true] - Update every matching document rather than the first
+   * @param {boolean} [options.upsert=false] - Insert a document built from the query and
+   *   update when nothing matches
+   * @param {boolean} [options.returnDocuments=false] - Resolve to the { before, after }
+   *   documents rather than their number; before is null for an upserted document
+   * @returns {Promise<number|Array<Object>>} - Number of updated (or upserted) documents
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @throws {ValidationError} - If the update is malformed or does not apply to a document
+   * @throws {LockTimeoutError} - If the collection stays locked past the timeout
+   */
+  async update(collection, query, update, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    validateQuery(query);
+    validateUpdate(update);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
       
-      // Current timestamp
-      const now = Date.now();
-      
-      // Update each document
-      let updatedCount = 0;
+      // Check if collection exists, creating it for an upsert
+      if (!await this._collectionExists(normalizedName)) {
+        if (!options.upsert) {
+          return writeResult([], options);
+        }
+        await this.createCollection(normalizedName);
+      }
       
-      for (const doc of docs) {
-        const id = doc.id || doc._id;
-        const docPath = path.join(this.collectionsDir, normalizedName, `${id}.json`);
+      // Read and write under the lock so concurrent updates aren't lost
+      return await this._withCollectionLock(normalizedName, async () => {
+        // Find documents to update
+        const docs = await this._findDocuments(normalizedName, query, options.multi === false ? 1 : Infinity);
         
-        // Apply updates
-        const updatedDoc = { ...doc, ...update, updated_at: now };
+        if (docs.length === 0) {
+          if (!options.upsert) {
+            return writeResult([], options);
+          }
+          
+          const inserted = await this._insertDocument(normalizedName, buildUpsertDocument(query, update), { overwrite: false });
+          return writeResult([{ before: null, after: inserted }], options);
+        }
         
-        // Save updated document
-        fs.writeFileSync(docPath, JSON.stringify(updatedDoc, null, 2), 'utf8');
-        updatedCount++;
+        const updated = await this._updateDocuments(normalizedName, docs, update);
+        return writeResult(updated.map((after, i) => ({ before: docs[i], after })), options);
+      });
+    } catch (error) {
+      if (error instanceof DuplicateKeyError || error instanceof ValidationError || error instanceof LockTimeoutError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error updating documents in FileStore', 0);
+    }
+  }
+
+  /**
+   * Updates the first document matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.upsert=false] - Insert a document when nothing matches
+   * @returns {Promise<Object|null>} - { before, after } documents (before is null for an
+   *   upsert), or null if nothing matched
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @throws {ValidationError} - If the update is malformed or does not apply to the document
+   * @throws {LockTimeoutError} - If the collection stays locked past the timeout
+   */
+  async findOneAndUpdate(collection, query, update, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    validateQuery(query);
+    validateUpdate(update);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Check if collection exists, creating it for an upsert
+      if (!await this._collectionExists(normalizedName)) {
+        if (!options.upsert) {
+          return null;
+        }
+        await this.createCollection(normalizedName);
       }
       
-      return updatedCount;
+      return await this._withCollectionLock(normalizedName, async () => {
+        const [doc] = await this._findDocuments(normalizedName, query, 1);
+        
+        if (!doc) {
+          if (!options.upsert) {
+            return null;
+          }
+          
+          const inserted = await this._insertDocument(normalizedName, buildUpsertDocument(query, update), { overwrite: false });
+          return { before: null, after: inserted };
+        }
+        
+        const [updated] = await this._updateDocuments(normalizedName, [doc], update);
+        return { before: doc, after: updated };
+      });
     } catch (error) {
-      console.error('Error updating documents in FileStore:', error);
-      return 0;
+      if (error instanceof DuplicateKeyError || error instanceof ValidationError || error instanceof LockTimeoutError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error updating document in FileStore', null);
     }
   }
 
@@ -425,81 +722,1834 @@ class FileStoreAdapter {
    * 
    * @param {string} collection - The collection name
    * @param {Object} query - Query parameters
-   * @returns {Promise<number>} - Number of deleted documents
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.returnDocuments=false] - Resolve to the deleted documents
+   *   rather than their number
+   * @returns {Promise<number|Array<Object>>} - Number of deleted documents
+   * @throws {LockTimeoutError} - If the collection stays locked past the timeout
    */
-  async deleteFrom(collection, query) {
+  async deleteFrom(collection, query, options = {}) {
     this._ensureConnected();
+    this._ensureWritable();
+    validateQuery(query);
     
     try {
       // Normalize collection name
       const normalizedName = normalizeName(collection);
       
       // Check if collection exists
-      if (!this.collections.has(normalizedName)) {
-        return 0;
+      if (!await this._collectionExists(normalizedName)) {
+        return writeResult([], options);
       }
       
-      // If query has ID, optimize the delete
-      if (query.id || query._id) {
-        const id = query.id || query._id;
-        const docPath = path.join(this.collectionsDir, normalizedName, `${id}.json`);
-        
-        if (fs.existsSync(docPath)) {
-          fs.unlinkSync(docPath);
-          return 1;
+      return await this._withCollectionLock(normalizedName, async () => {
+        // Find documents to delete
+        const docs = await this._findDocuments(normalizedName, query);
+        if (docs.length === 0) {
+          return writeResult([], options);
         }
         
-        return 0;
+        return writeResult(await this._removeDocuments(normalizedName, docs), options);
+      });
+    } catch (error) {
+      if (error instanceof LockTimeoutError) {
+        throw error;
       }
+      return this._handleError(error, 'Error deleting documents in FileStore', 0);
+    }
+  }
+
+  /**
+   * Deletes the first document matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object|null>} - The deleted document or null
+   * @throws {LockTimeoutError} - If the collection stays locked past the timeout
+   */
+  async findOneAndDelete(collection, query) {
+    this._ensureConnected();
+    this._ensureWritable();
+    validateQuery(query);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
       
-      // Find documents to delete
-      const docs = await this.find(collection, query);
-      if (docs.length === 0) {
-        return 0;
+      // Check if collection exists
+      if (!await this._collectionExists(normalizedName)) {
+        return null;
       }
       
-      // Delete each document
-      let deletedCount = 0;
-      
-      for (const doc of docs) {
-        const id = doc.id || doc._id;
-        const docPath = path.join(this.collectionsDir, normalizedName, `${id}.json`);
+      return await this._withCollectionLock(normalizedName, async () => {
+        const [doc] = await this._findDocuments(normalizedName, query, 1);
+        if (!doc) {
+          return null;
+        }
         
-        if (fs.existsSync(docPath)) {
-          fs.unlinkSync(docPath);
-          deletedCount++;
+        const [removed] = await this._removeDocuments(normalizedName, [doc]);
+        return removed || null;
+      });
+    } catch (error) {
+      if (error instanceof LockTimeoutError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error deleting document in FileStore', null);
+    }
+  }
+
+  /**
+   * Commits a set of writes atomically
+   * The writes are first recorded in a journal file. Once the journal is on
+   * disk the transaction is committed: if the process stops while the writes
+   * are applied, connect() replays the journal.
+   * 
+   * @param {Array<Object>} operations - { type: 'set', key, value }, { type: 'delete', key },
+   *   { type: 'put', collection, document } or { type: 'remove', collection, id }; each may
+   *   carry the `expected` document or value read, see checkExpected()
+   * @returns {Promise<boolean>} - Success status
+   * @throws {DuplicateKeyError} - If the writes violate a unique constraint
+   * @throws {TransactionConflictError} - If a document or key changed after the transaction read it
+   * @throws {LockTimeoutError} - If a collection written to stays locked past the timeout
+   * @throws {Error} - If the writes could not be committed; nothing has been written
+   */
+  async applyTransaction(operations) {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    if (operations.length === 0) {
+      return true;
+    }
+    
+    // Ensure every collection written to exists
+    const collections = new Set();
+    for (const operation of operations) {
+      if (operation.collection !== undefined) {
+        collections.add(normalizeName(operation.collection));
+      }
+    }
+    for (const collection of collections) {
+      await this.createCollection(collection);
+    }
+    
+    return await this._withCollectionLock([...collections], async () => {
+      const writes = await mapConcurrent(operations, this.options.concurrency, operation => this._transactionWrite(operation));
+      operations.forEach((operation, i) => checkExpected(operation, writes[i].before));
+      
+      // Check unique constraints for every collection before writing anything
+      const indexed = [];
+      try {
+        for (const collection of collections) {
+          const indexes = this.indexes.get(collection);
+          if (!indexes || indexes.size === 0) continue;
+          
+          const own = writes.filter(write => write.collection === collection);
+          const removed = own.map(write => write.before).filter(Boolean);
+          const added = own.map(write => write.after).filter(Boolean);
+          indexes.apply(removed, added);
+          indexed.push({ indexes, removed, added });
         }
+      } catch (error) {
+        indexed.forEach(({ indexes, removed, added }) => indexes.apply(added, removed));
+        throw error;
       }
       
-      return deletedCount;
-    } catch (error) {
-      console.error('Error deleting documents in FileStore:', error);
-      return 0;
-    }
+      // Writing the journal is the commit point
+      let fileWrites;
+      let journalFile;
+      try {
+        fileWrites = await this._packWrites(writes);
+        journalFile = await this._writeJournal(fileWrites);
+      } catch (error) {
+        indexed.forEach(({ indexes, removed, added }) => indexes.apply(added, removed));
+        throw error;
+      }
+      
+      await this._applyWrites(fileWrites);
+      await this._splitPages(fileWrites);
+      for (const { indexes, removed, added } of indexed) {
+        await this._logIndexChanges(indexes.collection, removed, added);
+      }
+      
+      await fs.promises.unlink(journalFile);
+      return true;
+    });
   }
 
   /**
-   * Checks if a collection exists
+   * Creates a secondary index on a collection
    * 
-   * @param {string} collection - Collection name
-   * @returns {Promise<boolean>} - True if collection exists
-   * @private
+   * @param {string} collection - The collection name
+   * @param {string|Array<string>} fields - Field or fields to index
+   * @param {Object} [options] - Index options
+   * @param {string} [options.name] - Custom index name
+   * @param {boolean} [options.unique=false] - Reject documents sharing a key
+   * @param {boolean} [options.sparse=false] - Skip documents missing the indexed fields
+   * @returns {Promise<string|null>} - The index name or null on failure
+   * @throws {DuplicateKeyError} - If a unique index meets existing duplicates
+   * @throws {LockTimeoutError} - If the collection stays locked past the timeout
    */
-  async _collectionExists(collection) {
+  async createIndex(collection, fields, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    IndexManager.normalizeFields(fields);
+    
     try {
-      return this.collections.has(collection);
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Ensure collection exists
+      await this.createCollection(normalizedName);
+      
+      return await this._withCollectionLock(normalizedName, async () => {
+        if (!this.indexes.has(normalizedName)) {
+          this.indexes.set(normalizedName, new IndexManager(normalizedName));
+        }
+        
+        // Build the index from the documents already stored
+        const name = await this.indexes.get(normalizedName).createAsync(
+          fields,
+          options,
+          this._candidateDocuments(normalizedName, {}, true)
+        );
+        
+        await this._saveIndexes(normalizedName);
+        return name;
+      });
     } catch (error) {
-      return false;
+      if (error instanceof DuplicateKeyError || error instanceof LockTimeoutError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error creating index in FileStore', null);
     }
   }
 
   /**
-   * Ensures a connection to the database exists
-   * @private
+   * Drops a secondary index from a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {string} name - The index name
+   * @returns {Promise<boolean>} - True if the index existed
+   * @throws {LockTimeoutError} - If the collection stays locked past the timeout
    */
-  _ensureConnected() {
-    if (!this.connected) {
-      throw new Error('Not connected to FileStore database');
+  async dropIndex(collection, name) {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    try {
+      const normalizedName = normalizeName(collection);
+      
+      return await this._withCollectionLock(normalizedName, async () => {
+        const indexes = this.indexes.get(normalizedName);
+        
+        if (!indexes || !indexes.drop(name)) {
+          return false;
+        }
+        
+        await this._saveIndexes(normalizedName);
+        return true;
+      });
+    } catch (error) {
+      if (error instanceof LockTimeoutError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error dropping index in FileStore', false);
+    }
+  }
+
+  /**
+   * Lists the secondary indexes of a collection
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<Array>} - Index definitions
+   */
+  async listIndexes(collection) {
+    this._ensureConnected();
+    
+    const normalizedName = normalizeName(collection);
+    await this._refreshIndexes(normalizedName);
+    
+    const indexes = this.indexes.get(normalizedName);
+    return indexes ? indexes.list() : [];
+  }
+
+  /**
+   * Checks if a collection exists
+   * Also sees collections created by other processes sharing the data directory.
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<boolean>} - True if the collection exists
+   */
+  async hasCollection(collection) {
+    this._ensureConnected();
+    
+    return await this._collectionExists(normalizeName(collection));
+  }
+
+  /**
+   * Gets the layout a collection is stored in
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<string|null>} - 'files' or 'packed', or null if the collection does not exist
+   */
+  async getCollectionLayout(collection) {
+    this._ensureConnected();
+    
+    const normalizedName = normalizeName(collection);
+    if (!await this._collectionExists(normalizedName)) {
+      return null;
+    }
+    
+    return await this._layout(normalizedName) ? 'packed' : 'files';
+  }
+
+  /**
+   * Converts a collection between the one-file-per-document layout and the
+   * packed layout, in place
+   * Writes to the collection wait while it is converted; reads carry on. The
+   * new layout's files are written in full before a single atomic write switches
+   * the collection over, so an interrupted conversion leaves the old layout
+   * intact, and running it again finishes the job.
+   * 
+   * @param {string} collection - The collection name
+   * @param {string} layout - 'files' or 'packed'
+   * @returns {Promise<boolean>} - Success status; false if the collection does not exist
+   * @throws {ValidationError} - If the layout is unknown
+   * @throws {LockTimeoutError} - If the collection stays locked past the timeout
+   */
+  async convertCollection(collection, layout) {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    if (!LAYOUTS.includes(layout)) {
+      throw new ValidationError(`Unknown collection layout '${layout}'; expected one of ${LAYOUTS.join(', ')}`);
+    }
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Check if collection exists
+      if (!await this._collectionExists(normalizedName)) {
+        return false;
+      }
+      
+      await this._withCollectionLock(normalizedName, () => this._convertLayout(normalizedName, layout));
+      return true;
+    } catch (error) {
+      if (error instanceof LockTimeoutError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error converting collection in FileStore', false);
+    }
+  }
+
+  /**
+   * Finds the documents matching a query
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} query - Query parameters
+   * @param {number} [limit=Infinity] - Stop after this many matches
+   * @returns {Promise<Array<Object>>} - Matching documents
+   * @private
+   */
+  async _findDocuments(normalizedName, query, limit = Infinity) {
+    const documents = [];
+    
+    if (limit <= 0) {
+      return documents;
+    }
+    
+    let scanned = 0;
+    for await (const doc of this._candidateDocuments(normalizedName, query)) {
+      scanned++;
+      
+      // If no query or document matches query, add to results
+      if (!query || Object.keys(query).length === 0 || matches(doc, query)) {
+        documents.push(doc);
+        
+        if (documents.length >= limit) {
+          break;
+        }
+      }
+    }
+    
+    this.scanStats.record(normalizedName, scanned, documents.length);
+    return documents;
+  }
+
+  /**
+   * Writes a new document, assigning its ID and timestamps
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} document - The document to insert
+   * @param {Object} options - Insert options
+   * @returns {Promise<Object>} - The stored document
+   * @throws {DuplicateKeyError} - If the insert violates a unique constraint
+   * @private
+   */
+  async _insertDocument(normalizedName, document, options) {
+    // Generate ID if not provided
+    const docWithId = { ...document };
+    if (!docWithId.id && !docWithId._id) {
+      docWithId.id = generateId();
+    }
+    
+    // Use provided ID or generated ID
+    const id = docWithId.id || docWithId._id;
+    
+    // Current timestamp
+    const now = Date.now();
+    
+    // Add timestamps
+    docWithId.created_at = now;
+    docWithId.updated_at = now;
+    
+    const indexes = this.indexes.get(normalizedName);
+    const hasIndexes = Boolean(indexes && indexes.size > 0);
+    
+    // Refuse to replace an existing document in insert-only mode
+    if (options.overwrite === false && await this._documentExists(normalizedName, id)) {
+      throw new DuplicateKeyError({
+        collection: normalizedName,
+        fields: [docWithId.id !== undefined ? 'id' : '_id'],
+        value: id,
+        conflictingId: id
+      });
+    }
+    
+    // Keep indexes in sync, replacing the entries of any existing document
+    const existing = hasIndexes ? await this._readDocument(normalizedName, id) : null;
+    const replaced = existing ? [existing] : [];
+    if (hasIndexes) {
+      indexes.apply(replaced, [docWithId]);
+    }
+    
+    // Save document to file
+    try {
+      await this._writeDocuments(normalizedName, [docWithId]);
+    } catch (error) {
+      if (hasIndexes) {
+        indexes.apply([docWithId], replaced);
+      }
+      throw error;
+    }
+    
+    if (hasIndexes) {
+      await this._logIndexChanges(normalizedName, replaced, [docWithId]);
+    }
+    
+    return docWithId;
+  }
+
+  /**
+   * Applies an update to documents and writes them
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} docs - Current documents
+   * @param {Object} update - Plain fields or update operators
+   * @returns {Promise<Array<Object>>} - The updated documents
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @private
+   */
+  async _updateDocuments(normalizedName, docs, update) {
+    // Current timestamp
+    const now = Date.now();
+    
+    // Apply updates
+    const updatedDocs = docs.map(doc => ({ ...applyUpdate(doc, update), updated_at: now }));
+    
+    // Check unique constraints for all documents before writing any of them
+    const indexes = this.indexes.get(normalizedName);
+    const hasIndexes = Boolean(indexes && indexes.size > 0);
+    if (hasIndexes) {
+      indexes.apply(docs, updatedDocs);
+    }
+    
+    // Save the updated documents
+    try {
+      await this._writeDocuments(normalizedName, updatedDocs);
+    } catch (error) {
+      if (hasIndexes) {
+        indexes.apply(updatedDocs, docs);
+      }
+      throw error;
+    }
+    
+    if (hasIndexes) {
+      await this._logIndexChanges(normalizedName, docs, updatedDocs);
+    }
+    
+    return updatedDocs;
+  }
+
+  /**
+   * Deletes documents and drops them from the indexes
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} docs - Documents to delete
+   * @returns {Promise<Array<Object>>} - The documents that were deleted
+   * @private
+   */
+  async _removeDocuments(normalizedName, docs) {
+    const indexes = this.indexes.get(normalizedName);
+    
+    const removed = await this._deleteDocuments(normalizedName, docs);
+    
+    if (indexes) {
+      removed.forEach(doc => indexes.remove(doc));
+    }
+    
+    if (indexes && indexes.size > 0 && removed.length > 0) {
+      await this._logIndexChanges(normalizedName, removed, []);
+    }
+    
+    return removed;
+  }
+
+  /**
+   * Gets the path of a document file
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {string|number} id - Document ID
+   * @returns {string} - Document file path
+   * @throws {ValidationError} - If the ID is empty or not a string or number
+   * @private
+   */
+  _documentPath(normalizedName, id) {
+    return resolveInside(this.collectionsDir, path.join(normalizedName, `${encodeFileName(id)}.json`));
+  }
+
+  /**
+   * Gets the path of a page file of a packed collection
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {number} page - Page number
+   * @returns {string} - Page file path
+   * @private
+   */
+  _pagePath(normalizedName, page) {
+    return path.join(this.collectionsDir, normalizedName, pageName(page));
+  }
+
+  /**
+   * Gets a collection's layout
+   * The layout is cached unless other processes may convert the collection.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @returns {Promise<Object|null>} - { pages } for a packed collection, null for one file per document
+   * @private
+   */
+  async _layout(normalizedName) {
+    if (!this._sharesWrites() && this.layouts.has(normalizedName)) {
+      return this.layouts.get(normalizedName);
+    }
+    
+    const layout = await this._readJsonFile(path.join(this.collectionsDir, normalizedName, PAGES_FILE));
+    this.layouts.set(normalizedName, layout);
+    return layout;
+  }
+
+  /**
+   * Gets the path of a key-value file
+   * 
+   * @param {string} key - The key
+   * @returns {string} - Key file path
+   * @throws {ValidationError} - If the key is empty or not a string or number
+   * @private
+   */
+  _keyPath(key) {
+    return resolveInside(this.keyValueDir, `${encodeFileName(key)}.json`);
+  }
+
+  /**
+   * Reads a single document by ID
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {string|number} id - Document ID
+   * @returns {Promise<Object|null>} - The document or null if it does not exist
+   * @private
+   */
+  async _readDocument(normalizedName, id) {
+    const layout = await this._layout(normalizedName);
+    if (!layout) {
+      return await this._readJsonFile(this._documentPath(normalizedName, id));
+    }
+    
+    for await (const doc of this._pageDocuments(normalizedName, layout, [toKey(id)])) {
+      return doc;
+    }
+    return null;
+  }
+
+  /**
+   * Checks if a document exists
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {string|number} id - Document ID
+   * @returns {Promise<boolean>} - True if the document exists
+   * @private
+   */
+  async _documentExists(normalizedName, id) {
+    if (await this._layout(normalizedName)) {
+      return await this._readDocument(normalizedName, id) !== null;
+    }
+    
+    return await this._exists(this._documentPath(normalizedName, id));
+  }
+
+  /**
+   * Writes documents, replacing any with the same IDs
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} docs - Documents to write
+   * @returns {Promise<void>}
+   * @throws {ValidationError} - If a document ID is not a string or number
+   * @private
+   */
+  async _writeDocuments(normalizedName, docs) {
+    const layout = await this._layout(normalizedName);
+    if (layout) {
+      await this._updatePages(normalizedName, layout, new Map(docs.map(doc => [toKey(doc.id || doc._id), doc])));
+      return;
+    }
+    
+    await this._writeDocumentFiles(normalizedName, docs);
+  }
+
+  /**
+   * Writes documents to their own files, several at a time
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} docs - Documents to write
+   * @returns {Promise<void>}
+   * @throws {ValidationError} - If a document ID is not a string or number
+   * @private
+   */
+  async _writeDocumentFiles(normalizedName, docs) {
+    await mapConcurrent(docs, this.options.concurrency, doc => 
+      this._writeFile(this._documentPath(normalizedName, doc.id || doc._id), JSON.stringify(doc, null, 2), true)
+    );
+  }
+
+  /**
+   * Deletes documents
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} docs - Documents to delete
+   * @returns {Promise<Array<Object>>} - The documents that existed
+   * @private
+   */
+  async _deleteDocuments(normalizedName, docs) {
+    const layout = await this._layout(normalizedName);
+    if (layout) {
+      const existed = await this._updatePages(normalizedName, layout, new Map(docs.map(doc => [toKey(doc.id || doc._id), null])));
+      return docs.filter(doc => existed.has(toKey(doc.id || doc._id)));
+    }
+    
+    const deleted = await mapConcurrent(docs, this.options.concurrency, doc => 
+      this._removeFile(this._documentPath(normalizedName, doc.id || doc._id))
+    );
+    return docs.filter((doc, i) => deleted[i]);
+  }
+
+  /**
+   * Yields the documents that may match a query, reading a single file for
+   * ID lookups and only the indexed candidates when an index applies
+   * Files are read in parallel, up to options.concurrency ahead of the
+   * consumer. Documents deleted while they are read are skipped.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} query - Query parameters
+   * @param {boolean} [streaming=false] - Stream a scanned directory rather than list it
+   *   up front; the order of the documents then follows the directory
+   * @returns {AsyncGenerator<Object>} - Candidate documents
+   * @private
+   */
+  async *_candidateDocuments(normalizedName, query, streaming = false) {
+    // Pick up index changes made by other processes
+    await this._refreshIndexes(normalizedName);
+    
+    let files;
+    const id = this._queryId(query);
+    const indexes = this.indexes.get(normalizedName);
+    const ids = id === undefined && indexes ? indexes.candidates(query) : null;
+    
+    const layout = await this._layout(normalizedName);
+    if (layout) {
+      // Read only the pages holding the documents wanted, or every page for a scan
+      const keys = id !== undefined ? [toKey(id)] : ids ? Array.from(ids, toKey) : null;
+      yield* this._pageDocuments(normalizedName, layout, keys);
+      return;
+    }
+    
+    if (id !== undefined) {
+      // If query contains ID, optimize by loading just that document
+      files = [this._documentPath(normalizedName, id)];
+    } else if (ids) {
+      // Use an index to narrow the documents to read
+      files = Array.from(ids, candidateId => this._documentPath(normalizedName, candidateId));
+    } else {
+      // Otherwise, scan all documents
+      files = this._documentFiles(normalizedName, streaming);
+    }
+    
+    for await (const doc of readAhead(files, this.options.concurrency, file => this._readJsonFile(file))) {
+      if (doc) {
+        yield doc;
+      }
+    }
+  }
+
+  /**
+   * Yields documents from the pages of a packed collection
+   * Pages are read in parallel, up to options.concurrency ahead of the
+   * consumer, and copies of documents left behind by an interrupted split are
+   * skipped. IDs not found are looked up again if another process split a page
+   * in the meantime; a scan running during a split may miss the documents it moves.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} layout - The collection's layout
+   * @param {Array<string>|null} keys - IDs of the documents wanted, or null for every document
+   * @returns {AsyncGenerator<Object>} - The documents
+   * @private
+   */
+  async *_pageDocuments(normalizedName, layout, keys) {
+    const wanted = keys && new Set(keys);
+    
+    while (true) {
+      const pages = wanted ?
+        [...new Set(Array.from(wanted, key => pageOf(key, layout.pages)))] :
+        Array.from({ length: layout.pages }, (_, page) => page);
+      
+      const read = async page => ({ page, docs: await this._readPage(normalizedName, page) });
+      for await (const { page, docs } of readAhead(pages, this.options.concurrency, read)) {
+        for (const doc of docs) {
+          const key = toKey(doc.id || doc._id);
+          if (pageOf(key, layout.pages) !== page || (wanted && !wanted.delete(key))) continue;
+          
+          yield doc;
+        }
+      }
+      
+      if (!wanted || wanted.size === 0 || !this._sharesWrites()) {
+        return;
+      }
+      
+      const current = await this._layout(normalizedName);
+      if (!current || current.pages === layout.pages) {
+        return;
+      }
+      layout = current;
+    }
+  }
+
+  /**
+   * Reads the documents of a page
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {number} page - Page number
+   * @returns {Promise<Array<Object>>} - The documents; a page not yet written is empty
+   * @private
+   */
+  async _readPage(normalizedName, page) {
+    return (await this._readJsonFile(this._pagePath(normalizedName, page))) || [];
+  }
+
+  /**
+   * Works out the page writes that apply changes to a packed collection
+   * Changed documents keep their place in the page; new ones are appended.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} layout - The collection's layout
+   * @param {Map<string, Object|null>} changes - New version of each changed document by ID;
+   *   null deletes the document
+   * @returns {Promise<Object>} - { writes, existed }: a { file, content, collection, documents }
+   *   write for each page changed, and the IDs of the changed documents that existed
+   * @private
+   */
+  async _pageWrites(normalizedName, layout, changes) {
+    const byPage = new Map();
+    for (const [key, doc] of changes) {
+      const page = pageOf(key, layout.pages);
+      if (!byPage.has(page)) {
+        byPage.set(page, new Map());
+      }
+      byPage.get(page).set(key, doc);
+    }
+    
+    const existed = new Set();
+    const writes = await mapConcurrent([...byPage], this.options.concurrency, async ([page, pageChanges]) => {
+      const docs = [];
+      for (const doc of await this._readPage(normalizedName, page)) {
+        const key = toKey(doc.id || doc._id);
+        
+        // Drop copies left behind by an interrupted split
+        if (pageOf(key, layout.pages) !== page) continue;
+        
+        if (!pageChanges.has(key)) {
+          docs.push(doc);
+          continue;
+        }
+        
+        existed.add(key);
+        if (pageChanges.get(key)) {
+          docs.push(pageChanges.get(key));
+        }
+      }
+      
+      for (const [key, doc] of pageChanges) {
+        if (doc && !existed.has(key)) {
+          docs.push(doc);
+        }
+      }
+      
+      return {
+        file: this._pagePath(normalizedName, page),
+        content: JSON.stringify(docs),
+        collection: normalizedName,
+        documents: docs.length
+      };
+    });
+    
+    return { writes, existed };
+  }
+
+  /**
+   * Applies changes to a packed collection
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} layout - The collection's layout
+   * @param {Map<string, Object|null>} changes - New version of each changed document by ID;
+   *   null deletes the document
+   * @returns {Promise<Set<string>>} - IDs of the changed documents that existed
+   * @private
+   */
+  async _updatePages(normalizedName, layout, changes) {
+    const { writes, existed } = await this._pageWrites(normalizedName, layout, changes);
+    await this._applyWrites(writes);
+    await this._splitPages(writes);
+    return existed;
+  }
+
+  /**
+   * Splits a page for every page written that holds more than options.pageSize documents
+   * Pages split in a fixed order rather than when they fill up, which keeps
+   * finding a document's page a matter of arithmetic; a full page reaches its
+   * turn after a few more writes.
+   * 
+   * @param {Array<Object>} writes - Writes just applied
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _splitPages(writes) {
+    for (const write of writes) {
+      if (write.documents > this.options.pageSize) {
+        await this._splitPage(write.collection);
+      }
+    }
+  }
+
+  /**
+   * Splits the next page due, moving about half its documents to a new page
+   * The new page is written before the page count grows, and the old page
+   * loses the moved documents only after, so every document can be found at
+   * every step. Copies an interruption leaves in the old page are ignored, and
+   * dropped by its next write.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _splitPage(normalizedName) {
+    const { pages } = await this._layout(normalizedName);
+    let low = 1;
+    while (low * 2 <= pages) {
+      low *= 2;
+    }
+    const source = pages - low;
+    
+    const kept = [];
+    const moved = [];
+    for (const doc of await this._readPage(normalizedName, source)) {
+      const key = toKey(doc.id || doc._id);
+      if (pageOf(key, pages) !== source) continue;
+      
+      (pageOf(key, pages + 1) === source ? kept : moved).push(doc);
+    }
+    
+    await this._writeFile(this._pagePath(normalizedName, pages), JSON.stringify(moved), true);
+    await this._writeLayout(normalizedName, { pages: pages + 1 });
+    await this._writeFile(this._pagePath(normalizedName, source), JSON.stringify(kept), true);
+  }
+
+  /**
+   * Records a collection's layout
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object|null} layout - { pages } for the packed layout, null for one file per document
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeLayout(normalizedName, layout) {
+    const file = path.join(this.collectionsDir, normalizedName, PAGES_FILE);
+    
+    if (layout) {
+      await this._writeFile(file, JSON.stringify(layout));
+    } else {
+      await this._removeFile(file);
+    }
+    this.layouts.set(normalizedName, layout);
+  }
+
+  /**
+   * Converts a collection to a layout; the caller holds the collection lock
+   * Files of the target layout left by an interrupted conversion are removed
+   * first, so that they don't mix with the new ones.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {string} layout - 'files' or 'packed'
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _convertLayout(normalizedName, layout) {
+    const current = await this._layout(normalizedName);
+    
+    if (layout === 'packed' && !current) {
+      await this._removeLayoutFiles(normalizedName, PAGE_EXTENSION);
+      
+      // Pages start half full, leaving room to grow
+      const changes = new Map();
+      for await (const doc of this._candidateDocuments(normalizedName, {}, true)) {
+        changes.set(toKey(doc.id || doc._id), doc);
+      }
+      const packed = { pages: Math.max(1, Math.ceil(changes.size * 2 / this.options.pageSize)) };
+      await this._applyWrites((await this._pageWrites(normalizedName, packed, changes)).writes);
+      
+      // Recording the page count switches the collection over
+      await this._writeLayout(normalizedName, packed);
+    } else if (layout === 'files' && current) {
+      await this._removeLayoutFiles(normalizedName, '.json');
+      
+      let batch = [];
+      for await (const doc of this._pageDocuments(normalizedName, current, null)) {
+        batch.push(doc);
+        if (batch.length >= this.options.pageSize) {
+          await this._writeDocumentFiles(normalizedName, batch);
+          batch = [];
+        }
+      }
+      await this._writeDocumentFiles(normalizedName, batch);
+      
+      // Removing the page count switches the collection back
+      await this._writeLayout(normalizedName, null);
+    }
+    
+    // Remove the files of the other layout
+    await this._removeLayoutFiles(normalizedName, layout === 'packed' ? '.json' : PAGE_EXTENSION);
+  }
+
+  /**
+   * Removes the files with an extension from a collection's directory
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {string} extension - '.json' for document files, PAGE_EXTENSION for pages
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeLayoutFiles(normalizedName, extension) {
+    const collectionDir = path.join(this.collectionsDir, normalizedName);
+    const files = (await fs.promises.readdir(collectionDir)).filter(file => file.endsWith(extension));
+    
+    await mapConcurrent(files, this.options.concurrency, file => this._removeFile(path.join(collectionDir, file)));
+  }
+
+  /**
+   * Yields the paths of a collection's document files
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {boolean} streaming - Read the directory entry by entry instead of listing it
+   * @returns {AsyncGenerator<string>} - Document file paths
+   * @private
+   */
+  async *_documentFiles(normalizedName, streaming) {
+    const collectionDir = path.join(this.collectionsDir, normalizedName);
+    
+    if (streaming) {
+      for await (const entry of await fs.promises.opendir(collectionDir)) {
+        if (entry.isFile() && entry.name.endsWith('.json')) {
+          yield path.join(collectionDir, entry.name);
+        }
+      }
+      return;
+    }
+    
+    for (const file of await fs.promises.readdir(collectionDir)) {
+      if (file.endsWith('.json')) {
+        yield path.join(collectionDir, file);
+      }
+    }
+  }
+
+  /**
+   * Reads and parses a JSON file, decompressing it if it was stored compressed
+   * 
+   * @param {string} file - File path
+   * @returns {Promise<any>} - The parsed content, or null if the file does not exist
+   * @throws {CorruptionError} - If the file can't be decompressed or parsed
+   * @private
+   */
+  async _readJsonFile(file) {
+    let data;
+    try {
+      data = await readFile(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    
+    try {
+      return JSON.parse(await decompress(data));
+    } catch (error) {
+      throw new CorruptionError(`Unreadable data in ${file}`, { file, cause: error });
+    }
+  }
+
+  /**
+   * Checks if a file or directory exists
+   * 
+   * @param {string} file - Path to check
+   * @returns {Promise<boolean>} - True if it exists
+   * @private
+   */
+  async _exists(file) {
+    try {
+      await fs.promises.access(file);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Writes a file atomically, after any write to it already queued
+   * Compression runs in the queue too, so a large write can't be overtaken by
+   * a later, quicker one.
+   * 
+   * @param {string} file - File path
+   * @param {string} content - File content
+   * @param {boolean} [compressible=false] - Compress the content as configured; only key-value,
+   *   document and page files are compressed
+   * @returns {Promise<void>}
+   * @private
+   */
+  _writeFile(file, content, compressible = false) {
+    return this.fileQueue.run(file, async () => 
+      atomicWriteFile(file, compressible ? await compress(content, this.compression) : content)
+    );
+  }
+
+  /**
+   * Deletes a file, after any write to it already queued
+   * 
+   * @param {string} file - File path
+   * @returns {Promise<boolean>} - True if the file existed
+   * @private
+   */
+  _removeFile(file) {
+    return this.fileQueue.run(file, async () => {
+      try {
+        await fs.promises.unlink(file);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Resolves a transaction operation to the file it writes
+   * 
+   * @param {Object} operation - Transaction operation
+   * @returns {Promise<Object>} - { file, content, collection, key, before, after }; content is
+   *   null for deletions, and key, before and after are the document's ID and versions for
+   *   collections. For keys, before is the current value if the operation expects one.
+   * @private
+   */
+  async _transactionWrite(operation) {
+    switch (operation.type) {
+      case 'set':
+      case 'delete': {
+        const file = this._keyPath(operation.key);
+        return {
+          file,
+          content: operation.type === 'set' ? JSON.stringify(operation.value, null, 2) : null,
+          before: operation.expected !== undefined ? await this._readJsonFile(file) : undefined
+        };
+      }
+      
+      case 'put': {
+        const collection = normalizeName(operation.collection);
+        const id = operation.document.id || operation.document._id;
+        return {
+          file: this._documentPath(collection, id),
+          content: JSON.stringify(operation.document, null, 2),
+          collection,
+          key: toKey(id),
+          before: await this._readDocument(collection, id),
+          after: operation.document
+        };
+      }
+      
+      case 'remove': {
+        const collection = normalizeName(operation.collection);
+        return {
+          file: this._documentPath(collection, operation.id),
+          content: null,
+          collection,
+          key: toKey(operation.id),
+          before: await this._readDocument(collection, operation.id),
+          after: null
+        };
+      }
+      
+      default:
+        throw new Error(`Invalid transaction operation: ${operation.type}`);
+    }
+  }
+
+  /**
+   * Replaces the document writes of packed collections with writes of the
+   * pages holding the documents
+   * 
+   * @param {Array<Object>} writes - Resolved transaction writes
+   * @returns {Promise<Array<Object>>} - The writes to journal and apply
+   * @private
+   */
+  async _packWrites(writes) {
+    const packed = new Map();
+    for (const collection of new Set(writes.map(write => write.collection).filter(Boolean))) {
+      const layout = await this._layout(collection);
+      if (layout) {
+        packed.set(collection, { layout, changes: new Map() });
+      }
+    }
+    
+    if (packed.size === 0) {
+      return writes;
+    }
+    
+    // Later writes to the same document replace earlier ones
+    const fileWrites = [];
+    for (const write of writes) {
+      if (packed.has(write.collection)) {
+        packed.get(write.collection).changes.set(write.key, write.after);
+      } else {
+        fileWrites.push(write);
+      }
+    }
+    
+    for (const [collection, { layout, changes }] of packed) {
+      fileWrites.push(...(await this._pageWrites(collection, layout, changes)).writes);
+    }
+    return fileWrites;
+  }
+
+  /**
+   * Records a transaction's writes in a journal file
+   * The journal is written atomically, so a journal file is either whole or absent.
+   * Its name starts with the process ID, so recovery can tell the journals of
+   * running processes from those of processes that stopped.
+   * 
+   * @param {Array<Object>} writes - Resolved transaction writes
+   * @returns {Promise<string>} - Journal file path
+   * @private
+   */
+  async _writeJournal(writes) {
+    const id = generateId();
+    const journalFile = path.join(this.transactionsDir, `${process.pid}-${id}.journal`);
+    
+    const journal = {
+      id,
+      created_at: Date.now(),
+      collections: [...new Set(writes.map(write => write.collection).filter(Boolean))],
+      writes: writes.map(({ file, content }) => ({ file: path.relative(this.dbDir, file), content }))
+    };
+    
+    await atomicWriteFile(journalFile, JSON.stringify(journal));
+    return journalFile;
+  }
+
+  /**
+   * Applies resolved transaction writes to their files
+   * Applying the same writes twice has the same result, so journals can be
+   * replayed safely. Writes to different files run in parallel; writes to
+   * the same file are applied in order.
+   * 
+   * @param {Array<Object>} writes - { file, content } pairs for key-value, document and page
+   *   files; null content deletes the file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _applyWrites(writes) {
+    await mapConcurrent(writes, this.options.concurrency, ({ file, content }) => 
+      content === null ? this._removeFile(file) : this._writeFile(file, content, true)
+    );
+  }
+
+  /**
+   * Replays the journals of transactions interrupted after they committed
+   * Journals that were never completed are temporary files, already removed
+   * by _removeTempFiles(). Journals of other running processes are still being
+   * applied by them and are left alone.
+   * 
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recoverTransactions() {
+    let recovered = 0;
+    
+    for (const file of await fs.promises.readdir(this.transactionsDir)) {
+      const journalFile = path.join(this.transactionsDir, file);
+      
+      if (!file.endsWith('.journal')) continue;
+      
+      const owner = /^(\d+)-/.exec(file);
+      if (owner && Number(owner[1]) !== process.pid && isProcessAlive(Number(owner[1]))) continue;
+      
+      try {
+        const journal = await this._readJsonFile(journalFile);
+        
+        for (const collection of journal.collections) {
+          await fs.promises.mkdir(path.join(this.collectionsDir, collection), { recursive: true });
+          if (!this.collections.has(collection)) {
+            this.collections.add(collection);
+            await this._saveCollectionsList();
+          }
+        }
+        
+        await this._applyWrites(journal.writes.map(({ file: target, content }) => ({
+          file: resolveInside(this.dbDir, target),
+          content
+        })));
+        
+        // The indexes may not have been saved before the process stopped
+        for (const collection of journal.collections) {
+          await this._rebuildIndexes(collection);
+        }
+        
+        await fs.promises.unlink(journalFile);
+        recovered++;
+      } catch (error) {
+        this.logger.error(`Error recovering transaction journal '${file}'`, { err: error, file });
+      }
+    }
+    
+    if (recovered > 0) {
+      this.logger.warn(`Recovered ${recovered} interrupted transaction(s) in FileStore`, { transactions: recovered });
+    }
+  }
+
+  /**
+   * Rebuilds a collection's indexes from its documents
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _rebuildIndexes(normalizedName) {
+    const existing = this.indexes.get(normalizedName);
+    if (!existing || existing.size === 0) {
+      return;
+    }
+    
+    const rebuilt = new IndexManager(normalizedName);
+    for (const { name, fields, unique, sparse } of existing.list()) {
+      await rebuilt.createAsync(fields, { name, unique, sparse }, this._candidateDocuments(normalizedName, {}, true));
+    }
+    
+    this.indexes.set(normalizedName, rebuilt);
+    await this._saveIndexes(normalizedName);
+  }
+
+  /**
+   * Gets the path of a collection's index file
+   * Index files live next to the collection directory.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @returns {string} - Index file path
+   * @private
+   */
+  _indexFile(normalizedName) {
+    return path.join(this.collectionsDir, `${normalizedName}.indexes.json`);
+  }
+
+  /**
+   * Gets the path of a collection's index change log
+   * Each line holds the index entries one write changed since the index
+   * file was last saved.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @returns {string} - Index change log path
+   * @private
+   */
+  _indexLogFile(normalizedName) {
+    return path.join(this.collectionsDir, `${normalizedName}.indexes.log`);
+  }
+
+  /**
+   * Loads a collection's indexes from disk
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadIndexes(normalizedName) {
+    try {
+      const stamp = await this._indexStamp(normalizedName);
+      const data = await this._readJsonFile(this._indexFile(normalizedName));
+      if (data === null) {
+        return;
+      }
+      
+      const indexes = new IndexManager(normalizedName, data);
+      const logSize = await this._replayIndexLog(normalizedName, indexes);
+      
+      this.indexes.set(normalizedName, indexes);
+      this.indexStamps.set(normalizedName, stamp);
+      this.indexLogSizes.set(normalizedName, logSize);
+    } catch (error) {
+      // Queries still work without the index, they just scan the collection
+      this.logger.error(`Error loading indexes for collection '${normalizedName}'`, { err: error, collection: normalizedName });
+    }
+  }
+
+  /**
+   * Writes a collection's indexes to disk
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveIndexes(normalizedName) {
+    const indexes = this.indexes.get(normalizedName);
+    const indexFile = this._indexFile(normalizedName);
+    
+    if (!indexes || indexes.size === 0) {
+      await this._removeFile(indexFile);
+      await this._removeFile(this._indexLogFile(normalizedName));
+      this.indexStamps.delete(normalizedName);
+      this.indexLogSizes.delete(normalizedName);
+      return;
+    }
+    
+    // The new index file holds every logged change, so the log can go
+    const content = JSON.stringify(indexes.toJSON());
+    await this._writeFile(indexFile, content);
+    await this._removeFile(this._indexLogFile(normalizedName));
+    this.indexStamps.set(normalizedName, await this._indexStamp(normalizedName));
+    this.indexLogSizes.set(normalizedName, { file: Buffer.byteLength(content), log: 0 });
+  }
+
+  /**
+   * Persists the index entries a write changed
+   * The entries are appended to the collection's index change log rather
+   * than rewriting the whole index file; once the log outgrows the index
+   * file, the indexes are saved in full instead.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} removedDocs - Documents removed or replaced by the write
+   * @param {Array<Object>} addedDocs - Documents the write stored
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _logIndexChanges(normalizedName, removedDocs, addedDocs) {
+    const indexes = this.indexes.get(normalizedName);
+    const sizes = this.indexLogSizes.get(normalizedName);
+    if (!indexes || indexes.size === 0 || !sizes) {
+      await this._saveIndexes(normalizedName);
+      return;
+    }
+    
+    const line = `${JSON.stringify(indexes.changes(removedDocs, addedDocs))}\n`;
+    const logSize = sizes.log + Buffer.byteLength(line);
+    if (logSize > Math.max(sizes.file, INDEX_LOG_MIN_BYTES)) {
+      await this._saveIndexes(normalizedName);
+      return;
+    }
+    
+    const logFile = this._indexLogFile(normalizedName);
+    await this.fileQueue.run(logFile, () => fs.promises.appendFile(logFile, line));
+    this.indexStamps.set(normalizedName, await this._indexStamp(normalizedName));
+    this.indexLogSizes.set(normalizedName, { file: sizes.file, log: logSize });
+  }
+
+  /**
+   * Applies a collection's index change log to indexes loaded from its
+   * index file
+   * A last line cut short by a crash is ignored; the write it belonged to
+   * never finished.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {IndexManager} indexes - Indexes read from the index file
+   * @returns {Promise<Object>} - { file, log } sizes in bytes of the index file and the log
+   * @private
+   */
+  async _replayIndexLog(normalizedName, indexes) {
+    const [file, log] = await Promise.all([
+      fs.promises.stat(this._indexFile(normalizedName)),
+      readFile(this._indexLogFile(normalizedName), 'utf8').catch(error => {
+        if (error.code === 'ENOENT') return '';
+        throw error;
+      })
+    ]);
+    
+    for (const line of log.split('\n')) {
+      if (!line) continue;
+      try {
+        indexes.replay(JSON.parse(line));
+      } catch (error) {
+        this.logger.warn(`Ignoring an incomplete index change in collection '${normalizedName}'`, { collection: normalizedName });
+        break;
+      }
+    }
+    
+    return { file: file.size, log: Buffer.byteLength(log) };
+  }
+
+  /**
+   * Identifies the current version of a collection's index file and change log
+   * Atomic writes replace the index file, so its inode changes on every save,
+   * and appends grow the log.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @returns {Promise<string|null>} - Version stamp, or null if the index file does not exist
+   * @private
+   */
+  async _indexStamp(normalizedName) {
+    const [file, log] = await Promise.all([
+      this._indexFile(normalizedName),
+      this._indexLogFile(normalizedName)
+    ].map(name => fs.promises.stat(name).catch(() => null)));
+    
+    if (!file) {
+      return null;
+    }
+    
+    const stamp = `${file.ino}:${file.mtimeMs}:${file.size}`;
+    return log ? `${stamp}:${log.ino}:${log.size}` : stamp;
+  }
+
+  /**
+   * Reloads a collection's indexes if another process changed them
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _refreshIndexes(normalizedName) {
+    if (!this._sharesWrites()) {
+      return;
+    }
+    
+    const stamp = await this._indexStamp(normalizedName);
+    if (stamp === (this.indexStamps.get(normalizedName) || null)) {
+      return;
+    }
+    
+    if (stamp === null) {
+      // Every index was dropped
+      this.indexes.delete(normalizedName);
+      this.indexStamps.delete(normalizedName);
+      return;
+    }
+    
+    await this._loadIndexes(normalizedName);
+  }
+
+  /**
+   * Renames key and document files from the raw names used before format
+   * version 2 to encodeFileName() names
+   * Every rename is planned before any file is touched, and the plan is
+   * recorded in format.json. A migration that is interrupted resumes from
+   * that plan, so no file name ever has to be guessed to be old or new; once
+   * it is done, format.json records version 2.
+   * 
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _migrateFileNames() {
+    const format = await this._readJsonFile(this.formatFile);
+    if (format && format.version >= FORMAT_VERSION) {
+      return;
+    }
+    
+    let renames = format && format.migration;
+    if (!Array.isArray(renames)) {
+      renames = await this._planFileNameMigration();
+      await this._writeFile(this.formatFile, JSON.stringify({ version: 1, migration: renames }));
+    }
+    
+    let renamed = 0;
+    for (const { dir, from, to } of renames) {
+      renamed += await this._renameMigrated(resolveInside(this.dbDir, dir), from, to);
+    }
+    
+    await this._writeFile(this.formatFile, JSON.stringify({ version: FORMAT_VERSION }));
+    
+    if (renamed > 0) {
+      this.logger.warn(`FileStore migrated ${renamed} file(s) to format version ${FORMAT_VERSION}`, {
+        files: renamed,
+        version: FORMAT_VERSION
+      });
+    }
+  }
+
+  /**
+   * Lists the renames that bring a data directory to format version 2
+   * 
+   * @returns {Promise<Array<Object>>} - { dir, from, to } renames in the order to make them;
+   *   dir is relative to the data directory
+   * @private
+   */
+  async _planFileNameMigration() {
+    const renames = [];
+    
+    // Before version 2, a key file's name is always the raw key
+    const keyFiles = (await fs.promises.readdir(this.keyValueDir)).filter(file => file.endsWith('.json'));
+    renames.push(...await this._planRenames(
+      this.keyValueDir,
+      keyFiles.map(file => ({ from: file, key: file.slice(0, -5) }))
+    ));
+    
+    // A document's ID is read from the document itself
+    for (const collection of this.collections) {
+      const collectionDir = path.join(this.collectionsDir, collection);
+      const files = [];
+      
+      for (const file of await fs.promises.readdir(collectionDir)) {
+        if (!file.endsWith('.json')) continue;
+        
+        let id;
+        try {
+          const doc = await this._readJsonFile(path.join(collectionDir, file));
+          id = doc.id !== undefined ? doc.id : doc._id;
+        } catch (error) {
+          this.logger.warn(`FileStore could not read '${collection}/${file}' while migrating; leaving it as is`, {
+            collection,
+            file
+          });
+          continue;
+        }
+        
+        if (typeof id === 'string' || typeof id === 'number') {
+          files.push({ from: file, key: id });
+        }
+      }
+      
+      renames.push(...await this._planRenames(collectionDir, files));
+    }
+    
+    return renames;
+  }
+
+  /**
+   * Plans the renames of one directory's files to the encoded names of their keys
+   * A file whose new name is another file's old name is renamed after that
+   * file has moved out of the way. Files whose new name is taken by a file
+   * that stays are left as they are.
+   * 
+   * @param {string} dir - Directory containing the files
+   * @param {Array<Object>} files - { from, key } current file names and their keys
+   * @returns {Promise<Array<Object>>} - { dir, from, to } renames in the order to make them
+   * @private
+   */
+  async _planRenames(dir, files) {
+    const relativeDir = path.relative(this.dbDir, dir);
+    const bySource = new Map();
+    for (const { from, key } of files) {
+      const to = `${encodeFileName(key)}.json`;
+      if (to !== from) {
+        bySource.set(from, { dir: relativeDir, from, to });
+      }
+    }
+    
+    const skip = rename => {
+      this.logger.warn(`FileStore could not migrate '${rename.from}': '${rename.to}' already exists`, {
+        file: rename.from,
+        target: rename.to
+      });
+    };
+    
+    const targets = new Set();
+    const planned = new Map();
+    for (const rename of bySource.values()) {
+      if (targets.has(rename.to) || (!bySource.has(rename.to) && await this._exists(path.join(dir, rename.to)))) {
+        skip(rename);
+        continue;
+      }
+      
+      targets.add(rename.to);
+      planned.set(rename.from, rename);
+    }
+    
+    // A file left in place keeps its name taken, which may leave another in place in turn
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const rename of planned.values()) {
+        if (bySource.has(rename.to) && !planned.has(rename.to)) {
+          skip(rename);
+          planned.delete(rename.from);
+          changed = true;
+        }
+      }
+    }
+    
+    const ordered = [];
+    const visit = rename => {
+      if (!planned.delete(rename.from)) return;
+      const blocking = planned.get(rename.to);
+      if (blocking) visit(blocking);
+      ordered.push(rename);
+    };
+    Array.from(planned.values()).forEach(visit);
+    
+    return ordered;
+  }
+
+  /**
+   * Makes one planned rename, unless it was already made
+   * 
+   * @param {string} dir - Directory containing the file
+   * @param {string} from - Old file name
+   * @param {string} to - New file name
+   * @returns {Promise<number>} - 1 if the file was renamed, otherwise 0
+   * @private
+   */
+  async _renameMigrated(dir, from, to) {
+    if (!(await this._exists(path.join(dir, from))) || await this._exists(path.join(dir, to))) {
+      return 0;
+    }
+    
+    await fs.promises.rename(path.join(dir, from), path.join(dir, to));
+    return 1;
+  }
+
+  /**
+   * Writes the list of collections to disk
+   * 
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveCollectionsList() {
+    await this._writeFile(this.collectionsListFile, JSON.stringify(Array.from(this.collections)));
+  }
+
+  /**
+   * Adds the collections recorded in the collections list to the known set
+   * 
+   * @returns {Promise<boolean>} - False if the list is missing or unreadable
+   * @private
+   */
+  async _readCollectionsList() {
+    try {
+      const collectionsData = await readFile(this.collectionsListFile, 'utf8');
+      for (const collection of JSON.parse(collectionsData)) {
+        this.collections.add(collection);
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Lists the collections that have a directory on disk
+   * 
+   * @returns {Promise<Set<string>>} - Collection names
+   * @private
+   */
+  async _scanCollections() {
+    return new Set(
+      (await fs.promises.readdir(this.collectionsDir, { withFileTypes: true }))
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+    );
+  }
+
+  /**
+   * Removes temporary files left by writes that were interrupted before they
+   * were renamed into place, and reports them
+   * The files they were replacing are intact, so only the interrupted write is lost.
+   * 
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeTempFiles() {
+    const dirs = [this.dbDir, this.keyValueDir, this.collectionsDir, this.transactionsDir];
+    for (const collection of await this._scanCollections()) {
+      dirs.push(path.join(this.collectionsDir, collection));
+    }
+    
+    const removed = removeTempFiles(dirs);
+    if (removed.length > 0) {
+      this.logger.warn(
+        `FileStore removed ${removed.length} incomplete write(s) left by an interrupted process: ` +
+        removed.map(file => path.relative(this.dbDir, file)).join(', '),
+        { files: removed.length }
+      );
+    }
+  }
+
+  /**
+   * Checks if a collection exists, picking up collections created by other
+   * processes since we connected
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @returns {Promise<boolean>} - True if collection exists
+   * @private
+   */
+  async _collectionExists(normalizedName) {
+    if (this.collections.has(normalizedName)) {
+      return true;
+    }
+    
+    if (this._sharesWrites() && await this._exists(path.join(this.collectionsDir, normalizedName))) {
+      this.collections.add(normalizedName);
+      await this._loadIndexes(normalizedName);
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Checks if other processes may write to the data directory while we use it
+   * 
+   * @returns {boolean} - True unless we are the only writer
+   * @private
+   */
+  _sharesWrites() {
+    return this.readOnly || (this.locking.enabled && this.locking.mode === 'multi-writer');
+  }
+
+  /**
+   * Runs a function while holding locks shared with other processes
+   * Within this process, functions needing the same resources run one after
+   * another. Without locking, in single-writer mode and when read-only, no other
+   * process writes concurrently, so no lock files are needed.
+   * 
+   * @param {Array<string>} resources - Resource names
+   * @param {Function} fn - Function to run, may be async
+   * @returns {Promise<any>} - The function's result
+   * @throws {LockTimeoutError} - If a lock is not acquired within the timeout
+   * @private
+   */
+  async _withLocks(resources, fn) {
+    return await this.lockQueue.run(resources, () => {
+      if (!this.locking.enabled || this.locking.mode === 'single-writer' || this.readOnly) {
+        return fn();
+      }
+      
+      return this.locks.withLocks(resources, fn);
+    });
+  }
+
+  /**
+   * Runs a function while holding the write locks of collections, with their
+   * indexes brought up to date first
+   * 
+   * @param {string|Array<string>} normalizedNames - Normalized collection names
+   * @param {Function} fn - Function to run
+   * @returns {Promise<any>} - The function's result
+   * @throws {LockTimeoutError} - If a lock is not acquired within the timeout
+   * @private
+   */
+  async _withCollectionLock(normalizedNames, fn) {
+    const names = [].concat(normalizedNames);
+    
+    return await this._withLocks(names.map(name => `collection-${name}`), async () => {
+      for (const name of names) {
+        await this._refreshIndexes(name);
+      }
+      return await fn();
+    });
+  }
+
+  /**
+   * Releases every lock this adapter holds
+   * 
+   * @private
+   */
+  _releaseLocks() {
+    this.locks.releaseAll();
+    
+    if (this.writerLock) {
+      this.writerLock.release();
+      this.writerLock = null;
+    }
+  }
+
+  /**
+   * Extracts a literal document ID from a query, if it has one
+   * 
+   * @param {Object} query - Query parameters
+   * @returns {string|number|undefined} - The ID or undefined if the query has no literal ID
+   * @private
+   */
+  _queryId(query) {
+    if (!query) return undefined;
+    
+    const id = query.id !== undefined ? query.id : query._id;
+    return (typeof id === 'string' && id !== '') || typeof id === 'number' ? id : undefined;
+  }
+
+  /**
+   * Reports an error caught by an operation
+   * In strict mode it is thrown as a HyperDB error; otherwise it is logged and
+   * the operation returns its fallback value.
+   * 
+   * @param {Error} error - The caught error
+   * @param {string} message - What failed
+   * @param {any} fallback - Value to return outside strict mode
+   * @returns {any} - The fallback value
+   * @throws {HyperDBError} - In strict mode
+   * @private
+   */
+  _handleError(error, message, fallback) {
+    if (this.strict) {
+      throw toStorageError(error, message);
+    }
+    
+    this.logger.error(message, { err: error });
+    return fallback;
+  }
+
+  /**
+   * Ensures a connection to the database exists
+   * @private
+   */
+  _ensureConnected() {
+    if (!this.connected) {
+      throw new ConnectionError('Not connected to FileStore database');
+    }
+  }
+
+  /**
+   * Ensures the database was not opened read-only
+   * 
+   * @throws {ReadOnlyError} - If it was
+   * @private
+   */
+  _ensureWritable() {
+    if (this.readOnly) {
+      throw new ReadOnlyError('FileStore database was opened read-only');
     }
   }
 }
@@ -1,10 +1,66 @@
 /**
  * JSON Adapter - Provides simple JSON file storage backend
+ * 
+ * All data is held in memory and written to JSON files: one for keys, one for
+ * collections and one for index definitions. Writes mark the data dirty and
+ * are saved together after a short delay, so a burst of writes rewrites each
+ * file once rather than once per write. Secondary indexes are rebuilt in
+ * memory from their definitions on connect.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { generateId, matches, normalizeName } = require('../utils');
+const {
+  clone,
+  generateId,
+  matches,
+  validateQuery,
+  validateUpdate,
+  applyUpdate,
+  buildUpsertDocument,
+  writeResult,
+  validateFindOptions,
+  applyFindOptions,
+  scanLimit,
+  normalizeName,
+  toKey,
+  checkExpected
+} = require('../utils');
+const IndexManager = require('../index-manager');
+const { DuplicateKeyError, ValidationError, ConnectionError, toStorageError } = require('../errors');
+const { loggerFor } = require('../logger');
+const { ScanStats } = require('../metrics');
+const { atomicWriteFileSync, removeTempFiles } = require('../file-utils');
+
+/**
+ * Default JSON storage options
+ */
+const DEFAULT_OPTIONS = {
+  writeDelay: 100,
+  maxWriteDelay: 1000
+};
+
+/**
+ * Adapters with unsaved writes, saved if the process exits before their timer fires
+ * @private
+ */
+const pendingAdapters = new Set();
+
+/**
+ * Registers the exit handler that saves pending writes
+ * @private
+ */
+let exitHandlerRegistered = false;
+function registerExitHandler() {
+  if (exitHandlerRegistered) return;
+  exitHandlerRegistered = true;
+  
+  process.on('exit', () => {
+    for (const adapter of pendingAdapters) {
+      adapter._writeFiles();
+    }
+  });
+}
 
 class JSONAdapter {
   /**
@@ -12,17 +68,36 @@ class JSONAdapter {
    * 
    * @param {Object} config - Configuration options
    * @param {string} [config.path='./hyperdb-data'] - Data directory path
+   * @param {Object} [config.json] - JSON storage options
+   * @param {number} [config.json.writeDelay=100] - How long to wait for more writes before
+   *   saving, in ms; 0 saves on every write
+   * @param {number} [config.json.maxWriteDelay=1000] - Longest a write stays unsaved while
+   *   more writes keep arriving, in ms
    */
   constructor(config) {
     this.config = config;
+    this.strict = Boolean(config.strict);
+    this.logger = loggerFor(config, 'JSON');
+    this.scanStats = new ScanStats();
+    this.options = { ...DEFAULT_OPTIONS, ...config.json };
     this.dataDir = path.resolve(config.path || './hyperdb-data');
     this.kvFile = path.join(this.dataDir, 'kv-store.json');
     this.collectionsFile = path.join(this.dataDir, 'collections.json');
+    this.indexesFile = path.join(this.dataDir, 'indexes.json');
+    this.journalFile = path.join(this.dataDir, 'transaction.journal');
     this.connected = false;
     this.data = {
       kvStore: {},
+      // Collection name -> Map of document ID -> document
       collections: {}
     };
+    // Collection name -> IndexManager, for collections with secondary indexes
+    this.indexes = new Map();
+    this.dirty = { kvStore: false, collections: false, indexes: false };
+    // Whether a transaction journal is on disk that the data files do not cover yet
+    this.journalPending = false;
+    this.firstUnsavedAt = null;
+    this.saveTimer = null;
   }
 
   /**
@@ -37,47 +112,89 @@ class JSONAdapter {
         fs.mkdirSync(this.dataDir, { recursive: true });
       }
 
+      // Discard the temporary files of writes interrupted by a crash
+      const removed = removeTempFiles([this.dataDir]);
+      if (removed.length > 0) {
+        this.logger.warn(`JSON storage removed ${removed.length} incomplete write(s) left by an interrupted process`, {
+          files: removed.length
+        });
+      }
+
       // Load key-value store if it exists
       if (fs.existsSync(this.kvFile)) {
         const kvData = fs.readFileSync(this.kvFile, 'utf8');
         this.data.kvStore = JSON.parse(kvData);
       } else {
         // Initialize with empty object
-        fs.writeFileSync(this.kvFile, JSON.stringify({}), 'utf8');
+        atomicWriteFileSync(this.kvFile, JSON.stringify({}));
       }
 
       // Load collections if they exist
       if (fs.existsSync(this.collectionsFile)) {
         const collectionsData = fs.readFileSync(this.collectionsFile, 'utf8');
-        this.data.collections = JSON.parse(collectionsData);
+        this.data.collections = this._parseCollections(JSON.parse(collectionsData));
       } else {
         // Initialize with empty object
-        fs.writeFileSync(this.collectionsFile, JSON.stringify({}), 'utf8');
+        atomicWriteFileSync(this.collectionsFile, JSON.stringify({}));
+      }
+
+      // Finish a transaction that committed before the process stopped
+      this._recoverTransaction();
+
+      // Rebuild secondary indexes from their definitions
+      this.indexes.clear();
+      if (fs.existsSync(this.indexesFile)) {
+        this._loadIndexes(JSON.parse(fs.readFileSync(this.indexesFile, 'utf8')));
       }
 
       this.connected = true;
       return true;
     } catch (error) {
-      console.error('Error connecting to JSON storage:', error);
+      if (this.strict) {
+        throw new ConnectionError(`Error connecting to JSON storage: ${error.message}`, { cause: error });
+      }
+      this.logger.error('Error connecting to JSON storage', { err: error });
       return false;
     }
   }
 
   /**
-   * Closes the JSON storage
+   * Closes the JSON storage, saving pending writes
    * 
    * @returns {Promise<boolean>} - Success status
    */
   async close() {
     try {
       // Save data to disk
-      await this._saveData();
+      const saved = await this.flush();
       this.connected = false;
-      return true;
+      return saved;
     } catch (error) {
-      console.error('Error closing JSON storage:', error);
-      return false;
+      return this._handleError(error, 'Error closing JSON storage', false);
+    }
+  }
+
+  /**
+   * Returns how many documents queries have read and matched, per collection
+   * 
+   * @returns {Object} - { [collection]: { queries, scanned, returned } }
+   */
+  getScanStats() {
+    return this.scanStats.toJSON();
+  }
+
+  /**
+   * Saves pending writes to disk now
+   * 
+   * @returns {Promise<boolean>} - Success status
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
     }
+    
+    return this._writeFiles();
   }
 
   /**
@@ -91,12 +208,11 @@ class JSONAdapter {
     this._ensureConnected();
     
     try {
-      this.data.kvStore[key] = value;
-      await this._saveData();
+      this.data.kvStore[key] = clone(value);
+      await this._saveData('kvStore');
       return true;
     } catch (error) {
-      console.error('Error setting value in JSON storage:', error);
-      return false;
+      return this._handleError(error, 'Error setting value in JSON storage', false);
     }
   }
 
@@ -110,10 +226,9 @@ class JSONAdapter {
     this._ensureConnected();
     
     try {
-      return this.data.kvStore[key] || null;
+      return key in this.data.kvStore ? clone(this.data.kvStore[key]) : null;
     } catch (error) {
-      console.error('Error getting value from JSON storage:', error);
-      return null;
+      return this._handleError(error, 'Error getting value from JSON storage', null);
     }
   }
 
@@ -129,8 +244,7 @@ class JSONAdapter {
     try {
       return key in this.data.kvStore;
     } catch (error) {
-      console.error('Error checking key in JSON storage:', error);
-      return false;
+      return this._handleError(error, 'Error checking key in JSON storage', false);
     }
   }
 
@@ -146,13 +260,12 @@ class JSONAdapter {
     try {
       if (key in this.data.kvStore) {
         delete this.data.kvStore[key];
-        await this._saveData();
+        await this._saveData('kvStore');
         return true;
       }
       return false;
     } catch (error) {
-      console.error('Error deleting key from JSON storage:', error);
-      return false;
+      return this._handleError(error, 'Error deleting key from JSON storage', false);
     }
   }
 
@@ -167,11 +280,22 @@ class JSONAdapter {
     try {
       return Object.keys(this.data.collections).map(name => ({ name }));
     } catch (error) {
-      console.error('Error getting collections from JSON storage:', error);
-      return [];
+      return this._handleError(error, 'Error getting collections from JSON storage', []);
     }
   }
 
+  /**
+   * Checks if a collection exists
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<boolean>} - True if the collection exists
+   */
+  async hasCollection(collection) {
+    this._ensureConnected();
+    
+    return Boolean(this.data.collections[normalizeName(collection)]);
+  }
+
   /**
    * Creates a new collection
    * 
@@ -187,14 +311,13 @@ class JSONAdapter {
       
       // Create collection if it doesn't exist
       if (!this.data.collections[normalizedName]) {
-        this.data.collections[normalizedName] = [];
-        await this._saveData();
+        this.data.collections[normalizedName] = new Map();
+        await this._saveData('collections');
       }
       
       return true;
     } catch (error) {
-      console.error('Error creating collection in JSON storage:', error);
-      return false;
+      return this._handleError(error, 'Error creating collection in JSON storage', false);
     }
   }
 
@@ -203,9 +326,12 @@ class JSONAdapter {
    * 
    * @param {string} collection - The collection name
    * @param {Object} document - The document to insert
+   * @param {Object} [options] - Insert options
+   * @param {boolean} [options.overwrite=true] - Replace an existing document with the same ID
    * @returns {Promise<boolean>} - Success status
+   * @throws {DuplicateKeyError} - If the ID exists and overwrite is disabled
    */
-  async insert(collection, document) {
+  async insert(collection, document, options = {}) {
     this._ensureConnected();
     
     try {
@@ -215,38 +341,15 @@ class JSONAdapter {
       // Ensure collection exists
       await this.createCollection(normalizedName);
       
-      // Generate ID if not provided
-      const docWithId = { ...document };
-      if (!docWithId.id && !docWithId._id) {
-        docWithId.id = generateId();
-      }
-      
-      // Use provided ID or generated ID
-      const id = docWithId.id || docWithId._id;
-      
-      // Add timestamps
-      const now = Date.now();
-      docWithId.created_at = now;
-      docWithId.updated_at = now;
+      this._insertDocument(normalizedName, document, options);
       
-      // Check if document with the same ID already exists
-      const existingIndex = this.data.collections[normalizedName].findIndex(
-        doc => (doc.id === id || doc._id === id)
-      );
-      
-      if (existingIndex >= 0) {
-        // Replace existing document
-        this.data.collections[normalizedName][existingIndex] = docWithId;
-      } else {
-        // Add new document
-        this.data.collections[normalizedName].push(docWithId);
-      }
-      
-      await this._saveData();
+      await this._saveData('collections');
       return true;
     } catch (error) {
-      console.error('Error inserting document in JSON storage:', error);
-      return false;
+      if (error instanceof DuplicateKeyError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error inserting document in JSON storage', false);
     }
   }
 
@@ -259,6 +362,7 @@ class JSONAdapter {
    */
   async findOne(collection, query) {
     this._ensureConnected();
+    validateQuery(query);
     
     try {
       // Normalize collection name
@@ -269,21 +373,10 @@ class JSONAdapter {
         return null;
       }
       
-      // If query contains ID, optimize search
-      if (query.id || query._id) {
-        const id = query.id || query._id;
-        return this.data.collections[normalizedName].find(
-          doc => doc.id === id || doc._id === id
-        ) || null;
-      }
-      
-      // Otherwise search for first matching document
-      return this.data.collections[normalizedName].find(
-        doc => matches(doc, query)
-      ) || null;
+      const [doc] = this._findDocuments(normalizedName, query, 1);
+      return doc ? clone(doc) : null;
     } catch (error) {
-      console.error('Error finding document in JSON storage:', error);
-      return null;
+      return this._handleError(error, 'Error finding document in JSON storage', null);
     }
   }
 
@@ -292,10 +385,18 @@ class JSONAdapter {
    * 
    * @param {string} collection - The collection name
    * @param {Object} query - Query parameters
+   * @param {Object} [options] - Find options
+   * @param {Object} [options.sort] - Field: direction pairs, 1 ascending and -1 descending
+   * @param {number} [options.skip] - Number of documents to skip
+   * @param {number} [options.limit] - Maximum number of documents to return
+   * @param {Object} [options.projection] - Fields to include (1) or exclude (0)
    * @returns {Promise<Array>} - Array of matching documents
+   * @throws {ValidationError} - If the options are malformed
    */
-  async find(collection, query) {
+  async find(collection, query, options = {}) {
     this._ensureConnected();
+    validateQuery(query);
+    validateFindOptions(options);
     
     try {
       // Normalize collection name
@@ -306,18 +407,79 @@ class JSONAdapter {
         return [];
       }
       
-      // If no query, return all documents
+      // Without a sort, stop reading once enough documents have matched
+      const docs = this._findDocuments(normalizedName, query, scanLimit(options));
+      return applyFindOptions(docs, options).map(clone);
+    } catch (error) {
+      return this._handleError(error, 'Error finding documents in JSON storage', []);
+    }
+  }
+
+  /**
+   * Counts the documents in a collection matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<number>} - Number of matching documents
+   */
+  async count(collection, query) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Check if collection exists
+      if (!this.data.collections[normalizedName]) {
+        return 0;
+      }
+      
       if (!query || Object.keys(query).length === 0) {
-        return [...this.data.collections[normalizedName]];
+        return this.data.collections[normalizedName].size;
       }
       
-      // Otherwise filter by query
-      return this.data.collections[normalizedName].filter(
-        doc => matches(doc, query)
-      );
+      return this._findDocuments(normalizedName, query).length;
     } catch (error) {
-      console.error('Error finding documents in JSON storage:', error);
-      return [];
+      return this._handleError(error, 'Error counting documents in JSON storage', 0);
+    }
+  }
+
+  /**
+   * Iterates over the documents matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} [query={}] - Query parameters
+   * @returns {AsyncGenerator<Object>} - Matching documents
+   */
+  async *iterate(collection, query = {}) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    // Normalize collection name
+    const normalizedName = normalizeName(collection);
+    
+    // Check if collection exists
+    if (!this.data.collections[normalizedName]) {
+      return;
+    }
+    
+    const matchAll = !query || Object.keys(query).length === 0;
+    let scanned = 0;
+    let returned = 0;
+    
+    // Record the scan even if the caller stops iterating early
+    try {
+      // Iterate over a snapshot so writes during iteration don't shift positions
+      for (const doc of this._candidateDocuments(normalizedName, query)) {
+        scanned++;
+        if (matchAll || matches(doc, query)) {
+          returned++;
+          yield clone(doc);
+        }
+      }
+    } finally {
+      this.scanStats.record(normalizedName, scanned, returned);
     }
   }
 
@@ -326,58 +488,110 @@ class JSONAdapter {
    * 
    * @param {string} collection - The collection name
    * @param {Object} query - Query parameters
-   * @param {Object} update - Update data
-   * @returns {Promise<number>} - Number of updated documents
+   * @param {Object} update - Plain fields to merge, or update operators ($set, $inc, $push, ...)
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.multi=true] - Update every matching document rather than the first
+   * @param {boolean} [options.upsert=false] - Insert a document built from the query and
+   *   update when nothing matches
+   * @param {boolean} [options.returnDocuments=false] - Resolve to the { before, after }
+   *   documents rather than their number; before is null for an upserted document
+   * @returns {Promise<number|Array<Object>>} - Number of updated (or upserted) documents
+   * @throws {ValidationError} - If the update is malformed or does not apply to a document
    */
-  async update(collection, query, update) {
+  async update(collection, query, update, options = {}) {
     this._ensureConnected();
+    validateQuery(query);
+    validateUpdate(update);
     
     try {
       // Normalize collection name
       const normalizedName = normalizeName(collection);
       
-      // Check if collection exists
+      // Check if collection exists, creating it for an upsert
       if (!this.data.collections[normalizedName]) {
-        return 0;
+        if (!options.upsert) {
+          return writeResult([], options);
+        }
+        await this.createCollection(normalizedName);
       }
       
       // Find documents to update
-      const docs = await this.find(collection, query);
+      const docs = this._findDocuments(normalizedName, query, options.multi === false ? 1 : Infinity);
+      
       if (docs.length === 0) {
-        return 0;
+        if (!options.upsert) {
+          return writeResult([], options);
+        }
+        
+        const inserted = this._insertDocument(normalizedName, buildUpsertDocument(query, update), { overwrite: false });
+        await this._saveData('collections');
+        return writeResult([{ before: null, after: clone(inserted) }], options);
       }
       
-      // Current timestamp
-      const now = Date.now();
-      let updatedCount = 0;
+      const updated = this._updateDocuments(normalizedName, docs, update);
       
-      // Update matching documents
-      for (const doc of docs) {
-        const id = doc.id || doc._id;
-        const index = this.data.collections[normalizedName].findIndex(
-          d => (d.id === id || d._id === id)
-        );
-        
-        if (index >= 0) {
-          // Apply updates to document
-          this.data.collections[normalizedName][index] = {
-            ...this.data.collections[normalizedName][index],
-            ...update,
-            updated_at: now
-          };
-          
-          updatedCount++;
+      if (updated.length > 0) {
+        await this._saveData('collections');
+      }
+      
+      return writeResult(updated.map((after, i) => ({ before: clone(docs[i]), after: clone(after) })), options);
+    } catch (error) {
+      if (error instanceof DuplicateKeyError || error instanceof ValidationError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error updating documents in JSON storage', 0);
+    }
+  }
+
+  /**
+   * Updates the first document matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.upsert=false] - Insert a document when nothing matches
+   * @returns {Promise<Object|null>} - { before, after } documents (before is null for an
+   *   upsert), or null if nothing matched
+   * @throws {ValidationError} - If the update is malformed or does not apply to the document
+   */
+  async findOneAndUpdate(collection, query, update, options = {}) {
+    this._ensureConnected();
+    validateQuery(query);
+    validateUpdate(update);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Check if collection exists, creating it for an upsert
+      if (!this.data.collections[normalizedName]) {
+        if (!options.upsert) {
+          return null;
         }
+        await this.createCollection(normalizedName);
       }
       
-      if (updatedCount > 0) {
-        await this._saveData();
+      const [doc] = this._findDocuments(normalizedName, query, 1);
+      let result;
+      
+      if (doc) {
+        const [updated] = this._updateDocuments(normalizedName, [doc], update);
+        result = { before: doc, after: clone(updated) };
+      } else if (options.upsert) {
+        const inserted = this._insertDocument(normalizedName, buildUpsertDocument(query, update), { overwrite: false });
+        result = { before: null, after: clone(inserted) };
+      } else {
+        return null;
       }
       
-      return updatedCount;
+      await this._saveData('collections');
+      return result;
     } catch (error) {
-      console.error('Error updating documents in JSON storage:', error);
-      return 0;
+      if (error instanceof DuplicateKeyError || error instanceof ValidationError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error updating document in JSON storage', null);
     }
   }
 
@@ -386,10 +600,14 @@ class JSONAdapter {
    * 
    * @param {string} collection - The collection name
    * @param {Object} query - Query parameters
-   * @returns {Promise<number>} - Number of deleted documents
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.returnDocuments=false] - Resolve to the deleted documents
+   *   rather than their number
+   * @returns {Promise<number|Array<Object>>} - Number of deleted documents
    */
-  async deleteFrom(collection, query) {
+  async deleteFrom(collection, query, options = {}) {
     this._ensureConnected();
+    validateQuery(query);
     
     try {
       // Normalize collection name
@@ -397,65 +615,639 @@ class JSONAdapter {
       
       // Check if collection exists
       if (!this.data.collections[normalizedName]) {
-        return 0;
+        return writeResult([], options);
       }
       
       // Find documents to delete
-      const docs = await this.find(collection, query);
+      const docs = this._findDocuments(normalizedName, query);
       if (docs.length === 0) {
-        return 0;
+        return writeResult([], options);
       }
       
-      // Get IDs of documents to delete
-      const idsToDelete = docs.map(doc => doc.id || doc._id);
-      const originalLength = this.data.collections[normalizedName].length;
+      const removed = this._removeDocuments(normalizedName, docs);
       
-      // Filter out documents with matching IDs
-      this.data.collections[normalizedName] = this.data.collections[normalizedName].filter(
-        doc => !idsToDelete.includes(doc.id) && !idsToDelete.includes(doc._id)
-      );
+      if (removed.length > 0) {
+        await this._saveData('collections');
+      }
+      
+      return writeResult(removed.map(doc => clone(doc)), options);
+    } catch (error) {
+      return this._handleError(error, 'Error deleting documents in JSON storage', 0);
+    }
+  }
+
+  /**
+   * Deletes the first document matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object|null>} - The deleted document or null
+   */
+  async findOneAndDelete(collection, query) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
       
-      const deletedCount = originalLength - this.data.collections[normalizedName].length;
+      // Check if collection exists
+      if (!this.data.collections[normalizedName]) {
+        return null;
+      }
       
-      if (deletedCount > 0) {
-        await this._saveData();
+      const [doc] = this._findDocuments(normalizedName, query, 1);
+      if (!doc) {
+        return null;
       }
       
-      return deletedCount;
+      this._removeDocuments(normalizedName, [doc]);
+      await this._saveData('collections');
+      return doc;
     } catch (error) {
-      console.error('Error deleting documents in JSON storage:', error);
-      return 0;
+      return this._handleError(error, 'Error deleting document in JSON storage', null);
+    }
+  }
+
+  /**
+   * Creates a secondary index on a collection
+   * Only the definition is saved, in indexes.json; the index itself is kept
+   * in memory and rebuilt on connect.
+   * 
+   * @param {string} collection - The collection name
+   * @param {string|Array<string>} fields - Field or fields to index
+   * @param {Object} [options] - Index options
+   * @param {string} [options.name] - Custom index name
+   * @param {boolean} [options.unique=false] - Reject documents sharing a key
+   * @param {boolean} [options.sparse=false] - Skip documents missing the indexed fields
+   * @returns {Promise<string>} - The index name
+   * @throws {DuplicateKeyError} - If a unique index meets existing duplicates
+   */
+  async createIndex(collection, fields, options = {}) {
+    this._ensureConnected();
+    
+    const normalizedName = normalizeName(collection);
+    if (!this.data.collections[normalizedName]) {
+      this.data.collections[normalizedName] = new Map();
+      this.dirty.collections = true;
     }
+    if (!this.indexes.has(normalizedName)) {
+      this.indexes.set(normalizedName, new IndexManager(normalizedName));
+    }
+    
+    const name = this.indexes.get(normalizedName).create(fields, options, this.data.collections[normalizedName].values());
+    await this._saveData('indexes');
+    return name;
+  }
+
+  /**
+   * Drops a secondary index from a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {string} name - The index name
+   * @returns {Promise<boolean>} - True if the index existed
+   */
+  async dropIndex(collection, name) {
+    this._ensureConnected();
+    
+    const indexes = this.indexes.get(normalizeName(collection));
+    if (!indexes || !indexes.drop(name)) {
+      return false;
+    }
+    
+    await this._saveData('indexes');
+    return true;
   }
 
   /**
-   * Saves data to disk
+   * Lists the secondary indexes of a collection
    * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<Array>} - Index definitions
+   */
+  async listIndexes(collection) {
+    this._ensureConnected();
+    
+    const indexes = this.indexes.get(normalizeName(collection));
+    return indexes ? indexes.list() : [];
+  }
+
+  /**
+   * Commits a set of writes atomically
+   * The data after the writes is first recorded in a journal file. Once the
+   * journal is on disk the transaction is committed: if the process stops
+   * before both data files are saved, connect() restores from the journal.
+   * Transactions are saved immediately rather than after the write delay.
+   * 
+   * @param {Array<Object>} operations - { type: 'set', key, value }, { type: 'delete', key },
+   *   { type: 'put', collection, document } or { type: 'remove', collection, id }; each may
+   *   carry the `expected` document or value read, see checkExpected()
    * @returns {Promise<boolean>} - Success status
+   * @throws {TransactionConflictError} - If a document or key changed after the transaction read it
+   * @throws {DuplicateKeyError} - If a write violates a unique constraint; nothing has been written
+   * @throws {Error} - If the writes could not be committed; nothing has been written
+   */
+  async applyTransaction(operations) {
+    this._ensureConnected();
+    
+    if (operations.length === 0) {
+      return true;
+    }
+    
+    // Document changes per collection, and the indexes already updated for them
+    const changes = new Map();
+    const indexed = [];
+    
+    // Keep the previous state so a failed commit leaves memory untouched
+    const previous = {
+      kvStore: { ...this.data.kvStore },
+      collections: Object.fromEntries(
+        Object.entries(this.data.collections).map(([name, documents]) => [name, new Map(documents)])
+      )
+    };
+    
+    try {
+      for (const operation of operations) {
+        switch (operation.type) {
+          case 'set':
+            checkExpected(operation, this.data.kvStore[operation.key]);
+            this.data.kvStore[operation.key] = clone(operation.value);
+            break;
+          case 'delete':
+            checkExpected(operation, this.data.kvStore[operation.key]);
+            delete this.data.kvStore[operation.key];
+            break;
+          case 'put': {
+            const normalizedName = normalizeName(operation.collection);
+            const key = toKey(operation.document.id || operation.document._id);
+            if (!this.data.collections[normalizedName]) {
+              this.data.collections[normalizedName] = new Map();
+            }
+            const before = this.data.collections[normalizedName].get(key);
+            checkExpected(operation, before);
+            this._trackChange(changes, normalizedName, key, before, operation.document);
+            this.data.collections[normalizedName].delete(key);
+            this.data.collections[normalizedName].set(key, clone(operation.document));
+            break;
+          }
+          case 'remove': {
+            const normalizedName = normalizeName(operation.collection);
+            const documents = this.data.collections[normalizedName];
+            const before = documents && documents.get(toKey(operation.id));
+            checkExpected(operation, before);
+            if (documents) {
+              this._trackChange(changes, normalizedName, toKey(operation.id), before, null);
+              documents.delete(toKey(operation.id));
+            }
+            break;
+          }
+          default:
+            throw new Error(`Invalid transaction operation: ${operation.type}`);
+        }
+      }
+      
+      // Check unique constraints for every collection before committing
+      for (const [normalizedName, documents] of changes) {
+        const indexes = this.indexes.get(normalizedName);
+        if (!indexes || indexes.size === 0) continue;
+        
+        const removed = [];
+        const added = [];
+        for (const { before, after } of documents.values()) {
+          if (before) removed.push(before);
+          if (after) added.push(after);
+        }
+        indexes.apply(removed, added);
+        indexed.push({ indexes, removed, added });
+      }
+      
+      // Writing the journal is the commit point
+      atomicWriteFileSync(this.journalFile, JSON.stringify({
+        kvStore: this.data.kvStore,
+        collections: this._serializeCollections()
+      }));
+      this.journalPending = true;
+    } catch (error) {
+      indexed.forEach(({ indexes, removed, added }) => indexes.apply(added, removed));
+      this.data = previous;
+      throw error;
+    }
+    
+    // If saving fails the journal stays until a later save succeeds, and a
+    // connect() before then completes the commit
+    this.dirty.kvStore = true;
+    this.dirty.collections = true;
+    await this.flush();
+    
+    return true;
+  }
+
+  /**
+   * Finds the documents matching a query
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} query - Query parameters
+   * @param {number} [limit=Infinity] - Stop after this many matches
+   * @returns {Array<Object>} - Matching documents
+   * @private
+   */
+  _findDocuments(normalizedName, query, limit = Infinity) {
+    const documents = this.data.collections[normalizedName];
+    const results = [];
+    
+    if (limit <= 0) {
+      return results;
+    }
+    
+    // If query contains ID, look up just that document
+    const id = this._queryId(query);
+    if (id !== undefined) {
+      const doc = documents.get(String(id));
+      if (doc && matches(doc, query)) {
+        results.push(doc);
+      }
+      this.scanStats.record(normalizedName, doc ? 1 : 0, results.length);
+      return results;
+    }
+    
+    let scanned = 0;
+    for (const doc of this._candidateDocuments(normalizedName, query)) {
+      scanned++;
+      
+      // If no query or document matches query, add to results
+      if (!query || Object.keys(query).length === 0 || matches(doc, query)) {
+        results.push(doc);
+        
+        if (results.length >= limit) {
+          break;
+        }
+      }
+    }
+    
+    this.scanStats.record(normalizedName, scanned, results.length);
+    return results;
+  }
+
+  /**
+   * Adds a new document, assigning its ID and timestamps
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} document - The document to insert
+   * @param {Object} options - Insert options
+   * @returns {Object} - The stored document
+   * @throws {DuplicateKeyError} - If the ID exists and overwrite is disabled
+   * @private
+   */
+  _insertDocument(normalizedName, document, options) {
+    // Generate ID if not provided
+    const docWithId = clone(document);
+    if (!docWithId.id && !docWithId._id) {
+      docWithId.id = generateId();
+    }
+    
+    // Use provided ID or generated ID
+    const id = docWithId.id || docWithId._id;
+    const key = toKey(id);
+    
+    // Add timestamps
+    const now = Date.now();
+    docWithId.created_at = now;
+    docWithId.updated_at = now;
+    
+    const documents = this.data.collections[normalizedName];
+    const existing = documents.get(key);
+    
+    if (existing && options.overwrite === false) {
+      throw new DuplicateKeyError({
+        collection: normalizedName,
+        fields: [docWithId.id !== undefined ? 'id' : '_id'],
+        value: id,
+        conflictingId: id
+      });
+    }
+    
+    // Check unique constraints before changing anything
+    const indexes = this.indexes.get(normalizedName);
+    if (indexes) {
+      indexes.apply(existing ? [existing] : [], [docWithId]);
+    }
+    
+    // Replaces an existing document in place, or adds a new one at the end
+    documents.set(key, docWithId);
+    
+    return docWithId;
+  }
+
+  /**
+   * Applies an update to documents in memory
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} docs - Current documents
+   * @param {Object} update - Plain fields or update operators
+   * @returns {Array<Object>} - The updated documents
+   * @private
+   */
+  _updateDocuments(normalizedName, docs, update) {
+    // Current timestamp
+    const now = Date.now();
+    
+    // Apply updates to every document before changing any of them
+    const updatedDocs = docs.map(doc => ({ ...applyUpdate(doc, update), updated_at: now }));
+    const documents = this.data.collections[normalizedName];
+    const results = [];
+    
+    // Check unique constraints before changing anything
+    const indexes = this.indexes.get(normalizedName);
+    if (indexes) {
+      indexes.apply(docs, updatedDocs);
+    }
+    
+    // Update matching documents
+    for (const updatedDoc of updatedDocs) {
+      const key = toKey(updatedDoc.id || updatedDoc._id);
+      
+      if (documents.has(key)) {
+        documents.set(key, updatedDoc);
+        results.push(updatedDoc);
+      }
+    }
+    
+    return results;
+  }
+
+  /**
+   * Removes documents from memory
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} docs - Documents to delete
+   * @returns {Array<Object>} - The documents that were deleted
+   * @private
+   */
+  _removeDocuments(normalizedName, docs) {
+    const documents = this.data.collections[normalizedName];
+    const indexes = this.indexes.get(normalizedName);
+    const removed = [];
+    
+    for (const doc of docs) {
+      if (documents.delete(toKey(doc.id || doc._id))) {
+        if (indexes) {
+          indexes.remove(doc);
+        }
+        removed.push(doc);
+      }
+    }
+    
+    return removed;
+  }
+
+  /**
+   * Marks data as changed and schedules saving it
+   * Saving waits writeDelay ms for further writes, but never postpones a
+   * write by more than maxWriteDelay ms, which bounds what a crash can lose.
+   * 
+   * @param {string} part - 'kvStore', 'collections' or 'indexes'
+   * @returns {Promise<boolean>} - Success status; for delayed saves, whether the save was scheduled
+   * @private
+   */
+  async _saveData(part) {
+    this.dirty[part] = true;
+    
+    if (this.options.writeDelay <= 0) {
+      return this._writeFiles();
+    }
+    
+    const now = Date.now();
+    if (this.firstUnsavedAt === null) {
+      this.firstUnsavedAt = now;
+      pendingAdapters.add(this);
+      registerExitHandler();
+    }
+    
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+    }
+    
+    const delay = Math.min(this.options.writeDelay, this.firstUnsavedAt + this.options.maxWriteDelay - now);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this._writeFiles();
+    }, Math.max(delay, 0));
+    this.saveTimer.unref();
+    
+    return true;
+  }
+
+  /**
+   * Writes the changed data files to disk
+   * A file that fails to save stays marked as changed and is retried by the
+   * next save. Once every file is saved, the data files hold everything a
+   * pending transaction journal does, so the journal is deleted; replaying it
+   * later would undo the writes made after it.
+   * 
+   * @returns {boolean} - Success status
    * @private
    */
-  async _saveData() {
+  _writeFiles() {
     try {
       // Save key-value store
-      fs.writeFileSync(this.kvFile, JSON.stringify(this.data.kvStore, null, 2), 'utf8');
+      if (this.dirty.kvStore) {
+        atomicWriteFileSync(this.kvFile, JSON.stringify(this.data.kvStore, null, 2));
+        this.dirty.kvStore = false;
+      }
       
       // Save collections
-      fs.writeFileSync(this.collectionsFile, JSON.stringify(this.data.collections, null, 2), 'utf8');
+      if (this.dirty.collections) {
+        atomicWriteFileSync(this.collectionsFile, JSON.stringify(this._serializeCollections(), null, 2));
+        this.dirty.collections = false;
+      }
+      
+      // Save index definitions
+      if (this.dirty.indexes) {
+        atomicWriteFileSync(this.indexesFile, JSON.stringify(this._serializeIndexes(), null, 2));
+        this.dirty.indexes = false;
+      }
+      
+      if (this.journalPending) {
+        fs.rmSync(this.journalFile, { force: true });
+        this.journalPending = false;
+      }
       
+      this.firstUnsavedAt = null;
+      pendingAdapters.delete(this);
       return true;
     } catch (error) {
-      console.error('Error saving data to disk:', error);
+      this.logger.error('Error saving data to disk', { err: error });
       return false;
     }
   }
 
+  /**
+   * Converts the collections to their file format, an array of documents per collection
+   * 
+   * @returns {Object} - Collection name -> documents
+   * @private
+   */
+  _serializeCollections() {
+    return Object.fromEntries(
+      Object.entries(this.data.collections).map(([name, documents]) => [name, Array.from(documents.values())])
+    );
+  }
+
+  /**
+   * Builds the in-memory collections from their file format
+   * 
+   * @param {Object} collections - Collection name -> documents
+   * @returns {Object} - Collection name -> Map of document ID -> document
+   * @private
+   */
+  _parseCollections(collections) {
+    return Object.fromEntries(
+      Object.entries(collections).map(([name, documents]) => [
+        name,
+        new Map(documents.map(doc => [toKey(doc.id || doc._id), doc]))
+      ])
+    );
+  }
+
+  /**
+   * Converts the index definitions to their file format
+   * 
+   * @returns {Object} - Collection name -> index definitions
+   * @private
+   */
+  _serializeIndexes() {
+    return Object.fromEntries(
+      Array.from(this.indexes, ([name, indexes]) => [name, indexes.list()]).filter(([, list]) => list.length > 0)
+    );
+  }
+
+  /**
+   * Rebuilds the secondary indexes from their definitions
+   * 
+   * @param {Object} definitions - Collection name -> index definitions
+   * @private
+   */
+  _loadIndexes(definitions) {
+    for (const [collection, list] of Object.entries(definitions)) {
+      const documents = this.data.collections[collection] || new Map();
+      const indexes = new IndexManager(collection);
+      for (const { name, fields, unique, sparse } of list) {
+        indexes.create(fields, { name, unique, sparse }, documents.values());
+      }
+      this.indexes.set(collection, indexes);
+    }
+  }
+
+  /**
+   * Lists the documents that may match a query
+   * Uses the ID or a secondary index when the query allows, otherwise
+   * returns every document of the collection.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} query - Query parameters
+   * @returns {Array<Object>} - Candidate documents
+   * @private
+   */
+  _candidateDocuments(normalizedName, query) {
+    const documents = this.data.collections[normalizedName];
+    const indexes = this.indexes.get(normalizedName);
+    const ids = indexes ? indexes.candidates(query) : null;
+    
+    if (!ids) {
+      return Array.from(documents.values());
+    }
+    return Array.from(ids, id => documents.get(toKey(id))).filter(Boolean);
+  }
+
+  /**
+   * Records a document change of a transaction
+   * Only the first previous version and the last new version of each document
+   * are kept, so index checks see the net change.
+   * 
+   * @param {Map} changes - Collection name -> Map of document ID -> { before, after }
+   * @param {string} normalizedName - Normalized collection name
+   * @param {string} key - Document key
+   * @param {Object|undefined} before - The document before this operation
+   * @param {Object|null} after - The document after this operation, or null if removed
+   * @private
+   */
+  _trackChange(changes, normalizedName, key, before, after) {
+    if (!changes.has(normalizedName)) {
+      changes.set(normalizedName, new Map());
+    }
+    
+    const documents = changes.get(normalizedName);
+    if (documents.has(key)) {
+      documents.get(key).after = after;
+    } else {
+      documents.set(key, { before, after });
+    }
+  }
+
+  /**
+   * Extracts a literal document ID from a query, if it has one
+   * 
+   * @param {Object} query - Query parameters
+   * @returns {string|number|undefined} - The ID or undefined if the query has no literal ID
+   * @private
+   */
+  _queryId(query) {
+    if (!query) return undefined;
+    
+    const id = query.id !== undefined ? query.id : query._id;
+    return typeof id === 'string' || typeof id === 'number' ? id : undefined;
+  }
+
+  /**
+   * Restores the data of a transaction interrupted after it committed
+   * 
+   * @private
+   */
+  _recoverTransaction() {
+    if (!fs.existsSync(this.journalFile)) {
+      return;
+    }
+    
+    const journal = JSON.parse(fs.readFileSync(this.journalFile, 'utf8'));
+    this.data = {
+      kvStore: journal.kvStore,
+      collections: this._parseCollections(journal.collections)
+    };
+    atomicWriteFileSync(this.kvFile, JSON.stringify(this.data.kvStore, null, 2));
+    atomicWriteFileSync(this.collectionsFile, JSON.stringify(journal.collections, null, 2));
+    fs.unlinkSync(this.journalFile);
+    
+    this.logger.warn('Recovered an interrupted transaction in JSON storage');
+  }
+
+  /**
+   * Reports an error caught by an operation
+   * In strict mode it is thrown as a HyperDB error; otherwise it is logged and
+   * the operation returns its fallback value.
+   * 
+   * @param {Error} error - The caught error
+   * @param {string} message - What failed
+   * @param {any} fallback - Value to return outside strict mode
+   * @returns {any} - The fallback value
+   * @throws {HyperDBError} - In strict mode
+   * @private
+   */
+  _handleError(error, message, fallback) {
+    if (this.strict) {
+      throw toStorageError(error, message);
+    }
+    
+    this.logger.error(message, { err: error });
+    return fallback;
+  }
+
   /**
    * Ensures a connection exists
    * @private
    */
   _ensureConnected() {
     if (!this.connected) {
-      throw new Error('Not connected to JSON storage');
+      throw new ConnectionError('Not connected to JSON storage');
     }
   }
 }
@@ -0,0 +1,1611 @@
+/**
+ * LogStore Adapter - Provides append-only, log-structured storage backend
+ * 
+ * Every write appends a record to the active segment file. An in-memory key
+ * directory maps each key and document to the position of its latest record,
+ * and is rebuilt from the segments on connect. Segments that mostly hold
+ * overwritten or deleted records are compacted in the background.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  generateId,
+  matches,
+  validateQuery,
+  validateUpdate,
+  applyUpdate,
+  buildUpsertDocument,
+  writeResult,
+  validateFindOptions,
+  applyFindOptions,
+  scanLimit,
+  normalizeName,
+  toKey,
+  checkExpected
+} = require('../utils');
+const IndexManager = require('../index-manager');
+const { DuplicateKeyError, ValidationError, LockTimeoutError, ConnectionError, ReadOnlyError, toStorageError } = require('../errors');
+const { loggerFor } = require('../logger');
+const { ScanStats } = require('../metrics');
+const { atomicWriteFileSync, fsyncDirSync, removeTempFiles, TEMP_SUFFIX } = require('../file-utils');
+const { LockManager } = require('../file-lock');
+
+/**
+ * Extension of segment files
+ */
+const SEGMENT_EXTENSION = '.log';
+
+/**
+ * Default LogStore options
+ */
+const DEFAULT_OPTIONS = {
+  segmentSize: 16 * 1024 * 1024, // 16 MB
+  compactionInterval: 60000, // 1 minute
+  compactionThreshold: 0.5,
+  fsync: true
+};
+
+/**
+ * Builds the file name of a segment
+ * @private
+ */
+function segmentName(id) {
+  return `${String(id).padStart(8, '0')}${SEGMENT_EXTENSION}`;
+}
+
+class LogStoreAdapter {
+  /**
+   * Creates a new LogStore adapter
+   * 
+   * @param {Object} config - Configuration options
+   * @param {string} [config.path='./hyperdb-data'] - Data directory path
+   * @param {Object} [config.logstore] - Log options
+   * @param {number} [config.logstore.segmentSize=16777216] - Size in bytes at which the active
+   *   segment is closed and a new one started
+   * @param {number} [config.logstore.compactionInterval=60000] - How often to check for
+   *   segments worth compacting, in ms; 0 disables background compaction
+   * @param {number} [config.logstore.compactionThreshold=0.5] - Fraction of dead records in
+   *   closed segments that triggers compaction
+   * @param {boolean} [config.logstore.fsync=true] - Flush every append to disk
+   * @param {Object} [config.locking] - Locking options; only one process may open the log
+   * @param {boolean} [config.readOnly=false] - Refuse writes
+   */
+  constructor(config) {
+    this.config = config;
+    this.dataDir = path.resolve(config.path || './hyperdb-data');
+    this.manifestFile = path.join(this.dataDir, 'compaction.json');
+    this.options = { ...DEFAULT_OPTIONS, ...config.logstore };
+    this.readOnly = Boolean(config.readOnly);
+    this.strict = Boolean(config.strict);
+    this.logger = loggerFor(config, 'LogStore');
+    this.scanStats = new ScanStats();
+    this.locking = { enabled: true, timeout: 10000, staleTimeout: 30000, ...config.locking };
+    this.locks = new LockManager(path.join(this.dataDir, 'locks'), {
+      timeout: this.locking.timeout,
+      staleTimeout: this.locking.staleTimeout
+    });
+    this.writerLock = null;
+    this.connected = false;
+    this.segments = new Map();
+    this.active = null;
+    this.seq = 0;
+    this.keys = new Map();
+    this.collections = new Map();
+    this.tombstones = null;
+    this.compactionTimer = null;
+  }
+
+  /**
+   * Connects to the LogStore database, rebuilding the key directory from the segments
+   * 
+   * @returns {Promise<boolean>} - Success status
+   * @throws {LockTimeoutError} - If another process has the log open
+   */
+  async connect() {
+    try {
+      // Create directories if they don't exist
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      
+      // Appending from two processes would interleave records, so only one may write
+      if (this.locking.enabled && !this.readOnly) {
+        fs.mkdirSync(this.locks.dir, { recursive: true });
+        this.writerLock = this.locks.lock('writer');
+        await this.writerLock.acquire({ keepAlive: true });
+      }
+      
+      if (!this.readOnly) {
+        // Complete a compaction interrupted after its output was written
+        this._finishCompaction();
+        
+        // Discard compaction output and other writes interrupted by a crash
+        const removed = removeTempFiles([this.dataDir]);
+        if (removed.length > 0) {
+          this.logger.warn(`LogStore removed ${removed.length} incomplete write(s) left by an interrupted process`, {
+            files: removed.length
+          });
+        }
+      }
+      
+      // Replay every segment; sequence numbers decide which record is the latest
+      this.tombstones = new Map();
+      const names = fs.readdirSync(this.dataDir)
+        .filter(name => /^\d+\.log$/.test(name))
+        .sort();
+      for (const name of names) {
+        this._loadSegment(parseInt(name, 10));
+      }
+      this.tombstones = null;
+      
+      // Rebuild secondary indexes from their definitions
+      for (const name of this.collections.keys()) {
+        this._loadIndexes(name);
+      }
+      
+      if (!this.readOnly) {
+        // Always append to a new segment: the newest existing one may be compaction
+        // output, whose old records must not outlive deletions in other segments
+        this.active = this._createSegment();
+        
+        if (this.options.compactionInterval > 0) {
+          this.compactionTimer = setInterval(() => this._maybeCompact(), this.options.compactionInterval);
+          this.compactionTimer.unref();
+        }
+      }
+      
+      this.connected = true;
+      return true;
+    } catch (error) {
+      this._closeFiles();
+      if (error instanceof LockTimeoutError) {
+        throw error;
+      }
+      if (this.strict) {
+        throw new ConnectionError(`Error connecting to LogStore database: ${error.message}`, { cause: error });
+      }
+      this.logger.error('Error connecting to LogStore database', { err: error });
+      return false;
+    }
+  }
+
+  /**
+   * Closes the database connection
+   * 
+   * @returns {Promise<boolean>} - Success status
+   */
+  async close() {
+    this._closeFiles();
+    this.connected = false;
+    this.keys.clear();
+    this.collections.clear();
+    return true;
+  }
+
+  /**
+   * Returns how many documents queries have read and matched, per collection
+   * 
+   * @returns {Object} - { [collection]: { queries, scanned, returned } }
+   */
+  getScanStats() {
+    return this.scanStats.toJSON();
+  }
+
+  /**
+   * Stores a value with the specified key
+   * 
+   * @param {string} key - The key to store data under
+   * @param {any} value - The data to store
+   * @returns {Promise<boolean>} - Success status
+   * @throws {ValidationError} - If the key is empty or not a string or number
+   */
+  async set(key, value) {
+    this._ensureConnected();
+    this._ensureWritable();
+    toKey(key);
+    
+    try {
+      this._write({ t: 'set', k: key, v: value });
+      return true;
+    } catch (error) {
+      return this._handleError(error, 'Error setting value in LogStore', false);
+    }
+  }
+
+  /**
+   * Retrieves a value by key
+   * 
+   * @param {string} key - The key to retrieve
+   * @returns {Promise<any>} - The stored value or null if not found
+   */
+  async get(key) {
+    this._ensureConnected();
+    const location = this.keys.get(toKey(key));
+    
+    try {
+      return location ? this._readRecord(location).v : null;
+    } catch (error) {
+      return this._handleError(error, 'Error getting value from LogStore', null);
+    }
+  }
+
+  /**
+   * Checks if a key exists
+   * 
+   * @param {string} key - The key to check
+   * @returns {Promise<boolean>} - True if the key exists
+   */
+  async has(key) {
+    this._ensureConnected();
+    
+    return this.keys.has(toKey(key));
+  }
+
+  /**
+   * Deletes a value by key
+   * 
+   * @param {string} key - The key to delete
+   * @returns {Promise<boolean>} - Success status
+   */
+  async delete(key) {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    if (!this.keys.has(toKey(key))) {
+      return false;
+    }
+    
+    try {
+      this._write({ t: 'del', k: key });
+      return true;
+    } catch (error) {
+      return this._handleError(error, 'Error deleting key from LogStore', false);
+    }
+  }
+
+  /**
+   * Gets all collections
+   * 
+   * @returns {Promise<Array>} - List of collections
+   */
+  async getCollections() {
+    this._ensureConnected();
+    
+    return Array.from(this.collections.keys()).map(name => ({ name }));
+  }
+
+  /**
+   * Checks if a collection exists
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<boolean>} - True if the collection exists
+   */
+  async hasCollection(collection) {
+    this._ensureConnected();
+    
+    return this.collections.has(normalizeName(collection));
+  }
+
+  /**
+   * Creates a new collection
+   * 
+   * @param {string} name - The name of the collection
+   * @returns {Promise<boolean>} - Success status
+   */
+  async createCollection(name) {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(name);
+      
+      if (!this.collections.has(normalizedName)) {
+        this._write({ t: 'coll', c: normalizedName });
+      }
+      
+      return true;
+    } catch (error) {
+      return this._handleError(error, 'Error creating collection in LogStore', false);
+    }
+  }
+
+  /**
+   * Inserts a document into a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} document - The document to insert
+   * @param {Object} [options] - Insert options
+   * @param {boolean} [options.overwrite=true] - Replace an existing document with the same ID
+   * @returns {Promise<boolean>} - Success status
+   * @throws {DuplicateKeyError} - If the insert violates a unique constraint, or the ID
+   *   exists and overwrite is disabled
+   * @throws {ValidationError} - If the document ID is not a string or number
+   */
+  async insert(collection, document, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Ensure collection exists
+      await this.createCollection(normalizedName);
+      
+      this._insertDocument(normalizedName, document, options);
+      return true;
+    } catch (error) {
+      if (error instanceof DuplicateKeyError || error instanceof ValidationError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error inserting document in LogStore', false);
+    }
+  }
+
+  /**
+   * Finds one document in a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object|null>} - The found document or null
+   */
+  async findOne(collection, query) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Check if collection exists
+      if (!this.collections.has(normalizedName)) {
+        return null;
+      }
+      
+      const [doc] = this._findDocuments(normalizedName, query, 1);
+      return doc || null;
+    } catch (error) {
+      return this._handleError(error, 'Error finding document in LogStore', null);
+    }
+  }
+
+  /**
+   * Finds documents in a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} [options] - Find options
+   * @param {Object} [options.sort] - Field: direction pairs, 1 ascending and -1 descending
+   * @param {number} [options.skip] - Number of documents to skip
+   * @param {number} [options.limit] - Maximum number of documents to return
+   * @param {Object} [options.projection] - Fields to include (1) or exclude (0)
+   * @returns {Promise<Array>} - Array of matching documents
+   * @throws {ValidationError} - If the options are malformed
+   */
+  async find(collection, query, options = {}) {
+    this._ensureConnected();
+    validateQuery(query);
+    validateFindOptions(options);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Check if collection exists
+      if (!this.collections.has(normalizedName)) {
+        return [];
+      }
+      
+      // Without a sort, stop reading once enough documents have matched
+      const docs = this._findDocuments(normalizedName, query, scanLimit(options));
+      return applyFindOptions(docs, options);
+    } catch (error) {
+      return this._handleError(error, 'Error finding documents in LogStore', []);
+    }
+  }
+
+  /**
+   * Counts the documents in a collection matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<number>} - Number of matching documents
+   */
+  async count(collection, query) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Check if collection exists
+      if (!this.collections.has(normalizedName)) {
+        return 0;
+      }
+      
+      // The key directory knows the size of the collection without reading it
+      if (!query || Object.keys(query).length === 0) {
+        return this.collections.get(normalizedName).documents.size;
+      }
+      
+      return this._findDocuments(normalizedName, query).length;
+    } catch (error) {
+      return this._handleError(error, 'Error counting documents in LogStore', 0);
+    }
+  }
+
+  /**
+   * Iterates over the documents matching a query
+   * Documents are read one at a time, so memory use stays bounded however
+   * large the collection is. Documents deleted while the iteration runs are
+   * skipped.
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} [query={}] - Query parameters
+   * @returns {AsyncGenerator<Object>} - Matching documents
+   */
+  async *iterate(collection, query = {}) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    // Normalize collection name
+    const normalizedName = normalizeName(collection);
+    
+    // Check if collection exists
+    if (!this.collections.has(normalizedName)) {
+      return;
+    }
+    
+    const matchAll = !query || Object.keys(query).length === 0;
+    let scanned = 0;
+    let returned = 0;
+    
+    // Record the scan even if the caller stops iterating early
+    try {
+      for (const doc of this._candidateDocuments(normalizedName, query)) {
+        scanned++;
+        if (matchAll || matches(doc, query)) {
+          returned++;
+          yield doc;
+        }
+      }
+    } finally {
+      this.scanStats.record(normalizedName, scanned, returned);
+    }
+  }
+
+  /**
+   * Updates documents in a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators ($set, $inc, $push, ...)
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.multi=true] - Update every matching document rather than the first
+   * @param {boolean} [options.upsert=false] - Insert a document built from the query and
+   *   update when nothing matches
+   * @param {boolean} [options.returnDocuments=false] - Resolve to the { before, after }
+   *   documents rather than their number; before is null for an upserted document
+   * @returns {Promise<number|Array<Object>>} - Number of updated (or upserted) documents
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @throws {ValidationError} - If the update is malformed or does not apply to a document
+   */
+  async update(collection, query, update, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    validateQuery(query);
+    validateUpdate(update);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Check if collection exists, creating it for an upsert
+      if (!this.collections.has(normalizedName)) {
+        if (!options.upsert) {
+          return writeResult([], options);
+        }
+        await this.createCollection(normalizedName);
+      }
+      
+      // Find documents to update
+      const docs = this._findDocuments(normalizedName, query, options.multi === false ? 1 : Infinity);
+      
+      if (docs.length === 0) {
+        if (!options.upsert) {
+          return writeResult([], options);
+        }
+        
+        const inserted = this._insertDocument(normalizedName, buildUpsertDocument(query, update), { overwrite: false });
+        return writeResult([{ before: null, after: inserted }], options);
+      }
+      
+      const updated = this._updateDocuments(normalizedName, docs, update);
+      return writeResult(updated.map((after, i) => ({ before: docs[i], after })), options);
+    } catch (error) {
+      if (error instanceof DuplicateKeyError || error instanceof ValidationError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error updating documents in LogStore', 0);
+    }
+  }
+
+  /**
+   * Updates the first document matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.upsert=false] - Insert a document when nothing matches
+   * @returns {Promise<Object|null>} - { before, after } documents (before is null for an
+   *   upsert), or null if nothing matched
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @throws {ValidationError} - If the update is malformed or does not apply to the document
+   */
+  async findOneAndUpdate(collection, query, update, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    validateQuery(query);
+    validateUpdate(update);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Check if collection exists, creating it for an upsert
+      if (!this.collections.has(normalizedName)) {
+        if (!options.upsert) {
+          return null;
+        }
+        await this.createCollection(normalizedName);
+      }
+      
+      const [doc] = this._findDocuments(normalizedName, query, 1);
+      
+      if (!doc) {
+        if (!options.upsert) {
+          return null;
+        }
+        
+        const inserted = this._insertDocument(normalizedName, buildUpsertDocument(query, update), { overwrite: false });
+        return { before: null, after: inserted };
+      }
+      
+      const [updated] = this._updateDocuments(normalizedName, [doc], update);
+      return { before: doc, after: updated };
+    } catch (error) {
+      if (error instanceof DuplicateKeyError || error instanceof ValidationError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error updating document in LogStore', null);
+    }
+  }
+
+  /**
+   * Deletes documents from a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.returnDocuments=false] - Resolve to the deleted documents
+   *   rather than their number
+   * @returns {Promise<number|Array<Object>>} - Number of deleted documents
+   */
+  async deleteFrom(collection, query, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    validateQuery(query);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Check if collection exists
+      if (!this.collections.has(normalizedName)) {
+        return writeResult([], options);
+      }
+      
+      // Find documents to delete
+      const docs = this._findDocuments(normalizedName, query);
+      if (docs.length === 0) {
+        return writeResult([], options);
+      }
+      
+      return writeResult(this._removeDocuments(normalizedName, docs), options);
+    } catch (error) {
+      return this._handleError(error, 'Error deleting documents in LogStore', 0);
+    }
+  }
+
+  /**
+   * Deletes the first document matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object|null>} - The deleted document or null
+   */
+  async findOneAndDelete(collection, query) {
+    this._ensureConnected();
+    this._ensureWritable();
+    validateQuery(query);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Check if collection exists
+      if (!this.collections.has(normalizedName)) {
+        return null;
+      }
+      
+      const [doc] = this._findDocuments(normalizedName, query, 1);
+      if (!doc) {
+        return null;
+      }
+      
+      const [removed] = this._removeDocuments(normalizedName, [doc]);
+      return removed || null;
+    } catch (error) {
+      return this._handleError(error, 'Error deleting document in LogStore', null);
+    }
+  }
+
+  /**
+   * Commits a set of writes atomically
+   * All writes go into a single batch record, so after a crash either the
+   * whole batch is in the log or none of it is.
+   * 
+   * @param {Array<Object>} operations - { type: 'set', key, value }, { type: 'delete', key },
+   *   { type: 'put', collection, document } or { type: 'remove', collection, id }; each may
+   *   carry the `expected` document or value read, see checkExpected()
+   * @returns {Promise<boolean>} - Success status
+   * @throws {DuplicateKeyError} - If the writes violate a unique constraint
+   * @throws {TransactionConflictError} - If a document or key changed after the transaction read it
+   * @throws {Error} - If the writes could not be committed; nothing has been written
+   */
+  async applyTransaction(operations) {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    if (operations.length === 0) {
+      return true;
+    }
+    
+    const records = [];
+    const changes = new Map();
+    const created = new Set();
+    
+    for (const operation of operations) {
+      switch (operation.type) {
+        case 'set':
+          toKey(operation.key);
+          if (operation.expected !== undefined) {
+            checkExpected(operation, this._readValue(operation.key));
+          }
+          records.push({ t: 'set', k: operation.key, v: operation.value });
+          break;
+        
+        case 'delete':
+          toKey(operation.key);
+          if (operation.expected !== undefined) {
+            checkExpected(operation, this._readValue(operation.key));
+          }
+          records.push({ t: 'del', k: operation.key });
+          break;
+        
+        case 'put':
+        case 'remove': {
+          const collection = normalizeName(operation.collection);
+          
+          // Create collections the transaction writes to as part of the batch
+          if (!this.collections.has(collection) && !created.has(collection)) {
+            created.add(collection);
+            records.push({ t: 'coll', c: collection });
+          }
+          
+          const id = operation.type === 'put' ?
+            operation.document.id || operation.document._id :
+            operation.id;
+          const before = this._readDocument(collection, id);
+          checkExpected(operation, before);
+          
+          if (!changes.has(collection)) {
+            changes.set(collection, { removed: [], added: [] });
+          }
+          if (before) {
+            changes.get(collection).removed.push(before);
+          }
+          
+          if (operation.type === 'put') {
+            changes.get(collection).added.push(operation.document);
+            records.push({ t: 'put', c: collection, v: operation.document });
+          } else {
+            records.push({ t: 'rm', c: collection, id: operation.id });
+          }
+          break;
+        }
+        
+        default:
+          throw new Error(`Invalid transaction operation: ${operation.type}`);
+      }
+    }
+    
+    // Check unique constraints for every collection before writing anything
+    const indexed = [];
+    const rollback = () => indexed.forEach(({ indexes, removed, added }) => indexes.apply(added, removed));
+    try {
+      for (const [collection, { removed, added }] of changes) {
+        const indexes = this.collections.has(collection) && this.collections.get(collection).indexes;
+        if (!indexes || indexes.size === 0) continue;
+        
+        indexes.apply(removed, added);
+        indexed.push({ indexes, removed, added });
+      }
+      
+      // Appending the batch is the commit point
+      this._write({ t: 'batch', ops: records });
+    } catch (error) {
+      rollback();
+      throw error;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Creates a secondary index on a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {string|Array<string>} fields - Field or fields to index
+   * @param {Object} [options] - Index options
+   * @param {string} [options.name] - Custom index name
+   * @param {boolean} [options.unique=false] - Reject documents sharing a key
+   * @param {boolean} [options.sparse=false] - Skip documents missing the indexed fields
+   * @returns {Promise<string|null>} - The index name or null on failure
+   * @throws {DuplicateKeyError} - If a unique index meets existing duplicates
+   */
+  async createIndex(collection, fields, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    IndexManager.normalizeFields(fields);
+    
+    try {
+      // Normalize collection name
+      const normalizedName = normalizeName(collection);
+      
+      // Ensure collection exists
+      await this.createCollection(normalizedName);
+      
+      const entry = this.collections.get(normalizedName);
+      if (!entry.indexes) {
+        entry.indexes = new IndexManager(normalizedName);
+      }
+      
+      // Build the index from the documents already stored
+      const name = entry.indexes.create(fields, options, this._candidateDocuments(normalizedName, {}));
+      
+      this._saveIndexes(normalizedName);
+      return name;
+    } catch (error) {
+      if (error instanceof DuplicateKeyError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error creating index in LogStore', null);
+    }
+  }
+
+  /**
+   * Drops a secondary index from a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {string} name - The index name
+   * @returns {Promise<boolean>} - True if the index existed
+   */
+  async dropIndex(collection, name) {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    try {
+      const entry = this.collections.get(normalizeName(collection));
+      
+      if (!entry || !entry.indexes || !entry.indexes.drop(name)) {
+        return false;
+      }
+      
+      this._saveIndexes(normalizeName(collection));
+      return true;
+    } catch (error) {
+      return this._handleError(error, 'Error dropping index in LogStore', false);
+    }
+  }
+
+  /**
+   * Lists the secondary indexes of a collection
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<Array>} - Index definitions
+   */
+  async listIndexes(collection) {
+    this._ensureConnected();
+    
+    const entry = this.collections.get(normalizeName(collection));
+    return entry && entry.indexes ? entry.indexes.list() : [];
+  }
+
+  /**
+   * Compacts the closed segments now, rather than waiting for the background check
+   * 
+   * @returns {Promise<number>} - Bytes reclaimed
+   */
+  async compact() {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    return this._compact();
+  }
+
+  /**
+   * Finds the documents matching a query
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} query - Query parameters
+   * @param {number} [limit=Infinity] - Stop after this many matches
+   * @returns {Array<Object>} - Matching documents
+   * @private
+   */
+  _findDocuments(normalizedName, query, limit = Infinity) {
+    const documents = [];
+    
+    if (limit <= 0) {
+      return documents;
+    }
+    
+    let scanned = 0;
+    for (const doc of this._candidateDocuments(normalizedName, query)) {
+      scanned++;
+      
+      // If no query or document matches query, add to results
+      if (!query || Object.keys(query).length === 0 || matches(doc, query)) {
+        documents.push(doc);
+        
+        if (documents.length >= limit) {
+          break;
+        }
+      }
+    }
+    
+    this.scanStats.record(normalizedName, scanned, documents.length);
+    return documents;
+  }
+
+  /**
+   * Yields the documents that may match a query, reading a single record for
+   * ID lookups and only the indexed candidates when an index applies
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} query - Query parameters
+   * @returns {Generator<Object>} - Candidate documents
+   * @private
+   */
+  *_candidateDocuments(normalizedName, query) {
+    const { documents, indexes } = this.collections.get(normalizedName);
+    
+    // If query contains ID, read just that document
+    const id = this._queryId(query);
+    if (id !== undefined) {
+      const doc = this._readDocument(normalizedName, id);
+      if (doc) {
+        yield doc;
+      }
+      return;
+    }
+    
+    // Use an index to narrow the documents to read, otherwise read them all
+    const ids = indexes ? indexes.candidates(query) : null;
+    for (const candidateId of ids || Array.from(documents.keys())) {
+      const doc = this._readDocument(normalizedName, candidateId);
+      if (doc) {
+        yield doc;
+      }
+    }
+  }
+
+  /**
+   * Appends a new document, assigning its ID and timestamps
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} document - The document to insert
+   * @param {Object} options - Insert options
+   * @returns {Object} - The stored document
+   * @throws {DuplicateKeyError} - If the insert violates a unique constraint
+   * @private
+   */
+  _insertDocument(normalizedName, document, options) {
+    // Generate ID if not provided
+    const docWithId = { ...document };
+    if (!docWithId.id && !docWithId._id) {
+      docWithId.id = generateId();
+    }
+    
+    // Use provided ID or generated ID
+    const id = docWithId.id || docWithId._id;
+    toKey(id);
+    
+    // Add timestamps
+    const now = Date.now();
+    docWithId.created_at = now;
+    docWithId.updated_at = now;
+    
+    const existing = this._readDocument(normalizedName, id);
+    
+    // Refuse to replace an existing document in insert-only mode
+    if (existing && options.overwrite === false) {
+      throw new DuplicateKeyError({
+        collection: normalizedName,
+        fields: [docWithId.id !== undefined ? 'id' : '_id'],
+        value: id,
+        conflictingId: id
+      });
+    }
+    
+    this._writeDocuments(normalizedName, existing ? [existing] : [], [docWithId]);
+    return docWithId;
+  }
+
+  /**
+   * Applies an update to documents and appends them
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} docs - Current documents
+   * @param {Object} update - Plain fields or update operators
+   * @returns {Array<Object>} - The updated documents
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @private
+   */
+  _updateDocuments(normalizedName, docs, update) {
+    // Current timestamp
+    const now = Date.now();
+    
+    // Apply updates to every document before writing any of them
+    const updatedDocs = docs.map(doc => ({ ...applyUpdate(doc, update), updated_at: now }));
+    
+    this._writeDocuments(normalizedName, docs, updatedDocs);
+    return updatedDocs;
+  }
+
+  /**
+   * Appends deletion records for documents and drops them from the indexes
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} docs - Documents to delete
+   * @returns {Array<Object>} - The documents that were deleted
+   * @private
+   */
+  _removeDocuments(normalizedName, docs) {
+    const { documents } = this.collections.get(normalizedName);
+    const removed = docs.filter(doc => documents.has(String(doc.id || doc._id)));
+    
+    this._writeDocuments(normalizedName, removed, []);
+    return removed;
+  }
+
+  /**
+   * Replaces documents in a collection, keeping its indexes in sync
+   * Several documents are appended as one batch record, so either all of
+   * them are written or none.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} removed - Documents leaving the collection (or their old versions)
+   * @param {Array<Object>} added - Documents entering the collection (or their new versions)
+   * @throws {DuplicateKeyError} - If an added document violates a unique constraint
+   * @private
+   */
+  _writeDocuments(normalizedName, removed, added) {
+    const { indexes } = this.collections.get(normalizedName);
+    const hasIndexes = Boolean(indexes && indexes.size > 0);
+    
+    const addedIds = new Set(added.map(doc => String(doc.id || doc._id)));
+    const records = [
+      ...removed
+        .filter(doc => !addedIds.has(String(doc.id || doc._id)))
+        .map(doc => ({ t: 'rm', c: normalizedName, id: doc.id || doc._id })),
+      ...added.map(doc => ({ t: 'put', c: normalizedName, v: doc }))
+    ];
+    
+    if (records.length === 0) {
+      return;
+    }
+    
+    // Check unique constraints before writing
+    if (hasIndexes) {
+      indexes.apply(removed, added);
+    }
+    
+    try {
+      this._write(records.length === 1 ? records[0] : { t: 'batch', ops: records });
+    } catch (error) {
+      if (hasIndexes) {
+        indexes.apply(added, removed);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the value of a key
+   * 
+   * @param {string} key - The key
+   * @returns {any} - The value or null if the key does not exist
+   * @private
+   */
+  _readValue(key) {
+    const location = this.keys.get(toKey(key));
+    
+    return location ? this._readRecord(location).v : null;
+  }
+
+  /**
+   * Reads a single document by ID
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {string|number} id - Document ID
+   * @returns {Object|null} - The document or null if it does not exist
+   * @private
+   */
+  _readDocument(normalizedName, id) {
+    const key = toKey(id);
+    const entry = this.collections.get(normalizedName);
+    const location = entry && entry.documents.get(key);
+    
+    return location ? this._readRecord(location).v : null;
+  }
+
+  /**
+   * Appends a record to the active segment and applies it to the key directory
+   * 
+   * @param {Object} record - Record without its sequence number
+   * @private
+   */
+  _write(record) {
+    if (this.active.size >= this.options.segmentSize) {
+      this._rollSegment();
+    }
+    
+    const segment = this.active;
+    const stamped = { ...record, s: this.seq + 1 };
+    const line = Buffer.from(JSON.stringify(stamped) + '\n', 'utf8');
+    
+    try {
+      fs.writeSync(segment.fd, line, 0, line.length, segment.size);
+      if (this.options.fsync) {
+        fs.fsyncSync(segment.fd);
+      }
+    } catch (error) {
+      // Drop a partially written record so the next append starts cleanly
+      fs.ftruncateSync(segment.fd, segment.size);
+      throw error;
+    }
+    
+    const location = { segment: segment.id, offset: segment.size, length: line.length, op: -1 };
+    segment.size += line.length;
+    this.seq++;
+    
+    this._applyRecord(stamped, location);
+  }
+
+  /**
+   * Reads the record at a key directory location
+   * 
+   * @param {Object} location - { segment, offset, length, op }
+   * @returns {Object} - The record, or the operation within a batch record
+   * @private
+   */
+  _readRecord(location) {
+    const segment = this.segments.get(location.segment);
+    const buffer = Buffer.alloc(location.length);
+    fs.readSync(segment.fd, buffer, 0, location.length, location.offset);
+    
+    const record = JSON.parse(buffer.toString('utf8'));
+    return location.op >= 0 ? { ...record.ops[location.op], s: record.s } : record;
+  }
+
+  /**
+   * Points the key directory at a record
+   * Also used when replaying segments on connect, where records arrive out of
+   * order and the sequence number decides which version wins.
+   * 
+   * @param {Object} record - Record with its sequence number
+   * @param {Object} location - Where the record is stored
+   * @private
+   */
+  _applyRecord(record, location) {
+    const seq = record.s;
+    
+    switch (record.t) {
+      case 'batch': {
+        // Each operation accounts for its share of the record
+        const size = Math.ceil(location.length / record.ops.length);
+        record.ops.forEach((op, index) => {
+          this._applyRecord({ ...op, s: seq }, { ...location, op: index, size });
+        });
+        break;
+      }
+      
+      case 'set':
+        this._setSlot(this.keys, String(record.k), location, seq);
+        break;
+      
+      case 'del':
+        this._deleteSlot(this.keys, String(record.k), seq);
+        break;
+      
+      case 'coll': {
+        const entry = this._collection(record.c);
+        if (!entry.location || entry.location.seq <= seq) {
+          this._untrack(entry.location);
+          entry.location = this._track(location, seq);
+        }
+        break;
+      }
+      
+      case 'idx': {
+        const entry = this._collection(record.c);
+        if (!entry.indexLocation || entry.indexLocation.seq <= seq) {
+          this._untrack(entry.indexLocation);
+          entry.indexLocation = this._track(location, seq);
+        }
+        break;
+      }
+      
+      case 'put':
+        this._setSlot(this._collection(record.c).documents, String(record.v.id || record.v._id), location, seq);
+        break;
+      
+      case 'rm':
+        this._deleteSlot(this._collection(record.c).documents, String(record.id), seq);
+        break;
+      
+      default:
+        throw new Error(`Unknown LogStore record type: ${record.t}`);
+    }
+  }
+
+  /**
+   * Points a key directory entry at a record, unless a newer version is known
+   * @private
+   */
+  _setSlot(slots, key, location, seq) {
+    const existing = slots.get(key);
+    if (existing && existing.seq > seq) {
+      return;
+    }
+    
+    // While replaying, a later-numbered deletion may already have been seen
+    const tombstone = this.tombstones && this.tombstones.get(slots);
+    if (tombstone && tombstone.get(key) > seq) {
+      return;
+    }
+    
+    this._untrack(existing);
+    slots.set(key, this._track(location, seq));
+  }
+
+  /**
+   * Removes a key directory entry, unless a newer version is known
+   * @private
+   */
+  _deleteSlot(slots, key, seq) {
+    const existing = slots.get(key);
+    if (existing && existing.seq <= seq) {
+      this._untrack(existing);
+      slots.delete(key);
+    }
+    
+    if (this.tombstones) {
+      if (!this.tombstones.has(slots)) {
+        this.tombstones.set(slots, new Map());
+      }
+      const seen = this.tombstones.get(slots);
+      seen.set(key, Math.max(seen.get(key) || 0, seq));
+    }
+  }
+
+  /**
+   * Counts a live record towards its segment
+   * @private
+   */
+  _track(location, seq) {
+    const tracked = { ...location, seq, size: location.size || location.length };
+    this.segments.get(tracked.segment).live += tracked.size;
+    return tracked;
+  }
+
+  /**
+   * Stops counting a superseded record towards its segment
+   * @private
+   */
+  _untrack(location) {
+    if (!location) return;
+    
+    const segment = this.segments.get(location.segment);
+    if (segment) {
+      segment.live -= location.size;
+    }
+  }
+
+  /**
+   * Gets the key directory of a collection, creating it if needed
+   * @private
+   */
+  _collection(normalizedName) {
+    if (!this.collections.has(normalizedName)) {
+      this.collections.set(normalizedName, {
+        location: null,
+        indexLocation: null,
+        documents: new Map(),
+        indexes: null
+      });
+    }
+    return this.collections.get(normalizedName);
+  }
+
+  /**
+   * Appends a collection's index definitions
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @private
+   */
+  _saveIndexes(normalizedName) {
+    const { indexes } = this.collections.get(normalizedName);
+    this._write({ t: 'idx', c: normalizedName, v: indexes ? indexes.list() : [] });
+  }
+
+  /**
+   * Rebuilds a collection's indexes from their latest definitions
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @private
+   */
+  _loadIndexes(normalizedName) {
+    const entry = this.collections.get(normalizedName);
+    if (!entry.indexLocation) {
+      return;
+    }
+    
+    try {
+      const definitions = this._readRecord(entry.indexLocation).v;
+      const indexes = new IndexManager(normalizedName);
+      for (const { name, fields, unique, sparse } of definitions) {
+        indexes.create(fields, { name, unique, sparse }, this._candidateDocuments(normalizedName, {}));
+      }
+      entry.indexes = indexes;
+    } catch (error) {
+      // Queries still work without the index, they just scan the collection
+      this.logger.error(`Error loading indexes for collection '${normalizedName}'`, { err: error, collection: normalizedName });
+    }
+  }
+
+  /**
+   * Opens a segment file and replays its records into the key directory
+   * A record cut short by a crash can only be at the end of a segment; it is
+   * truncated away. Unreadable records elsewhere are skipped and reported.
+   * 
+   * @param {number} id - Segment ID
+   * @private
+   */
+  _loadSegment(id) {
+    const file = path.join(this.dataDir, segmentName(id));
+    const fd = fs.openSync(file, this.readOnly ? 'r' : 'r+');
+    const buffer = fs.readFileSync(fd);
+    
+    // Segments left empty by earlier connections hold nothing
+    if (buffer.length === 0 && !this.readOnly) {
+      fs.closeSync(fd);
+      fs.rmSync(file, { force: true });
+      return;
+    }
+    
+    const segment = { id, file, fd, size: buffer.length, live: 0 };
+    this.segments.set(id, segment);
+    
+    let offset = 0;
+    let skipped = 0;
+    while (offset < buffer.length) {
+      const end = buffer.indexOf(0x0a, offset);
+      
+      let record = null;
+      if (end !== -1) {
+        try {
+          record = JSON.parse(buffer.toString('utf8', offset, end));
+        } catch (error) {
+          // Reported below
+        }
+      }
+      
+      if (!record && (end === -1 || end === buffer.length - 1)) {
+        // An incomplete final record: the write it belongs to never finished
+        if (!this.readOnly) {
+          fs.ftruncateSync(fd, offset);
+          segment.size = offset;
+        }
+        this.logger.warn(`LogStore discarded an incomplete record at the end of ${segmentName(id)}`, { segment: segmentName(id) });
+        break;
+      }
+      
+      if (record) {
+        this.seq = Math.max(this.seq, record.s);
+        this._applyRecord(record, { segment: id, offset, length: end + 1 - offset, op: -1 });
+      } else {
+        skipped++;
+      }
+      offset = end + 1;
+    }
+    
+    if (skipped > 0) {
+      this.logger.warn(`LogStore skipped ${skipped} unreadable record(s) in ${segmentName(id)}`, {
+        segment: segmentName(id),
+        records: skipped
+      });
+    }
+  }
+
+  /**
+   * Creates an empty segment after the newest one
+   * 
+   * @returns {Object} - The segment
+   * @private
+   */
+  _createSegment() {
+    const id = Math.max(0, ...this.segments.keys()) + 1;
+    const file = path.join(this.dataDir, segmentName(id));
+    const segment = { id, file, fd: fs.openSync(file, 'wx+'), size: 0, live: 0 };
+    
+    fsyncDirSync(this.dataDir);
+    this.segments.set(id, segment);
+    return segment;
+  }
+
+  /**
+   * Closes the active segment and starts a new one
+   * 
+   * @private
+   */
+  _rollSegment() {
+    fs.fsyncSync(this.active.fd);
+    this.active = this._createSegment();
+  }
+
+  /**
+   * Compacts the closed segments if enough of them is dead records
+   * Runs from the background timer, so errors are reported rather than thrown.
+   * 
+   * @private
+   */
+  _maybeCompact() {
+    let size = 0;
+    let live = 0;
+    for (const segment of this.segments.values()) {
+      if (segment === this.active) continue;
+      size += segment.size;
+      live += segment.live;
+    }
+    
+    if (size === 0 || (size - live) / size < this.options.compactionThreshold) {
+      return;
+    }
+    
+    try {
+      this._compact();
+    } catch (error) {
+      this.logger.error('Error compacting LogStore segments', { err: error });
+    }
+  }
+
+  /**
+   * Rewrites the live records of every closed segment into new segments and
+   * removes the old ones
+   * Deletion records are dropped, which is only safe because every older
+   * segment is rewritten at the same time. The new segments are written as
+   * temporary files; a manifest listing them is the commit point, so an
+   * interrupted compaction either never happened or is finished on connect.
+   * 
+   * @returns {number} - Bytes reclaimed
+   * @private
+   */
+  _compact() {
+    // Remove the inputs of an earlier compaction first; they must never be replayed
+    this._finishCompaction();
+    
+    const inputs = [...this.segments.values()].filter(segment => segment !== this.active);
+    if (inputs.length === 0) {
+      return 0;
+    }
+    
+    const inputIds = new Set(inputs.map(segment => segment.id));
+    const sizeBefore = inputs.reduce((total, segment) => total + segment.size, 0);
+    
+    // Collect every live entry stored in the segments being compacted
+    const moves = [];
+    const collect = (location, assign) => {
+      if (location && inputIds.has(location.segment)) {
+        moves.push({ location, assign });
+      }
+    };
+    for (const [key, location] of this.keys) {
+      collect(location, moved => this.keys.set(key, moved));
+    }
+    for (const entry of this.collections.values()) {
+      collect(entry.location, moved => { entry.location = moved; });
+      collect(entry.indexLocation, moved => { entry.indexLocation = moved; });
+      for (const [id, location] of entry.documents) {
+        collect(location, moved => entry.documents.set(id, moved));
+      }
+    }
+    
+    // Read in file order
+    moves.sort((a, b) => a.location.segment - b.location.segment || a.location.offset - b.location.offset);
+    
+    // Write the live records to temporary segments
+    const outputs = [];
+    let nextId = Math.max(...this.segments.keys()) + 1;
+    let output = null;
+    for (const move of moves) {
+      if (!output || output.size >= this.options.segmentSize) {
+        output = { id: nextId++, size: 0, live: 0 };
+        output.file = path.join(this.dataDir, segmentName(output.id));
+        output.fd = fs.openSync(`${output.file}${TEMP_SUFFIX}`, 'wx+');
+        outputs.push(output);
+      }
+      
+      const line = Buffer.from(JSON.stringify(this._readRecord(move.location)) + '\n', 'utf8');
+      fs.writeSync(output.fd, line, 0, line.length, output.size);
+      move.moved = { segment: output.id, offset: output.size, length: line.length, op: -1, seq: move.location.seq, size: line.length };
+      output.size += line.length;
+      output.live += line.length;
+    }
+    
+    // Commit: once the manifest exists, connect() finishes the compaction
+    outputs.forEach(segment => fs.fsyncSync(segment.fd));
+    atomicWriteFileSync(this.manifestFile, JSON.stringify({
+      inputs: inputs.map(segment => segmentName(segment.id)),
+      outputs: outputs.map(segment => segmentName(segment.id))
+    }));
+    
+    for (const segment of outputs) {
+      fs.renameSync(`${segment.file}${TEMP_SUFFIX}`, segment.file);
+      this.segments.set(segment.id, segment);
+    }
+    fsyncDirSync(this.dataDir);
+    
+    moves.forEach(({ assign, moved }) => assign(moved));
+    
+    for (const segment of inputs) {
+      fs.closeSync(segment.fd);
+      this.segments.delete(segment.id);
+    }
+    
+    // Past the commit point, so a failure here only postpones the cleanup
+    try {
+      inputs.forEach(segment => fs.rmSync(segment.file, { force: true }));
+      fs.rmSync(this.manifestFile, { force: true });
+    } catch (error) {
+      this.logger.warn(`LogStore will remove the compacted segments later: ${error.message}`, { err: error });
+    }
+    
+    return sizeBefore - outputs.reduce((total, segment) => total + segment.size, 0);
+  }
+
+  /**
+   * Completes a compaction whose old segments were not all removed, because
+   * the process stopped or a removal failed
+   * 
+   * @private
+   */
+  _finishCompaction() {
+    if (!fs.existsSync(this.manifestFile)) {
+      return;
+    }
+    
+    const { inputs, outputs } = JSON.parse(fs.readFileSync(this.manifestFile, 'utf8'));
+    
+    for (const name of outputs) {
+      const file = path.join(this.dataDir, name);
+      if (fs.existsSync(`${file}${TEMP_SUFFIX}`)) {
+        fs.renameSync(`${file}${TEMP_SUFFIX}`, file);
+      }
+    }
+    for (const name of inputs) {
+      fs.rmSync(path.join(this.dataDir, name), { force: true });
+    }
+    
+    fsyncDirSync(this.dataDir);
+    fs.rmSync(this.manifestFile, { force: true });
+    this.logger.warn('LogStore finished an earlier compaction');
+  }
+
+  /**
+   * Stops background compaction, closes the segment files and releases the writer lock
+   * 
+   * @private
+   */
+  _closeFiles() {
+    if (this.compactionTimer) {
+      clearInterval(this.compactionTimer);
+      this.compactionTimer = null;
+    }
+    
+    for (const segment of this.segments.values()) {
+      fs.closeSync(segment.fd);
+    }
+    this.segments.clear();
+    this.active = null;
+    
+    if (this.writerLock) {
+      this.writerLock.release();
+      this.writerLock = null;
+    }
+  }
+
+  /**
+   * Extracts a literal document ID from a query, if it has one
+   * 
+   * @param {Object} query - Query parameters
+   * @returns {string|number|undefined} - The ID or undefined if the query has no literal ID
+   * @private
+   */
+  _queryId(query) {
+    if (!query) return undefined;
+    
+    const id = query.id !== undefined ? query.id : query._id;
+    return (typeof id === 'string' && id !== '') || typeof id === 'number' ? id : undefined;
+  }
+
+  /**
+   * Reports an error caught by an operation
+   * In strict mode it is thrown as a HyperDB error; otherwise it is logged and
+   * the operation returns its fallback value.
+   * 
+   * @param {Error} error - The caught error
+   * @param {string} message - What failed
+   * @param {any} fallback - Value to return outside strict mode
+   * @returns {any} - The fallback value
+   * @throws {HyperDBError} - In strict mode
+   * @private
+   */
+  _handleError(error, message, fallback) {
+    if (this.strict) {
+      throw toStorageError(error, message);
+    }
+    
+    this.logger.error(message, { err: error });
+    return fallback;
+  }
+
+  /**
+   * Ensures a connection exists
+   * @private
+   */
+  _ensureConnected() {
+    if (!this.connected) {
+      throw new ConnectionError('Not connected to LogStore database');
+    }
+  }
+
+  /**
+   * Ensures the database was not opened read-only
+   * 
+   * @throws {ReadOnlyError} - If it was
+   * @private
+   */
+  _ensureWritable() {
+    if (this.readOnly) {
+      throw new ReadOnlyError('LogStore database was opened read-only');
+    }
+  }
+}
+
+module.exports = LogStoreAdapter;
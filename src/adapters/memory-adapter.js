@@ -0,0 +1,875 @@
+/**
+ * Memory Adapter - Provides in-memory storage backend for tests and ephemeral data
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  generateId,
+  matches,
+  validateQuery,
+  validateUpdate,
+  applyUpdate,
+  buildUpsertDocument,
+  writeResult,
+  validateFindOptions,
+  applyFindOptions,
+  scanLimit,
+  normalizeName,
+  toKey,
+  checkExpected
+} = require('../utils');
+const IndexManager = require('../index-manager');
+const { DuplicateKeyError, ConnectionError } = require('../errors');
+const { loggerFor } = require('../logger');
+const { ScanStats } = require('../metrics');
+const { atomicWriteFileSync } = require('../file-utils');
+
+/**
+ * Snapshot file format version
+ */
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Copies a value the way a round trip through storage would
+ * Callers can't change stored data by mutating what they passed in or got back.
+ * @private
+ */
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+class MemoryAdapter {
+  /**
+   * Creates a new memory adapter
+   * Nothing touches the filesystem unless a snapshot is saved or loaded.
+   * 
+   * @param {Object} config - Configuration options
+   * @param {Object} [config.memory] - Memory options
+   * @param {string} [config.memory.snapshotFile] - Snapshot loaded on connect, if it exists,
+   *   and used by saveSnapshot() and loadSnapshot() when no file is given
+   */
+  constructor(config) {
+    this.config = config;
+    this.strict = Boolean(config.strict);
+    this.logger = loggerFor(config, 'Memory');
+    this.scanStats = new ScanStats();
+    this.options = { ...config.memory };
+    this.connected = false;
+    this.keys = new Map();
+    this.collections = new Map();
+  }
+
+  /**
+   * Connects to the memory storage
+   * 
+   * @returns {Promise<boolean>} - Success status
+   */
+  async connect() {
+    try {
+      if (this.options.snapshotFile && fs.existsSync(this.options.snapshotFile)) {
+        this._restore(this.options.snapshotFile);
+      }
+      
+      this.connected = true;
+      return true;
+    } catch (error) {
+      if (this.strict) {
+        throw new ConnectionError(`Error connecting to memory storage: ${error.message}`, { cause: error });
+      }
+      this.logger.error('Error connecting to memory storage', { err: error });
+      return false;
+    }
+  }
+
+  /**
+   * Closes the memory storage, discarding its data
+   * 
+   * @returns {Promise<boolean>} - Success status
+   */
+  async close() {
+    this.connected = false;
+    this.keys.clear();
+    this.collections.clear();
+    return true;
+  }
+
+  /**
+   * Returns how many documents queries have read and matched, per collection
+   * 
+   * @returns {Object} - { [collection]: { queries, scanned, returned } }
+   */
+  getScanStats() {
+    return this.scanStats.toJSON();
+  }
+
+  /**
+   * Stores a value with the specified key
+   * 
+   * @param {string} key - The key to store data under
+   * @param {any} value - The data to store
+   * @returns {Promise<boolean>} - Success status
+   * @throws {ValidationError} - If the key is empty or not a string or number
+   */
+  async set(key, value) {
+    this._ensureConnected();
+    
+    this.keys.set(toKey(key), copy(value));
+    return true;
+  }
+
+  /**
+   * Retrieves a value by key
+   * 
+   * @param {string} key - The key to retrieve
+   * @returns {Promise<any>} - The stored value or null if not found
+   */
+  async get(key) {
+    this._ensureConnected();
+    
+    const value = this.keys.get(toKey(key));
+    return value === undefined ? null : copy(value);
+  }
+
+  /**
+   * Checks if a key exists
+   * 
+   * @param {string} key - The key to check
+   * @returns {Promise<boolean>} - True if the key exists
+   */
+  async has(key) {
+    this._ensureConnected();
+    
+    return this.keys.has(toKey(key));
+  }
+
+  /**
+   * Deletes a value by key
+   * 
+   * @param {string} key - The key to delete
+   * @returns {Promise<boolean>} - Success status
+   */
+  async delete(key) {
+    this._ensureConnected();
+    
+    return this.keys.delete(toKey(key));
+  }
+
+  /**
+   * Gets all collections
+   * 
+   * @returns {Promise<Array>} - List of collections
+   */
+  async getCollections() {
+    this._ensureConnected();
+    
+    return Array.from(this.collections.keys()).map(name => ({ name }));
+  }
+
+  /**
+   * Checks if a collection exists
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<boolean>} - True if the collection exists
+   */
+  async hasCollection(collection) {
+    this._ensureConnected();
+    
+    return this.collections.has(normalizeName(collection));
+  }
+
+  /**
+   * Creates a new collection
+   * 
+   * @param {string} name - The name of the collection
+   * @returns {Promise<boolean>} - Success status
+   */
+  async createCollection(name) {
+    this._ensureConnected();
+    
+    this._collection(normalizeName(name));
+    return true;
+  }
+
+  /**
+   * Inserts a document into a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} document - The document to insert
+   * @param {Object} [options] - Insert options
+   * @param {boolean} [options.overwrite=true] - Replace an existing document with the same ID
+   * @returns {Promise<boolean>} - Success status
+   * @throws {DuplicateKeyError} - If the insert violates a unique constraint, or the ID
+   *   exists and overwrite is disabled
+   * @throws {ValidationError} - If the document ID is not a string or number
+   */
+  async insert(collection, document, options = {}) {
+    this._ensureConnected();
+    
+    this._insertDocument(this._collection(normalizeName(collection)), document, options);
+    return true;
+  }
+
+  /**
+   * Finds one document in a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object|null>} - The found document or null
+   */
+  async findOne(collection, query) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    const entry = this.collections.get(normalizeName(collection));
+    if (!entry) {
+      return null;
+    }
+    
+    const [doc] = this._findDocuments(entry, query, 1);
+    return doc ? copy(doc) : null;
+  }
+
+  /**
+   * Finds documents in a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} [options] - Find options
+   * @param {Object} [options.sort] - Field: direction pairs, 1 ascending and -1 descending
+   * @param {number} [options.skip] - Number of documents to skip
+   * @param {number} [options.limit] - Maximum number of documents to return
+   * @param {Object} [options.projection] - Fields to include (1) or exclude (0)
+   * @returns {Promise<Array>} - Array of matching documents
+   * @throws {ValidationError} - If the options are malformed
+   */
+  async find(collection, query, options = {}) {
+    this._ensureConnected();
+    validateQuery(query);
+    validateFindOptions(options);
+    
+    const entry = this.collections.get(normalizeName(collection));
+    if (!entry) {
+      return [];
+    }
+    
+    // Without a sort, stop reading once enough documents have matched
+    const docs = this._findDocuments(entry, query, scanLimit(options));
+    return applyFindOptions(docs.map(copy), options);
+  }
+
+  /**
+   * Counts the documents in a collection matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<number>} - Number of matching documents
+   */
+  async count(collection, query) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    const entry = this.collections.get(normalizeName(collection));
+    if (!entry) {
+      return 0;
+    }
+    
+    if (!query || Object.keys(query).length === 0) {
+      return entry.documents.size;
+    }
+    
+    return this._findDocuments(entry, query).length;
+  }
+
+  /**
+   * Iterates over the documents matching a query
+   * Documents deleted while the iteration runs are skipped.
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} [query={}] - Query parameters
+   * @returns {AsyncGenerator<Object>} - Matching documents
+   */
+  async *iterate(collection, query = {}) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    const entry = this.collections.get(normalizeName(collection));
+    if (!entry) {
+      return;
+    }
+    
+    const matchAll = !query || Object.keys(query).length === 0;
+    let scanned = 0;
+    let returned = 0;
+    
+    // Record the scan even if the caller stops iterating early
+    try {
+      for (const doc of this._candidateDocuments(entry, query)) {
+        scanned++;
+        if (matchAll || matches(doc, query)) {
+          returned++;
+          yield copy(doc);
+        }
+      }
+    } finally {
+      this.scanStats.record(entry.name, scanned, returned);
+    }
+  }
+
+  /**
+   * Updates documents in a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators ($set, $inc, $push, ...)
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.multi=true] - Update every matching document rather than the first
+   * @param {boolean} [options.upsert=false] - Insert a document built from the query and
+   *   update when nothing matches
+   * @param {boolean} [options.returnDocuments=false] - Resolve to the { before, after }
+   *   documents rather than their number; before is null for an upserted document
+   * @returns {Promise<number|Array<Object>>} - Number of updated (or upserted) documents
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @throws {ValidationError} - If the update is malformed or does not apply to a document
+   */
+  async update(collection, query, update, options = {}) {
+    this._ensureConnected();
+    validateQuery(query);
+    validateUpdate(update);
+    
+    const normalizedName = normalizeName(collection);
+    if (!this.collections.has(normalizedName) && !options.upsert) {
+      return writeResult([], options);
+    }
+    
+    const entry = this._collection(normalizedName);
+    const docs = this._findDocuments(entry, query, options.multi === false ? 1 : Infinity);
+    
+    if (docs.length === 0) {
+      if (!options.upsert) {
+        return writeResult([], options);
+      }
+      
+      const inserted = this._insertDocument(entry, buildUpsertDocument(query, update), { overwrite: false });
+      return writeResult([{ before: null, after: copy(inserted) }], options);
+    }
+    
+    const updated = this._updateDocuments(entry, docs, update);
+    return writeResult(updated.map((after, i) => ({ before: copy(docs[i]), after: copy(after) })), options);
+  }
+
+  /**
+   * Updates the first document matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.upsert=false] - Insert a document when nothing matches
+   * @returns {Promise<Object|null>} - { before, after } documents (before is null for an
+   *   upsert), or null if nothing matched
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @throws {ValidationError} - If the update is malformed or does not apply to the document
+   */
+  async findOneAndUpdate(collection, query, update, options = {}) {
+    this._ensureConnected();
+    validateQuery(query);
+    validateUpdate(update);
+    
+    const normalizedName = normalizeName(collection);
+    if (!this.collections.has(normalizedName) && !options.upsert) {
+      return null;
+    }
+    
+    const entry = this._collection(normalizedName);
+    const [doc] = this._findDocuments(entry, query, 1);
+    
+    if (!doc) {
+      if (!options.upsert) {
+        return null;
+      }
+      
+      const inserted = this._insertDocument(entry, buildUpsertDocument(query, update), { overwrite: false });
+      return { before: null, after: copy(inserted) };
+    }
+    
+    const [updated] = this._updateDocuments(entry, [doc], update);
+    return { before: copy(doc), after: copy(updated) };
+  }
+
+  /**
+   * Deletes documents from a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.returnDocuments=false] - Resolve to the deleted documents
+   *   rather than their number
+   * @returns {Promise<number|Array<Object>>} - Number of deleted documents
+   */
+  async deleteFrom(collection, query, options = {}) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    const entry = this.collections.get(normalizeName(collection));
+    if (!entry) {
+      return writeResult([], options);
+    }
+    
+    return writeResult(this._removeDocuments(entry, this._findDocuments(entry, query)).map(copy), options);
+  }
+
+  /**
+   * Deletes the first document matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object|null>} - The deleted document or null
+   */
+  async findOneAndDelete(collection, query) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    const entry = this.collections.get(normalizeName(collection));
+    if (!entry) {
+      return null;
+    }
+    
+    const [removed] = this._removeDocuments(entry, this._findDocuments(entry, query, 1));
+    return removed ? copy(removed) : null;
+  }
+
+  /**
+   * Commits a set of writes atomically
+   * 
+   * @param {Array<Object>} operations - { type: 'set', key, value }, { type: 'delete', key },
+   *   { type: 'put', collection, document } or { type: 'remove', collection, id }; each may
+   *   carry the `expected` document or value read, see checkExpected()
+   * @returns {Promise<boolean>} - Success status
+   * @throws {DuplicateKeyError} - If the writes violate a unique constraint
+   * @throws {TransactionConflictError} - If a document or key changed after the transaction read it
+   * @throws {Error} - If the writes could not be committed; nothing has been written
+   */
+  async applyTransaction(operations) {
+    this._ensureConnected();
+    
+    // Resolve every operation before changing anything
+    const changes = new Map();
+    for (const operation of operations) {
+      switch (operation.type) {
+        case 'set':
+        case 'delete':
+          checkExpected(operation, this.keys.get(toKey(operation.key)));
+          break;
+        
+        case 'put':
+        case 'remove': {
+          const normalizedName = normalizeName(operation.collection);
+          const id = toKey(operation.type === 'put' ?
+            operation.document.id || operation.document._id :
+            operation.id);
+          
+          if (!changes.has(normalizedName)) {
+            changes.set(normalizedName, { removed: [], added: [] });
+          }
+          
+          const entry = this.collections.get(normalizedName);
+          const before = entry && entry.documents.get(id);
+          checkExpected(operation, before);
+          if (before) {
+            changes.get(normalizedName).removed.push(before);
+          }
+          if (operation.type === 'put') {
+            changes.get(normalizedName).added.push(copy(operation.document));
+          }
+          break;
+        }
+        
+        default:
+          throw new Error(`Invalid transaction operation: ${operation.type}`);
+      }
+    }
+    
+    // Check unique constraints for every collection before writing anything
+    const indexed = [];
+    try {
+      for (const [normalizedName, { removed, added }] of changes) {
+        const entry = this.collections.get(normalizedName);
+        if (!entry || !entry.indexes || entry.indexes.size === 0) continue;
+        
+        entry.indexes.apply(removed, added);
+        indexed.push({ indexes: entry.indexes, removed, added });
+      }
+    } catch (error) {
+      indexed.forEach(({ indexes, removed, added }) => indexes.apply(added, removed));
+      throw error;
+    }
+    
+    for (const operation of operations) {
+      if (operation.type === 'set') {
+        this.keys.set(toKey(operation.key), copy(operation.value));
+      } else if (operation.type === 'delete') {
+        this.keys.delete(toKey(operation.key));
+      }
+    }
+    for (const [normalizedName, { removed, added }] of changes) {
+      const { documents } = this._collection(normalizedName);
+      removed.forEach(doc => documents.delete(toKey(doc.id || doc._id)));
+      added.forEach(doc => documents.set(toKey(doc.id || doc._id), doc));
+    }
+    
+    return true;
+  }
+
+  /**
+   * Creates a secondary index on a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {string|Array<string>} fields - Field or fields to index
+   * @param {Object} [options] - Index options
+   * @param {string} [options.name] - Custom index name
+   * @param {boolean} [options.unique=false] - Reject documents sharing a key
+   * @param {boolean} [options.sparse=false] - Skip documents missing the indexed fields
+   * @returns {Promise<string>} - The index name
+   * @throws {DuplicateKeyError} - If a unique index meets existing duplicates
+   */
+  async createIndex(collection, fields, options = {}) {
+    this._ensureConnected();
+    
+    const normalizedName = normalizeName(collection);
+    const entry = this._collection(normalizedName);
+    if (!entry.indexes) {
+      entry.indexes = new IndexManager(normalizedName);
+    }
+    
+    return entry.indexes.create(fields, options, entry.documents.values());
+  }
+
+  /**
+   * Drops a secondary index from a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {string} name - The index name
+   * @returns {Promise<boolean>} - True if the index existed
+   */
+  async dropIndex(collection, name) {
+    this._ensureConnected();
+    
+    const entry = this.collections.get(normalizeName(collection));
+    return Boolean(entry && entry.indexes && entry.indexes.drop(name));
+  }
+
+  /**
+   * Lists the secondary indexes of a collection
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<Array>} - Index definitions
+   */
+  async listIndexes(collection) {
+    this._ensureConnected();
+    
+    const entry = this.collections.get(normalizeName(collection));
+    return entry && entry.indexes ? entry.indexes.list() : [];
+  }
+
+  /**
+   * Writes all data to a snapshot file
+   * The file is replaced atomically, so an interrupted save leaves the
+   * previous snapshot intact.
+   * 
+   * @param {string} [file] - Snapshot path; defaults to config.memory.snapshotFile
+   * @returns {Promise<string>} - The path written
+   * @throws {Error} - If no file is given or configured
+   */
+  async saveSnapshot(file = this.options.snapshotFile) {
+    this._ensureConnected();
+    const snapshotFile = this._snapshotPath(file);
+    
+    const collections = {};
+    for (const [name, { documents, indexes }] of this.collections) {
+      collections[name] = {
+        documents: Array.from(documents.values()),
+        indexes: indexes ? indexes.list() : []
+      };
+    }
+    
+    fs.mkdirSync(path.dirname(snapshotFile), { recursive: true });
+    atomicWriteFileSync(snapshotFile, JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      created_at: Date.now(),
+      keys: Array.from(this.keys),
+      collections
+    }));
+    return snapshotFile;
+  }
+
+  /**
+   * Replaces all data with the contents of a snapshot file
+   * 
+   * @param {string} [file] - Snapshot path; defaults to config.memory.snapshotFile
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - If no file is given or configured, or the file is not a snapshot
+   */
+  async loadSnapshot(file = this.options.snapshotFile) {
+    this._ensureConnected();
+    
+    this._restore(this._snapshotPath(file));
+    return true;
+  }
+
+  /**
+   * Finds the documents matching a query
+   * 
+   * @param {Object} entry - Collection entry
+   * @param {Object} query - Query parameters
+   * @param {number} [limit=Infinity] - Stop after this many matches
+   * @returns {Array<Object>} - Matching stored documents (not copies)
+   * @private
+   */
+  _findDocuments(entry, query, limit = Infinity) {
+    const documents = [];
+    
+    if (limit <= 0) {
+      return documents;
+    }
+    
+    let scanned = 0;
+    for (const doc of this._candidateDocuments(entry, query)) {
+      scanned++;
+      
+      // If no query or document matches query, add to results
+      if (!query || Object.keys(query).length === 0 || matches(doc, query)) {
+        documents.push(doc);
+        
+        if (documents.length >= limit) {
+          break;
+        }
+      }
+    }
+    
+    this.scanStats.record(entry.name, scanned, documents.length);
+    return documents;
+  }
+
+  /**
+   * Yields the documents that may match a query, using the ID or an index
+   * when the query allows it
+   * 
+   * @param {Object} entry - Collection entry
+   * @param {Object} query - Query parameters
+   * @returns {Generator<Object>} - Candidate documents
+   * @private
+   */
+  *_candidateDocuments(entry, query) {
+    // If query contains ID, look up just that document
+    const id = this._queryId(query);
+    if (id !== undefined) {
+      const doc = entry.documents.get(String(id));
+      if (doc) {
+        yield doc;
+      }
+      return;
+    }
+    
+    // Use an index to narrow the documents, otherwise scan them all
+    const ids = entry.indexes ? entry.indexes.candidates(query) : null;
+    for (const candidateId of ids || Array.from(entry.documents.keys())) {
+      const doc = entry.documents.get(String(candidateId));
+      if (doc) {
+        yield doc;
+      }
+    }
+  }
+
+  /**
+   * Adds a new document, assigning its ID and timestamps
+   * 
+   * @param {Object} entry - Collection entry
+   * @param {Object} document - The document to insert
+   * @param {Object} options - Insert options
+   * @returns {Object} - The stored document
+   * @throws {DuplicateKeyError} - If the insert violates a unique constraint
+   * @private
+   */
+  _insertDocument(entry, document, options) {
+    // Generate ID if not provided
+    const docWithId = copy(document);
+    if (!docWithId.id && !docWithId._id) {
+      docWithId.id = generateId();
+    }
+    
+    // Use provided ID or generated ID
+    const id = docWithId.id || docWithId._id;
+    const key = toKey(id);
+    
+    // Add timestamps
+    const now = Date.now();
+    docWithId.created_at = now;
+    docWithId.updated_at = now;
+    
+    const existing = entry.documents.get(key);
+    
+    // Refuse to replace an existing document in insert-only mode
+    if (existing && options.overwrite === false) {
+      throw new DuplicateKeyError({
+        collection: entry.name,
+        fields: [docWithId.id !== undefined ? 'id' : '_id'],
+        value: id,
+        conflictingId: id
+      });
+    }
+    
+    if (entry.indexes) {
+      entry.indexes.apply(existing ? [existing] : [], [docWithId]);
+    }
+    
+    entry.documents.set(key, docWithId);
+    return docWithId;
+  }
+
+  /**
+   * Applies an update to documents
+   * 
+   * @param {Object} entry - Collection entry
+   * @param {Array<Object>} docs - Current documents
+   * @param {Object} update - Plain fields or update operators
+   * @returns {Array<Object>} - The updated documents
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @private
+   */
+  _updateDocuments(entry, docs, update) {
+    // Current timestamp
+    const now = Date.now();
+    
+    // Apply updates to every document before changing any of them
+    const updatedDocs = docs.map(doc => copy({ ...applyUpdate(doc, update), updated_at: now }));
+    
+    if (entry.indexes) {
+      entry.indexes.apply(docs, updatedDocs);
+    }
+    
+    for (const updatedDoc of updatedDocs) {
+      entry.documents.set(toKey(updatedDoc.id || updatedDoc._id), updatedDoc);
+    }
+    
+    return updatedDocs;
+  }
+
+  /**
+   * Removes documents and drops them from the indexes
+   * 
+   * @param {Object} entry - Collection entry
+   * @param {Array<Object>} docs - Documents to delete
+   * @returns {Array<Object>} - The documents that were deleted
+   * @private
+   */
+  _removeDocuments(entry, docs) {
+    const removed = [];
+    
+    for (const doc of docs) {
+      if (entry.documents.delete(toKey(doc.id || doc._id))) {
+        removed.push(doc);
+        
+        if (entry.indexes) {
+          entry.indexes.remove(doc);
+        }
+      }
+    }
+    
+    return removed;
+  }
+
+  /**
+   * Gets a collection entry, creating the collection if needed
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @returns {Object} - { name, documents, indexes }
+   * @private
+   */
+  _collection(normalizedName) {
+    if (!this.collections.has(normalizedName)) {
+      this.collections.set(normalizedName, {
+        name: normalizedName,
+        documents: new Map(),
+        indexes: null
+      });
+    }
+    return this.collections.get(normalizedName);
+  }
+
+  /**
+   * Replaces all data with the contents of a snapshot file
+   * 
+   * @param {string} file - Snapshot path
+   * @private
+   */
+  _restore(file) {
+    const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.keys)) {
+      throw new Error(`'${file}' is not a HyperDB memory snapshot`);
+    }
+    
+    const keys = new Map(snapshot.keys);
+    const collections = new Map();
+    for (const [name, { documents, indexes }] of Object.entries(snapshot.collections || {})) {
+      const entry = {
+        name,
+        documents: new Map(documents.map(doc => [toKey(doc.id || doc._id), doc])),
+        indexes: null
+      };
+      
+      if (indexes.length > 0) {
+        entry.indexes = new IndexManager(name);
+        for (const { name: indexName, fields, unique, sparse } of indexes) {
+          entry.indexes.create(fields, { name: indexName, unique, sparse }, entry.documents.values());
+        }
+      }
+      collections.set(name, entry);
+    }
+    
+    // Only replace the data once the whole snapshot has loaded
+    this.keys = keys;
+    this.collections = collections;
+  }
+
+  /**
+   * Resolves the snapshot file to use
+   * 
+   * @param {string} [file] - Snapshot path
+   * @returns {string} - Absolute snapshot path
+   * @throws {Error} - If no file is given or configured
+   * @private
+   */
+  _snapshotPath(file) {
+    if (!file) {
+      throw new Error('No snapshot file given and config.memory.snapshotFile is not set');
+    }
+    return path.resolve(file);
+  }
+
+  /**
+   * Extracts a literal document ID from a query, if it has one
+   * 
+   * @param {Object} query - Query parameters
+   * @returns {string|number|undefined} - The ID or undefined if the query has no literal ID
+   * @private
+   */
+  _queryId(query) {
+    if (!query) return undefined;
+    
+    const id = query.id !== undefined ? query.id : query._id;
+    return (typeof id === 'string' && id !== '') || typeof id === 'number' ? id : undefined;
+  }
+
+  /**
+   * Ensures a connection exists
+   * @private
+   */
+  _ensureConnected() {
+    if (!this.connected) {
+      throw new ConnectionError('Not connected to memory storage');
+    }
+  }
+}
+
+module.exports = MemoryAdapter;
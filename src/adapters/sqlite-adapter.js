@@ -0,0 +1,1271 @@
+/**
+ * SQLite Adapter - Provides SQLite storage backend using Node's bundled node:sqlite
+ * 
+ * Keys, collections and documents are rows in a single database file, with
+ * values and documents stored as JSON. Secondary indexes are kept in an
+ * entries table with the same keys IndexManager computes, so queries are
+ * narrowed in SQL and behave exactly as with the other adapters.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  generateId,
+  matches,
+  validateQuery,
+  validateUpdate,
+  applyUpdate,
+  buildUpsertDocument,
+  writeResult,
+  validateFindOptions,
+  applyFindOptions,
+  scanLimit,
+  normalizeName,
+  isOperatorObject,
+  toKey,
+  checkExpected
+} = require('../utils');
+const IndexManager = require('../index-manager');
+const { DuplicateKeyError, ValidationError, ConnectionError, ReadOnlyError, toStorageError } = require('../errors');
+const { loggerFor } = require('../logger');
+const { ScanStats } = require('../metrics');
+
+/**
+ * Default SQLite options
+ */
+const DEFAULT_OPTIONS = {
+  filename: 'hyperdb.sqlite'
+};
+
+/**
+ * Version of the database schema, stored in PRAGMA user_version
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Database schema
+ * @private
+ */
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS kv (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  ) WITHOUT ROWID;
+  
+  CREATE TABLE IF NOT EXISTS collections (
+    name TEXT PRIMARY KEY,
+    created_at INTEGER NOT NULL
+  ) WITHOUT ROWID;
+  
+  CREATE TABLE IF NOT EXISTS documents (
+    seq INTEGER PRIMARY KEY,
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    doc TEXT NOT NULL,
+    UNIQUE (collection, id)
+  );
+  
+  CREATE TABLE IF NOT EXISTS index_definitions (
+    collection TEXT NOT NULL,
+    name TEXT NOT NULL,
+    definition TEXT NOT NULL,
+    PRIMARY KEY (collection, name)
+  ) WITHOUT ROWID;
+  
+  CREATE TABLE IF NOT EXISTS index_entries (
+    collection TEXT NOT NULL,
+    index_name TEXT NOT NULL,
+    key TEXT NOT NULL,
+    num REAL,
+    doc_id TEXT NOT NULL,
+    PRIMARY KEY (collection, index_name, key, doc_id)
+  ) WITHOUT ROWID;
+  
+  CREATE INDEX IF NOT EXISTS index_entries_num
+    ON index_entries (collection, index_name, num) WHERE num IS NOT NULL;
+  
+  CREATE INDEX IF NOT EXISTS index_entries_doc
+    ON index_entries (collection, doc_id);
+`;
+
+/**
+ * Documents read per query while scanning a collection
+ * @private
+ */
+const BATCH_SIZE = 256;
+
+/**
+ * SQL comparison for each operator pushed down to SQL
+ * @private
+ */
+const SQL_OPERATORS = {
+  $eq: '=',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<='
+};
+
+/**
+ * Fields simple enough to address with a JSON path without quoting
+ * @private
+ */
+const SIMPLE_FIELD = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Checks if a value is a number SQLite can store
+ * @private
+ */
+function isSqlNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Checks if a value compares the same in SQL as in matches()
+ * @private
+ */
+function isSqlScalar(value) {
+  return typeof value === 'string' || isSqlNumber(value);
+}
+
+/**
+ * Gathers the field conditions that all results must satisfy
+ * @private
+ */
+function collectConditions(query, conditions) {
+  for (const key in query) {
+    if (key === '$and') {
+      query.$and.forEach(subQuery => collectConditions(subQuery, conditions));
+    } else if (!key.startsWith('$')) {
+      conditions.push([key, query[key]]);
+    }
+  }
+  return conditions;
+}
+
+class SQLiteAdapter {
+  /**
+   * Creates a new SQLite adapter
+   * 
+   * @param {Object} config - Configuration options
+   * @param {string} [config.path='./hyperdb-data'] - Data directory path
+   * @param {Object} [config.sqlite] - SQLite options
+   * @param {string} [config.sqlite.filename='hyperdb.sqlite'] - Database file inside the data directory
+   */
+  constructor(config) {
+    this.config = config;
+    this.options = { ...DEFAULT_OPTIONS, ...config.sqlite };
+    this.dataDir = path.resolve(config.path || './hyperdb-data');
+    this.dbFile = path.join(this.dataDir, this.options.filename);
+    this.readOnly = Boolean(config.readOnly);
+    this.strict = Boolean(config.strict);
+    this.logger = loggerFor(config, 'SQLite');
+    this.scanStats = new ScanStats();
+    this.busyTimeout = (config.locking && config.locking.timeout) || 10000;
+    this.connected = false;
+    this.db = null;
+    this.statements = new Map();
+  }
+
+  /**
+   * Connects to the SQLite database
+   * 
+   * @returns {Promise<boolean>} - Success status
+   */
+  async connect() {
+    try {
+      // Loaded here so other storage types work on Node versions without node:sqlite
+      let DatabaseSync;
+      try {
+        ({ DatabaseSync } = require('node:sqlite'));
+      } catch (error) {
+        throw new Error("storage: 'sqlite' requires Node.js 22.5 or later (node:sqlite)");
+      }
+      
+      // Create directory if it doesn't exist
+      if (!this.readOnly && !fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      
+      this.db = new DatabaseSync(this.dbFile, { readOnly: this.readOnly });
+      
+      // Wait for other processes' writes rather than failing with SQLITE_BUSY
+      this.db.exec(`PRAGMA busy_timeout = ${Number(this.busyTimeout)}`);
+      
+      if (!this.readOnly) {
+        this.db.exec('PRAGMA journal_mode = WAL');
+        this.db.exec('PRAGMA synchronous = FULL');
+        this.db.exec(SCHEMA);
+        this.db.exec(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+      }
+      
+      this.connected = true;
+      return true;
+    } catch (error) {
+      this._closeDatabase();
+      if (this.strict) {
+        throw new ConnectionError(`Error connecting to SQLite database: ${error.message}`, { cause: error });
+      }
+      this.logger.error('Error connecting to SQLite database', { err: error });
+      return false;
+    }
+  }
+
+  /**
+   * Closes the database connection
+   * 
+   * @returns {Promise<boolean>} - Success status
+   */
+  async close() {
+    try {
+      this._closeDatabase();
+      this.connected = false;
+      return true;
+    } catch (error) {
+      return this._handleError(error, 'Error closing SQLite database', false);
+    }
+  }
+
+  /**
+   * Returns how many documents queries have read and matched, per collection
+   * 
+   * @returns {Object} - { [collection]: { queries, scanned, returned } }
+   */
+  getScanStats() {
+    return this.scanStats.toJSON();
+  }
+
+  /**
+   * Stores a value with the specified key
+   * 
+   * @param {string} key - The key to store data under
+   * @param {any} value - The data to store
+   * @returns {Promise<boolean>} - Success status
+   * @throws {ValidationError} - If the key is empty or not a string or number
+   */
+  async set(key, value) {
+    this._ensureConnected();
+    this._ensureWritable();
+    const storedKey = toKey(key);
+    
+    try {
+      this._setValue(storedKey, value);
+      return true;
+    } catch (error) {
+      return this._handleError(error, 'Error setting value in SQLite', false);
+    }
+  }
+
+  /**
+   * Retrieves a value by key
+   * 
+   * @param {string} key - The key to retrieve
+   * @returns {Promise<any>} - The stored value or null if not found
+   */
+  async get(key) {
+    this._ensureConnected();
+    const storedKey = toKey(key);
+    
+    try {
+      return this._readValue(storedKey);
+    } catch (error) {
+      return this._handleError(error, 'Error getting value from SQLite', null);
+    }
+  }
+
+  /**
+   * Checks if a key exists
+   * 
+   * @param {string} key - The key to check
+   * @returns {Promise<boolean>} - True if the key exists
+   */
+  async has(key) {
+    this._ensureConnected();
+    
+    return Boolean(this._statement('SELECT 1 FROM kv WHERE key = ?').get(toKey(key)));
+  }
+
+  /**
+   * Deletes a value by key
+   * 
+   * @param {string} key - The key to delete
+   * @returns {Promise<boolean>} - Success status
+   */
+  async delete(key) {
+    this._ensureConnected();
+    this._ensureWritable();
+    const storedKey = toKey(key);
+    
+    try {
+      return this._statement('DELETE FROM kv WHERE key = ?').run(storedKey).changes > 0;
+    } catch (error) {
+      return this._handleError(error, 'Error deleting key from SQLite', false);
+    }
+  }
+
+  /**
+   * Gets all collections
+   * 
+   * @returns {Promise<Array>} - List of collections
+   */
+  async getCollections() {
+    this._ensureConnected();
+    
+    try {
+      // node:sqlite creates its arrays in the main context; copy them so callers
+      // running in a vm context, such as a test runner, get ordinary arrays
+      const rows = this._statement('SELECT name FROM collections ORDER BY created_at, name').all();
+      return Array.from(rows, ({ name }) => ({ name }));
+    } catch (error) {
+      return this._handleError(error, 'Error getting collections from SQLite', []);
+    }
+  }
+
+  /**
+   * Checks if a collection exists
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<boolean>} - True if the collection exists
+   */
+  async hasCollection(collection) {
+    this._ensureConnected();
+    
+    return this._collectionExists(normalizeName(collection));
+  }
+
+  /**
+   * Creates a new collection
+   * 
+   * @param {string} name - The name of the collection
+   * @returns {Promise<boolean>} - Success status
+   */
+  async createCollection(name) {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    try {
+      this._ensureCollection(normalizeName(name));
+      return true;
+    } catch (error) {
+      return this._handleError(error, 'Error creating collection in SQLite', false);
+    }
+  }
+
+  /**
+   * Inserts a document into a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} document - The document to insert
+   * @param {Object} [options] - Insert options
+   * @param {boolean} [options.overwrite=true] - Replace an existing document with the same ID
+   * @returns {Promise<boolean>} - Success status
+   * @throws {DuplicateKeyError} - If the insert violates a unique constraint, or the ID
+   *   exists and overwrite is disabled
+   * @throws {ValidationError} - If the document ID is not a string or number
+   */
+  async insert(collection, document, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    try {
+      const normalizedName = normalizeName(collection);
+      
+      this._transaction(() => {
+        this._ensureCollection(normalizedName);
+        this._insertDocument(normalizedName, document, options);
+      });
+      return true;
+    } catch (error) {
+      if (error instanceof DuplicateKeyError || error instanceof ValidationError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error inserting document in SQLite', false);
+    }
+  }
+
+  /**
+   * Finds one document in a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object|null>} - The found document or null
+   */
+  async findOne(collection, query) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    try {
+      const [doc] = this._findDocuments(normalizeName(collection), query, 1);
+      return doc || null;
+    } catch (error) {
+      return this._handleError(error, 'Error finding document in SQLite', null);
+    }
+  }
+
+  /**
+   * Finds documents in a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} [options] - Find options
+   * @param {Object} [options.sort] - Field: direction pairs, 1 ascending and -1 descending
+   * @param {number} [options.skip] - Number of documents to skip
+   * @param {number} [options.limit] - Maximum number of documents to return
+   * @param {Object} [options.projection] - Fields to include (1) or exclude (0)
+   * @returns {Promise<Array>} - Array of matching documents
+   * @throws {ValidationError} - If the options are malformed
+   */
+  async find(collection, query, options = {}) {
+    this._ensureConnected();
+    validateQuery(query);
+    validateFindOptions(options);
+    
+    try {
+      // Without a sort, stop reading once enough documents have matched
+      const docs = this._findDocuments(normalizeName(collection), query, scanLimit(options));
+      return applyFindOptions(docs, options);
+    } catch (error) {
+      return this._handleError(error, 'Error finding documents in SQLite', []);
+    }
+  }
+
+  /**
+   * Counts the documents in a collection matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<number>} - Number of matching documents
+   */
+  async count(collection, query) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    try {
+      const normalizedName = normalizeName(collection);
+      
+      if (!query || Object.keys(query).length === 0) {
+        return this._statement('SELECT COUNT(*) AS count FROM documents WHERE collection = ?')
+          .get(normalizedName).count;
+      }
+      
+      return this._findDocuments(normalizedName, query).length;
+    } catch (error) {
+      return this._handleError(error, 'Error counting documents in SQLite', 0);
+    }
+  }
+
+  /**
+   * Iterates over the documents matching a query
+   * Documents are read in batches, so memory use does not grow with the collection.
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} [query={}] - Query parameters
+   * @returns {AsyncGenerator<Object>} - Matching documents
+   */
+  async *iterate(collection, query = {}) {
+    this._ensureConnected();
+    validateQuery(query);
+    
+    const normalizedName = normalizeName(collection);
+    const scan = { scanned: 0 };
+    let returned = 0;
+    
+    // Record the scan even if the caller stops iterating early
+    try {
+      for (const doc of this._queryDocuments(normalizedName, query, scan)) {
+        returned++;
+        yield doc;
+      }
+    } finally {
+      this.scanStats.record(normalizedName, scan.scanned, returned);
+    }
+  }
+
+  /**
+   * Updates documents in a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators ($set, $inc, $push, ...)
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.multi=true] - Update every matching document rather than the first
+   * @param {boolean} [options.upsert=false] - Insert a document built from the query and
+   *   update when nothing matches
+   * @param {boolean} [options.returnDocuments=false] - Resolve to the { before, after }
+   *   documents rather than their number; before is null for an upserted document
+   * @returns {Promise<number|Array<Object>>} - Number of updated (or upserted) documents
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @throws {ValidationError} - If the update is malformed or does not apply to a document
+   */
+  async update(collection, query, update, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    validateQuery(query);
+    validateUpdate(update);
+    
+    try {
+      const normalizedName = normalizeName(collection);
+      
+      return this._transaction(() => {
+        const docs = this._findDocuments(normalizedName, query, options.multi === false ? 1 : Infinity);
+        
+        if (docs.length === 0) {
+          if (!options.upsert) {
+            return writeResult([], options);
+          }
+          
+          this._ensureCollection(normalizedName);
+          const inserted = this._insertDocument(normalizedName, buildUpsertDocument(query, update), { overwrite: false });
+          return writeResult([{ before: null, after: inserted }], options);
+        }
+        
+        const updated = this._updateDocuments(normalizedName, docs, update);
+        return writeResult(updated.map((after, i) => ({ before: docs[i], after })), options);
+      });
+    } catch (error) {
+      if (error instanceof DuplicateKeyError || error instanceof ValidationError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error updating documents in SQLite', 0);
+    }
+  }
+
+  /**
+   * Updates the first document matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.upsert=false] - Insert a document when nothing matches
+   * @returns {Promise<Object|null>} - { before, after } documents (before is null for an
+   *   upsert), or null if nothing matched
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @throws {ValidationError} - If the update is malformed or does not apply to the document
+   */
+  async findOneAndUpdate(collection, query, update, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    validateQuery(query);
+    validateUpdate(update);
+    
+    try {
+      const normalizedName = normalizeName(collection);
+      
+      return this._transaction(() => {
+        const [doc] = this._findDocuments(normalizedName, query, 1);
+        
+        if (doc) {
+          const [updated] = this._updateDocuments(normalizedName, [doc], update);
+          return { before: doc, after: updated };
+        }
+        
+        if (!options.upsert) {
+          return null;
+        }
+        
+        this._ensureCollection(normalizedName);
+        const inserted = this._insertDocument(normalizedName, buildUpsertDocument(query, update), { overwrite: false });
+        return { before: null, after: inserted };
+      });
+    } catch (error) {
+      if (error instanceof DuplicateKeyError || error instanceof ValidationError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error updating document in SQLite', null);
+    }
+  }
+
+  /**
+   * Deletes documents from a collection based on query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.returnDocuments=false] - Resolve to the deleted documents
+   *   rather than their number
+   * @returns {Promise<number|Array<Object>>} - Number of deleted documents
+   */
+  async deleteFrom(collection, query, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    validateQuery(query);
+    
+    try {
+      const normalizedName = normalizeName(collection);
+      
+      return this._transaction(() => {
+        const docs = this._findDocuments(normalizedName, query);
+        this._applyChanges(normalizedName, docs, []);
+        return writeResult(docs, options);
+      });
+    } catch (error) {
+      return this._handleError(error, 'Error deleting documents in SQLite', 0);
+    }
+  }
+
+  /**
+   * Deletes the first document matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object|null>} - The deleted document or null
+   */
+  async findOneAndDelete(collection, query) {
+    this._ensureConnected();
+    this._ensureWritable();
+    validateQuery(query);
+    
+    try {
+      const normalizedName = normalizeName(collection);
+      
+      return this._transaction(() => {
+        const [doc] = this._findDocuments(normalizedName, query, 1);
+        if (!doc) {
+          return null;
+        }
+        
+        this._applyChanges(normalizedName, [doc], []);
+        return doc;
+      });
+    } catch (error) {
+      return this._handleError(error, 'Error deleting document in SQLite', null);
+    }
+  }
+
+  /**
+   * Commits a set of writes atomically in one SQLite transaction
+   * 
+   * @param {Array<Object>} operations - { type: 'set', key, value }, { type: 'delete', key },
+   *   { type: 'put', collection, document } or { type: 'remove', collection, id }; each may
+   *   carry the `expected` document or value read, see checkExpected()
+   * @returns {Promise<boolean>} - Success status
+   * @throws {DuplicateKeyError} - If the writes violate a unique constraint
+   * @throws {TransactionConflictError} - If a document or key changed after the transaction read it
+   * @throws {Error} - If the writes could not be committed; nothing has been written
+   */
+  async applyTransaction(operations) {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    if (operations.length === 0) {
+      return true;
+    }
+    
+    this._transaction(() => {
+      // Collection name -> document ID -> final document, or null once removed
+      const touched = new Map();
+      
+      for (const operation of operations) {
+        switch (operation.type) {
+          case 'set':
+            if (operation.expected !== undefined) {
+              checkExpected(operation, this._readValue(toKey(operation.key)));
+            }
+            this._setValue(toKey(operation.key), operation.value);
+            break;
+          
+          case 'delete':
+            if (operation.expected !== undefined) {
+              checkExpected(operation, this._readValue(toKey(operation.key)));
+            }
+            this._statement('DELETE FROM kv WHERE key = ?').run(toKey(operation.key));
+            break;
+          
+          case 'put':
+          case 'remove': {
+            const normalizedName = normalizeName(operation.collection);
+            if (!touched.has(normalizedName)) {
+              touched.set(normalizedName, new Map());
+            }
+            
+            const id = toKey(operation.type === 'put' ?
+              operation.document.id || operation.document._id :
+              operation.id);
+            checkExpected(operation, this._readDocument(normalizedName, id));
+            
+            if (operation.type === 'put') {
+              this._ensureCollection(normalizedName);
+            }
+            touched.get(normalizedName).set(id, operation.type === 'put' ? operation.document : null);
+            break;
+          }
+          
+          default:
+            throw new Error(`Invalid transaction operation: ${operation.type}`);
+        }
+      }
+      
+      // Unique constraints are checked against the state after all the writes
+      for (const [normalizedName, documents] of touched) {
+        const removed = Array.from(documents.keys())
+          .map(id => this._readDocument(normalizedName, id))
+          .filter(Boolean);
+        const added = Array.from(documents.values()).filter(Boolean);
+        
+        this._applyChanges(normalizedName, removed, added);
+      }
+    });
+    
+    return true;
+  }
+
+  /**
+   * Creates a secondary index on a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {string|Array<string>} fields - Field or fields to index
+   * @param {Object} [options] - Index options
+   * @param {string} [options.name] - Custom index name
+   * @param {boolean} [options.unique=false] - Reject documents sharing a key
+   * @param {boolean} [options.sparse=false] - Skip documents missing the indexed fields
+   * @returns {Promise<string|null>} - The index name or null on failure
+   * @throws {DuplicateKeyError} - If a unique index meets existing duplicates
+   */
+  async createIndex(collection, fields, options = {}) {
+    this._ensureConnected();
+    this._ensureWritable();
+    IndexManager.normalizeFields(fields);
+    
+    try {
+      const normalizedName = normalizeName(collection);
+      
+      return this._transaction(() => {
+        this._ensureCollection(normalizedName);
+        
+        const indexes = this._indexes(normalizedName);
+        const existing = indexes.size;
+        const name = indexes.create(fields, options);
+        
+        // An identical index already exists
+        if (indexes.size === existing) {
+          return name;
+        }
+        
+        const definition = indexes.list().find(index => index.name === name);
+        this._statement('INSERT INTO index_definitions (collection, name, definition) VALUES (?, ?, ?)')
+          .run(normalizedName, name, JSON.stringify(definition));
+        
+        // Build the index from the documents already stored
+        for (const doc of this._queryDocuments(normalizedName, {})) {
+          this._addEntries(normalizedName, indexes, definition, doc);
+        }
+        
+        return name;
+      });
+    } catch (error) {
+      if (error instanceof DuplicateKeyError) {
+        throw error;
+      }
+      return this._handleError(error, 'Error creating index in SQLite', null);
+    }
+  }
+
+  /**
+   * Drops a secondary index from a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {string} name - The index name
+   * @returns {Promise<boolean>} - True if the index existed
+   */
+  async dropIndex(collection, name) {
+    this._ensureConnected();
+    this._ensureWritable();
+    
+    try {
+      const normalizedName = normalizeName(collection);
+      
+      return this._transaction(() => {
+        const { changes } = this._statement('DELETE FROM index_definitions WHERE collection = ? AND name = ?')
+          .run(normalizedName, name);
+        this._statement('DELETE FROM index_entries WHERE collection = ? AND index_name = ?')
+          .run(normalizedName, name);
+        return changes > 0;
+      });
+    } catch (error) {
+      return this._handleError(error, 'Error dropping index in SQLite', false);
+    }
+  }
+
+  /**
+   * Lists the secondary indexes of a collection
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<Array>} - Index definitions
+   */
+  async listIndexes(collection) {
+    this._ensureConnected();
+    
+    return this._indexes(normalizeName(collection)).list();
+  }
+
+  /**
+   * Finds the documents matching a query
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} query - Query parameters
+   * @param {number} [limit=Infinity] - Stop after this many matches
+   * @returns {Array<Object>} - Matching documents
+   * @private
+   */
+  _findDocuments(normalizedName, query, limit = Infinity) {
+    const documents = [];
+    
+    if (limit <= 0) {
+      return documents;
+    }
+    
+    const scan = { scanned: 0 };
+    for (const doc of this._queryDocuments(normalizedName, query, scan)) {
+      documents.push(doc);
+      
+      if (documents.length >= limit) {
+        break;
+      }
+    }
+    
+    this.scanStats.record(normalizedName, scan.scanned, documents.length);
+    return documents;
+  }
+
+  /**
+   * Yields the documents matching a query, in insertion order
+   * SQL narrows the rows using the ID, the indexes and simple field
+   * conditions; the full query is then applied to each document.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} [scan] - Counter whose `scanned` is incremented for every row read
+   * @returns {Generator<Object>} - Matching documents
+   * @private
+   */
+  *_queryDocuments(normalizedName, query, scan = { scanned: 0 }) {
+    const { where, params } = this._buildWhere(normalizedName, query);
+    const statement = this._statement(
+      `SELECT seq, doc FROM documents WHERE ${where} AND seq > ? ORDER BY seq LIMIT ${BATCH_SIZE}`
+    );
+    const matchAll = !query || Object.keys(query).length === 0;
+    
+    // Page by sequence number so writes between batches don't skip or repeat documents
+    let after = 0;
+    for (;;) {
+      const rows = statement.all(...params, after);
+      
+      scan.scanned += rows.length;
+      for (const row of rows) {
+        const doc = JSON.parse(row.doc);
+        if (matchAll || matches(doc, query)) {
+          yield doc;
+        }
+      }
+      
+      if (rows.length < BATCH_SIZE) {
+        return;
+      }
+      after = rows[rows.length - 1].seq;
+    }
+  }
+
+  /**
+   * Builds the WHERE clause that narrows a query in SQL
+   * Every condition added here is implied by the query, so no matching
+   * document is ever left out; matches() removes the remaining non-matches.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} query - Query parameters
+   * @returns {Object} - { where, params }
+   * @private
+   */
+  _buildWhere(normalizedName, query) {
+    const clauses = ['collection = ?'];
+    const params = [normalizedName];
+    
+    if (!query || Object.keys(query).length === 0) {
+      return { where: clauses[0], params };
+    }
+    
+    // If query contains ID, look up just that document
+    const id = this._queryId(query);
+    if (id !== undefined) {
+      clauses.push('id = ?');
+      params.push(String(id));
+    }
+    
+    // Narrow with every index that can answer part of the query
+    for (const lookup of this._indexes(normalizedName).lookups(query)) {
+      const entries = 'id IN (SELECT doc_id FROM index_entries WHERE collection = ? AND index_name = ? AND';
+      params.push(normalizedName, lookup.index);
+      
+      if (lookup.keys) {
+        clauses.push(`${entries} key IN (SELECT value FROM json_each(?)))`);
+        params.push(JSON.stringify(lookup.keys));
+      } else if (lookup.range.every(({ value }) => isSqlNumber(value))) {
+        // Only numeric keys have a num, which matches how compareValues() orders them
+        clauses.push(`${entries} ${lookup.range.map(({ op }) => `num ${SQL_OPERATORS[op]} ?`).join(' AND ')})`);
+        lookup.range.forEach(({ value }) => params.push(value));
+      } else {
+        // Other ranges compare their keys the way IndexManager does
+        const keys = this._statement('SELECT DISTINCT key FROM index_entries WHERE collection = ? AND index_name = ?')
+          .all(normalizedName, lookup.index)
+          .map(({ key }) => key)
+          .filter(key => IndexManager.inRange(JSON.parse(key), lookup.range));
+        clauses.push(`${entries} key IN (SELECT value FROM json_each(?)))`);
+        params.push(JSON.stringify(keys));
+      }
+    }
+    
+    // Push equality and numeric range conditions on top-level fields down to SQL.
+    // json_each() visits a scalar field once and an array field per element,
+    // which covers how matches() compares arrays.
+    for (const [field, condition] of collectConditions(query, [])) {
+      if (!SIMPLE_FIELD.test(field)) continue;
+      
+      const values = `EXISTS (SELECT 1 FROM json_each(documents.doc, ?) AS field WHERE field.value`;
+      const fieldPath = `$.${field}`;
+      
+      if (isSqlScalar(condition)) {
+        clauses.push(`${values} = ?)`);
+        params.push(fieldPath, condition);
+        continue;
+      }
+      
+      if (!isOperatorObject(condition)) continue;
+      
+      for (const [op, operand] of Object.entries(condition)) {
+        if (op === '$eq' && isSqlScalar(operand)) {
+          clauses.push(`${values} = ?)`);
+          params.push(fieldPath, operand);
+        } else if (SQL_OPERATORS[op] && isSqlNumber(operand)) {
+          clauses.push(`${values} ${SQL_OPERATORS[op]} ?)`);
+          params.push(fieldPath, operand);
+        } else if (op === '$in' && Array.isArray(operand) && operand.every(isSqlScalar)) {
+          clauses.push(`${values} IN (SELECT value FROM json_each(?)))`);
+          params.push(fieldPath, JSON.stringify(operand));
+        }
+      }
+    }
+    
+    return { where: clauses.join(' AND '), params };
+  }
+
+  /**
+   * Adds a new document, assigning its ID and timestamps
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Object} document - The document to insert
+   * @param {Object} options - Insert options
+   * @returns {Object} - The stored document
+   * @throws {DuplicateKeyError} - If the insert violates a unique constraint
+   * @private
+   */
+  _insertDocument(normalizedName, document, options) {
+    // Generate ID if not provided
+    const docWithId = { ...document };
+    if (!docWithId.id && !docWithId._id) {
+      docWithId.id = generateId();
+    }
+    
+    // Use provided ID or generated ID
+    const id = docWithId.id || docWithId._id;
+    
+    // Add timestamps
+    const now = Date.now();
+    docWithId.created_at = now;
+    docWithId.updated_at = now;
+    
+    const existing = this._readDocument(normalizedName, toKey(id));
+    
+    // Refuse to replace an existing document in insert-only mode
+    if (existing && options.overwrite === false) {
+      throw new DuplicateKeyError({
+        collection: normalizedName,
+        fields: [docWithId.id !== undefined ? 'id' : '_id'],
+        value: id,
+        conflictingId: id
+      });
+    }
+    
+    this._applyChanges(normalizedName, existing ? [existing] : [], [docWithId]);
+    return docWithId;
+  }
+
+  /**
+   * Applies an update to documents
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} docs - Current documents
+   * @param {Object} update - Plain fields or update operators
+   * @returns {Array<Object>} - The updated documents
+   * @throws {DuplicateKeyError} - If the update violates a unique constraint
+   * @private
+   */
+  _updateDocuments(normalizedName, docs, update) {
+    // Current timestamp
+    const now = Date.now();
+    
+    // Apply updates to every document before changing any of them
+    const updatedDocs = docs.map(doc => ({ ...applyUpdate(doc, update), updated_at: now }));
+    
+    this._applyChanges(normalizedName, docs, updatedDocs);
+    return updatedDocs;
+  }
+
+  /**
+   * Replaces documents and their index entries
+   * Like IndexManager.apply(), the removed documents leave the indexes before
+   * any added document is checked against unique constraints. Must run inside
+   * a transaction, which a DuplicateKeyError rolls back.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {Array<Object>} removedDocs - Documents leaving the collection (or their old versions)
+   * @param {Array<Object>} addedDocs - Documents entering the collection (or their new versions)
+   * @throws {DuplicateKeyError} - If an added document violates a unique index
+   * @private
+   */
+  _applyChanges(normalizedName, removedDocs, addedDocs) {
+    const addedIds = new Set(addedDocs.map(doc => toKey(doc.id || doc._id)));
+    
+    for (const doc of removedDocs) {
+      const id = toKey(doc.id || doc._id);
+      this._statement('DELETE FROM index_entries WHERE collection = ? AND doc_id = ?').run(normalizedName, id);
+      
+      // Documents being replaced keep their row, and with it their position
+      if (!addedIds.has(id)) {
+        this._statement('DELETE FROM documents WHERE collection = ? AND id = ?').run(normalizedName, id);
+      }
+    }
+    
+    if (addedDocs.length === 0) {
+      return;
+    }
+    
+    const indexes = this._indexes(normalizedName);
+    const definitions = indexes.list();
+    
+    for (const doc of addedDocs) {
+      for (const definition of definitions) {
+        this._addEntries(normalizedName, indexes, definition, doc);
+      }
+      
+      this._statement(
+        'INSERT INTO documents (collection, id, doc) VALUES (?, ?, ?) ' +
+        'ON CONFLICT (collection, id) DO UPDATE SET doc = excluded.doc'
+      ).run(normalizedName, toKey(doc.id || doc._id), JSON.stringify(doc));
+    }
+  }
+
+  /**
+   * Adds a document's keys to one index, checking unique constraints
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {IndexManager} indexes - Index definitions of the collection
+   * @param {Object} definition - { name, fields, unique } of the index
+   * @param {Object} doc - Document to add
+   * @throws {DuplicateKeyError} - If another document holds one of the keys of a unique index
+   * @private
+   */
+  _addEntries(normalizedName, indexes, definition, doc) {
+    const id = toKey(doc.id || doc._id);
+    
+    for (const key of indexes.keysFor(definition.name, doc)) {
+      if (definition.unique) {
+        const conflict = this._statement(
+          'SELECT doc_id FROM index_entries WHERE collection = ? AND index_name = ? AND key = ? AND doc_id <> ? LIMIT 1'
+        ).get(normalizedName, definition.name, key, id);
+        
+        if (conflict) {
+          throw new DuplicateKeyError({
+            collection: normalizedName,
+            index: definition.name,
+            fields: definition.fields,
+            value: JSON.parse(key),
+            conflictingId: conflict.doc_id
+          });
+        }
+      }
+      
+      // Numeric keys of single-field indexes are also stored as numbers for range lookups
+      const value = definition.fields.length === 1 ? JSON.parse(key) : null;
+      this._statement(
+        'INSERT OR IGNORE INTO index_entries (collection, index_name, key, num, doc_id) VALUES (?, ?, ?, ?, ?)'
+      ).run(normalizedName, definition.name, key, typeof value === 'number' ? value : null, id);
+    }
+  }
+
+  /**
+   * Loads the index definitions of a collection
+   * Read on every use, so indexes created by other processes are seen at once.
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @returns {IndexManager} - Index definitions, without entries
+   * @private
+   */
+  _indexes(normalizedName) {
+    const indexes = new IndexManager(normalizedName);
+    
+    const rows = this._statement('SELECT definition FROM index_definitions WHERE collection = ? ORDER BY name')
+      .all(normalizedName);
+    for (const { definition } of rows) {
+      const { name, fields, unique, sparse } = JSON.parse(definition);
+      indexes.create(fields, { name, unique, sparse });
+    }
+    
+    return indexes;
+  }
+
+  /**
+   * Reads a document by ID
+   * 
+   * @param {string} normalizedName - Normalized collection name
+   * @param {string} id - Document ID, as returned by toKey()
+   * @returns {Object|null} - The document or null
+   * @private
+   */
+  _readDocument(normalizedName, id) {
+    const row = this._statement('SELECT doc FROM documents WHERE collection = ? AND id = ?').get(normalizedName, id);
+    return row ? JSON.parse(row.doc) : null;
+  }
+
+  /**
+   * Reads the value of a key
+   * 
+   * @param {string} key - Key, as returned by toKey()
+   * @returns {any} - The value or null
+   * @private
+   */
+  _readValue(key) {
+    const row = this._statement('SELECT value FROM kv WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  /**
+   * Stores a key-value pair
+   * @private
+   */
+  _setValue(key, value) {
+    this._statement('INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+      .run(key, JSON.stringify(value === undefined ? null : value));
+  }
+
+  /**
+   * Creates a collection if it doesn't exist
+   * @private
+   */
+  _ensureCollection(normalizedName) {
+    this._statement('INSERT OR IGNORE INTO collections (name, created_at) VALUES (?, ?)').run(normalizedName, Date.now());
+  }
+
+  /**
+   * Checks if a collection exists
+   * @private
+   */
+  _collectionExists(normalizedName) {
+    return Boolean(this._statement('SELECT 1 FROM collections WHERE name = ?').get(normalizedName));
+  }
+
+  /**
+   * Runs a function inside a SQLite transaction
+   * The transaction takes the write lock up front, so concurrent writers
+   * wait for each other (up to the busy timeout) instead of failing midway.
+   * 
+   * @param {Function} fn - Synchronous function to run
+   * @returns {any} - The function's result
+   * @private
+   */
+  _transaction(fn) {
+    this.db.exec('BEGIN IMMEDIATE');
+    
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a prepared statement, preparing it on first use
+   * @private
+   */
+  _statement(sql) {
+    let statement = this.statements.get(sql);
+    if (!statement) {
+      statement = this.db.prepare(sql);
+      this.statements.set(sql, statement);
+    }
+    return statement;
+  }
+
+  /**
+   * Extracts a literal document ID from a query, if it has one
+   * 
+   * @param {Object} query - Query parameters
+   * @returns {string|number|undefined} - The ID or undefined if the query has no literal ID
+   * @private
+   */
+  _queryId(query) {
+    if (!query) return undefined;
+    
+    const id = query.id !== undefined ? query.id : query._id;
+    return typeof id === 'string' || typeof id === 'number' ? id : undefined;
+  }
+
+  /**
+   * Closes the database handle, if open
+   * @private
+   */
+  _closeDatabase() {
+    this.statements.clear();
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Reports an error caught by an operation
+   * In strict mode it is thrown as a HyperDB error; otherwise it is logged and
+   * the operation returns its fallback value.
+   * 
+   * @param {Error} error - The caught error
+   * @param {string} message - What failed
+   * @param {any} fallback - Value to return outside strict mode
+   * @returns {any} - The fallback value
+   * @throws {HyperDBError} - In strict mode
+   * @private
+   */
+  _handleError(error, message, fallback) {
+    if (this.strict) {
+      throw toStorageError(error, message);
+    }
+    
+    this.logger.error(message, { err: error });
+    return fallback;
+  }
+
+  /**
+   * Ensures a connection exists
+   * @private
+   */
+  _ensureConnected() {
+    if (!this.connected) {
+      throw new ConnectionError('Not connected to SQLite database');
+    }
+  }
+
+  /**
+   * Ensures the database was not opened read-only
+   * 
+   * @throws {ReadOnlyError} - If it was
+   * @private
+   */
+  _ensureWritable() {
+    if (this.readOnly) {
+      throw new ReadOnlyError('SQLite database was opened read-only');
+    }
+  }
+}
+
+module.exports = SQLiteAdapter;
@@ -0,0 +1,552 @@
+/**
+ * Aggregation Pipeline - Runs aggregation stages over a stream of documents
+ */
+
+const {
+  clone,
+  isPlainObject,
+  getPath,
+  matches,
+  validateQuery,
+  compareForSort,
+  sortDocuments,
+  projectDocument,
+  validateFindOptions
+} = require('./utils');
+const { ValidationError } = require('./errors');
+
+/**
+ * Supported pipeline stages
+ * @private
+ */
+const STAGES = [
+  '$match', '$group', '$project', '$sort', '$limit',
+  '$skip', '$unwind', '$count', '$lookup'
+];
+
+/**
+ * Fields of a $lookup stage
+ * @private
+ */
+const LOOKUP_FIELDS = ['from', 'localField', 'foreignField', 'as'];
+
+/**
+ * Number of documents $lookup joins with one query
+ * @private
+ */
+const LOOKUP_BATCH_SIZE = 100;
+
+/**
+ * Supported $group accumulators
+ * @private
+ */
+const ACCUMULATORS = ['$sum', '$avg', '$min', '$max', '$push', '$first', '$last'];
+
+/**
+ * Validates an expression: a '$field' path, '$$ROOT', a literal, or an object
+ * or array of expressions
+ * @private
+ */
+function validateExpression(expression, context) {
+  if (Array.isArray(expression)) {
+    expression.forEach(item => validateExpression(item, context));
+    return;
+  }
+  
+  if (isPlainObject(expression)) {
+    for (const [key, value] of Object.entries(expression)) {
+      if (key.startsWith('$')) {
+        throw new ValidationError(`Unsupported expression operator in ${context}: ${key}`);
+      }
+      validateExpression(value, context);
+    }
+  }
+}
+
+/**
+ * Evaluates an expression against a document
+ * @private
+ */
+function evaluate(doc, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return expression === '$$ROOT' ? doc : getPath(doc, expression.slice(1));
+  }
+  
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(doc, item));
+  }
+  
+  if (isPlainObject(expression)) {
+    const result = {};
+    for (const [key, value] of Object.entries(expression)) {
+      result[key] = evaluate(doc, value);
+    }
+    return result;
+  }
+  
+  return expression;
+}
+
+/**
+ * Gets the field path of a '$field' reference
+ * @private
+ */
+function fieldPath(reference, stage) {
+  if (typeof reference !== 'string' || !reference.startsWith('$') || reference.length < 2) {
+    throw new ValidationError(`${stage} requires a field path starting with '$'`);
+  }
+  return reference.slice(1);
+}
+
+/**
+ * Validates a single pipeline stage
+ * @private
+ */
+function validateStage(stage) {
+  if (!isPlainObject(stage) || Object.keys(stage).length !== 1) {
+    throw new ValidationError('Each pipeline stage must be an object with exactly one operator');
+  }
+  
+  const [name, spec] = Object.entries(stage)[0];
+  
+  switch (name) {
+    case '$match':
+      validateQuery(spec);
+      break;
+    
+    case '$group':
+      if (!isPlainObject(spec) || !('_id' in spec)) {
+        throw new ValidationError('$group requires an _id expression');
+      }
+      validateExpression(spec._id, '$group _id');
+      for (const [field, accumulator] of Object.entries(spec)) {
+        if (field === '_id') continue;
+        if (!isPlainObject(accumulator) || Object.keys(accumulator).length !== 1 ||
+            !ACCUMULATORS.includes(Object.keys(accumulator)[0])) {
+          throw new ValidationError(
+            `$group field '${field}' must use one accumulator: ${ACCUMULATORS.join(', ')}`
+          );
+        }
+        validateExpression(Object.values(accumulator)[0], `$group field '${field}'`);
+      }
+      break;
+    
+    case '$project': {
+      if (!isPlainObject(spec) || Object.keys(spec).length === 0) {
+        throw new ValidationError('$project requires at least one field');
+      }
+      const flags = {};
+      for (const [field, value] of Object.entries(spec)) {
+        if ([0, 1, true, false].includes(value)) {
+          flags[field] = value;
+        } else {
+          validateExpression(value, `$project field '${field}'`);
+        }
+      }
+      // Computed fields imply an inclusion projection
+      const computed = Object.keys(flags).length < Object.keys(spec).length;
+      const excludes = Object.entries(flags).some(([field, flag]) => !flag && field !== 'id' && field !== '_id');
+      if (computed && excludes) {
+        throw new ValidationError('$project cannot mix computed and excluded fields');
+      }
+      validateFindOptions({ projection: flags });
+      break;
+    }
+    
+    case '$sort':
+      validateFindOptions({ sort: spec });
+      break;
+    
+    case '$limit':
+    case '$skip':
+      if (!Number.isInteger(spec) || spec < 0) {
+        throw new ValidationError(`${name} requires a non-negative integer`);
+      }
+      break;
+    
+    case '$unwind':
+      fieldPath(isPlainObject(spec) ? spec.path : spec, '$unwind');
+      break;
+    
+    case '$count':
+      if (typeof spec !== 'string' || spec.length === 0 || spec.startsWith('$') || spec.includes('.')) {
+        throw new ValidationError('$count requires a field name');
+      }
+      break;
+    
+    case '$lookup':
+      if (!isPlainObject(spec)) {
+        throw new ValidationError(`$lookup requires ${LOOKUP_FIELDS.join(', ')}`);
+      }
+      for (const key of Object.keys(spec)) {
+        if (!LOOKUP_FIELDS.includes(key)) {
+          throw new ValidationError(`Unsupported $lookup field: ${key}. Supported: ${LOOKUP_FIELDS.join(', ')}`);
+        }
+      }
+      for (const key of LOOKUP_FIELDS) {
+        if (typeof spec[key] !== 'string' || spec[key].length === 0) {
+          throw new ValidationError(`$lookup requires a '${key}' string`);
+        }
+      }
+      for (const key of ['localField', 'foreignField']) {
+        if (spec[key].startsWith('$')) {
+          throw new ValidationError(`$lookup '${key}' must be a field path without a leading '$'`);
+        }
+      }
+      if (spec.as.startsWith('$') || spec.as.includes('.') || ['__proto__', 'constructor', 'prototype'].includes(spec.as)) {
+        throw new ValidationError('$lookup \'as\' must be a field name');
+      }
+      break;
+    
+    default:
+      throw new ValidationError(`Unsupported pipeline stage: ${name}. Supported: ${STAGES.join(', ')}`);
+  }
+}
+
+/**
+ * Creates the running state of a $group accumulator
+ * @private
+ */
+function createAccumulator(operator) {
+  switch (operator) {
+    case '$sum': return { value: 0 };
+    case '$avg': return { sum: 0, count: 0 };
+    case '$push': return { value: [] };
+    default: return { value: undefined, seen: false };
+  }
+}
+
+/**
+ * Adds a value to a $group accumulator
+ * @private
+ */
+function accumulate(operator, state, value) {
+  switch (operator) {
+    case '$sum':
+      if (typeof value === 'number') state.value += value;
+      break;
+    case '$avg':
+      if (typeof value === 'number') {
+        state.sum += value;
+        state.count++;
+      }
+      break;
+    case '$min':
+    case '$max':
+      // Missing and null values are ignored, as in MongoDB
+      if (value === undefined || value === null) break;
+      if (!state.seen || (operator === '$min' ?
+        compareForSort(value, state.value) < 0 :
+        compareForSort(value, state.value) > 0)) {
+        state.value = value;
+        state.seen = true;
+      }
+      break;
+    case '$push':
+      if (value !== undefined) state.value.push(value);
+      break;
+    case '$first':
+      if (!state.seen) {
+        state.value = value;
+        state.seen = true;
+      }
+      break;
+    case '$last':
+      state.value = value;
+      break;
+  }
+}
+
+/**
+ * Gets the final value of a $group accumulator
+ * @private
+ */
+function accumulatorResult(operator, state) {
+  if (operator === '$avg') {
+    return state.count > 0 ? state.sum / state.count : null;
+  }
+  return state.value === undefined ? null : state.value;
+}
+
+class AggregationPipeline {
+  /**
+   * Creates a new aggregation pipeline
+   * 
+   * @param {Array<Object>} stages - Pipeline stages
+   * @param {Object} [options] - Pipeline options
+   * @param {Function} [options.lookup] - async (collection, query) => documents, used by $lookup
+   * @throws {ValidationError} - If the pipeline is malformed
+   */
+  constructor(stages, options = {}) {
+    if (!Array.isArray(stages)) {
+      throw new ValidationError('An aggregation pipeline must be an array of stages');
+    }
+    stages.forEach(validateStage);
+    
+    this.stages = stages;
+    this.lookup = options.lookup;
+  }
+
+  /**
+   * Gets the query of the pipeline's leading $match stages
+   * Storage can use this query, and any index it hits, to read only the
+   * documents the pipeline will keep.
+   * 
+   * @returns {Object} - Query for the source documents
+   */
+  get sourceQuery() {
+    const queries = [];
+    for (const stage of this.stages) {
+      if (!stage.$match) break;
+      queries.push(stage.$match);
+    }
+    
+    if (queries.length === 0) return {};
+    return queries.length === 1 ? queries[0] : { $and: queries };
+  }
+
+  /**
+   * Runs the pipeline
+   * Stages stream documents through one at a time; only $group and $sort
+   * hold their input in memory.
+   * 
+   * @param {AsyncIterable<Object>} source - Documents matching sourceQuery
+   * @returns {AsyncGenerator<Object>} - Pipeline results
+   */
+  async *run(source) {
+    // The leading $match stages were applied by the source
+    let firstStage = 0;
+    while (firstStage < this.stages.length && this.stages[firstStage].$match) {
+      firstStage++;
+    }
+    
+    let documents = source;
+    for (const stage of this.stages.slice(firstStage)) {
+      const [name, spec] = Object.entries(stage)[0];
+      documents = this[`_${name.slice(1)}`](documents, spec);
+    }
+    
+    yield* documents;
+  }
+
+  /**
+   * $match stage
+   * @private
+   */
+  async *_match(documents, query) {
+    for await (const doc of documents) {
+      if (matches(doc, query)) yield doc;
+    }
+  }
+
+  /**
+   * $group stage
+   * @private
+   */
+  async *_group(documents, spec) {
+    const fields = Object.entries(spec).filter(([field]) => field !== '_id');
+    const groups = new Map();
+    
+    for await (const doc of documents) {
+      const id = evaluate(doc, spec._id);
+      const key = JSON.stringify(id === undefined ? null : id);
+      
+      if (!groups.has(key)) {
+        groups.set(key, {
+          id: id === undefined ? null : id,
+          states: fields.map(([, accumulator]) => createAccumulator(Object.keys(accumulator)[0]))
+        });
+      }
+      
+      const group = groups.get(key);
+      fields.forEach(([, accumulator], i) => {
+        const [operator, expression] = Object.entries(accumulator)[0];
+        accumulate(operator, group.states[i], evaluate(doc, expression));
+      });
+    }
+    
+    for (const group of groups.values()) {
+      const result = { _id: group.id };
+      fields.forEach(([field, accumulator], i) => {
+        result[field] = accumulatorResult(Object.keys(accumulator)[0], group.states[i]);
+      });
+      yield result;
+    }
+  }
+
+  /**
+   * $project stage
+   * @private
+   */
+  async *_project(documents, spec) {
+    const flags = {};
+    const computed = [];
+    for (const [field, value] of Object.entries(spec)) {
+      if ([0, 1, true, false].includes(value)) {
+        flags[field] = value;
+      } else {
+        computed.push([field, value]);
+      }
+    }
+    
+    const onlyComputed = computed.length > 0 &&
+      Object.keys(flags).every(field => field === 'id' || field === '_id');
+    
+    for await (const doc of documents) {
+      let result;
+      if (onlyComputed) {
+        // Keep just the ID alongside computed fields, unless it is excluded
+        result = {};
+        for (const idField of ['id', '_id']) {
+          if (doc[idField] !== undefined && (flags[idField] === undefined || flags[idField])) {
+            result[idField] = doc[idField];
+          }
+        }
+      } else {
+        result = projectDocument(doc, flags);
+      }
+      
+      for (const [field, expression] of computed) {
+        const value = evaluate(doc, expression);
+        if (value !== undefined) {
+          result[field] = clone(value);
+        }
+      }
+      yield result;
+    }
+  }
+
+  /**
+   * $sort stage
+   * @private
+   */
+  async *_sort(documents, sort) {
+    const all = [];
+    for await (const doc of documents) {
+      all.push(doc);
+    }
+    yield* sortDocuments(all, sort);
+  }
+
+  /**
+   * $limit stage
+   * @private
+   */
+  async *_limit(documents, limit) {
+    if (limit === 0) return;
+    
+    let count = 0;
+    for await (const doc of documents) {
+      yield doc;
+      if (++count >= limit) return;
+    }
+  }
+
+  /**
+   * $skip stage
+   * @private
+   */
+  async *_skip(documents, skip) {
+    let skipped = 0;
+    for await (const doc of documents) {
+      if (skipped < skip) {
+        skipped++;
+        continue;
+      }
+      yield doc;
+    }
+  }
+
+  /**
+   * $unwind stage
+   * @private
+   */
+  async *_unwind(documents, spec) {
+    const options = isPlainObject(spec) ? spec : { path: spec };
+    const path = fieldPath(options.path, '$unwind');
+    const parts = path.split('.');
+    
+    for await (const doc of documents) {
+      const value = getPath(doc, path);
+      
+      if (Array.isArray(value) && value.length > 0) {
+        for (const item of value) {
+          const result = clone(doc);
+          let parent = result;
+          for (const part of parts.slice(0, -1)) parent = parent[part];
+          parent[parts[parts.length - 1]] = item;
+          yield result;
+        }
+      } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+        // A non-array value unwinds to itself
+        yield doc;
+      } else if (options.preserveNullAndEmptyArrays) {
+        yield doc;
+      }
+    }
+  }
+
+  /**
+   * $count stage
+   * @private
+   */
+  async *_count(documents, field) {
+    let count = 0;
+    for await (const doc of documents) {
+      count++;
+    }
+    if (count > 0) {
+      yield { [field]: count };
+    }
+  }
+
+  /**
+   * $lookup stage
+   * Joins each document with the documents of another collection whose
+   * foreignField equals its localField (or any element of it, for arrays).
+   * Documents are joined in batches, with one query per batch.
+   * @private
+   */
+  async *_lookup(documents, spec) {
+    if (typeof this.lookup !== 'function') {
+      throw new ValidationError('$lookup is not available for this pipeline');
+    }
+    
+    let batch = [];
+    for await (const doc of documents) {
+      batch.push(doc);
+      if (batch.length === LOOKUP_BATCH_SIZE) {
+        yield* await this._lookupBatch(batch, spec);
+        batch = [];
+      }
+    }
+    
+    if (batch.length > 0) {
+      yield* await this._lookupBatch(batch, spec);
+    }
+  }
+
+  /**
+   * Joins a batch of documents for $lookup
+   * The foreign documents matching any local value of the batch are read with
+   * one query, then matched to each document in memory.
+   * @private
+   */
+  async _lookupBatch(batch, spec) {
+    const localValues = batch.map(doc => {
+      const local = getPath(doc, spec.localField);
+      return Array.isArray(local) ? local : [local === undefined ? null : local];
+    });
+    const values = [...new Set(localValues.flat())];
+    const joined = await this.lookup(spec.from, { [spec.foreignField]: { $in: values } });
+    
+    return batch.map((doc, i) => {
+      const query = { [spec.foreignField]: { $in: localValues[i] } };
+      const result = clone(doc);
+      result[spec.as] = joined.filter(foreign => matches(foreign, query)).map(clone);
+      return result;
+    });
+  }
+}
+
+module.exports = AggregationPipeline;
@@ -2,6 +2,8 @@
  * Cloud Sync - Provides synchronization with cloud services
  */
 
+const { loggerFor } = require('./logger');
+
 class CloudSync {
   /**
    * Creates a new cloud sync instance
@@ -9,12 +11,19 @@ class CloudSync {
    * @param {Object} config - Sync configuration
    * @param {string} config.type - Sync type ('firebase', 'supabase', 'aws', 'custom')
    * @param {Object} config.config - Provider-specific configuration
+   * @param {Object} [config.logger] - Logger, see logger.js
    * @param {Object} storage - Storage engine reference
    */
   constructor(config, storage) {
     this.config = config;
     this.storage = storage;
     this.provider = null;
+    this.logger = loggerFor(config, 'CloudSync');
+    this.stats = {
+      pending: 0,
+      synced: 0,
+      failed: 0
+    };
     
     this._initialize();
   }
@@ -26,16 +35,20 @@ class CloudSync {
   _initialize() {
     // Implementation would connect to the appropriate cloud service
     // This is a placeholder implementation
-    console.log(`Initializing cloud sync with ${this.config.type}`);
+    this.logger.info(`Initializing cloud sync with ${this.config.type}`, { provider: this.config.type });
     
     // Create a simulated provider with basic methods
     this.provider = {
       sync: async (data) => {
-        console.log(`[CloudSync] Syncing data to ${this.config.type}:`, data.key || data.collection);
+        this.logger.debug(`Syncing data to ${this.config.type}`, {
+          op: data.operation,
+          collection: data.collection,
+          key: data.key
+        });
         return true;
       },
       close: async () => {
-        console.log(`[CloudSync] Closing connection to ${this.config.type}`);
+        this.logger.info(`Closing connection to ${this.config.type}`, { provider: this.config.type });
         return true;
       }
     };
@@ -49,18 +62,35 @@ class CloudSync {
    */
   async sync(data) {
     if (!this.provider) {
-      console.error('Cloud sync provider not initialized');
+      this.logger.error('Cloud sync provider not initialized');
+      this.stats.failed++;
       return false;
     }
     
+    this.stats.pending++;
     try {
-      return await this.provider.sync(data);
+      const result = await this.provider.sync(data);
+      this.stats[result ? 'synced' : 'failed']++;
+      return result;
     } catch (error) {
-      console.error('Error syncing data to cloud:', error);
+      this.stats.failed++;
+      this.logger.error('Error syncing data to cloud', { err: error, op: data.operation, collection: data.collection, key: data.key });
       return false;
+    } finally {
+      this.stats.pending--;
     }
   }
 
+  /**
+   * Returns sync statistics
+   * 
+   * @returns {Object} - { pending, synced, failed }; pending is the number of
+   *   sync requests still in flight
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
   /**
    * Closes the cloud sync connection
    * 
@@ -74,7 +104,7 @@ class CloudSync {
     try {
       return await this.provider.close();
     } catch (error) {
-      console.error('Error closing cloud sync connection:', error);
+      this.logger.error('Error closing cloud sync connection', { err: error });
       return false;
     }
   }
@@ -0,0 +1,157 @@
+/**
+ * Collection - A handle for one document collection with a fluent API
+ */
+
+const Cursor = require('./cursor');
+
+class Collection {
+  /**
+   * Creates a new collection handle
+   * Use HyperDB#collection() rather than constructing this directly.
+   * 
+   * @param {HyperDB} db - The database instance
+   * @param {string} name - The collection name
+   */
+  constructor(db, name) {
+    this.db = db;
+    this.name = name;
+  }
+
+  /**
+   * Inserts a document into the collection
+   * 
+   * @param {Object} document - The document to insert
+   * @param {Object} [options] - Insert options
+   * @returns {Promise<boolean>} - Success status
+   */
+  async insert(document, options = {}) {
+    return await this.db.insert(this.name, document, options);
+  }
+
+  /**
+   * Finds the documents matching a query
+   * 
+   * @param {Object} [query={}] - Query parameters
+   * @returns {Cursor} - A cursor over the matching documents
+   */
+  find(query = {}) {
+    return new Cursor(this.db, this.name, query);
+  }
+
+  /**
+   * Streams the documents matching a query
+   * 
+   * @param {Object} [query={}] - Query parameters
+   * @param {Object} [options] - Stream options (skip, limit, projection, format)
+   * @returns {Readable} - Readable stream of documents
+   */
+  stream(query = {}, options = {}) {
+    return this.db.stream(this.name, query, options);
+  }
+
+  /**
+   * Runs an aggregation pipeline over the collection
+   * 
+   * @param {Array<Object>} pipeline - Pipeline stages
+   * @returns {Promise<Array>} - The pipeline results
+   */
+  async aggregate(pipeline) {
+    return await this.db.aggregate(this.name, pipeline);
+  }
+
+  /**
+   * Finds one document matching a query
+   * 
+   * @param {Object} [query={}] - Query parameters
+   * @returns {Promise<Object|null>} - The found document or null
+   */
+  async findOne(query = {}) {
+    return await this.db.findOne(this.name, query);
+  }
+
+  /**
+   * Counts the documents matching a query
+   * 
+   * @param {Object} [query={}] - Query parameters
+   * @returns {Promise<number>} - Number of matching documents
+   */
+  async count(query = {}) {
+    return await this.db.count(this.name, query);
+  }
+
+  /**
+   * Updates the documents matching a query
+   * 
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators
+   * @param {Object} [options] - Update options
+   * @returns {Promise<number>} - Number of updated (or upserted) documents
+   */
+  async update(query, update, options = {}) {
+    return await this.db.update(this.name, query, update, options);
+  }
+
+  /**
+   * Updates the first document matching a query and returns it
+   * 
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators
+   * @param {Object} [options] - Update options
+   * @returns {Promise<Object|null>} - The document or null
+   */
+  async findOneAndUpdate(query, update, options = {}) {
+    return await this.db.findOneAndUpdate(this.name, query, update, options);
+  }
+
+  /**
+   * Deletes the documents matching a query
+   * 
+   * @param {Object} query - Query parameters
+   * @returns {Promise<number>} - Number of deleted documents
+   */
+  async deleteFrom(query) {
+    return await this.db.deleteFrom(this.name, query);
+  }
+
+  /**
+   * Deletes the first document matching a query and returns it
+   * 
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object|null>} - The deleted document or null
+   */
+  async findOneAndDelete(query) {
+    return await this.db.findOneAndDelete(this.name, query);
+  }
+
+  /**
+   * Creates a secondary index on the collection
+   * 
+   * @param {string|Array<string>} fields - Field or fields to index
+   * @param {Object} [options] - Index options
+   * @returns {Promise<string|null>} - The index name or null on failure
+   */
+  async createIndex(fields, options = {}) {
+    return await this.db.createIndex(this.name, fields, options);
+  }
+
+  /**
+   * Drops a secondary index from the collection
+   * 
+   * @param {string} name - The index name
+   * @returns {Promise<boolean>} - True if the index existed
+   */
+  async dropIndex(name) {
+    return await this.db.dropIndex(this.name, name);
+  }
+
+  /**
+   * Lists the secondary indexes of the collection
+   * 
+   * @returns {Promise<Array>} - Index definitions
+   */
+  async listIndexes() {
+    return await this.db.listIndexes(this.name);
+  }
+}
+
+module.exports = Collection;
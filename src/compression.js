@@ -0,0 +1,164 @@
+/**
+ * Compression - Transparent compression of stored files
+ * 
+ * A compressed file starts with a header naming its algorithm. Files without
+ * the header are read as plain text, so compressed and uncompressed files can
+ * live side by side and compression can be switched on or off at any time.
+ */
+
+const zlib = require('zlib');
+const util = require('util');
+
+/**
+ * First bytes of a compressed file; the algorithm's ID follows
+ * JSON text never starts with a NUL byte.
+ */
+const MAGIC = Buffer.from([0x00, 0x48, 0x5a]);
+
+/**
+ * Length of the header of a compressed file
+ */
+const HEADER_LENGTH = MAGIC.length + 1;
+
+/**
+ * Brotli quality used when no level is given; brotli's own default of 11 is
+ * far too slow for a write path
+ */
+const BROTLI_QUALITY = 4;
+
+/**
+ * Supported algorithms by name
+ * @private
+ */
+const ALGORITHMS = {
+  gzip: {
+    id: 1,
+    compress: util.promisify(zlib.gzip),
+    decompress: util.promisify(zlib.gunzip),
+    options: level => (level === undefined ? {} : { level })
+  },
+  deflate: {
+    id: 2,
+    compress: util.promisify(zlib.deflate),
+    decompress: util.promisify(zlib.inflate),
+    options: level => (level === undefined ? {} : { level })
+  },
+  brotli: {
+    id: 3,
+    compress: util.promisify(zlib.brotliCompress),
+    decompress: util.promisify(zlib.brotliDecompress),
+    options: level => ({
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level === undefined ? BROTLI_QUALITY : level }
+    })
+  }
+};
+
+/**
+ * Names of the supported algorithms
+ */
+const COMPRESSION_ALGORITHMS = Object.keys(ALGORITHMS);
+
+/**
+ * Default compression options
+ */
+const DEFAULT_COMPRESSION = {
+  enabled: false,
+  algorithm: 'gzip',
+  threshold: 1024
+};
+
+/**
+ * Completes configured compression options with the defaults
+ * An algorithm name stands for { algorithm }. Naming an algorithm turns
+ * compression on unless `enabled` says otherwise.
+ * 
+ * @param {string|Object} [option] - Algorithm name or compression options
+ * @returns {Object} - Compression options
+ */
+function resolveCompression(option) {
+  const options = typeof option === 'string' ? { algorithm: option } : option || {};
+  
+  return {
+    ...DEFAULT_COMPRESSION,
+    enabled: options.algorithm !== undefined,
+    ...options
+  };
+}
+
+/**
+ * Compresses text for storage, if it is worth it
+ * Text shorter than the threshold, and text that does not get any smaller,
+ * is returned unchanged.
+ * 
+ * @param {string} content - Text to store
+ * @param {Object} options - Compression options
+ * @param {boolean} options.enabled - Compress at all
+ * @param {string} options.algorithm - 'gzip', 'deflate' or 'brotli'
+ * @param {number} options.threshold - Smallest size in bytes worth compressing
+ * @param {number} [options.level] - Compression level of the algorithm
+ * @returns {Promise<string|Buffer>} - The content to write
+ * @throws {Error} - If the algorithm is unknown
+ */
+async function compress(content, options) {
+  if (!options.enabled) {
+    return content;
+  }
+  
+  const algorithm = ALGORITHMS[options.algorithm];
+  if (!algorithm) {
+    throw new Error(`Unknown compression algorithm: ${options.algorithm}. Valid algorithms are: ${COMPRESSION_ALGORITHMS.join(', ')}`);
+  }
+  
+  const size = Buffer.byteLength(content, 'utf8');
+  if (size < options.threshold) {
+    return content;
+  }
+  
+  const compressed = await algorithm.compress(content, algorithm.options(options.level));
+  if (compressed.length + HEADER_LENGTH >= size) {
+    return content;
+  }
+  
+  return Buffer.concat([MAGIC, Buffer.from([algorithm.id]), compressed]);
+}
+
+/**
+ * Turns the content of a stored file back into text, decompressing it if it
+ * has a compression header
+ * 
+ * @param {Buffer} data - File content
+ * @returns {Promise<string>} - The text
+ * @throws {Error} - If the file names an unknown algorithm or its data is corrupt
+ */
+async function decompress(data) {
+  if (!isCompressed(data)) {
+    return data.toString('utf8');
+  }
+  
+  const id = data[MAGIC.length];
+  const algorithm = Object.values(ALGORITHMS).find(candidate => candidate.id === id);
+  if (!algorithm) {
+    throw new Error(`Unknown compression algorithm ID ${id}`);
+  }
+  
+  return (await algorithm.decompress(data.subarray(HEADER_LENGTH))).toString('utf8');
+}
+
+/**
+ * Checks if file content starts with a compression header
+ * 
+ * @param {Buffer} data - File content
+ * @returns {boolean} - True if the content is compressed
+ */
+function isCompressed(data) {
+  return data.length >= HEADER_LENGTH && data.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+module.exports = {
+  COMPRESSION_ALGORITHMS,
+  DEFAULT_COMPRESSION,
+  resolveCompression,
+  compress,
+  decompress,
+  isCompressed
+};
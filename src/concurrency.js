@@ -0,0 +1,127 @@
+/**
+ * Concurrency - Ordering and bounded parallelism for asynchronous file I/O
+ */
+
+class KeyedQueue {
+  /**
+   * Creates a queue that runs tasks one at a time per key
+   * Tasks for different keys run concurrently; tasks sharing a key run in
+   * the order they were queued.
+   */
+  constructor() {
+    this.tails = new Map();
+  }
+
+  /**
+   * Queues a task behind the tasks already queued for its keys
+   * A task with several keys waits for all of them, and later tasks for any
+   * of those keys wait for it. Keys are claimed when the task is queued, so
+   * tasks can't deadlock however their keys overlap.
+   * 
+   * @param {string|Array<string>} keys - Key or keys the task needs exclusively
+   * @param {Function} task - Function to run, may return a promise
+   * @returns {Promise<any>} - The task's result
+   */
+  run(keys, task) {
+    const list = [...new Set([].concat(keys))];
+    const previous = list.map(key => this.tails.get(key)).filter(Boolean);
+    
+    const result = Promise.all(previous).then(() => task());
+    const tail = result.then(() => {}, () => {});
+    
+    list.forEach(key => this.tails.set(key, tail));
+    tail.then(() => {
+      list.forEach(key => {
+        if (this.tails.get(key) === tail) {
+          this.tails.delete(key);
+        }
+      });
+    });
+    
+    return result;
+  }
+
+  /**
+   * Waits until every queued task has finished
+   * 
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    while (this.tails.size > 0) {
+      await Promise.all(this.tails.values());
+    }
+  }
+}
+
+/**
+ * Maps items with an async function, running at most `limit` calls at once
+ * Calls start in item order. After a call fails no new calls start, and the
+ * first error is thrown once the running calls have finished.
+ * 
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function taking an item and its index
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+  
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  const outcomes = await Promise.allSettled(workers);
+  const rejected = outcomes.find(outcome => outcome.status === 'rejected');
+  if (rejected) {
+    throw rejected.reason;
+  }
+  
+  return results;
+}
+
+/**
+ * Maps items with an async function, keeping up to `limit` calls running
+ * ahead of the consumer
+ * Results are yielded in item order, and no more than `limit` results are
+ * held at a time, so memory use stays bounded for any number of items.
+ * 
+ * @param {Iterable|AsyncIterable} items - Items to map
+ * @param {number} limit - Maximum number of calls running ahead
+ * @param {Function} fn - Async function taking an item
+ * @returns {AsyncGenerator<any>} - Results in item order
+ */
+async function* readAhead(items, limit, fn) {
+  const pending = [];
+  
+  for await (const item of items) {
+    const promise = Promise.resolve().then(() => fn(item));
+    // Results abandoned when the consumer stops early must not go unhandled
+    promise.catch(() => {});
+    pending.push(promise);
+    
+    if (pending.length >= limit) {
+      yield await pending.shift();
+    }
+  }
+  
+  while (pending.length > 0) {
+    yield await pending.shift();
+  }
+}
+
+module.exports = {
+  KeyedQueue,
+  mapConcurrent,
+  readAhead
+};
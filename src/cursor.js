@@ -0,0 +1,153 @@
+/**
+ * Cursor - Chainable, thenable query results for a document collection
+ */
+
+const { validateFindOptions } = require('./utils');
+
+class Cursor {
+  /**
+   * Creates a new cursor
+   * Cursors are lazy: the query runs when the cursor is awaited, converted
+   * with toArray() or iterated.
+   * 
+   * @param {HyperDB} db - The database instance
+   * @param {string} collection - The collection name
+   * @param {Object} [query={}] - Query parameters
+   */
+  constructor(db, collection, query = {}) {
+    this.db = db;
+    this.collection = collection;
+    this.query = query;
+    this.options = {};
+  }
+
+  /**
+   * Sorts the results
+   * 
+   * @param {Object} sort - Field: direction pairs, 1 ascending and -1 descending
+   * @returns {Cursor} - This cursor
+   */
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  /**
+   * Skips the first results
+   * 
+   * @param {number} count - Number of documents to skip
+   * @returns {Cursor} - This cursor
+   */
+  skip(count) {
+    this.options.skip = count;
+    return this;
+  }
+
+  /**
+   * Limits the number of results
+   * 
+   * @param {number} count - Maximum number of documents to return (0 for no limit)
+   * @returns {Cursor} - This cursor
+   */
+  limit(count) {
+    this.options.limit = count;
+    return this;
+  }
+
+  /**
+   * Selects the fields to return
+   * 
+   * @param {Object} projection - Fields to include (1) or exclude (0)
+   * @returns {Cursor} - This cursor
+   */
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  /**
+   * Counts the documents matching the query
+   * Skip and limit are ignored, so the count can be used for paging.
+   * 
+   * @returns {Promise<number>} - Number of matching documents
+   */
+  async count() {
+    return await this.db.count(this.collection, this.query);
+  }
+
+  /**
+   * Counts the documents the cursor returns
+   * Unlike count(), skip and limit are applied.
+   * 
+   * @returns {Promise<number>} - Number of documents the query returns
+   * @throws {ValidationError} - If skip or limit is malformed
+   */
+  async size() {
+    const { skip = 0, limit = 0 } = this.options;
+    validateFindOptions({ skip, limit });
+    
+    const remaining = Math.max(await this.count() - skip, 0);
+    return limit > 0 ? Math.min(remaining, limit) : remaining;
+  }
+
+  /**
+   * Runs the query
+   * 
+   * @returns {Promise<Array>} - Array of matching documents
+   */
+  async toArray() {
+    return await this.db.find(this.collection, this.query, { ...this.options });
+  }
+
+  /**
+   * Runs the query when the cursor is awaited
+   * 
+   * @param {Function} [onFulfilled] - Called with the results
+   * @param {Function} [onRejected] - Called with the error
+   * @returns {Promise<any>}
+   */
+  then(onFulfilled, onRejected) {
+    return this.toArray().then(onFulfilled, onRejected);
+  }
+
+  /**
+   * Handles an error from running the query
+   * 
+   * @param {Function} onRejected - Called with the error
+   * @returns {Promise<any>}
+   */
+  catch(onRejected) {
+    return this.toArray().catch(onRejected);
+  }
+
+  /**
+   * Streams the results
+   * 
+   * @param {Object} [options] - Stream options
+   * @param {string} [options.format='objects'] - 'objects' or 'ndjson'
+   * @returns {Readable} - Readable stream of documents
+   * @throws {ValidationError} - If the cursor is sorted
+   */
+  stream(options = {}) {
+    return this.db.stream(this.collection, this.query, { ...this.options, ...options });
+  }
+
+  /**
+   * Iterates over the results with for await...of
+   * Unsorted cursors read documents lazily; sorting needs every match first.
+   * 
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *[Symbol.asyncIterator]() {
+    if (!this.options.sort) {
+      yield* this.stream();
+      return;
+    }
+    
+    for (const doc of await this.toArray()) {
+      yield doc;
+    }
+  }
+}
+
+module.exports = Cursor;
@@ -0,0 +1,245 @@
+/**
+ * Error classes raised by HyperDB
+ * 
+ * Every class extends HyperDBError and carries a machine-readable `code`.
+ * Errors wrapping a lower-level failure keep it as `cause`.
+ */
+
+class HyperDBError extends Error {
+  /**
+   * Creates an error raised by HyperDB
+   * 
+   * @param {string} message - Error message
+   * @param {string} code - Machine-readable error code
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - The error that caused this one
+   */
+  constructor(message, code, options) {
+    super(message, options);
+    this.name = 'HyperDBError';
+    this.code = code;
+  }
+}
+
+class DuplicateKeyError extends HyperDBError {
+  /**
+   * Creates a duplicate-key error
+   * 
+   * @param {Object} details - Conflict details
+   * @param {string} details.collection - Collection name
+   * @param {Array<string>} details.fields - Fields of the violated constraint
+   * @param {any} details.value - Duplicated key value (an array for compound keys)
+   * @param {string|number} details.conflictingId - ID of the document already holding the key
+   * @param {string} [details.index] - Name of the violated index
+   */
+  constructor({ collection, fields, value, conflictingId, index }) {
+    super(
+      `Duplicate key in collection '${collection}': ${fields.join(', ')} ` +
+      `${JSON.stringify(value)} is already used by document '${conflictingId}'`,
+      'DUPLICATE_KEY'
+    );
+    this.name = 'DuplicateKeyError';
+    this.collection = collection;
+    this.index = index || fields.join('_');
+    this.fields = fields;
+    this.field = fields.join(', ');
+    this.value = value;
+    this.conflictingId = conflictingId;
+  }
+}
+
+class ValidationError extends HyperDBError {
+  /**
+   * Creates a validation error for a malformed request
+   * 
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message, 'VALIDATION_ERROR');
+    this.name = 'ValidationError';
+  }
+}
+
+class NotFoundError extends HyperDBError {
+  /**
+   * Creates an error for a key, collection or index that does not exist
+   * 
+   * @param {string} message - Error message
+   * @param {Object} [details] - What was not found
+   * @param {string|number} [details.key] - Key
+   * @param {string} [details.collection] - Collection name
+   * @param {string} [details.index] - Index name
+   */
+  constructor(message, { key, collection, index } = {}) {
+    super(message, 'NOT_FOUND');
+    this.name = 'NotFoundError';
+    this.key = key;
+    this.collection = collection;
+    this.index = index;
+  }
+}
+
+class CorruptionError extends HyperDBError {
+  /**
+   * Creates an error for stored data that can't be read back
+   * 
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {string} [details.file] - Path of the damaged file
+   * @param {Error} [details.cause] - The parse or decompression error
+   */
+  constructor(message, { file, cause } = {}) {
+    super(message, 'CORRUPTION', { cause });
+    this.name = 'CorruptionError';
+    this.file = file;
+  }
+}
+
+class StorageIOError extends HyperDBError {
+  /**
+   * Creates an error for a failed read or write of the underlying storage
+   * 
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {Error} [details.cause] - The file system or database error
+   */
+  constructor(message, { cause } = {}) {
+    super(message, 'STORAGE_IO', { cause });
+    this.name = 'StorageIOError';
+  }
+}
+
+class ConnectionError extends HyperDBError {
+  /**
+   * Creates an error for storage that could not be opened, or was used while closed
+   * 
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {Error} [details.cause] - The error raised while connecting
+   */
+  constructor(message, { cause } = {}) {
+    super(message, 'CONNECTION_FAILED', { cause });
+    this.name = 'ConnectionError';
+  }
+}
+
+class LockTimeoutError extends HyperDBError {
+  /**
+   * Creates an error for a lock that could not be acquired in time
+   * 
+   * @param {Object} details - Lock details
+   * @param {string} details.resource - Name of the locked resource
+   * @param {number} details.timeout - Time waited in ms
+   * @param {Object|null} [details.holder] - { pid, hostname } of the current holder, if known
+   */
+  constructor({ resource, timeout, holder }) {
+    super(
+      `Timed out after ${timeout}ms waiting for lock '${resource}'` +
+      (holder ? ` held by process ${holder.pid} on ${holder.hostname}` : ''),
+      'LOCK_TIMEOUT'
+    );
+    this.name = 'LockTimeoutError';
+    this.resource = resource;
+    this.timeout = timeout;
+    this.holder = holder || null;
+  }
+}
+
+class TransactionConflictError extends HyperDBError {
+  /**
+   * Creates an error for a transaction whose reads were changed by another write
+   * before it committed
+   * 
+   * @param {Object} details - Conflict details
+   * @param {string} [details.collection] - Collection name, for a document
+   * @param {string|number} [details.id] - ID of the document that changed
+   * @param {string} [details.key] - Key that changed, for a key-value entry
+   */
+  constructor({ collection, id, key }) {
+    super(
+      key !== undefined ?
+        `Transaction conflict: key '${key}' was changed after the transaction read it` :
+        `Transaction conflict: document '${id}' in collection '${collection}' ` +
+        'was changed after the transaction read it',
+      'TRANSACTION_CONFLICT'
+    );
+    this.name = 'TransactionConflictError';
+    this.collection = collection;
+    this.id = id;
+    this.key = key;
+  }
+}
+
+class TransactionInactiveError extends HyperDBError {
+  /**
+   * Creates an error for a transaction used after it committed or failed
+   */
+  constructor() {
+    super('Transaction is no longer active', 'TRANSACTION_INACTIVE');
+    this.name = 'TransactionInactiveError';
+  }
+}
+
+class ReadOnlyError extends HyperDBError {
+  /**
+   * Creates an error for a write to storage opened read-only
+   * 
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message, 'READ_ONLY');
+    this.name = 'ReadOnlyError';
+  }
+}
+
+class UnsupportedOperationError extends HyperDBError {
+  /**
+   * Creates an error for an operation the storage adapter does not implement
+   * 
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {string} [details.operation] - Name of the adapter method
+   */
+  constructor(message, { operation } = {}) {
+    super(message, 'UNSUPPORTED_OPERATION');
+    this.name = 'UnsupportedOperationError';
+    this.operation = operation;
+  }
+}
+
+/**
+ * Converts an error caught by a storage operation into a HyperDB error
+ * HyperDB errors are returned as they are, data that failed to parse becomes
+ * a CorruptionError, and anything else a StorageIOError.
+ * 
+ * @param {Error} error - The caught error
+ * @param {string} message - What was being done, e.g. 'Error inserting document in FileStore'
+ * @returns {HyperDBError} - The error to throw
+ */
+function toStorageError(error, message) {
+  if (error instanceof HyperDBError) {
+    return error;
+  }
+  
+  if (error instanceof SyntaxError) {
+    return new CorruptionError(`${message}: ${error.message}`, { cause: error });
+  }
+  
+  return new StorageIOError(`${message}: ${error.message}`, { cause: error });
+}
+
+module.exports = {
+  HyperDBError,
+  DuplicateKeyError,
+  ValidationError,
+  NotFoundError,
+  CorruptionError,
+  StorageIOError,
+  ConnectionError,
+  LockTimeoutError,
+  TransactionConflictError,
+  TransactionInactiveError,
+  ReadOnlyError,
+  UnsupportedOperationError,
+  toStorageError
+};
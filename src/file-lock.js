@@ -0,0 +1,319 @@
+/**
+ * File Lock - Advisory lock files that coordinate processes sharing a data directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { encodeFileName, isProcessAlive } = require('./file-utils');
+const { LockTimeoutError } = require('./errors');
+
+/**
+ * Lock files held by this process, removed if the process exits while holding them
+ * @private
+ */
+const heldLocks = new Set();
+
+/**
+ * Registers the exit handler that removes held lock files
+ * @private
+ */
+let exitHandlerRegistered = false;
+function registerExitHandler() {
+  if (exitHandlerRegistered) return;
+  exitHandlerRegistered = true;
+  
+  process.on('exit', () => {
+    for (const lock of heldLocks) {
+      lock.release();
+    }
+  });
+}
+
+/**
+ * Waits for a number of milliseconds
+ * @private
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class FileLock {
+  /**
+   * Creates a lock backed by a lock file
+   * The lock is held while the file exists. It records the holder's process ID
+   * and host, so a lock left by a process that died can be taken over.
+   * 
+   * @param {string} file - Lock file path
+   * @param {Object} [options] - Lock options
+   * @param {number} [options.timeout=10000] - How long acquire() waits, in ms
+   * @param {number} [options.staleTimeout=30000] - Age in ms after which a lock that is
+   *   not refreshed counts as abandoned
+   * @param {string} [options.resource] - Resource name used in error messages
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.timeout = options.timeout !== undefined ? options.timeout : 10000;
+    this.staleTimeout = options.staleTimeout || 30000;
+    this.resource = options.resource || path.basename(file, '.lock');
+    this.token = null;
+    this.keepAliveTimer = null;
+  }
+
+  /**
+   * Checks if this lock is currently held
+   * 
+   * @returns {boolean} - True if held
+   */
+  get held() {
+    return this.token !== null;
+  }
+
+  /**
+   * Acquires the lock, waiting for other holders to release it
+   * 
+   * @param {Object} [options] - Acquire options
+   * @param {boolean} [options.keepAlive=false] - Refresh the lock file periodically so a
+   *   long-held lock never looks stale
+   * @returns {Promise<FileLock>} - This lock
+   * @throws {LockTimeoutError} - If the lock is not released within the timeout
+   */
+  async acquire(options = {}) {
+    const deadline = Date.now() + this.timeout;
+    let delay = 5;
+    
+    while (!this.tryAcquire()) {
+      if (Date.now() >= deadline) {
+        throw new LockTimeoutError({
+          resource: this.resource,
+          timeout: this.timeout,
+          holder: this._readHolder()
+        });
+      }
+      
+      // Back off with jitter so waiting processes don't retry in lockstep
+      await sleep(Math.min(delay, Math.max(deadline - Date.now(), 1)) + Math.random() * delay);
+      delay = Math.min(delay * 2, 100);
+    }
+    
+    if (options.keepAlive) {
+      this.keepAliveTimer = setInterval(() => this.refresh(), Math.max(this.staleTimeout / 3, 10));
+      this.keepAliveTimer.unref();
+    }
+    
+    return this;
+  }
+
+  /**
+   * Tries to acquire the lock without waiting
+   * 
+   * @returns {boolean} - True if the lock was acquired
+   */
+  tryAcquire() {
+    if (this.held) {
+      throw new Error(`Lock '${this.resource}' is already held by this handle`);
+    }
+    
+    const token = crypto.randomBytes(8).toString('hex');
+    const holder = { pid: process.pid, hostname: os.hostname(), token, acquired_at: Date.now() };
+    
+    try {
+      // 'wx' fails if the file exists, which makes creating it the atomic acquire
+      fs.writeFileSync(this.file, JSON.stringify(holder), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      
+      if (this._removeIfStale()) {
+        return this.tryAcquire();
+      }
+      return false;
+    }
+    
+    this.token = token;
+    heldLocks.add(this);
+    registerExitHandler();
+    return true;
+  }
+
+  /**
+   * Marks the lock as still in use so other processes don't treat it as stale
+   */
+  refresh() {
+    if (!this.held) return;
+    
+    try {
+      const now = new Date();
+      fs.utimesSync(this.file, now, now);
+    } catch (error) {
+      // The lock file is gone; nothing to refresh
+    }
+  }
+
+  /**
+   * Releases the lock
+   * Only removes the lock file if it is still the one this handle created.
+   */
+  release() {
+    if (!this.held) return;
+    
+    if (this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+    
+    const holder = this._readHolder();
+    if (holder && holder.token === this.token) {
+      fs.rmSync(this.file, { force: true });
+    }
+    
+    this.token = null;
+    heldLocks.delete(this);
+  }
+
+  /**
+   * Reads the holder recorded in the lock file
+   * 
+   * @returns {Object|null} - { pid, hostname, token, acquired_at }, or null if the file
+   *   is missing or not yet written
+   * @private
+   */
+  _readHolder() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Removes the lock file if its holder died or stopped refreshing it
+   * The file is renamed away before it is removed, so when several processes
+   * find the same stale lock only one of them takes it over.
+   * 
+   * @returns {boolean} - True if a stale lock was removed
+   * @private
+   */
+  _removeIfStale() {
+    let stat;
+    let content;
+    try {
+      stat = fs.statSync(this.file);
+      content = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      // Released in the meantime
+      return error.code === 'ENOENT';
+    }
+    
+    let holder = null;
+    try {
+      holder = JSON.parse(content);
+    } catch (error) {
+      // Not yet written by its creator
+    }
+    const deadHolder = holder && holder.hostname === os.hostname() && !isProcessAlive(holder.pid);
+    const expired = Date.now() - stat.mtimeMs > this.staleTimeout;
+    
+    if (!deadHolder && !expired) {
+      return false;
+    }
+    
+    const claimed = `${this.file}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.stale`;
+    try {
+      fs.renameSync(this.file, claimed);
+    } catch (error) {
+      // Another process took it over first
+      return false;
+    }
+    
+    // Between the check and the rename another process may have replaced the
+    // stale lock with a live one; if so, put it back
+    if (fs.readFileSync(claimed, 'utf8') !== content) {
+      try {
+        fs.linkSync(claimed, this.file);
+      } catch (error) {
+        // A newer lock already exists
+      }
+      fs.rmSync(claimed, { force: true });
+      return false;
+    }
+    
+    fs.rmSync(claimed, { force: true });
+    return true;
+  }
+}
+
+class LockManager {
+  /**
+   * Creates a lock manager for a directory of lock files
+   * 
+   * @param {string} dir - Directory holding the lock files
+   * @param {Object} [options] - Options passed to every FileLock
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.options = options;
+    this.held = new Set();
+  }
+
+  /**
+   * Creates a lock for a named resource
+   * 
+   * @param {string} resource - Resource name
+   * @returns {FileLock} - The lock, not yet acquired
+   */
+  lock(resource) {
+    return new FileLock(path.join(this.dir, `${encodeFileName(resource)}.lock`), {
+      ...this.options,
+      resource
+    });
+  }
+
+  /**
+   * Runs a function while holding locks on resources
+   * Locks are acquired in sorted order, so two callers locking overlapping
+   * resources can't deadlock. They are kept alive while the function runs, so
+   * a function running longer than staleTimeout doesn't lose them.
+   * 
+   * @param {Array<string>} resources - Resource names
+   * @param {Function} fn - Function to run
+   * @returns {Promise<any>} - The function's result
+   * @throws {LockTimeoutError} - If a lock is not acquired within the timeout
+   */
+  async withLocks(resources, fn) {
+    const locks = [...new Set(resources)].sort().map(resource => this.lock(resource));
+    const acquired = [];
+    
+    try {
+      for (const lock of locks) {
+        await lock.acquire({ keepAlive: true });
+        acquired.push(lock);
+        this.held.add(lock);
+      }
+      
+      return await fn();
+    } finally {
+      for (const lock of acquired.reverse()) {
+        lock.release();
+        this.held.delete(lock);
+      }
+    }
+  }
+
+  /**
+   * Releases every lock held through this manager
+   */
+  releaseAll() {
+    for (const lock of this.held) {
+      lock.release();
+    }
+    this.held.clear();
+  }
+}
+
+module.exports = {
+  FileLock,
+  LockManager
+};
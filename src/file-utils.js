@@ -0,0 +1,316 @@
+/**
+ * File Utilities - Crash-safe file writes for file-based adapters
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+
+/**
+ * Suffix of the temporary files written before they are renamed into place
+ */
+const TEMP_SUFFIX = '.tmp';
+
+/**
+ * Longest encoded name kept in full, leaving room for the '.json' extension
+ * and the temporary-file suffix within the usual 255-byte filename limit
+ */
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Names Windows reserves regardless of extension
+ * @private
+ */
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/;
+
+/**
+ * Bytes kept as-is by encodeFileName: lowercase letters, digits, '_' and '-'
+ * @private
+ */
+function isSafeByte(byte) {
+  return (byte >= 0x61 && byte <= 0x7a) ||
+    (byte >= 0x30 && byte <= 0x39) ||
+    byte === 0x5f || byte === 0x2d;
+}
+
+/**
+ * Encodes a key or document ID as a filesystem-safe file name
+ * Lowercase letters, digits, '_' and '-' are kept; every other UTF-8 byte,
+ * including uppercase letters, becomes '~' and two lowercase hex digits. The
+ * result is the same on case-sensitive and case-insensitive filesystems,
+ * never contains a path separator or dot, and avoids reserved Windows names.
+ * Names longer than MAX_NAME_LENGTH are truncated and suffixed with '~~' and
+ * a hash of the key, so they stay unique but can no longer be decoded.
+ *
+ * @param {string|number} key - Key or document ID
+ * @returns {string} - Encoded name, without extension
+ * @throws {ValidationError} - If the key is empty or not a string or number
+ */
+function encodeFileName(key) {
+  if ((typeof key !== 'string' && typeof key !== 'number') || key === '') {
+    throw new ValidationError('Keys and document IDs must be non-empty strings or numbers');
+  }
+
+  let encoded = '';
+  for (const byte of Buffer.from(String(key), 'utf8')) {
+    encoded += isSafeByte(byte) ?
+      String.fromCharCode(byte) :
+      `~${byte.toString(16).padStart(2, '0')}`;
+  }
+
+  if (RESERVED_NAMES.test(encoded)) {
+    encoded = `~${encoded.charCodeAt(0).toString(16)}${encoded.slice(1)}`;
+  }
+
+  if (encoded.length > MAX_NAME_LENGTH) {
+    // Don't cut an escape sequence in half
+    let prefix = encoded.slice(0, MAX_NAME_LENGTH - 50);
+    const lastEscape = prefix.lastIndexOf('~');
+    if (lastEscape > prefix.length - 3) {
+      prefix = prefix.slice(0, lastEscape);
+    }
+
+    const hash = crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 40);
+    encoded = `${prefix}~~${hash}`;
+  }
+
+  return encoded;
+}
+
+/**
+ * Decodes a file name produced by encodeFileName
+ *
+ * @param {string} name - Encoded name, without extension
+ * @returns {string|null} - The original key, or null for truncated names
+ */
+function decodeFileName(name) {
+  if (name.includes('~~')) {
+    return null;
+  }
+
+  const bytes = [];
+  for (let i = 0; i < name.length; i++) {
+    if (name[i] === '~') {
+      bytes.push(parseInt(name.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(name.charCodeAt(i));
+    }
+  }
+
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Resolves a file name inside a directory, refusing any path that escapes it
+ *
+ * @param {string} dir - Base directory
+ * @param {string} name - File name or relative path
+ * @returns {string} - Absolute file path
+ * @throws {ValidationError} - If the path resolves outside the directory
+ */
+function resolveInside(dir, name) {
+  const base = path.resolve(dir);
+  const file = path.resolve(base, name);
+
+  if (!file.startsWith(base + path.sep)) {
+    throw new ValidationError(`Path '${name}' resolves outside the data directory`);
+  }
+
+  return file;
+}
+
+/**
+ * Flushes a directory entry to disk so a rename or unlink in it survives a crash
+ * Some platforms (notably Windows) cannot open directories; there the rename
+ * itself is the best guarantee available.
+ *
+ * @param {string} dir - Directory path
+ */
+function fsyncDirSync(dir) {
+  let fd;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    if (!['EISDIR', 'EPERM', 'EACCES', 'EINVAL'].includes(error.code)) {
+      throw error;
+    }
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * Writes a file atomically
+ * The content goes to a temporary file in the same directory, which is
+ * fsynced and then renamed over the target, so readers see either the old
+ * file or the complete new one, never a truncated file.
+ *
+ * @param {string} file - Target file path
+ * @param {string|Buffer} content - File content
+ */
+function atomicWriteFileSync(file, content) {
+  const dir = path.dirname(file);
+  const tempFile = `${file}.${process.pid}-${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+
+  const fd = fs.openSync(tempFile, 'w');
+  try {
+    fs.writeFileSync(fd, content, typeof content === 'string' ? 'utf8' : undefined);
+    fs.fsyncSync(fd);
+  } catch (error) {
+    fs.closeSync(fd);
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+  fs.closeSync(fd);
+
+  try {
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+
+  fsyncDirSync(dir);
+}
+
+/**
+ * Asynchronous counterpart of fsyncDirSync
+ *
+ * @param {string} dir - Directory path
+ * @returns {Promise<void>}
+ */
+async function fsyncDir(dir) {
+  let handle;
+  try {
+    handle = await fs.promises.open(dir, 'r');
+    await handle.sync();
+  } catch (error) {
+    if (!['EISDIR', 'EPERM', 'EACCES', 'EINVAL'].includes(error.code)) {
+      throw error;
+    }
+  } finally {
+    if (handle !== undefined) {
+      await handle.close();
+    }
+  }
+}
+
+/**
+ * Asynchronous counterpart of atomicWriteFileSync, with the same guarantees
+ * Concurrent writes to the same file may complete in any order, so callers
+ * that need ordering must queue them.
+ *
+ * @param {string} file - Target file path
+ * @param {string|Buffer} content - File content
+ * @returns {Promise<void>}
+ */
+async function atomicWriteFile(file, content) {
+  const dir = path.dirname(file);
+  const tempFile = `${file}.${process.pid}-${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+
+  const handle = await fs.promises.open(tempFile, 'w');
+  try {
+    await handle.writeFile(content, typeof content === 'string' ? 'utf8' : undefined);
+    await handle.sync();
+  } catch (error) {
+    await handle.close();
+    await fs.promises.rm(tempFile, { force: true });
+    throw error;
+  }
+  await handle.close();
+
+  try {
+    await fs.promises.rename(tempFile, file);
+  } catch (error) {
+    await fs.promises.rm(tempFile, { force: true });
+    throw error;
+  }
+
+  await fsyncDir(dir);
+}
+
+/**
+ * Checks if a process is running on this host
+ *
+ * @param {number} pid - Process ID
+ * @returns {boolean} - True if the process exists
+ */
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false;
+  }
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Gets the ID of the process that wrote a temporary file
+ * @private
+ */
+function tempFileOwner(name) {
+  const match = /\.(\d+)-[0-9a-f]+\.tmp$/.exec(name);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Checks if a file name is a temporary file left by atomicWriteFileSync
+ *
+ * @param {string} name - File name
+ * @returns {boolean} - True for temporary files
+ */
+function isTempFile(name) {
+  return name.endsWith(TEMP_SUFFIX);
+}
+
+/**
+ * Removes the temporary files left in directories by interrupted writes
+ * Files written by processes that are still running are in-flight writes of
+ * another process sharing the directory, and are left alone.
+ *
+ * @param {Array<string>} dirs - Directories to clean; missing directories are skipped
+ * @returns {Array<string>} - Paths of the files removed
+ */
+function removeTempFiles(dirs) {
+  const removed = [];
+
+  for (const dir of dirs) {
+    if (!fs.existsSync(dir)) continue;
+
+    for (const name of fs.readdirSync(dir)) {
+      const owner = tempFileOwner(name);
+      if (isTempFile(name) && (owner === process.pid || !isProcessAlive(owner))) {
+        const file = path.join(dir, name);
+        fs.rmSync(file, { force: true });
+        removed.push(file);
+      }
+    }
+  }
+
+  return removed;
+}
+
+module.exports = {
+  TEMP_SUFFIX,
+  MAX_NAME_LENGTH,
+  encodeFileName,
+  decodeFileName,
+  resolveInside,
+  fsyncDirSync,
+  fsyncDir,
+  atomicWriteFileSync,
+  atomicWriteFile,
+  isProcessAlive,
+  isTempFile,
+  removeTempFiles
+};
@@ -0,0 +1,625 @@
+/**
+ * Index Manager - Maintains secondary indexes for a document collection
+ */
+
+const { getPathValues, isOperatorObject, compareValues } = require('./utils');
+const { DuplicateKeyError } = require('./errors');
+
+/**
+ * Range operators that can be answered from a single-field index
+ * @private
+ */
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+
+/**
+ * Checks if a value can be used as an index key
+ * @private
+ */
+function isIndexable(value) {
+  return value === null ||
+    typeof value === 'string' ||
+    typeof value === 'number' ||
+    typeof value === 'boolean';
+}
+
+class IndexManager {
+  /**
+   * Creates a new index manager for one collection
+   * 
+   * @param {string} collection - Collection name, used in error messages
+   * @param {Object} [data] - Serialized indexes as produced by toJSON()
+   */
+  constructor(collection, data) {
+    this.collection = collection;
+    this.indexes = new Map();
+    
+    if (data && Array.isArray(data.indexes)) {
+      for (const index of data.indexes) {
+        this.indexes.set(index.name, {
+          name: index.name,
+          fields: index.fields,
+          unique: Boolean(index.unique),
+          sparse: Boolean(index.sparse),
+          entries: new Map(index.entries.map(([key, ids]) => [key, new Set(ids)]))
+        });
+      }
+    }
+  }
+
+  /**
+   * Builds the default name of an index from its fields
+   * 
+   * @param {Array<string>} fields - Indexed fields
+   * @returns {string} - Index name
+   */
+  static indexName(fields) {
+    return fields.join('_');
+  }
+
+  /**
+   * Normalizes and validates the fields of an index definition
+   * 
+   * @param {string|Array<string>} fields - Field or fields to index
+   * @returns {Array<string>} - Field list
+   * @throws {Error} - If the fields are invalid
+   */
+  static normalizeFields(fields) {
+    const fieldList = Array.isArray(fields) ? fields : [fields];
+    
+    if (fieldList.length === 0 || !fieldList.every(field => typeof field === 'string' && field)) {
+      throw new Error('Index fields must be non-empty strings');
+    }
+    
+    return fieldList;
+  }
+
+  /**
+   * Number of indexes defined on the collection
+   * 
+   * @returns {number} - Index count
+   */
+  get size() {
+    return this.indexes.size;
+  }
+
+  /**
+   * Creates an index and populates it from existing documents
+   * 
+   * @param {string|Array<string>} fields - Field or fields to index
+   * @param {Object} [options] - Index options
+   * @param {string} [options.name] - Custom index name
+   * @param {boolean} [options.unique=false] - Reject documents sharing a key
+   * @param {boolean} [options.sparse=false] - Skip documents missing the indexed fields
+   * @param {Iterable<Object>} [documents=[]] - Existing documents
+   * @returns {string} - Index name
+   * @throws {DuplicateKeyError} - If a unique index meets existing duplicates
+   */
+  create(fields, options = {}, documents = []) {
+    const { name, index } = this._define(fields, options);
+    if (!index) {
+      return name;
+    }
+    
+    for (const doc of documents) {
+      this._addChecked(index, doc);
+    }
+    
+    this.indexes.set(name, index);
+    return name;
+  }
+
+  /**
+   * Creates an index from documents read asynchronously
+   * Like create(), but the documents can be streamed from disk rather than
+   * held in memory.
+   * 
+   * @param {string|Array<string>} fields - Field or fields to index
+   * @param {Object} [options] - Index options, as for create()
+   * @param {AsyncIterable<Object>|Iterable<Object>} [documents=[]] - Existing documents
+   * @returns {Promise<string>} - Index name
+   * @throws {DuplicateKeyError} - If a unique index meets existing duplicates
+   */
+  async createAsync(fields, options = {}, documents = []) {
+    const { name, index } = this._define(fields, options);
+    if (!index) {
+      return name;
+    }
+    
+    for await (const doc of documents) {
+      this._addChecked(index, doc);
+    }
+    
+    this.indexes.set(name, index);
+    return name;
+  }
+
+  /**
+   * Removes an index
+   * 
+   * @param {string} name - Index name
+   * @returns {boolean} - True if the index existed
+   */
+  drop(name) {
+    return this.indexes.delete(name);
+  }
+
+  /**
+   * Lists index definitions
+   * 
+   * @returns {Array<Object>} - Index definitions
+   */
+  list() {
+    return Array.from(this.indexes.values()).map(({ name, fields, unique, sparse }) => ({
+      name,
+      fields: [...fields],
+      unique,
+      sparse
+    }));
+  }
+
+  /**
+   * Adds a document to every index
+   * 
+   * @param {Object} doc - Document to add
+   */
+  add(doc) {
+    for (const index of this.indexes.values()) {
+      this._addToIndex(index, doc);
+    }
+  }
+
+  /**
+   * Removes a document from every index
+   * 
+   * @param {Object} doc - Document to remove
+   */
+  remove(doc) {
+    const id = doc.id !== undefined ? doc.id : doc._id;
+    
+    for (const index of this.indexes.values()) {
+      for (const key of this._keysFor(index, doc)) {
+        const ids = index.entries.get(key);
+        if (ids) {
+          ids.delete(id);
+          if (ids.size === 0) {
+            index.entries.delete(key);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Replaces documents in every index as a single step
+   * Unique constraints are checked against the resulting state: either all
+   * changes are applied or, on a duplicate key, none are.
+   * 
+   * @param {Array<Object>} removedDocs - Documents leaving the collection (or their old versions)
+   * @param {Array<Object>} addedDocs - Documents entering the collection (or their new versions)
+   * @throws {DuplicateKeyError} - If an added document violates a unique index
+   */
+  apply(removedDocs, addedDocs) {
+    removedDocs.forEach(doc => this.remove(doc));
+    
+    const added = [];
+    try {
+      for (const doc of addedDocs) {
+        for (const index of this.indexes.values()) {
+          if (index.unique) {
+            this._checkUnique(index, doc);
+          }
+        }
+        this.add(doc);
+        added.push(doc);
+      }
+    } catch (error) {
+      added.forEach(doc => this.remove(doc));
+      removedDocs.forEach(doc => this.add(doc));
+      throw error;
+    }
+  }
+
+  /**
+   * Computes the IDs of documents that may match a query using the indexes
+   * 
+   * Top-level equality, $eq and $in conditions are answered by any index
+   * whose fields are all constrained; range operators are answered by
+   * single-field indexes. Callers must still apply the full query to the
+   * candidate documents.
+   * 
+   * @param {Object} query - Query parameters
+   * @returns {Set|null} - Candidate IDs, or null if no index applies
+   */
+  candidates(query) {
+    if (!query || this.indexes.size === 0) return null;
+    
+    let result = null;
+    
+    for (const lookup of this.lookups(query)) {
+      const ids = this._lookup(this.indexes.get(lookup.index), lookup);
+      
+      result = result === null ?
+        ids :
+        new Set(Array.from(result).filter(id => ids.has(id)));
+      
+      if (result.size === 0) break;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Plans the index lookups that can narrow a query
+   * Each lookup names an index and either the keys to look up or the range
+   * bounds to scan. Storage that keeps index entries itself runs the lookups
+   * and intersects their results, as candidates() does.
+   * 
+   * @param {Object} query - Query parameters
+   * @returns {Array<Object>} - { index, keys } or { index, range } lookups
+   */
+  lookups(query) {
+    if (!query || this.indexes.size === 0) return [];
+    
+    const conditions = {};
+    this._collectConditions(query, conditions);
+    
+    const lookups = [];
+    for (const index of this.indexes.values()) {
+      const lookup = this._plan(index, conditions);
+      if (lookup) {
+        lookups.push(lookup);
+      }
+    }
+    
+    return lookups;
+  }
+
+  /**
+   * Computes the keys a document has in one index
+   * 
+   * @param {string} name - Index name
+   * @param {Object} doc - Document
+   * @returns {Array<string>} - Index keys, as JSON
+   */
+  keysFor(name, doc) {
+    return this._keysFor(this.indexes.get(name), doc);
+  }
+
+  /**
+   * Lists the index entries that apply() changes for the given documents
+   * Entries are removed before they are added, so replaying the result with
+   * replay() on any earlier copy of the indexes brings it up to date.
+   * 
+   * @param {Array<Object>} removedDocs - Documents leaving the collection (or their old versions)
+   * @param {Array<Object>} addedDocs - Documents entering the collection (or their new versions)
+   * @returns {Object} - { removed, added }, each a list of [indexName, key, id] entries
+   */
+  changes(removedDocs, addedDocs) {
+    const entriesOf = docs => {
+      const entries = [];
+      for (const doc of docs) {
+        const id = doc.id !== undefined ? doc.id : doc._id;
+        for (const index of this.indexes.values()) {
+          this._keysFor(index, doc).forEach(key => entries.push([index.name, key, id]));
+        }
+      }
+      return entries;
+    };
+    
+    return { removed: entriesOf(removedDocs), added: entriesOf(addedDocs) };
+  }
+
+  /**
+   * Applies index entries listed by changes()
+   * Unique constraints are not checked again; they held when the changes
+   * were made. Entries of indexes that no longer exist are ignored.
+   * 
+   * @param {Object} changes - { removed, added } as returned by changes()
+   */
+  replay(changes) {
+    for (const [name, key, id] of changes.removed) {
+      const index = this.indexes.get(name);
+      const ids = index && index.entries.get(key);
+      if (ids) {
+        ids.delete(id);
+        if (ids.size === 0) {
+          index.entries.delete(key);
+        }
+      }
+    }
+    
+    for (const [name, key, id] of changes.added) {
+      const index = this.indexes.get(name);
+      if (!index) continue;
+      if (!index.entries.has(key)) {
+        index.entries.set(key, new Set());
+      }
+      index.entries.get(key).add(id);
+    }
+  }
+
+  /**
+   * Checks if an index key lies inside a range
+   * 
+   * @param {any} value - Decoded index key
+   * @param {Array<Object>} range - { op, value } bounds from a range lookup
+   * @returns {boolean} - True if the key satisfies every bound
+   */
+  static inRange(value, range) {
+    return range.every(({ op, value: bound }) => {
+      const order = compareValues(value, bound);
+      if (order === null) return false;
+      if (op === '$gt') return order > 0;
+      if (op === '$gte') return order >= 0;
+      if (op === '$lt') return order < 0;
+      return order <= 0;
+    });
+  }
+
+  /**
+   * Serializes the indexes for persistence
+   * 
+   * @returns {Object} - Serializable index data
+   */
+  toJSON() {
+    return {
+      version: 1,
+      indexes: Array.from(this.indexes.values()).map(index => ({
+        name: index.name,
+        fields: index.fields,
+        unique: index.unique,
+        sparse: index.sparse,
+        entries: Array.from(index.entries, ([key, ids]) => [key, Array.from(ids)])
+      }))
+    };
+  }
+
+  /**
+   * Builds an empty index from a definition
+   * Returns no index if an identical index already exists.
+   * @private
+   */
+  _define(fields, options) {
+    const fieldList = IndexManager.normalizeFields(fields);
+    const name = options.name || IndexManager.indexName(fieldList);
+    const existing = this.indexes.get(name);
+    
+    if (existing) {
+      const sameDefinition = existing.fields.join('\0') === fieldList.join('\0') &&
+        existing.unique === Boolean(options.unique) &&
+        existing.sparse === Boolean(options.sparse);
+      
+      if (!sameDefinition) {
+        throw new Error(`Index '${name}' already exists with a different definition`);
+      }
+      
+      return { name, index: null };
+    }
+    
+    return {
+      name,
+      index: {
+        name,
+        fields: fieldList,
+        unique: Boolean(options.unique),
+        sparse: Boolean(options.sparse),
+        entries: new Map()
+      }
+    };
+  }
+
+  /**
+   * Adds an existing document to an index being built, checking uniqueness
+   * @private
+   */
+  _addChecked(index, doc) {
+    if (index.unique) {
+      this._checkUnique(index, doc);
+    }
+    this._addToIndex(index, doc);
+  }
+
+  /**
+   * Adds a document to one index
+   * @private
+   */
+  _addToIndex(index, doc) {
+    const id = doc.id !== undefined ? doc.id : doc._id;
+    
+    for (const key of this._keysFor(index, doc)) {
+      if (!index.entries.has(key)) {
+        index.entries.set(key, new Set());
+      }
+      index.entries.get(key).add(id);
+    }
+  }
+
+  /**
+   * Throws if a document's keys are already held by another document
+   * @private
+   */
+  _checkUnique(index, doc) {
+    const id = doc.id !== undefined ? doc.id : doc._id;
+    
+    for (const key of this._keysFor(index, doc)) {
+      const ids = index.entries.get(key);
+      if (!ids) continue;
+      
+      for (const conflictingId of ids) {
+        if (conflictingId !== id) {
+          throw new DuplicateKeyError({
+            collection: this.collection,
+            index: index.name,
+            fields: index.fields,
+            value: JSON.parse(key),
+            conflictingId
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Computes the index keys of a document
+   * Array fields produce one key per element; compound indexes produce the
+   * combinations of their fields' keys.
+   * @private
+   */
+  _keysFor(index, doc) {
+    let combinations = [[]];
+    
+    for (const field of index.fields) {
+      const values = getPathValues(doc, field);
+      let present;
+      
+      if (values.every(value => value === undefined)) {
+        if (index.sparse) return [];
+        // Missing fields are indexed as null, as queries treat them alike
+        present = [null];
+      } else {
+        present = values.filter(value => value !== undefined && isIndexable(value));
+        if (values.includes(undefined)) present.push(null);
+        // Only non-scalar values can never satisfy an indexed lookup
+        if (present.length === 0) return [];
+      }
+      
+      const encoded = Array.from(new Set(present.map(value => JSON.stringify(value))));
+      const next = [];
+      for (const combination of combinations) {
+        for (const value of encoded) {
+          next.push([...combination, value]);
+        }
+      }
+      combinations = next;
+    }
+    
+    return combinations.map(parts => 
+      parts.length === 1 ? parts[0] : `[${parts.join(',')}]`
+    );
+  }
+
+  /**
+   * Gathers the field conditions that all results must satisfy
+   * @private
+   */
+  _collectConditions(query, conditions) {
+    for (const key in query) {
+      if (key === '$and') {
+        query.$and.forEach(subQuery => this._collectConditions(subQuery, conditions));
+      } else if (!key.startsWith('$') && !(key in conditions)) {
+        conditions[key] = query[key];
+      }
+    }
+  }
+
+  /**
+   * Plans the lookup of one index, if the conditions allow it
+   * @private
+   */
+  _plan(index, conditions) {
+    if (index.fields.length === 1) {
+      const condition = conditions[index.fields[0]];
+      if (condition === undefined) return null;
+      
+      const range = this._rangeOf(condition);
+      if (range) {
+        return { index: index.name, range };
+      }
+    }
+    
+    // Every field needs a list of literal values to look up
+    const valueLists = [];
+    for (const field of index.fields) {
+      const values = this._equalityValues(conditions[field]);
+      if (!values) return null;
+      if (index.sparse && values.includes(null)) return null;
+      valueLists.push(values.map(value => JSON.stringify(value)));
+    }
+    
+    let keys = [[]];
+    for (const values of valueLists) {
+      keys = keys.flatMap(parts => values.map(value => [...parts, value]));
+    }
+    
+    return {
+      index: index.name,
+      keys: keys.map(parts => parts.length === 1 ? parts[0] : `[${parts.join(',')}]`)
+    };
+  }
+
+  /**
+   * Looks up candidate IDs in one index
+   * @private
+   */
+  _lookup(index, lookup) {
+    if (lookup.range) {
+      return this._scanRange(index, lookup.range);
+    }
+    
+    const ids = new Set();
+    for (const key of lookup.keys) {
+      const matched = index.entries.get(key);
+      if (matched) {
+        matched.forEach(id => ids.add(id));
+      }
+    }
+    
+    return ids;
+  }
+
+  /**
+   * Extracts the literal values an equality-style condition accepts
+   * @private
+   */
+  _equalityValues(condition) {
+    if (condition === undefined) return null;
+    
+    if (isIndexable(condition)) return [condition];
+    
+    if (isOperatorObject(condition)) {
+      const ops = Object.keys(condition);
+      if (ops.length !== 1) return null;
+      
+      if (ops[0] === '$eq' && isIndexable(condition.$eq)) {
+        return [condition.$eq];
+      }
+      
+      if (ops[0] === '$in' && condition.$in.every(isIndexable)) {
+        return condition.$in;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Extracts range bounds from a condition made only of range operators
+   * @private
+   */
+  _rangeOf(condition) {
+    if (!isOperatorObject(condition)) return null;
+    
+    const ops = Object.keys(condition);
+    if (!ops.every(op => RANGE_OPERATORS.includes(op))) return null;
+    
+    return ops.map(op => ({ op, value: condition[op] }));
+  }
+
+  /**
+   * Scans index keys for those inside a range
+   * @private
+   */
+  _scanRange(index, range) {
+    const ids = new Set();
+    
+    for (const [key, matched] of index.entries) {
+      if (IndexManager.inRange(JSON.parse(key), range)) {
+        matched.forEach(id => ids.add(id));
+      }
+    }
+    
+    return ids;
+  }
+}
+
+module.exports = IndexManager;
@@ -0,0 +1,176 @@
+/**
+ * Logger - Structured logging through a pluggable logger
+ * 
+ * HyperDB logs nothing unless it is given a logger. Any object with debug(),
+ * info(), warn() and error() methods can be used: a pino or winston logger, or
+ * console. Entries are passed pino-style as (fields, message), except to
+ * winston loggers, which take (message, fields).
+ */
+
+/**
+ * Log levels by name, in increasing severity
+ */
+const LOG_LEVELS = {
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  silent: Infinity
+};
+
+/**
+ * Level used when none is configured
+ */
+const DEFAULT_LOG_LEVEL = 'info';
+
+/**
+ * Methods a logger must have
+ */
+const LOGGER_METHODS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Checks if a logger is a winston logger
+ * Winston loggers, and their children, expose their transports as an array.
+ * @private
+ */
+function isWinston(target) {
+  return Array.isArray(target.transports);
+}
+
+class Logger {
+  /**
+   * Creates a logger writing to a pino, winston or console-like logger
+   * 
+   * @param {Object|null} target - Logger to write to; null discards every entry
+   * @param {Object} [options] - Logger options
+   * @param {string} [options.level='info'] - Lowest level written
+   * @param {Object} [options.bindings] - Fields added to every entry
+   */
+  constructor(target, options = {}) {
+    this.target = target || null;
+    this.level = options.level || DEFAULT_LOG_LEVEL;
+    this.bindings = options.bindings || {};
+  }
+
+  /**
+   * Checks if entries of a level are written
+   * Callers can skip building expensive fields for entries that are dropped.
+   * 
+   * @param {string} level - Log level
+   * @returns {boolean} - True if the level is written
+   */
+  isLevelEnabled(level) {
+    return this.target !== null && LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Creates a logger adding fields to every entry
+   * The target's own child() is used when it has one, so its formatting of
+   * bound fields applies.
+   * 
+   * @param {Object} bindings - Fields to add, e.g. { subsystem: 'FileStore' }
+   * @returns {Logger} - The child logger
+   */
+  child(bindings) {
+    if (this.target && typeof this.target.child === 'function') {
+      return new Logger(this.target.child(bindings), { level: this.level, bindings: this.bindings });
+    }
+    
+    return new Logger(this.target, { level: this.level, bindings: { ...this.bindings, ...bindings } });
+  }
+
+  /**
+   * Writes a debug entry
+   * 
+   * @param {string} message - What happened
+   * @param {Object} [fields] - Structured details, e.g. { collection, key, op, durationMs }
+   */
+  debug(message, fields) {
+    this._write('debug', message, fields);
+  }
+
+  /**
+   * Writes an info entry
+   * 
+   * @param {string} message - What happened
+   * @param {Object} [fields] - Structured details
+   */
+  info(message, fields) {
+    this._write('info', message, fields);
+  }
+
+  /**
+   * Writes a warning
+   * 
+   * @param {string} message - What happened
+   * @param {Object} [fields] - Structured details
+   */
+  warn(message, fields) {
+    this._write('warn', message, fields);
+  }
+
+  /**
+   * Writes an error entry
+   * 
+   * @param {string} message - What failed
+   * @param {Object} [fields] - Structured details; the error itself goes in `err`
+   */
+  error(message, fields) {
+    this._write('error', message, fields);
+  }
+
+  /**
+   * Passes an entry to the target logger if its level is enabled
+   * 
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {Object} [fields] - Structured details
+   * @private
+   */
+  _write(level, message, fields) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+    
+    const entry = { ...this.bindings, ...fields };
+    if (isWinston(this.target)) {
+      this.target[level](message, entry);
+    } else {
+      this.target[level](entry, message);
+    }
+  }
+}
+
+/**
+ * Checks a configured logger
+ * 
+ * @param {Object} logger - Logger to check
+ * @returns {boolean} - True if it has every method HyperDB calls
+ */
+function isLogger(logger) {
+  return Boolean(logger) && LOGGER_METHODS.every(method => typeof logger[method] === 'function');
+}
+
+/**
+ * Returns the logger of a subsystem
+ * The configured logger is wrapped unless it already is a Logger, so
+ * components created on their own, with a raw config, log the same way.
+ * 
+ * @param {Object} config - Configuration with optional logger and logLevel
+ * @param {string} subsystem - Name added to every entry as `subsystem`
+ * @returns {Logger} - The subsystem's logger
+ */
+function loggerFor(config, subsystem) {
+  const logger = config.logger instanceof Logger ?
+    config.logger : new Logger(config.logger, { level: config.logLevel });
+
+  return logger.child({ subsystem });
+}
+
+module.exports = {
+  LOG_LEVELS,
+  DEFAULT_LOG_LEVEL,
+  Logger,
+  isLogger,
+  loggerFor
+};
@@ -0,0 +1,258 @@
+/**
+ * Metrics - Operation counters, latency histograms and scan statistics
+ */
+
+/**
+ * Upper bounds in ms of the latency histogram buckets
+ */
+const DEFAULT_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Default metrics options
+ */
+const DEFAULT_METRICS = {
+  enabled: true,
+  buckets: DEFAULT_BUCKETS,
+  slowQueryThreshold: null
+};
+
+/**
+ * Number of slow queries kept for metrics()
+ */
+const SLOW_QUERY_LOG_SIZE = 100;
+
+class Metrics {
+  /**
+   * Creates a metrics registry
+   * 
+   * @param {Object} [options] - Metrics options
+   * @param {boolean} [options.enabled=true] - Record operations at all
+   * @param {Array<number>} [options.buckets] - Upper bounds in ms of the latency buckets
+   * @param {number|null} [options.slowQueryThreshold=null] - Duration in ms from which a
+   *   query counts as slow; null turns the slow-query log off
+   */
+  constructor(options = {}) {
+    const { enabled, buckets, slowQueryThreshold } = { ...DEFAULT_METRICS, ...options };
+    this.enabled = Boolean(enabled);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.slowQueryThreshold = slowQueryThreshold;
+    this.reset();
+  }
+
+  /**
+   * Records a finished operation
+   * 
+   * @param {string} op - Operation name, e.g. 'find'
+   * @param {number} durationMs - How long it took
+   * @param {boolean} [failed=false] - True if it threw
+   */
+  record(op, durationMs, failed = false) {
+    if (!this.enabled) {
+      return;
+    }
+    
+    let stats = this.operations.get(op);
+    if (!stats) {
+      stats = { count: 0, errors: 0, totalMs: 0, maxMs: 0, buckets: new Array(this.buckets.length).fill(0) };
+      this.operations.set(op, stats);
+    }
+    
+    stats.count++;
+    stats.totalMs += durationMs;
+    stats.maxMs = Math.max(stats.maxMs, durationMs);
+    if (failed) {
+      stats.errors++;
+    }
+    
+    // Buckets are cumulative, as in Prometheus
+    for (let i = this.buckets.length - 1; i >= 0 && durationMs <= this.buckets[i]; i--) {
+      stats.buckets[i]++;
+    }
+  }
+
+  /**
+   * Checks if a query took long enough to count as slow
+   * 
+   * @param {number} durationMs - How long it took
+   * @returns {boolean} - True if the slow-query log is on and the threshold was reached
+   */
+  isSlow(durationMs) {
+    return this.enabled && this.slowQueryThreshold !== null && durationMs >= this.slowQueryThreshold;
+  }
+
+  /**
+   * Adds a query to the slow-query log
+   * Only the latest SLOW_QUERY_LOG_SIZE queries are kept.
+   * 
+   * @param {Object} entry - { op, collection, query, durationMs }
+   */
+  recordSlowQuery(entry) {
+    this.slowQueries.count++;
+    this.slowQueries.recent.push({ ...entry, at: Date.now() });
+    if (this.slowQueries.recent.length > SLOW_QUERY_LOG_SIZE) {
+      this.slowQueries.recent.shift();
+    }
+  }
+
+  /**
+   * Returns the recorded metrics
+   * 
+   * @returns {Object} - { operations, slowQueries }; operation latencies are in ms
+   */
+  snapshot() {
+    const operations = {};
+    for (const [op, stats] of this.operations) {
+      operations[op] = {
+        count: stats.count,
+        errors: stats.errors,
+        totalMs: stats.totalMs,
+        meanMs: stats.totalMs / stats.count,
+        maxMs: stats.maxMs,
+        buckets: this.buckets.map((le, i) => ({ le, count: stats.buckets[i] }))
+      };
+    }
+    
+    return {
+      operations,
+      slowQueries: {
+        threshold: this.slowQueryThreshold,
+        count: this.slowQueries.count,
+        recent: this.slowQueries.recent.map(entry => ({ ...entry }))
+      }
+    };
+  }
+
+  /**
+   * Clears everything recorded so far
+   */
+  reset() {
+    this.operations = new Map();
+    this.slowQueries = { count: 0, recent: [] };
+  }
+}
+
+class ScanStats {
+  /**
+   * Creates counters of the documents queries read and return, per collection
+   * Adapters record each scan; a large scanned-to-returned ratio points to a
+   * query that needs an index.
+   */
+  constructor() {
+    this.collections = new Map();
+  }
+
+  /**
+   * Records a finished scan
+   * 
+   * @param {string} collection - Collection name
+   * @param {number} scanned - Documents read and matched against the query
+   * @param {number} returned - Documents that matched
+   */
+  record(collection, scanned, returned) {
+    let stats = this.collections.get(collection);
+    if (!stats) {
+      stats = { queries: 0, scanned: 0, returned: 0 };
+      this.collections.set(collection, stats);
+    }
+    
+    stats.queries++;
+    stats.scanned += scanned;
+    stats.returned += returned;
+  }
+
+  /**
+   * Returns the counters
+   * 
+   * @returns {Object} - { [collection]: { queries, scanned, returned } }
+   */
+  toJSON() {
+    const result = {};
+    for (const [collection, stats] of this.collections) {
+      result[collection] = { ...stats };
+    }
+    return result;
+  }
+}
+
+/**
+ * Escapes a Prometheus label value
+ * @private
+ */
+function label(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats the result of db.metrics() in the Prometheus text exposition format
+ * Latencies are exported in seconds, as Prometheus expects.
+ * 
+ * @param {Object} metrics - Result of db.metrics()
+ * @param {Object} [options] - Export options
+ * @param {string} [options.prefix='hyperdb'] - Prefix of every metric name
+ * @returns {string} - The metrics text
+ */
+function formatPrometheus(metrics, options = {}) {
+  const prefix = options.prefix || 'hyperdb';
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`);
+    for (const [suffix, labels, value] of samples) {
+      const labelText = Object.entries(labels).map(([key, val]) => `${key}="${label(val)}"`).join(',');
+      lines.push(`${prefix}_${name}${suffix}${labelText ? `{${labelText}}` : ''} ${Number(value)}`);
+    }
+  };
+  
+  const operations = Object.entries(metrics.operations);
+  metric('operations_total', 'counter', 'Storage operations',
+    operations.map(([op, stats]) => ['', { op }, stats.count]));
+  metric('operation_errors_total', 'counter', 'Storage operations that threw',
+    operations.map(([op, stats]) => ['', { op }, stats.errors]));
+  metric('operation_duration_seconds', 'histogram', 'Storage operation latency',
+    operations.flatMap(([op, stats]) => [
+      ...stats.buckets.map(bucket => ['_bucket', { op, le: bucket.le / 1000 }, bucket.count]),
+      ['_bucket', { op, le: '+Inf' }, stats.count],
+      ['_sum', { op }, stats.totalMs / 1000],
+      ['_count', { op }, stats.count]
+    ]));
+  
+  const scans = Object.entries(metrics.scans);
+  metric('documents_scanned_total', 'counter', 'Documents read by queries',
+    scans.map(([collection, stats]) => ['', { collection }, stats.scanned]));
+  metric('documents_returned_total', 'counter', 'Documents matched by queries',
+    scans.map(([collection, stats]) => ['', { collection }, stats.returned]));
+  metric('slow_queries_total', 'counter', 'Queries slower than the slow-query threshold',
+    [['', {}, metrics.slowQueries.count]]);
+  
+  if (metrics.cache) {
+    metric('cache_hits_total', 'counter', 'Key-value cache hits', [['', {}, metrics.cache.hits]]);
+    metric('cache_misses_total', 'counter', 'Key-value cache misses', [['', {}, metrics.cache.misses]]);
+    metric('cache_hit_ratio', 'gauge', 'Share of key-value cache lookups that hit', [['', {}, metrics.cache.hitRate]]);
+    metric('cache_entries', 'gauge', 'Entries in the key-value cache', [['', {}, metrics.cache.size]]);
+  }
+  
+  if (metrics.realtime) {
+    metric('realtime_connected', 'gauge', 'Whether the realtime client is connected',
+      [['', {}, metrics.realtime.connected ? 1 : 0]]);
+    metric('realtime_clients', 'gauge', 'Clients connected to the realtime server',
+      [['', {}, metrics.realtime.clients]]);
+  }
+  
+  if (metrics.cloudSync) {
+    metric('cloud_sync_queue_depth', 'gauge', 'Cloud sync requests in flight',
+      [['', {}, metrics.cloudSync.pending]]);
+    metric('cloud_sync_synced_total', 'counter', 'Cloud sync requests that succeeded',
+      [['', {}, metrics.cloudSync.synced]]);
+    metric('cloud_sync_failures_total', 'counter', 'Cloud sync requests that failed',
+      [['', {}, metrics.cloudSync.failed]]);
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  DEFAULT_METRICS,
+  Metrics,
+  ScanStats,
+  formatPrometheus
+};
@@ -3,6 +3,7 @@
  */
 
 const WebSocket = require('ws');
+const { loggerFor } = require('./logger');
 
 class RealtimeSync {
   /**
@@ -12,6 +13,7 @@ class RealtimeSync {
    * @param {boolean} config.enabled - Whether realtime sync is enabled
    * @param {string} [config.serverUrl] - WebSocket server URL
    * @param {Object} [config.server] - Custom WebSocket server configuration
+   * @param {Object} [config.logger] - Logger, see logger.js
    * @param {Object} storage - Storage engine reference
    */
   constructor(config, storage) {
@@ -24,6 +26,7 @@ class RealtimeSync {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000; // Start with 1s, will increase with backoff
+    this.logger = loggerFor(config, 'RealtimeSync');
     
     if (this.config.enabled) {
       this._initialize();
@@ -51,16 +54,16 @@ class RealtimeSync {
    */
   _connectToServer() {
     try {
-      console.log(`[RealtimeSync] Connecting to WebSocket server: ${this.config.serverUrl}`);
+      this.logger.info(`Connecting to WebSocket server: ${this.config.serverUrl}`, { serverUrl: this.config.serverUrl });
       
       // This would be a real WebSocket connection in a full implementation
       // Simulated for this example
       this.ws = {
         send: (data) => {
-          console.log(`[RealtimeSync] Sending data to server:`, data);
+          this.logger.debug('Sending data to server', { bytes: data.length });
         },
         close: () => {
-          console.log(`[RealtimeSync] Closing WebSocket connection`);
+          this.logger.info('Closing WebSocket connection');
           this.isConnected = false;
         }
       };
@@ -68,9 +71,9 @@ class RealtimeSync {
       this.isConnected = true;
       this.reconnectAttempts = 0;
       
-      console.log(`[RealtimeSync] Connected to WebSocket server`);
+      this.logger.info('Connected to WebSocket server', { serverUrl: this.config.serverUrl });
     } catch (error) {
-      console.error('Error connecting to WebSocket server:', error);
+      this.logger.error('Error connecting to WebSocket server', { err: error, serverUrl: this.config.serverUrl });
       this._scheduleReconnect();
     }
   }
@@ -83,23 +86,26 @@ class RealtimeSync {
     try {
       const { port = 8080 } = this.config.server;
       
-      console.log(`[RealtimeSync] Starting WebSocket server on port ${port}`);
+      this.logger.info(`Starting WebSocket server on port ${port}`, { port });
       
       // This would be a real WebSocket server in a full implementation
       // Simulated for this example
       this.server = {
         clients: [],
         broadcast: (data) => {
-          console.log(`[RealtimeSync] Broadcasting data to ${this.server.clients.length} clients:`, data);
+          this.logger.debug(`Broadcasting data to ${this.server.clients.length} clients`, {
+            clients: this.server.clients.length,
+            bytes: data.length
+          });
         },
         close: () => {
-          console.log(`[RealtimeSync] Closing WebSocket server`);
+          this.logger.info('Closing WebSocket server');
         }
       };
       
-      console.log(`[RealtimeSync] WebSocket server started`);
+      this.logger.info('WebSocket server started', { port });
     } catch (error) {
-      console.error('Error starting WebSocket server:', error);
+      this.logger.error('Error starting WebSocket server', { err: error });
     }
   }
 
@@ -109,14 +115,16 @@ class RealtimeSync {
    */
   _scheduleReconnect() {
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.log(`[RealtimeSync] Maximum reconnection attempts reached (${this.maxReconnectAttempts})`);
+      this.logger.warn(`Maximum reconnection attempts reached (${this.maxReconnectAttempts})`, {
+        attempts: this.reconnectAttempts
+      });
       return;
     }
     
     // Exponential backoff
     const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts);
     
-    console.log(`[RealtimeSync] Scheduling reconnection attempt in ${delay}ms`);
+    this.logger.info(`Scheduling reconnection attempt in ${delay}ms`, { delayMs: delay, attempt: this.reconnectAttempts + 1 });
     
     setTimeout(() => {
       this.reconnectAttempts++;
@@ -156,11 +164,24 @@ class RealtimeSync {
       
       return false;
     } catch (error) {
-      console.error('Error broadcasting change:', error);
+      this.logger.error('Error broadcasting change', { err: error, op: data.operation, collection: data.collection, key: data.key });
       return false;
     }
   }
 
+  /**
+   * Returns connection statistics
+   * 
+   * @returns {Object} - { connected, clients }; clients counts the clients of
+   *   the server when running as one
+   */
+  getStats() {
+    return {
+      connected: this.isConnected,
+      clients: this.server ? this.server.clients.length : 0
+    };
+  }
+
   /**
    * Registers a sync event listener
    * 
@@ -203,7 +224,7 @@ class RealtimeSync {
       
       return true;
     } catch (error) {
-      console.error('Error closing realtime sync:', error);
+      this.logger.error('Error closing realtime sync', { err: error });
       return false;
     }
   }
@@ -219,7 +240,7 @@ class RealtimeSync {
       try {
         listener(data);
       } catch (error) {
-        console.error('Error in sync listener:', error);
+        this.logger.error('Error in sync listener', { err: error });
       }
     }
   }
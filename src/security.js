@@ -4,6 +4,8 @@
 
 const CryptoJS = require('crypto-js');
 const jwt = require('jwt-simple');
+const { CorruptionError } = require('./errors');
+const { loggerFor } = require('./logger');
 
 class Security {
   /**
@@ -13,11 +15,15 @@ class Security {
    * @param {string} [options.encryptionKey] - Key for AES encryption
    * @param {string} [options.jwtSecret] - Secret for JWT authentication
    * @param {string} [options.authMethod='jwt'] - Authentication method ('jwt' or 'oauth')
+   * @param {boolean} [options.strict=false] - Throw CorruptionError for data that can't be decrypted
+   * @param {Object} [options.logger] - Logger, see logger.js
    */
   constructor(options = {}) {
     this.encryptionKey = options.encryptionKey || this._generateRandomKey();
     this.jwtSecret = options.jwtSecret || this._generateRandomKey();
     this.authMethod = options.authMethod || 'jwt';
+    this.strict = Boolean(options.strict);
+    this.logger = loggerFor(options, 'Security');
   }
 
   /**
@@ -39,7 +45,8 @@ class Security {
    * Decrypts AES-256 encrypted data
    * 
    * @param {string} encryptedData - Data to decrypt
-   * @returns {any} - Decrypted data
+   * @returns {any} - Decrypted data, or null if it can't be decrypted
+   * @throws {CorruptionError} - In strict mode, if the data can't be decrypted
    */
   decrypt(encryptedData) {
     if (!encryptedData) return encryptedData;
@@ -48,6 +55,11 @@ class Security {
       const bytes = CryptoJS.AES.decrypt(encryptedData, this.encryptionKey);
       const decryptedString = bytes.toString(CryptoJS.enc.Utf8);
       
+      // encrypt() never encrypts empty strings, so an empty result means a wrong key
+      if (!decryptedString) {
+        throw new Error('Wrong encryption key or damaged data');
+      }
+      
       // Try to parse as JSON if possible
       try {
         return JSON.parse(decryptedString);
@@ -55,7 +67,10 @@ class Security {
         return decryptedString;
       }
     } catch (error) {
-      console.error('Error decrypting data:', error);
+      if (this.strict) {
+        throw new CorruptionError(`Error decrypting data: ${error.message}`, { cause: error });
+      }
+      this.logger.error('Error decrypting data', { err: error });
       return null;
     }
   }
@@ -96,7 +111,7 @@ class Security {
       
       return payload;
     } catch (error) {
-      console.error('Error verifying token:', error);
+      this.logger.warn('Error verifying token', { err: error });
       return null;
     }
   }
@@ -1,46 +1,169 @@
 /**
  * @file storage-engine.js
  * @description The storage engine responsible for handling storage operations.
- * Currently supports file-based storage using the FileStoreAdapter.
+ * Supports file-based storage using the FileStoreAdapter, append-only
+ * log storage using the LogStoreAdapter, JSON file storage using the
+ * JSONAdapter, SQLite storage using the SQLiteAdapter and in-memory storage
+ * using the MemoryAdapter. Other adapters can be registered under a storage
+ * type with StorageEngine.registerAdapter() or passed in as config.adapter.
  */
 
-const { matches } = require('./utils');
+const { validateQuery, validateUpdate, validateFindOptions, writeResult } = require('./utils');
 const FileStoreAdapter = require('./adapters/filestore-adapter');
+const LogStoreAdapter = require('./adapters/logstore-adapter');
+const MemoryAdapter = require('./adapters/memory-adapter');
+const JSONAdapter = require('./adapters/json-adapter');
+const SQLiteAdapter = require('./adapters/sqlite-adapter');
+const { NotFoundError, ConnectionError, UnsupportedOperationError, ValidationError } = require('./errors');
+const { loggerFor } = require('./logger');
+const { Metrics } = require('./metrics');
+
+/**
+ * Methods every storage adapter must implement
+ */
+const REQUIRED_METHODS = [
+  'connect',
+  'close',
+  'set',
+  'get',
+  'has',
+  'delete',
+  'getCollections',
+  'createCollection',
+  'insert',
+  'find',
+  'findOne',
+  'update',
+  'deleteFrom'
+];
+
+/**
+ * Adapter factories by storage type
+ * @private
+ */
+const adapters = new Map([
+  ['filestore', FileStoreAdapter],
+  ['logstore', LogStoreAdapter],
+  ['memory', MemoryAdapter],
+  ['json', JSONAdapter],
+  ['sqlite', SQLiteAdapter]
+]);
+
+/**
+ * Creates an adapter from a class or a factory function
+ * Classes, recognized by a connect() method on their prototype, are
+ * constructed with new; other functions are called.
+ * @private
+ */
+function instantiate(factory, config) {
+  const isClass = factory.prototype && typeof factory.prototype.connect === 'function';
+  return isClass ? new factory(config) : factory(config);
+}
 
 class StorageEngine {
   /**
    * Create a new storage engine
    * @param {Object} config - Configuration object
+   * @param {Object|Function} [config.adapter] - Adapter instance, class or factory function,
+   *   used instead of config.storage
+   * @param {boolean} [config.strict=false] - Throw NotFoundError for missing keys and indexes
+   *   instead of returning null or false
+   * @param {Object} [config.logger] - Logger, see logger.js; each operation is logged at debug level
+   * @param {Object} [config.metrics] - Metrics options, see metrics.js
    */
   constructor(config) {
     this.config = config;
+    this.strict = Boolean(config.strict);
+    this.logger = loggerFor(config, 'StorageEngine');
+    this.metrics = new Metrics(config.metrics);
     this.adapter = this._createAdapter();
     this.collections = new Map();
   }
 
+  /**
+   * Registers a storage adapter under a storage type
+   * Afterwards `new HyperDB({ storage: name })` uses it. Registering a
+   * built-in name replaces the built-in adapter.
+   * 
+   * @param {string} name - Storage type, matched case-insensitively
+   * @param {Function} factory - Adapter class, or function taking the config and returning an adapter
+   * @throws {ValidationError} - If the name or factory is invalid
+   */
+  static registerAdapter(name, factory) {
+    if (typeof name !== 'string' || !name) {
+      throw new ValidationError('Adapter name must be a non-empty string');
+    }
+    if (typeof factory !== 'function') {
+      throw new ValidationError(`Adapter '${name}' must be registered with a class or factory function`);
+    }
+    
+    adapters.set(name.toLowerCase(), factory);
+  }
+
+  /**
+   * Checks if a storage type has a registered adapter
+   * 
+   * @param {string} name - Storage type
+   * @returns {boolean} - True if registered
+   */
+  static hasAdapter(name) {
+    return adapters.has(String(name).toLowerCase());
+  }
+
+  /**
+   * Checks that an object implements the adapter contract
+   * 
+   * @param {Object} adapter - Adapter to check
+   * @returns {Object} - The adapter
+   * @throws {ValidationError} - If required methods are missing
+   */
+  static checkAdapter(adapter) {
+    const missing = adapter && typeof adapter === 'object' ?
+      REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function') :
+      REQUIRED_METHODS;
+    
+    if (missing.length > 0) {
+      throw new ValidationError(`Storage adapter is missing required methods: ${missing.join(', ')}`);
+    }
+    
+    return adapter;
+  }
+
   /**
    * Create the appropriate adapter based on the configuration
    * @private
+   * @throws {ValidationError} - If no adapter is registered for the storage type
    */
   _createAdapter() {
-    const storageType = this.config.storage;
+    // A custom adapter given directly takes precedence over the storage type
+    const { adapter } = this.config;
+    if (adapter) {
+      return StorageEngine.checkAdapter(typeof adapter === 'function' ? instantiate(adapter, this.config) : adapter);
+    }
+    
+    const storageType = String(this.config.storage).toLowerCase();
+    const factory = adapters.get(storageType);
     
-    // For now, only filestore is fully supported
-    if (storageType !== 'filestore') {
-      console.warn(`Storage type '${storageType}' is not fully supported. Using FileStoreAdapter as fallback.`);
+    if (!factory) {
+      throw new ValidationError(
+        `Unknown storage type: ${this.config.storage}. Registered types are: ${[...adapters.keys()].join(', ')}`
+      );
     }
     
-    // Always use FileStoreAdapter
-    return new FileStoreAdapter(this.config);
+    return StorageEngine.checkAdapter(instantiate(factory, this.config));
   }
 
   /**
    * Initializes the storage engine
    * 
    * @returns {Promise<void>}
+   * @throws {ConnectionError} - If the adapter could not connect
    */
   async initialize() {
-    await this.adapter.connect();
+    // Adapters report failures by returning false or throwing
+    if (await this.adapter.connect() === false) {
+      throw new ConnectionError(`Storage adapter ${this.adapter.constructor.name} failed to connect`);
+    }
     
     // Load collections
     const collections = await this.adapter.getCollections();
@@ -57,7 +180,7 @@ class StorageEngine {
    * @returns {Promise<boolean>} - Success status
    */
   async set(key, value) {
-    return await this.adapter.set(key, value);
+    return await this._call('set', { key }, () => this.adapter.set(key, value));
   }
 
   /**
@@ -65,9 +188,17 @@ class StorageEngine {
    * 
    * @param {string} key - The key to retrieve
    * @returns {Promise<any>} - The stored value or null if not found
+   * @throws {NotFoundError} - In strict mode, if the key does not exist
    */
   async get(key) {
-    return await this.adapter.get(key);
+    const value = await this._call('get', { key }, () => this.adapter.get(key));
+    
+    // null is also a value that can be stored, so only a missing key is an error
+    if (this.strict && value === null && !(await this.adapter.has(key))) {
+      throw new NotFoundError(`Key not found: ${key}`, { key });
+    }
+    
+    return value;
   }
 
   /**
@@ -77,7 +208,7 @@ class StorageEngine {
    * @returns {Promise<boolean>} - True if the key exists
    */
   async has(key) {
-    return await this.adapter.has(key);
+    return await this._call('has', { key }, () => this.adapter.has(key));
   }
 
   /**
@@ -85,22 +216,45 @@ class StorageEngine {
    * 
    * @param {string} key - The key to delete
    * @returns {Promise<boolean>} - Success status
+   * @throws {NotFoundError} - In strict mode, if the key does not exist
    */
   async delete(key) {
-    return await this.adapter.delete(key);
+    const result = await this._call('delete', { key }, () => this.adapter.delete(key));
+    
+    if (this.strict && !result) {
+      throw new NotFoundError(`Key not found: ${key}`, { key });
+    }
+    
+    return result;
   }
 
   /**
    * Creates a new collection
    * 
    * @param {string} name - The name of the collection
+   * @param {Object} [options] - Collection options
+   * @param {Array<string|Array<string>>} [options.unique] - Unique constraints; each entry is
+   *   a field or an array of fields for a compound constraint
    * @returns {Promise<boolean>} - Success status
    */
-  async createCollection(name) {
-    const result = await this.adapter.createCollection(name);
+  async createCollection(name, options = {}) {
+    // Reject unique constraints the adapter can't enforce before creating anything
+    if (options.unique) {
+      this._ensureSupported('createIndex');
+    }
+    
+    const result = await this._call('createCollection', { collection: name }, () => this.adapter.createCollection(name));
     if (result) {
       this.collections.set(name, { name });
     }
+    
+    // Declare unique constraints as unique indexes
+    if (result && options.unique) {
+      for (const fields of options.unique) {
+        await this.createIndex(name, fields, { unique: true });
+      }
+    }
+    
     return result;
   }
 
@@ -109,15 +263,17 @@ class StorageEngine {
    * 
    * @param {string} collection - The collection name
    * @param {Object} document - The document to insert
+   * @param {Object} [options] - Insert options
+   * @param {boolean} [options.overwrite=true] - Replace an existing document with the same ID
    * @returns {Promise<boolean>} - Success status
    */
-  async insert(collection, document) {
+  async insert(collection, document, options = {}) {
     // Create collection if it doesn't exist
-    if (!this.collections.has(collection)) {
+    if (!(await this._hasCollection(collection))) {
       await this.createCollection(collection);
     }
     
-    return await this.adapter.insert(collection, document);
+    return await this._call('insert', { collection }, () => this.adapter.insert(collection, document, options));
   }
 
   /**
@@ -128,11 +284,13 @@ class StorageEngine {
    * @returns {Promise<Object|null>} - The found document or null
    */
   async findOne(collection, query) {
-    if (!this.collections.has(collection)) {
+    validateQuery(query);
+    
+    if (!(await this._hasCollection(collection))) {
       return null;
     }
     
-    return await this.adapter.findOne(collection, query);
+    return await this._call('findOne', { collection, query }, () => this.adapter.findOne(collection, query));
   }
 
   /**
@@ -140,14 +298,58 @@ class StorageEngine {
    * 
    * @param {string} collection - The collection name
    * @param {Object} query - Query parameters
+   * @param {Object} [options] - Find options (sort, skip, limit, projection)
    * @returns {Promise<Array>} - Array of matching documents
    */
-  async find(collection, query) {
-    if (!this.collections.has(collection)) {
+  async find(collection, query, options = {}) {
+    validateQuery(query);
+    validateFindOptions(options);
+    
+    if (!(await this._hasCollection(collection))) {
       return [];
     }
     
-    return await this.adapter.find(collection, query);
+    return await this._call('find', { collection, query }, () => this.adapter.find(collection, query, options));
+  }
+
+  /**
+   * Counts the documents in a collection matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<number>} - Number of matching documents
+   */
+  async count(collection, query) {
+    validateQuery(query);
+    
+    if (!(await this._hasCollection(collection))) {
+      return 0;
+    }
+    
+    // Adapters without count() are counted through find()
+    if (typeof this.adapter.count !== 'function') {
+      return (await this._call('count', { collection, query }, () => this.adapter.find(collection, query))).length;
+    }
+    
+    return await this._call('count', { collection, query }, () => this.adapter.count(collection, query));
+  }
+
+  /**
+   * Iterates over the documents matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {AsyncIterable<Object>} - Matching documents
+   */
+  iterate(collection, query) {
+    validateQuery(query);
+    
+    // Adapters without iterate() are read in full through find()
+    const documents = typeof this.adapter.iterate === 'function'
+      ? this.adapter.iterate(collection, query)
+      : this._iterateFound(collection, query);
+    
+    return this._callIterator('iterate', { collection, query }, documents);
   }
 
   /**
@@ -156,14 +358,51 @@ class StorageEngine {
    * @param {string} collection - The collection name
    * @param {Object} query - Query parameters
    * @param {Object} update - Update data
-   * @returns {Promise<number>} - Number of updated documents
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.multi=true] - Update every matching document rather than the first
+   * @param {boolean} [options.upsert=false] - Insert a document when nothing matches
+   * @param {boolean} [options.returnDocuments=false] - Ask for the { before, after } documents
+   *   rather than their number; adapters that can't report them still return the number
+   * @returns {Promise<number|Array<Object>>} - Number of updated (or upserted) documents
    */
-  async update(collection, query, update) {
-    if (!this.collections.has(collection)) {
-      return 0;
+  async update(collection, query, update, options = {}) {
+    validateQuery(query);
+    validateUpdate(update);
+    
+    if (!(await this._hasCollection(collection))) {
+      if (!options.upsert) {
+        return writeResult([], options);
+      }
+      await this.createCollection(collection);
     }
     
-    return await this.adapter.update(collection, query, update);
+    return await this._call('update', { collection, query }, () => this.adapter.update(collection, query, update, options));
+  }
+
+  /**
+   * Updates the first document matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Update data
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.upsert=false] - Insert a document when nothing matches
+   * @returns {Promise<Object|null>} - { before, after } documents, or null if nothing matched
+   */
+  async findOneAndUpdate(collection, query, update, options = {}) {
+    validateQuery(query);
+    validateUpdate(update);
+    this._ensureSupported('findOneAndUpdate');
+    
+    if (!(await this._hasCollection(collection))) {
+      if (!options.upsert) {
+        return null;
+      }
+      await this.createCollection(collection);
+    }
+    
+    return await this._call('findOneAndUpdate', { collection, query }, () =>
+      this.adapter.findOneAndUpdate(collection, query, update, options));
   }
 
   /**
@@ -171,14 +410,149 @@ class StorageEngine {
    * 
    * @param {string} collection - The collection name
    * @param {Object} query - Query parameters
-   * @returns {Promise<number>} - Number of deleted documents
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.returnDocuments=false] - Ask for the deleted documents rather than
+   *   their number; adapters that can't report them still return the number
+   * @returns {Promise<number|Array<Object>>} - Number of deleted documents
    */
-  async deleteFrom(collection, query) {
-    if (!this.collections.has(collection)) {
-      return 0;
+  async deleteFrom(collection, query, options = {}) {
+    validateQuery(query);
+    
+    if (!(await this._hasCollection(collection))) {
+      return writeResult([], options);
+    }
+    
+    return await this._call('deleteFrom', { collection, query }, () => this.adapter.deleteFrom(collection, query, options));
+  }
+
+  /**
+   * Deletes the first document matching a query
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object|null>} - The deleted document or null
+   */
+  async findOneAndDelete(collection, query) {
+    validateQuery(query);
+    this._ensureSupported('findOneAndDelete');
+    
+    if (!(await this._hasCollection(collection))) {
+      return null;
     }
     
-    return await this.adapter.deleteFrom(collection, query);
+    return await this._call('findOneAndDelete', { collection, query }, () => this.adapter.findOneAndDelete(collection, query));
+  }
+
+  /**
+   * Creates a secondary index on a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {string|Array<string>} fields - Field or fields to index
+   * @param {Object} [options] - Index options
+   * @returns {Promise<string|null>} - The index name or null on failure
+   */
+  async createIndex(collection, fields, options = {}) {
+    this._ensureSupported('createIndex');
+    
+    // Create collection if it doesn't exist
+    if (!(await this._hasCollection(collection))) {
+      await this.createCollection(collection);
+    }
+    
+    return await this._call('createIndex', { collection }, () => this.adapter.createIndex(collection, fields, options));
+  }
+
+  /**
+   * Drops a secondary index from a collection
+   * 
+   * @param {string} collection - The collection name
+   * @param {string} name - The index name
+   * @returns {Promise<boolean>} - True if the index existed
+   * @throws {NotFoundError} - In strict mode, if the collection or index does not exist
+   */
+  async dropIndex(collection, name) {
+    this._ensureSupported('dropIndex');
+    
+    const dropped = (await this._hasCollection(collection)) &&
+      await this._call('dropIndex', { collection }, () => this.adapter.dropIndex(collection, name));
+    
+    if (this.strict && !dropped) {
+      throw new NotFoundError(`Index not found: ${name} on collection ${collection}`, { collection, index: name });
+    }
+    
+    return dropped;
+  }
+
+  /**
+   * Lists the secondary indexes of a collection
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<Array>} - Index definitions
+   */
+  async listIndexes(collection) {
+    if (!(await this._hasCollection(collection)) || typeof this.adapter.listIndexes !== 'function') {
+      return [];
+    }
+    
+    return await this.adapter.listIndexes(collection);
+  }
+
+  /**
+   * Gets the layout a collection is stored in
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<string|null>} - 'files' or 'packed', or null if the collection does not exist
+   */
+  async getCollectionLayout(collection) {
+    this._ensureSupported('getCollectionLayout');
+    
+    return await this.adapter.getCollectionLayout(collection);
+  }
+
+  /**
+   * Converts a collection to another layout, in place
+   * 
+   * @param {string} collection - The collection name
+   * @param {string} layout - 'files' or 'packed'
+   * @returns {Promise<boolean>} - Success status; false if the collection does not exist
+   */
+  async convertCollection(collection, layout) {
+    this._ensureSupported('convertCollection');
+    
+    return await this._call('convertCollection', { collection }, () => this.adapter.convertCollection(collection, layout));
+  }
+
+  /**
+   * Commits a set of writes atomically
+   * 
+   * @param {Array<Object>} operations - Transaction operations
+   * @returns {Promise<boolean>} - Success status
+   */
+  async applyTransaction(operations) {
+    this._ensureSupported('applyTransaction');
+    
+    const result = await this._call('applyTransaction', { operations: operations.length }, () =>
+      this.adapter.applyTransaction(operations));
+    
+    // Track collections the transaction created
+    for (const operation of operations) {
+      if (operation.collection !== undefined && !this.collections.has(operation.collection)) {
+        this.collections.set(operation.collection, { name: operation.collection });
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Returns the storage metrics
+   * 
+   * @returns {Object} - { operations, scans, slowQueries }; scans is empty for adapters
+   *   without getScanStats()
+   */
+  getMetrics() {
+    const scans = typeof this.adapter.getScanStats === 'function' ? this.adapter.getScanStats() : {};
+    return { ...this.metrics.snapshot(), scans };
   }
 
   /**
@@ -190,6 +564,148 @@ class StorageEngine {
     await this.adapter.close();
     this.collections.clear();
   }
+
+  /**
+   * Checks if a collection exists
+   * Asks the adapter about collections this engine has not seen, which other
+   * processes sharing the storage may have created.
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Promise<boolean>} - True if the collection exists
+   * @private
+   */
+  async _hasCollection(collection) {
+    if (this.collections.has(collection)) {
+      return true;
+    }
+    
+    if (typeof this.adapter.hasCollection === 'function' && await this.adapter.hasCollection(collection)) {
+      this.collections.set(collection, { name: collection });
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Yields the documents find() returns, for adapters without iterate()
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {AsyncGenerator<Object>} - Matching documents
+   * @private
+   */
+  async *_iterateFound(collection, query) {
+    if (!(await this._hasCollection(collection))) {
+      return;
+    }
+    
+    yield* await this.adapter.find(collection, query);
+  }
+
+  /**
+   * Runs an adapter call, recording its duration in the metrics and logging it
+   * at debug level
+   * Calls with a query that reach the slow-query threshold are added to the
+   * slow-query log and logged as warnings.
+   * 
+   * @param {string} op - Operation name
+   * @param {Object} fields - Fields identifying what the operation touches, e.g. { collection, query }
+   * @param {Function} call - Function making the adapter call
+   * @returns {Promise<any>} - The call's result
+   * @private
+   */
+  async _call(op, fields, call) {
+    if (!this.metrics.enabled && !this.logger.isLevelEnabled('debug')) {
+      return await call();
+    }
+    
+    const start = performance.now();
+    let failed = true;
+    try {
+      const result = await call();
+      failed = false;
+      return result;
+    } finally {
+      this._recordCall(op, fields, performance.now() - start, failed);
+    }
+  }
+
+  /**
+   * Yields the documents of an adapter iteration, recording it like _call()
+   * once the iteration finishes, fails or is stopped early
+   * Only the time spent waiting for the adapter is counted, not the time the
+   * caller spends between documents.
+   * 
+   * @param {string} op - Operation name
+   * @param {Object} fields - Fields identifying what the operation touches, e.g. { collection, query }
+   * @param {AsyncIterable<Object>} documents - The adapter's documents
+   * @returns {AsyncGenerator<Object>} - The same documents
+   * @private
+   */
+  async *_callIterator(op, fields, documents) {
+    if (!this.metrics.enabled && !this.logger.isLevelEnabled('debug')) {
+      yield* documents;
+      return;
+    }
+    
+    let elapsed = 0;
+    let start = performance.now();
+    let failed = false;
+    try {
+      for await (const document of documents) {
+        elapsed += performance.now() - start;
+        yield document;
+        start = performance.now();
+      }
+      elapsed += performance.now() - start;
+    } catch (error) {
+      elapsed += performance.now() - start;
+      failed = true;
+      throw error;
+    } finally {
+      this._recordCall(op, fields, elapsed, failed);
+    }
+  }
+
+  /**
+   * Records a finished adapter call in the metrics, the debug log and, when it
+   * has a query and reached the slow-query threshold, the slow-query log
+   * 
+   * @param {string} op - Operation name
+   * @param {Object} fields - Fields identifying what the operation touches
+   * @param {number} elapsed - Duration in milliseconds
+   * @param {boolean} failed - Whether the call threw
+   * @private
+   */
+  _recordCall(op, fields, elapsed, failed) {
+    const durationMs = Math.round(elapsed * 1000) / 1000;
+    this.metrics.record(op, durationMs, failed);
+    this.logger.debug(`Storage ${op}`, { op, ...fields, durationMs, failed });
+    
+    if (fields.query !== undefined && this.metrics.isSlow(durationMs)) {
+      this.metrics.recordSlowQuery({ op, ...fields, durationMs });
+      this.logger.warn(`Slow ${op} on collection '${fields.collection}' took ${durationMs}ms`, { op, ...fields, durationMs });
+    }
+  }
+
+  /**
+   * Ensures the adapter implements an optional operation
+   * 
+   * @param {string} method - Adapter method name
+   * @throws {UnsupportedOperationError} - If it does not
+   * @private
+   */
+  _ensureSupported(method) {
+    if (typeof this.adapter[method] !== 'function') {
+      if (this.config.adapter) {
+        throw new UnsupportedOperationError(`Storage adapter ${this.adapter.constructor.name} does not support ${method}()`, { operation: method });
+      }
+      throw new UnsupportedOperationError(`Storage type '${this.config.storage}' does not support ${method}()`, { operation: method });
+    }
+  }
 }
 
+StorageEngine.REQUIRED_METHODS = REQUIRED_METHODS;
+
 module.exports = StorageEngine; 
\ No newline at end of file
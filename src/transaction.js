@@ -0,0 +1,345 @@
+/**
+ * Transaction - Buffers reads and writes across collections and keys so they
+ * can be committed atomically
+ */
+
+const {
+  clone,
+  generateId,
+  matches,
+  validateQuery,
+  validateUpdate,
+  validateFindOptions,
+  applyUpdate,
+  applyFindOptions,
+  buildUpsertDocument,
+  normalizeName
+} = require('./utils');
+const { DuplicateKeyError, TransactionInactiveError } = require('./errors');
+
+class Transaction {
+  /**
+   * Creates a new transaction
+   * Use HyperDB#transaction() rather than constructing this directly.
+   * 
+   * @param {HyperDB} db - The database instance
+   */
+  constructor(db) {
+    this.db = db;
+    this.keys = new Map();
+    this.collections = new Map();
+    // Collection name -> document ID -> committed version first read, or null if absent
+    this.reads = new Map();
+    // Key -> committed value first read, as stored, or null if absent
+    this.keyReads = new Map();
+    this.active = true;
+  }
+
+  /**
+   * Retrieves a value by key, seeing the transaction's own writes
+   * 
+   * @param {string} key - The key to retrieve
+   * @returns {Promise<any>} - The value or null if not found
+   */
+  async get(key) {
+    this._ensureActive();
+    
+    if (this.keys.has(key)) {
+      return this.keys.get(key).value;
+    }
+    
+    const value = await this.db.storage.get(key);
+    if (!this.keyReads.has(key)) {
+      // Copied, as the caller may get the same object and change it
+      this.keyReads.set(key, clone(value));
+    }
+    
+    return value && this.db.security ?
+      this.db.security.decrypt(value) : value;
+  }
+
+  /**
+   * Checks if a key exists, seeing the transaction's own writes
+   * 
+   * @param {string} key - The key to check
+   * @returns {Promise<boolean>} - True if the key exists
+   */
+  async has(key) {
+    this._ensureActive();
+    
+    if (this.keys.has(key)) {
+      return !this.keys.get(key).deleted;
+    }
+    
+    return await this.db.storage.has(key);
+  }
+
+  /**
+   * Stores a value when the transaction commits
+   * 
+   * @param {string} key - The key to store data under
+   * @param {any} value - The data to store
+   * @returns {Promise<boolean>} - Always true
+   */
+  async set(key, value) {
+    this._ensureActive();
+    
+    this.keys.set(key, { value, deleted: false });
+    return true;
+  }
+
+  /**
+   * Deletes a value when the transaction commits
+   * 
+   * @param {string} key - The key to delete
+   * @returns {Promise<boolean>} - True if the key existed
+   */
+  async delete(key) {
+    const existed = await this.has(key);
+    
+    this.keys.set(key, { value: null, deleted: true });
+    return existed;
+  }
+
+  /**
+   * Inserts a document when the transaction commits
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} document - The document to insert
+   * @param {Object} [options] - Insert options
+   * @param {boolean} [options.overwrite=true] - Replace an existing document with the same ID
+   * @returns {Promise<Object>} - The document as it will be stored
+   * @throws {DuplicateKeyError} - If the ID exists and overwrite is disabled
+   */
+  async insert(collection, document, options = {}) {
+    this._ensureActive();
+    
+    const doc = { ...document };
+    if (!doc.id && !doc._id) {
+      doc.id = generateId();
+    }
+    
+    const id = doc.id || doc._id;
+    const idField = doc.id !== undefined ? 'id' : '_id';
+    if (options.overwrite === false && await this._exists(collection, idField, id)) {
+      throw new DuplicateKeyError({
+        collection: normalizeName(collection),
+        fields: [idField],
+        value: id,
+        conflictingId: id
+      });
+    }
+    
+    const now = Date.now();
+    doc.created_at = now;
+    doc.updated_at = now;
+    
+    this._stage(collection).set(id, doc);
+    return doc;
+  }
+
+  /**
+   * Finds documents, seeing the transaction's own writes
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} [query={}] - Query parameters
+   * @param {Object} [options] - Find options (sort, skip, limit, projection)
+   * @returns {Promise<Array>} - Array of matching documents
+   */
+  async find(collection, query = {}, options = {}) {
+    this._ensureActive();
+    validateQuery(query);
+    validateFindOptions(options);
+    
+    const staged = this._stage(collection);
+    const committed = await this.db.storage.find(collection, query);
+    committed.forEach(doc => this._recordRead(collection, doc.id || doc._id, doc));
+    
+    // Staged documents replace their committed versions
+    const results = committed.filter(doc => !staged.has(doc.id || doc._id));
+    for (const doc of staged.values()) {
+      if (doc && matches(doc, query)) {
+        results.push(doc);
+      }
+    }
+    
+    return applyFindOptions(results, options);
+  }
+
+  /**
+   * Finds one document, seeing the transaction's own writes
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} [query={}] - Query parameters
+   * @returns {Promise<Object|null>} - The found document or null
+   */
+  async findOne(collection, query = {}) {
+    const [doc] = await this.find(collection, query, { limit: 1 });
+    return doc || null;
+  }
+
+  /**
+   * Updates documents when the transaction commits
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @param {Object} update - Plain fields to merge, or update operators
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.multi=true] - Update every matching document rather than the first
+   * @param {boolean} [options.upsert=false] - Insert a document when nothing matches
+   * @returns {Promise<number>} - Number of updated (or upserted) documents
+   * @throws {ValidationError} - If the update is malformed or does not apply to a document
+   */
+  async update(collection, query, update, options = {}) {
+    validateUpdate(update);
+    
+    const docs = await this.find(collection, query, options.multi === false ? { limit: 1 } : {});
+    
+    if (docs.length === 0) {
+      if (!options.upsert) {
+        return 0;
+      }
+      
+      await this.insert(collection, buildUpsertDocument(query, update), { overwrite: false });
+      return 1;
+    }
+    
+    const now = Date.now();
+    const staged = this._stage(collection);
+    for (const doc of docs) {
+      staged.set(doc.id || doc._id, { ...applyUpdate(doc, update), updated_at: now });
+    }
+    
+    return docs.length;
+  }
+
+  /**
+   * Deletes documents when the transaction commits
+   * 
+   * @param {string} collection - The collection name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<number>} - Number of deleted documents
+   */
+  async deleteFrom(collection, query) {
+    const docs = await this.find(collection, query);
+    
+    const staged = this._stage(collection);
+    for (const doc of docs) {
+      staged.set(doc.id || doc._id, null);
+    }
+    
+    return docs.length;
+  }
+
+  /**
+   * Lists the writes to commit
+   * Each operation is one of { type: 'set', key, value }, { type: 'delete', key },
+   * { type: 'put', collection, document } or { type: 'remove', collection, id }.
+   * Operations on documents and keys the transaction read carry the version
+   * read as `expected`.
+   * 
+   * @returns {Array<Object>} - Transaction operations
+   */
+  get operations() {
+    const operations = [];
+    
+    for (const [key, { value, deleted }] of this.keys) {
+      const operation = deleted ?
+        { type: 'delete', key } :
+        { type: 'set', key, value };
+      if (this.keyReads.has(key)) {
+        operation.expected = this.keyReads.get(key);
+      }
+      operations.push(operation);
+    }
+    
+    for (const [collection, staged] of this.collections) {
+      const reads = this.reads.get(collection) || new Map();
+      for (const [id, document] of staged) {
+        const operation = document ?
+          { type: 'put', collection, document } :
+          { type: 'remove', collection, id };
+        if (reads.has(id)) {
+          operation.expected = reads.get(id);
+        }
+        operations.push(operation);
+      }
+    }
+    
+    return operations;
+  }
+
+  /**
+   * Gets the staged documents of a collection, keyed by ID
+   * Deleted documents are staged as null.
+   * 
+   * @param {string} collection - The collection name
+   * @returns {Map} - Staged documents
+   * @private
+   */
+  _stage(collection) {
+    const normalizedName = normalizeName(collection);
+    
+    if (!this.collections.has(normalizedName)) {
+      this.collections.set(normalizedName, new Map());
+    }
+    return this.collections.get(normalizedName);
+  }
+
+  /**
+   * Checks if a document ID exists, seeing the transaction's own writes
+   * 
+   * @param {string} collection - The collection name
+   * @param {string} idField - 'id' or '_id'
+   * @param {string|number} id - Document ID
+   * @returns {Promise<boolean>} - True if the document exists
+   * @private
+   */
+  async _exists(collection, idField, id) {
+    const staged = this._stage(collection);
+    if (staged.has(id)) {
+      return staged.get(id) !== null;
+    }
+    
+    const doc = await this.db.storage.findOne(collection, { [idField]: id });
+    this._recordRead(collection, id, doc);
+    return Boolean(doc);
+  }
+
+  /**
+   * Remembers the committed version of a document the first time it is read
+   * Writes of documents read before are committed only if the documents are
+   * still unchanged; documents the transaction already wrote don't count as read.
+   * 
+   * @param {string} collection - The collection name
+   * @param {string|number} id - Document ID
+   * @param {Object|null} doc - The committed document, or null if it does not exist
+   * @private
+   */
+  _recordRead(collection, id, doc) {
+    const normalizedName = normalizeName(collection);
+    if (!this.reads.has(normalizedName)) {
+      this.reads.set(normalizedName, new Map());
+    }
+    
+    const reads = this.reads.get(normalizedName);
+    if (!reads.has(id) && !this._stage(collection).has(id)) {
+      // Copied, as the caller gets the same object and may change it
+      reads.set(id, doc && clone(doc));
+    }
+  }
+
+  /**
+   * Ensures the transaction can still be used
+   * 
+   * @throws {TransactionInactiveError} - If the transaction's callback has returned
+   * @private
+   */
+  _ensureActive() {
+    if (!this.active) {
+      throw new TransactionInactiveError();
+    }
+  }
+}
+
+module.exports = Transaction;
@@ -2,6 +2,11 @@
  * Utility functions for HyperDB
  */
 
+const { ValidationError, TransactionConflictError } = require('./errors');
+const { COMPRESSION_ALGORITHMS, DEFAULT_COMPRESSION, resolveCompression } = require('./compression');
+const { LOG_LEVELS, DEFAULT_LOG_LEVEL, Logger, isLogger } = require('./logger');
+const { DEFAULT_METRICS } = require('./metrics');
+
 /**
  * Validates and normalizes configuration options
  * 
@@ -23,46 +28,100 @@ function validateConfig(config) {
     },
     realtime: {
       enabled: false
-    }
+    },
+    locking: {
+      enabled: true,
+      mode: 'multi-writer',
+      timeout: 10000, // 10 seconds
+      staleTimeout: 30000 // 30 seconds
+    },
+    compression: DEFAULT_COMPRESSION,
+    readOnly: false,
+    strict: false,
+    logger: null,
+    logLevel: DEFAULT_LOG_LEVEL,
+    metrics: DEFAULT_METRICS
   };
 
-  // Validate storage type
-  if (config.storage) {
-    const validStorageTypes = ['filestore', 'json', 'sqlite', 'leveldb', 'mongodb', 'postgres'];
-    if (!validStorageTypes.includes(config.storage.toLowerCase())) {
-      console.warn(`Warning: Storage type '${config.storage}' is not officially supported. Using 'filestore' as fallback.`);
-      config.storage = 'filestore';
-    }
-    
-    // Convert legacy storage types to filestore
-    if (['sqlite', 'leveldb', 'mongodb', 'postgres'].includes(config.storage.toLowerCase())) {
-      console.warn(`Note: '${config.storage}' storage type is being mapped to 'filestore' in this version.`);
-    }
+  // Validate storage type; the storage engine checks it against the
+  // registered adapters
+  if (config.storage !== undefined && (typeof config.storage !== 'string' || !config.storage)) {
+    throw new ValidationError('Storage type must be a non-empty string');
+  }
+
+  // Validate custom adapter
+  if (config.adapter !== undefined && config.adapter !== null &&
+      typeof config.adapter !== 'object' && typeof config.adapter !== 'function') {
+    throw new ValidationError('Adapter must be an adapter instance, class or factory function');
   }
 
   // Validate sync configuration
   if (config.sync?.enabled) {
     if (!config.sync.type) {
-      throw new Error('Sync type is required when sync is enabled');
+      throw new ValidationError('Sync type is required when sync is enabled');
     }
 
     const validSyncTypes = ['firebase', 'supabase', 'custom', 'aws'];
     if (!validSyncTypes.includes(config.sync.type.toLowerCase())) {
-      throw new Error(`Invalid sync type: ${config.sync.type}. Valid types are: ${validSyncTypes.join(', ')}`);
+      throw new ValidationError(`Invalid sync type: ${config.sync.type}. Valid types are: ${validSyncTypes.join(', ')}`);
     }
 
     if (!config.sync.config) {
-      throw new Error('Sync config is required when sync is enabled');
+      throw new ValidationError('Sync config is required when sync is enabled');
     }
   }
 
   // Validate realtime configuration
   if (config.realtime?.enabled) {
     if (!config.realtime.serverUrl && !config.realtime.server) {
-      throw new Error('Server URL or server configuration is required for realtime sync');
+      throw new ValidationError('Server URL or server configuration is required for realtime sync');
+    }
+  }
+
+  // Validate locking configuration
+  if (config.locking?.mode) {
+    const validLockingModes = ['multi-writer', 'single-writer'];
+    if (!validLockingModes.includes(config.locking.mode)) {
+      throw new ValidationError(`Invalid locking mode: ${config.locking.mode}. Valid modes are: ${validLockingModes.join(', ')}`);
     }
   }
 
+  // Validate compression configuration
+  if (config.compression !== undefined && typeof config.compression !== 'string' &&
+      (typeof config.compression !== 'object' || config.compression === null || Array.isArray(config.compression))) {
+    throw new ValidationError('Compression must be an algorithm name or an object of compression options');
+  }
+
+  const compression = resolveCompression(config.compression);
+  if (!COMPRESSION_ALGORITHMS.includes(compression.algorithm)) {
+    throw new ValidationError(`Invalid compression algorithm: ${compression.algorithm}. Valid algorithms are: ${COMPRESSION_ALGORITHMS.join(', ')}`);
+  }
+
+  if (typeof compression.threshold !== 'number' || compression.threshold < 0) {
+    throw new ValidationError('Compression threshold must be a non-negative number of bytes');
+  }
+
+  // Validate logging configuration
+  if (config.logger !== undefined && config.logger !== null && !isLogger(config.logger)) {
+    throw new ValidationError('Logger must have debug(), info(), warn() and error() methods');
+  }
+
+  if (config.logLevel !== undefined && !(config.logLevel in LOG_LEVELS)) {
+    throw new ValidationError(`Invalid log level: ${config.logLevel}. Valid levels are: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+
+  // Validate metrics configuration
+  const { buckets, slowQueryThreshold } = config.metrics || {};
+  if (buckets !== undefined &&
+      (!Array.isArray(buckets) || buckets.length === 0 || !buckets.every(bucket => typeof bucket === 'number' && bucket > 0))) {
+    throw new ValidationError('Metrics buckets must be a non-empty array of positive numbers of ms');
+  }
+
+  if (slowQueryThreshold !== undefined && slowQueryThreshold !== null &&
+      (typeof slowQueryThreshold !== 'number' || slowQueryThreshold < 0)) {
+    throw new ValidationError('Slow query threshold must be a non-negative number of ms, or null');
+  }
+
   // Merge with default config
   return {
     ...defaultConfig,
@@ -78,7 +137,19 @@ function validateConfig(config) {
     realtime: {
       ...defaultConfig.realtime,
       ...config.realtime
-    }
+    },
+    locking: {
+      ...defaultConfig.locking,
+      ...config.locking
+    },
+    compression,
+    metrics: {
+      ...defaultConfig.metrics,
+      ...config.metrics
+    },
+    // Wrapped once so every subsystem shares the level and the silent default
+    logger: config.logger instanceof Logger ? config.logger :
+      new Logger(config.logger, { level: config.logLevel || defaultConfig.logLevel })
   };
 }
 
@@ -116,9 +187,406 @@ function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).slice(2);
 }
 
+/**
+ * Logical operators accepted at the top level of a query
+ * @private
+ */
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor', '$not'];
+
+/**
+ * Operators accepted inside a field condition
+ * @private
+ */
+const FIELD_OPERATORS = [
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+  '$exists', '$regex', '$options', '$elemMatch', '$size', '$not'
+];
+
+/**
+ * Checks if a value is a plain object (not an array, date or regex)
+ * 
+ * @param {any} value - Value to check
+ * @returns {boolean} - True if value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp);
+}
+
+/**
+ * Checks if a field condition is an operator expression such as { $gt: 5 }
+ * 
+ * @param {any} condition - Field condition
+ * @returns {boolean} - True if condition is an operator expression
+ */
+function isOperatorObject(condition) {
+  if (!isPlainObject(condition)) return false;
+  
+  const keys = Object.keys(condition);
+  if (keys.length === 0 || !keys[0].startsWith('$')) return false;
+  
+  if (!keys.every(key => key.startsWith('$'))) {
+    throw new ValidationError('Cannot mix query operators and plain fields in one condition');
+  }
+  
+  return true;
+}
+
+/**
+ * Compares two values for deep equality
+ * 
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} - True if values are deeply equal
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  
+  if (Array.isArray(a) || Array.isArray(b)) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+      return false;
+    }
+    return a.every((item, i) => deepEqual(item, b[i]));
+  }
+  
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(key => 
+      Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key])
+    );
+  }
+  
+  return false;
+}
+
+/**
+ * Compares two values for ordering
+ * Only values of the same type are comparable; dates compare by timestamp.
+ * 
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number|null} - Negative, zero or positive, or null if not comparable
+ */
+function compareValues(a, b) {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  
+  if (typeof left !== typeof right) return null;
+  if (typeof left !== 'number' && typeof left !== 'string' && typeof left !== 'boolean') {
+    return null;
+  }
+  
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+}
+
+/**
+ * Reads a value from an object using dot notation
+ * Numeric path segments index into arrays.
+ * 
+ * @param {Object} obj - Object to read from
+ * @param {string} path - Dot-notation path
+ * @returns {any} - The value at the path or undefined
+ */
+function getPath(obj, path) {
+  let value = obj;
+  
+  for (const part of path.split('.')) {
+    if (value === undefined || value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[part];
+  }
+  
+  return value;
+}
+
+/**
+ * Collects every value reachable through a dot-notation path
+ * Arrays met along the way are traversed element by element, so
+ * 'items.name' yields the name of every item.
+ * 
+ * @param {any} value - Current value
+ * @param {Array<string>} parts - Path segments
+ * @param {number} index - Current segment index
+ * @returns {Array} - Values found at the path (undefined when missing)
+ * @private
+ */
+function collectValues(value, parts, index) {
+  if (index === parts.length) {
+    return [value];
+  }
+  
+  if (value === undefined || value === null || typeof value !== 'object') {
+    return [undefined];
+  }
+  
+  const part = parts[index];
+  
+  if (Array.isArray(value) && !/^\d+$/.test(part)) {
+    const values = [];
+    for (const item of value) {
+      if (item !== null && typeof item === 'object') {
+        values.push(...collectValues(item, parts, index));
+      }
+    }
+    return values.length > 0 ? values : [undefined];
+  }
+  
+  return collectValues(value[part], parts, index + 1);
+}
+
+/**
+ * Expands array values so operators also see their elements
+ * @private
+ */
+function expandArrays(values) {
+  const expanded = [];
+  for (const value of values) {
+    expanded.push(value);
+    if (Array.isArray(value)) {
+      expanded.push(...value);
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Returns every value a query would compare against for a field path,
+ * including the elements of array values
+ * 
+ * @param {Object} obj - Object to read from
+ * @param {string} path - Dot-notation path
+ * @returns {Array} - Candidate values (undefined when the field is missing)
+ */
+function getPathValues(obj, path) {
+  return expandArrays(collectValues(obj, path.split('.'), 0));
+}
+
+/**
+ * Checks a single value against an equality operand
+ * A null operand also matches missing fields, and a RegExp operand tests strings.
+ * @private
+ */
+function equalsOperand(value, operand) {
+  if (operand instanceof RegExp) {
+    return typeof value === 'string' && operand.test(value);
+  }
+  
+  if (operand === null) {
+    return value === null || value === undefined;
+  }
+  
+  return deepEqual(value, operand);
+}
+
+/**
+ * Builds a RegExp from a $regex operand
+ * @private
+ */
+function toRegExp(pattern, options) {
+  if (pattern instanceof RegExp) {
+    return options ? new RegExp(pattern.source, options) : pattern;
+  }
+  return new RegExp(pattern, options || '');
+}
+
+/**
+ * Checks the values found at a field path against a condition
+ * 
+ * @param {Array} values - Values found at the field path
+ * @param {any} condition - Literal value, RegExp or operator expression
+ * @returns {boolean} - True if the condition is satisfied
+ * @private
+ */
+function matchCondition(values, condition) {
+  if (!isOperatorObject(condition)) {
+    return expandArrays(values).some(value => equalsOperand(value, condition));
+  }
+  
+  for (const op in condition) {
+    const operand = condition[op];
+    let result;
+    
+    switch (op) {
+      case '$eq':
+        result = expandArrays(values).some(value => equalsOperand(value, operand));
+        break;
+      case '$ne':
+        result = !expandArrays(values).some(value => equalsOperand(value, operand));
+        break;
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte':
+        result = expandArrays(values).some(value => {
+          const order = compareValues(value, operand);
+          if (order === null) return false;
+          if (op === '$gt') return order > 0;
+          if (op === '$gte') return order >= 0;
+          if (op === '$lt') return order < 0;
+          return order <= 0;
+        });
+        break;
+      case '$in':
+        result = expandArrays(values).some(value => 
+          operand.some(item => equalsOperand(value, item))
+        );
+        break;
+      case '$nin':
+        result = !expandArrays(values).some(value => 
+          operand.some(item => equalsOperand(value, item))
+        );
+        break;
+      case '$exists':
+        result = values.some(value => value !== undefined) === Boolean(operand);
+        break;
+      case '$regex': {
+        const regex = toRegExp(operand, condition.$options);
+        result = expandArrays(values).some(value => 
+          typeof value === 'string' && regex.test(value)
+        );
+        break;
+      }
+      case '$options':
+        // Consumed together with $regex
+        result = true;
+        break;
+      case '$elemMatch':
+        result = values.some(value => Array.isArray(value) && value.some(item => 
+          isOperatorObject(operand) ?
+            matchCondition([item], operand) :
+            isPlainObject(item) && matches(item, operand)
+        ));
+        break;
+      case '$size':
+        result = values.some(value => Array.isArray(value) && value.length === operand);
+        break;
+      case '$not':
+        result = !matchCondition(values, operand);
+        break;
+      default:
+        throw new ValidationError(`Invalid query operator: ${op}`);
+    }
+    
+    if (!result) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Validates a field condition, throwing on unknown operators or bad operands
+ * @private
+ */
+function validateCondition(field, condition) {
+  if (!isOperatorObject(condition)) return;
+  
+  for (const op in condition) {
+    const operand = condition[op];
+    
+    if (!FIELD_OPERATORS.includes(op)) {
+      throw new ValidationError(`Invalid query operator: ${op}`);
+    }
+    
+    switch (op) {
+      case '$in':
+      case '$nin':
+        if (!Array.isArray(operand)) {
+          throw new ValidationError(`${op} on '${field}' requires an array`);
+        }
+        break;
+      case '$size':
+        if (!Number.isInteger(operand) || operand < 0) {
+          throw new ValidationError(`$size on '${field}' requires a non-negative integer`);
+        }
+        break;
+      case '$regex':
+        if (typeof operand !== 'string' && !(operand instanceof RegExp)) {
+          throw new ValidationError(`$regex on '${field}' requires a string or RegExp`);
+        }
+        toRegExp(operand, condition.$options);
+        break;
+      case '$options':
+        if (!('$regex' in condition)) {
+          throw new ValidationError(`$options on '${field}' requires $regex`);
+        }
+        break;
+      case '$elemMatch':
+        if (!isPlainObject(operand)) {
+          throw new ValidationError(`$elemMatch on '${field}' requires an object`);
+        }
+        if (isOperatorObject(operand)) {
+          validateCondition(field, operand);
+        } else {
+          validateQuery(operand);
+        }
+        break;
+      case '$not':
+        if (!(operand instanceof RegExp) && !isOperatorObject(operand)) {
+          throw new ValidationError(`$not on '${field}' requires an operator expression or RegExp`);
+        }
+        validateCondition(field, operand);
+        break;
+    }
+  }
+}
+
+/**
+ * Validates a query, throwing on unknown operators or malformed operands
+ * 
+ * @param {Object} query - Query to validate
+ * @throws {ValidationError} - If the query is malformed
+ */
+function validateQuery(query) {
+  if (query === undefined || query === null) return;
+  
+  if (!isPlainObject(query)) {
+    throw new ValidationError('Query must be an object');
+  }
+  
+  for (const key in query) {
+    const value = query[key];
+    
+    if (!key.startsWith('$')) {
+      validateCondition(key, value);
+      continue;
+    }
+    
+    if (!LOGICAL_OPERATORS.includes(key)) {
+      throw new ValidationError(`Invalid query operator: ${key}`);
+    }
+    
+    if (key === '$not') {
+      validateQuery(value);
+      continue;
+    }
+    
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new ValidationError(`${key} requires a non-empty array of queries`);
+    }
+    value.forEach(validateQuery);
+  }
+}
+
 /**
  * Checks if an object matches a query
  * 
+ * Supports dot notation, array fields (a field matches when any element
+ * matches), comparison operators ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin),
+ * element operators ($exists, $regex, $elemMatch, $size, $not) and the
+ * logical operators $and, $or, $nor and $not.
+ * 
  * @param {Object} obj - Object to check
  * @param {Object} query - Query to match against
  * @returns {boolean} - True if object matches query
@@ -127,24 +595,28 @@ function matches(obj, query) {
   if (!obj || !query) return false;
   
   for (const key in query) {
-    // Handle nested queries with dot notation
-    if (key.includes('.')) {
-      const parts = key.split('.');
-      let value = obj;
-      
-      // Navigate through nested properties
-      for (const part of parts) {
-        if (value === undefined || value === null) {
-          return false;
-        }
-        value = value[part];
-      }
-      
-      // Check if nested value matches query value
-      if (value !== query[key]) {
-        return false;
-      }
-    } else if (query[key] !== obj[key]) {
+    const condition = query[key];
+    
+    switch (key) {
+      case '$and':
+        if (!condition.every(subQuery => matches(obj, subQuery))) return false;
+        continue;
+      case '$or':
+        if (!condition.some(subQuery => matches(obj, subQuery))) return false;
+        continue;
+      case '$nor':
+        if (condition.some(subQuery => matches(obj, subQuery))) return false;
+        continue;
+      case '$not':
+        if (matches(obj, condition)) return false;
+        continue;
+    }
+    
+    if (key.startsWith('$')) {
+      throw new ValidationError(`Invalid query operator: ${key}`);
+    }
+    
+    if (!matchCondition(collectValues(obj, key.split('.'), 0), condition)) {
       return false;
     }
   }
@@ -158,14 +630,16 @@ function matches(obj, query) {
  * @param {Object} obj - Object to update
  * @param {Object} update - Update to apply
  * @returns {Object} - Updated object
+ * @throws {ValidationError} - If a key would write to a prototype
  */
 function deepUpdate(obj, update) {
   const result = clone(obj);
   
   for (const key in update) {
-    if (key.includes('.')) {
+    const parts = splitPath(key);
+    
+    if (parts.length > 1) {
       // Handle dot notation
-      const parts = key.split('.');
       let current = result;
       
       // Navigate to the nested property
@@ -188,6 +662,551 @@ function deepUpdate(obj, update) {
   return result;
 }
 
+/**
+ * Path segments that would reach an object's prototype instead of a field
+ * @private
+ */
+const UNSAFE_PATH_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Splits a dot-notation path into its segments, rejecting prototype segments
+ * @private
+ */
+function splitPath(path) {
+  const parts = path.split('.');
+  
+  if (parts.some(part => UNSAFE_PATH_SEGMENTS.includes(part))) {
+    throw new ValidationError(`Field path '${path}' must not contain ${UNSAFE_PATH_SEGMENTS.join(', ')}`);
+  }
+  
+  return parts;
+}
+
+/**
+ * Update operators accepted by applyUpdate()
+ * @private
+ */
+const UPDATE_OPERATORS = [
+  '$set', '$unset', '$inc', '$mul', '$min', '$max', '$push',
+  '$addToSet', '$pull', '$rename', '$currentDate'
+];
+
+/**
+ * Sets a value in an object using dot notation, creating missing parents
+ * @private
+ */
+function setPath(obj, path, value) {
+  const parts = splitPath(path);
+  let current = obj;
+  
+  for (let i = 0; i < parts.length - 1; i++) {
+    const part = parts[i];
+    if (!current[part] || typeof current[part] !== 'object') {
+      current[part] = {};
+    }
+    current = current[part];
+  }
+  
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Removes a value from an object using dot notation
+ * @private
+ */
+function unsetPath(obj, path) {
+  const parts = splitPath(path);
+  const parent = parts.length === 1 ? obj : getPath(obj, parts.slice(0, -1).join('.'));
+  
+  if (parent && typeof parent === 'object') {
+    if (Array.isArray(parent)) {
+      // Keep array positions stable, as MongoDB does
+      parent[parts[parts.length - 1]] = null;
+    } else {
+      delete parent[parts[parts.length - 1]];
+    }
+  }
+}
+
+/**
+ * Reads the current array at a path for an array operator
+ * @private
+ */
+function arrayAt(obj, path, op) {
+  const current = getPath(obj, path);
+  
+  if (current === undefined || current === null) return [];
+  
+  if (!Array.isArray(current)) {
+    throw new ValidationError(`${op} requires '${path}' to be an array`);
+  }
+  
+  return current;
+}
+
+/**
+ * Reads the current number at a path for an arithmetic operator
+ * @private
+ */
+function numberAt(obj, path, op) {
+  const current = getPath(obj, path);
+  
+  if (current !== undefined && typeof current !== 'number') {
+    throw new ValidationError(`${op} requires '${path}' to be a number`);
+  }
+  
+  return current;
+}
+
+/**
+ * Checks if an update uses update operators rather than plain fields
+ * 
+ * @param {Object} update - Update data
+ * @returns {boolean} - True if the update is an operator update
+ */
+function isOperatorUpdate(update) {
+  return Object.keys(update).some(key => key.startsWith('$'));
+}
+
+/**
+ * Validates an update, throwing on unknown operators or malformed operands
+ * 
+ * @param {Object} update - Update to validate
+ * @throws {ValidationError} - If the update is malformed
+ */
+function validateUpdate(update) {
+  if (!isPlainObject(update)) {
+    throw new ValidationError('Update must be an object');
+  }
+  
+  if (!isOperatorUpdate(update)) return;
+  
+  for (const op in update) {
+    if (!op.startsWith('$')) {
+      throw new ValidationError('Cannot mix update operators and plain fields in one update');
+    }
+    
+    if (!UPDATE_OPERATORS.includes(op)) {
+      throw new ValidationError(`Invalid update operator: ${op}`);
+    }
+    
+    const fields = update[op];
+    if (!isPlainObject(fields)) {
+      throw new ValidationError(`${op} requires an object of fields`);
+    }
+    
+    for (const path in fields) {
+      const operand = fields[path];
+      
+      switch (op) {
+        case '$inc':
+        case '$mul':
+          if (typeof operand !== 'number') {
+            throw new ValidationError(`${op} on '${path}' requires a number`);
+          }
+          break;
+        case '$rename':
+          if (typeof operand !== 'string' || !operand || operand === path) {
+            throw new ValidationError(`$rename on '${path}' requires a different field name`);
+          }
+          break;
+        case '$currentDate':
+          if (operand !== true && !(isPlainObject(operand) && ['date', 'timestamp'].includes(operand.$type))) {
+            throw new ValidationError(`$currentDate on '${path}' requires true or { $type: 'date' | 'timestamp' }`);
+          }
+          break;
+        case '$push':
+        case '$addToSet':
+          if (isPlainObject(operand) && '$each' in operand) {
+            if (!Array.isArray(operand.$each)) {
+              throw new ValidationError(`$each on '${path}' requires an array`);
+            }
+            if ('$slice' in operand && (op !== '$push' || !Number.isInteger(operand.$slice))) {
+              throw new ValidationError(`$slice on '${path}' requires $push and an integer`);
+            }
+          }
+          break;
+        case '$pull':
+          if (isPlainObject(operand)) {
+            validateQuery(isOperatorObject(operand) ? { item: operand } : operand);
+          }
+          break;
+      }
+    }
+  }
+}
+
+/**
+ * Applies an update to a document and returns the updated copy
+ * 
+ * A plain object is merged field by field, with dot-notation keys setting
+ * nested values. Otherwise the update is made of operators: $set, $unset,
+ * $inc, $mul, $min, $max, $push (with $each and $slice), $addToSet (with
+ * $each), $pull, $rename and $currentDate.
+ * 
+ * @param {Object} doc - Document to update
+ * @param {Object} update - Plain fields or update operators
+ * @returns {Object} - Updated document
+ * @throws {ValidationError} - If an operator does not apply to the current value or the update changes the ID
+ */
+function applyUpdate(doc, update) {
+  return checkIdUnchanged(doc, applyOperators(doc, update));
+}
+
+/**
+ * Builds the document an upsert inserts when nothing matches its query
+ * The literal equality conditions of the query seed the document, then the
+ * update is applied to it.
+ * 
+ * @param {Object} query - Query that matched nothing
+ * @param {Object} update - Plain fields or update operators
+ * @returns {Object} - Document to insert
+ */
+function buildUpsertDocument(query, update) {
+  const seed = {};
+  
+  const addConditions = conditions => {
+    for (const key in conditions) {
+      const condition = conditions[key];
+      
+      if (key === '$and') {
+        condition.forEach(addConditions);
+      } else if (key.startsWith('$') || condition instanceof RegExp) {
+        continue;
+      } else if (!isOperatorObject(condition)) {
+        setPath(seed, key, clone(condition));
+      } else if ('$eq' in condition) {
+        setPath(seed, key, clone(condition.$eq));
+      }
+    }
+  };
+  
+  addConditions(query || {});
+  return applyOperators(seed, update);
+}
+
+/**
+ * Builds the result of an adapter's update() or deleteFrom()
+ * HyperDB passes `returnDocuments` to learn which documents changed; other
+ * callers get the number of documents.
+ * 
+ * @param {Array<Object>} changes - { before, after } pairs for update(), deleted documents for deleteFrom()
+ * @param {Object} [options] - The call's options
+ * @param {boolean} [options.returnDocuments=false] - Return the changes themselves
+ * @returns {number|Array<Object>} - The changes, or their number
+ */
+function writeResult(changes, options = {}) {
+  return options.returnDocuments ? changes : changes.length;
+}
+
+/**
+ * Applies plain fields or update operators to a copy of a document
+ * @private
+ */
+function applyOperators(doc, update) {
+  if (!isOperatorUpdate(update)) {
+    return deepUpdate(doc, update);
+  }
+  
+  let result = clone(doc);
+  
+  for (const op in update) {
+    const fields = update[op];
+    
+    if (op === '$set') {
+      result = deepUpdate(result, fields);
+      continue;
+    }
+    
+    for (const path in fields) {
+      const operand = fields[path];
+      
+      switch (op) {
+        case '$unset':
+          unsetPath(result, path);
+          break;
+        case '$inc': {
+          const current = numberAt(result, path, op);
+          setPath(result, path, current === undefined ? operand : current + operand);
+          break;
+        }
+        case '$mul': {
+          const current = numberAt(result, path, op);
+          setPath(result, path, current === undefined ? 0 : current * operand);
+          break;
+        }
+        case '$min':
+        case '$max': {
+          const current = getPath(result, path);
+          const order = current === undefined ? null : compareValues(operand, current);
+          if (current === undefined || (op === '$min' ? order < 0 : order > 0)) {
+            setPath(result, path, operand);
+          }
+          break;
+        }
+        case '$push': {
+          const hasModifiers = isPlainObject(operand) && '$each' in operand;
+          let values = [...arrayAt(result, path, op), ...(hasModifiers ? operand.$each : [operand])];
+          
+          if (hasModifiers && operand.$slice !== undefined) {
+            values = operand.$slice < 0 ? values.slice(operand.$slice) : values.slice(0, operand.$slice);
+          }
+          
+          setPath(result, path, values);
+          break;
+        }
+        case '$addToSet': {
+          const values = [...arrayAt(result, path, op)];
+          const additions = isPlainObject(operand) && '$each' in operand ? operand.$each : [operand];
+          
+          for (const value of additions) {
+            if (!values.some(existing => deepEqual(existing, value))) {
+              values.push(value);
+            }
+          }
+          
+          setPath(result, path, values);
+          break;
+        }
+        case '$pull': {
+          const current = getPath(result, path);
+          if (!Array.isArray(current)) break;
+          
+          setPath(result, path, current.filter(item => {
+            if (isOperatorObject(operand)) {
+              return !matches({ item }, { item: operand });
+            }
+            if (isPlainObject(operand) && isPlainObject(item)) {
+              return !matches(item, operand);
+            }
+            return !deepEqual(item, operand);
+          }));
+          break;
+        }
+        case '$rename': {
+          const value = getPath(result, path);
+          if (value !== undefined) {
+            unsetPath(result, path);
+            setPath(result, operand, value);
+          }
+          break;
+        }
+        case '$currentDate':
+          setPath(result, path, operand === true || operand.$type === 'date' ?
+            new Date().toISOString() : Date.now());
+          break;
+      }
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Ensures an update did not change the document ID
+ * @private
+ */
+function checkIdUnchanged(doc, result) {
+  if (result.id !== doc.id || result._id !== doc._id) {
+    throw new ValidationError('Cannot modify the document id');
+  }
+  return result;
+}
+
+/**
+ * Ranks a value's type so that values of different types sort consistently
+ * Missing and null values sort first, then numbers, strings, objects, arrays,
+ * booleans and dates.
+ * @private
+ */
+function sortRank(value) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string') return 2;
+  if (value instanceof Date) return 6;
+  if (Array.isArray(value)) return 4;
+  if (typeof value === 'boolean') return 5;
+  return 3;
+}
+
+/**
+ * Compares two values for sorting
+ * Unlike compareValues, every pair of values is ordered.
+ * 
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+function compareForSort(a, b) {
+  const rankDiff = sortRank(a) - sortRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  
+  const result = compareValues(a, b);
+  if (result !== null) return result;
+  
+  // Objects and arrays compare by their serialized form
+  if (sortRank(a) === 3 || sortRank(a) === 4) {
+    const left = JSON.stringify(a);
+    const right = JSON.stringify(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+  
+  return 0;
+}
+
+/**
+ * Validates find options
+ * 
+ * @param {Object} options - Find options
+ * @throws {ValidationError} - If an option is malformed
+ */
+function validateFindOptions(options) {
+  if (options === undefined || options === null) return;
+  if (!isPlainObject(options)) {
+    throw new ValidationError('Find options must be an object');
+  }
+  
+  const { sort, skip, limit, projection } = options;
+  
+  if (sort !== undefined) {
+    if (!isPlainObject(sort)) {
+      throw new ValidationError('sort must be an object of field: 1 | -1 pairs');
+    }
+    for (const [field, direction] of Object.entries(sort)) {
+      if (direction !== 1 && direction !== -1) {
+        throw new ValidationError(`Invalid sort direction for '${field}': must be 1 or -1`);
+      }
+    }
+  }
+  
+  for (const [name, value] of [['skip', skip], ['limit', limit]]) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      throw new ValidationError(`${name} must be a non-negative integer`);
+    }
+  }
+  
+  if (projection !== undefined) {
+    if (!isPlainObject(projection)) {
+      throw new ValidationError('projection must be an object of field: 0 | 1 pairs');
+    }
+    
+    let included = false;
+    let excluded = false;
+    for (const [field, flag] of Object.entries(projection)) {
+      if (![0, 1, true, false].includes(flag)) {
+        throw new ValidationError(`Invalid projection for '${field}': must be 0 or 1`);
+      }
+      // The ID may be excluded from an inclusion projection
+      if (field === 'id' || field === '_id') continue;
+      if (flag) included = true;
+      else excluded = true;
+    }
+    
+    if (included && excluded) {
+      throw new ValidationError('A projection cannot mix included and excluded fields');
+    }
+  }
+}
+
+/**
+ * Sorts documents by one or more fields
+ * 
+ * @param {Array<Object>} docs - Documents to sort
+ * @param {Object} sort - Field: direction pairs, 1 for ascending and -1 for descending
+ * @returns {Array<Object>} - The sorted documents (a new array)
+ */
+function sortDocuments(docs, sort) {
+  const fields = Object.entries(sort);
+  
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const result = compareForSort(getPath(a, field), getPath(b, field));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Applies a projection to a document
+ * An inclusion projection keeps only the listed fields and the ID; an exclusion
+ * projection drops the listed fields. Dot-notation fields select nested values.
+ * 
+ * @param {Object} doc - Document to project
+ * @param {Object} projection - Field: 0 | 1 pairs
+ * @returns {Object} - The projected document
+ */
+function projectDocument(doc, projection) {
+  const entries = Object.entries(projection);
+  const inclusive = entries.some(([field, flag]) => flag && field !== 'id' && field !== '_id');
+  
+  if (!inclusive) {
+    const result = clone(doc);
+    for (const [field] of entries) {
+      unsetPath(result, field);
+    }
+    return result;
+  }
+  
+  const result = {};
+  for (const idField of ['id', '_id']) {
+    if (doc[idField] !== undefined && projection[idField] !== 0 && projection[idField] !== false) {
+      result[idField] = doc[idField];
+    }
+  }
+  
+  for (const [field, flag] of entries) {
+    if (!flag) continue;
+    const value = getPath(doc, field);
+    if (value !== undefined) {
+      setPath(result, field, clone(value));
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Applies sort, skip, limit and projection to query results
+ * 
+ * @param {Array<Object>} docs - Matching documents
+ * @param {Object} [options] - Find options
+ * @param {Object} [options.sort] - Field: direction pairs
+ * @param {number} [options.skip] - Number of documents to skip
+ * @param {number} [options.limit] - Maximum number of documents to return
+ * @param {Object} [options.projection] - Fields to include or exclude
+ * @returns {Array<Object>} - The documents to return
+ */
+function applyFindOptions(docs, options = {}) {
+  let results = options.sort ? sortDocuments(docs, options.sort) : docs;
+  
+  const start = options.skip || 0;
+  const end = options.limit !== undefined && options.limit > 0 ? start + options.limit : undefined;
+  if (start > 0 || end !== undefined) {
+    results = results.slice(start, end);
+  }
+  
+  if (options.projection) {
+    results = results.map(doc => projectDocument(doc, options.projection));
+  }
+  
+  return results;
+}
+
+/**
+ * Works out how many matches an adapter must read to answer a find
+ * Without a sort the scan can stop once skip + limit documents have matched.
+ * 
+ * @param {Object} [options] - Find options
+ * @returns {number} - Number of matching documents to read
+ */
+function scanLimit(options = {}) {
+  if (options.sort || !options.limit) {
+    return Infinity;
+  }
+  return (options.skip || 0) + options.limit;
+}
+
 /**
  * Normalizes a database path or collection name
  * 
@@ -200,11 +1219,72 @@ function normalizeName(name) {
     .toLowerCase();
 }
 
+/**
+ * Validates a key or document ID and converts it to the string it is stored under
+ * Numbers and their string forms name the same entry, as they do on disk.
+ * 
+ * @param {string|number} key - Key or document ID
+ * @returns {string} - The key as a string
+ * @throws {ValidationError} - If the key is empty or not a string or number
+ */
+function toKey(key) {
+  if ((typeof key !== 'string' && typeof key !== 'number') || key === '') {
+    throw new ValidationError('Keys and document IDs must be non-empty strings or numbers');
+  }
+  return String(key);
+}
+
+/**
+ * Checks that a document or key a transaction read has not changed since
+ * Transactions record the version of each document and the value of each key
+ * they read as the operation's `expected` (null if it did not exist); adapters
+ * call this with the committed version before writing. Operations without
+ * `expected` write blindly.
+ * 
+ * @param {Object} operation - Transaction operation
+ * @param {any} [current] - The committed document or value, if any
+ * @throws {TransactionConflictError} - If the document or key changed after it was read
+ */
+function checkExpected(operation, current) {
+  if (operation.expected === undefined || deepEqual(operation.expected, current === undefined ? null : current)) {
+    return;
+  }
+  
+  if (operation.key !== undefined) {
+    throw new TransactionConflictError({ key: operation.key });
+  }
+  
+  throw new TransactionConflictError({
+    collection: normalizeName(operation.collection),
+    id: operation.type === 'put' ? operation.document.id || operation.document._id : operation.id
+  });
+}
+
 module.exports = {
   validateConfig,
   clone,
   generateId,
+  isPlainObject,
+  deepEqual,
+  compareValues,
+  getPath,
+  getPathValues,
+  isOperatorObject,
   matches,
+  validateQuery,
   deepUpdate,
-  normalizeName
+  isOperatorUpdate,
+  validateUpdate,
+  applyUpdate,
+  buildUpsertDocument,
+  writeResult,
+  compareForSort,
+  validateFindOptions,
+  sortDocuments,
+  projectDocument,
+  applyFindOptions,
+  scanLimit,
+  normalizeName,
+  toKey,
+  checkExpected
 }; 
\ No newline at end of file
@@ -0,0 +1,241 @@
+const path = require('path');
+const HyperDB = require('..');
+const StorageEngine = require('../src/storage-engine');
+const FileStoreAdapter = require('../src/adapters/filestore-adapter');
+const JSONAdapter = require('../src/adapters/json-adapter');
+const LogStoreAdapter = require('../src/adapters/logstore-adapter');
+const MemoryAdapter = require('../src/adapters/memory-adapter');
+const SQLiteAdapter = require('../src/adapters/sqlite-adapter');
+const { runAdapterConformance } = require('../src/adapter-conformance');
+const { tempDir, removeDir, hasSqlite } = require('./helpers');
+
+/**
+ * Runs the conformance harness and fails with every failed check's error
+ */
+async function expectConformance(createAdapter, options) {
+  const report = await runAdapterConformance(createAdapter, options);
+  const failures = report.failures.map(({ name, error }) => `${name}: ${error.stack}`);
+
+  expect(failures).toEqual([]);
+  expect(report.results.filter(result => result.status === 'passed').length).toBeGreaterThan(0);
+  return report;
+}
+
+describe('adapter conformance', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('FileStoreAdapter', async () => {
+    await expectConformance(name => new FileStoreAdapter({ path: path.join(dir, name) }));
+  });
+
+  test('FileStoreAdapter with the packed layout', async () => {
+    await expectConformance(name => new FileStoreAdapter({
+      path: path.join(dir, name),
+      filestore: { layout: 'packed', pageSize: 2 }
+    }));
+  });
+
+  test('FileStoreAdapter with compression', async () => {
+    await expectConformance(name => new FileStoreAdapter({
+      path: path.join(dir, name),
+      compression: { enabled: true, threshold: 0 }
+    }));
+  });
+
+  test('JSONAdapter', async () => {
+    await expectConformance(name => new JSONAdapter({ path: path.join(dir, name), json: { writeDelay: 0 } }));
+  });
+
+  test('JSONAdapter with debounced writes', async () => {
+    await expectConformance(name => new JSONAdapter({ path: path.join(dir, name), json: { writeDelay: 50 } }));
+  });
+
+  test('LogStoreAdapter', async () => {
+    await expectConformance(name => new LogStoreAdapter({
+      path: path.join(dir, name),
+      logstore: { compactionInterval: 0, fsync: false }
+    }));
+  });
+
+  test('MemoryAdapter', async () => {
+    await expectConformance(() => new MemoryAdapter({}), { persistent: false });
+  });
+
+  test('MemoryAdapter with a snapshot file', async () => {
+    // Snapshots are only written on demand, so save one before every reopen
+    class SnapshottingAdapter extends MemoryAdapter {
+      async close() {
+        if (this.connected) {
+          await this.saveSnapshot();
+        }
+        return super.close();
+      }
+    }
+
+    await expectConformance(name => new SnapshottingAdapter({
+      memory: { snapshotFile: path.join(dir, `${name}.snapshot.json`) }
+    }));
+  });
+
+  (hasSqlite() ? test : test.skip)('SQLiteAdapter', async () => {
+    await expectConformance(name => new SQLiteAdapter({ path: path.join(dir, name), strict: true }));
+  });
+});
+
+describe('runAdapterConformance()', () => {
+  const REQUIRED = StorageEngine.REQUIRED_METHODS;
+
+  /**
+   * Wraps a memory adapter in an object with only the required methods
+   */
+  function minimalAdapter() {
+    const inner = new MemoryAdapter({});
+    const adapter = {};
+    for (const method of REQUIRED) {
+      adapter[method] = (...args) => inner[method](...args);
+    }
+    return adapter;
+  }
+
+  test('skips the checks of optional methods an adapter lacks', async () => {
+    const report = await expectConformance(minimalAdapter, { persistent: false });
+    const skipped = report.results.filter(result => result.status === 'skipped');
+
+    expect(skipped.map(result => result.name)).toEqual(expect.arrayContaining([
+      'counts matching documents',
+      'maintains secondary indexes and unique constraints',
+      'applies transactions atomically'
+    ]));
+  });
+
+  test('skips checks by name', async () => {
+    const report = await runAdapterConformance(() => new MemoryAdapter({}), {
+      persistent: false,
+      skip: ['matches query operators']
+    });
+
+    expect(report.results.find(result => result.name === 'matches query operators')).toEqual({
+      name: 'matches query operators',
+      status: 'skipped',
+      reason: 'Skipped by options'
+    });
+  });
+
+  test('reports failed checks with their errors', async () => {
+    class ForgetfulAdapter extends MemoryAdapter {
+      async delete() {
+        return true;
+      }
+    }
+
+    const report = await runAdapterConformance(() => new ForgetfulAdapter({}), { persistent: false });
+
+    expect(report.ok).toBe(false);
+    expect(report.failures.map(failure => failure.name)).toContain('stores, reads and deletes key-value pairs');
+    expect(report.failures[0].error.name).toBe('AssertionError');
+  });
+
+  test('rejects adapters missing required methods', async () => {
+    const report = await runAdapterConformance(() => ({ connect() {} }), { persistent: false });
+
+    expect(report.ok).toBe(false);
+    expect(report.failures[0].error.message).toMatch(/missing required methods/);
+  });
+
+  test('requires a function creating adapters', async () => {
+    await expect(runAdapterConformance(new MemoryAdapter({}))).rejects.toThrow(/requires a function/);
+  });
+
+  test('is exported from the package', () => {
+    expect(HyperDB.runAdapterConformance).toBe(runAdapterConformance);
+  });
+});
+
+describe('custom adapters', () => {
+  test('uses an adapter instance given as config.adapter', async () => {
+    const adapter = new MemoryAdapter({});
+    const db = await HyperDB.open({ adapter });
+
+    await db.insert('users', { id: 'u1', name: 'Ada' });
+
+    expect(db.storage.adapter).toBe(adapter);
+    expect(await adapter.findOne('users', { id: 'u1' })).toMatchObject({ name: 'Ada' });
+    await db.close();
+  });
+
+  test('constructs an adapter class given as config.adapter with the config', async () => {
+    class CustomAdapter extends MemoryAdapter {}
+    const db = await HyperDB.open({ adapter: CustomAdapter, strict: true });
+
+    expect(db.storage.adapter).toBeInstanceOf(CustomAdapter);
+    expect(db.storage.adapter.strict).toBe(true);
+    await db.close();
+  });
+
+  test('calls a factory function given as config.adapter', async () => {
+    const factory = jest.fn(config => new MemoryAdapter(config));
+    const db = await HyperDB.open({ adapter: factory });
+
+    expect(factory).toHaveBeenCalledWith(expect.objectContaining({ adapter: factory }));
+    expect(db.storage.adapter).toBeInstanceOf(MemoryAdapter);
+    await db.close();
+  });
+
+  test('selects registered adapters by storage type, case-insensitively', async () => {
+    class RegisteredAdapter extends MemoryAdapter {}
+    HyperDB.registerAdapter('Registered', RegisteredAdapter);
+
+    const db = await HyperDB.open({ storage: 'registered' });
+
+    expect(StorageEngine.hasAdapter('REGISTERED')).toBe(true);
+    expect(db.storage.adapter).toBeInstanceOf(RegisteredAdapter);
+    await db.close();
+  });
+
+  test('works with adapters implementing only the required methods', async () => {
+    const inner = new MemoryAdapter({});
+    const adapter = {};
+    for (const method of StorageEngine.REQUIRED_METHODS) {
+      adapter[method] = (...args) => inner[method](...args);
+    }
+    const db = await HyperDB.open({ adapter });
+
+    await db.insert('items', { id: 'a', n: 1 });
+    await db.insert('items', { id: 'b', n: 2 });
+
+    expect(await db.count('items', { n: { $gt: 1 } })).toBe(1);
+    const streamed = [];
+    for await (const doc of db.stream('items')) {
+      streamed.push(doc.id);
+    }
+    expect(streamed.sort()).toEqual(['a', 'b']);
+
+    // Unique constraints need createIndex(), so the collection is not created
+    await expect(db.createCollection('users', { unique: ['email'] })).rejects.toThrow(/does not support createIndex/);
+    expect(await inner.hasCollection('users')).toBe(false);
+    await db.close();
+  });
+
+  test('rejects invalid adapters and registrations', () => {
+    expect(() => new HyperDB({ adapter: { connect() {} } })).toThrow(HyperDB.ValidationError);
+    expect(() => new HyperDB({ adapter: { connect() {} } })).toThrow(/missing required methods: close, set/);
+    expect(() => new HyperDB({ adapter: 5 })).toThrow(HyperDB.ValidationError);
+    expect(() => HyperDB.registerAdapter('', MemoryAdapter)).toThrow(HyperDB.ValidationError);
+    expect(() => HyperDB.registerAdapter('', MemoryAdapter)).toThrow(/non-empty string/);
+    expect(() => HyperDB.registerAdapter('broken', {})).toThrow(/class or factory function/);
+  });
+
+  test('rejects storage types without a registered adapter', () => {
+    expect(() => new HyperDB({ storage: 'mongodb' })).toThrow(HyperDB.ValidationError);
+    expect(() => new HyperDB({ storage: 'mongodb' }))
+      .toThrow('Unknown storage type: mongodb. Registered types are: filestore, logstore, memory, json, sqlite');
+  });
+});
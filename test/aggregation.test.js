@@ -0,0 +1,114 @@
+const HyperDB = require('..');
+const { ValidationError } = require('../src/errors');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('db.aggregate()', () => {
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    db = await HyperDB.open({ path: dir });
+    await db.insert('customers', { id: 'c1', name: 'Ada' });
+    await db.insert('customers', { id: 'c2', name: 'Grace' });
+    await db.insert('orders', { id: 'o1', customer: 'c1', total: 10, items: ['pen', 'ink'] });
+    await db.insert('orders', { id: 'o2', customer: 'c1', total: 30, items: ['paper'] });
+    await db.insert('orders', { id: 'o3', customer: 'c2', total: 20, items: ['pen'] });
+  });
+
+  afterEach(async () => {
+    await db.close();
+    removeDir(dir);
+  });
+
+  test('groups with accumulators and sorts', async () => {
+    const results = await db.aggregate('orders', [
+      { $match: { total: { $gte: 10 } } },
+      {
+        $group: {
+          _id: '$customer',
+          orders: { $sum: 1 },
+          revenue: { $sum: '$total' },
+          average: { $avg: '$total' },
+          smallest: { $min: '$total' },
+          largest: { $max: '$total' },
+          ids: { $push: '$id' }
+        }
+      },
+      { $sort: { revenue: -1 } }
+    ]);
+
+    expect(results).toEqual([
+      { _id: 'c1', orders: 2, revenue: 40, average: 20, smallest: 10, largest: 30, ids: expect.arrayContaining(['o1', 'o2']) },
+      { _id: 'c2', orders: 1, revenue: 20, average: 20, smallest: 20, largest: 20, ids: ['o3'] }
+    ]);
+  });
+
+  test('unwinds, projects, skips, limits and counts', async () => {
+    const items = await db.aggregate('orders', [
+      { $unwind: '$items' },
+      { $project: { item: '$items', id: 0 } },
+      { $sort: { item: 1 } },
+      { $skip: 1 },
+      { $limit: 2 }
+    ]);
+    const [count] = await db.aggregate('orders', [{ $unwind: '$items' }, { $count: 'items' }]);
+
+    expect(items).toEqual([{ item: 'paper' }, { item: 'pen' }]);
+    expect(count).toEqual({ items: 4 });
+  });
+
+  test('joins another collection with $lookup', async () => {
+    const [order] = await db.aggregate('orders', [
+      { $match: { id: 'o3' } },
+      { $lookup: { from: 'customers', localField: 'customer', foreignField: 'id', as: 'buyer' } }
+    ]);
+
+    expect(order.buyer).toHaveLength(1);
+    expect(order.buyer[0].name).toBe('Grace');
+  });
+
+  test('joins a batch of documents with one $lookup query', async () => {
+    await db.insert('bundles', { id: 'b1', customers: ['c1', 'c2'] });
+    const find = jest.spyOn(db, 'find');
+
+    const orders = await db.aggregate('orders', [
+      { $sort: { id: 1 } },
+      { $lookup: { from: 'customers', localField: 'customer', foreignField: 'id', as: 'buyer' } }
+    ]);
+    const [bundle] = await db.aggregate('bundles', [
+      { $lookup: { from: 'customers', localField: 'customers', foreignField: 'id', as: 'buyers' } }
+    ]);
+
+    expect(find).toHaveBeenCalledTimes(2);
+    expect(orders.map(order => order.buyer.map(customer => customer.name))).toEqual([['Ada'], ['Ada'], ['Grace']]);
+    expect(orders[0].buyer[0]).not.toBe(orders[1].buyer[0]);
+    expect(bundle.buyers.map(customer => customer.name).sort()).toEqual(['Ada', 'Grace']);
+  });
+
+  test('reads only the documents a leading $match selects through an index', async () => {
+    await db.createIndex('orders', 'customer');
+    const before = db.metrics().scans.orders || { scanned: 0 };
+
+    const [result] = await db.aggregate('orders', [{ $match: { customer: 'c2' } }, { $count: 'n' }]);
+
+    expect(result).toEqual({ n: 1 });
+    expect((db.metrics().scans.orders || { scanned: 0 }).scanned - before.scanned).toBe(1);
+  });
+
+  test('rejects malformed pipelines', async () => {
+    await expect(db.aggregate('orders', [{ $explode: {} }])).rejects.toThrow(ValidationError);
+    await expect(db.aggregate('orders', {})).rejects.toThrow(ValidationError);
+
+    const lookup = { from: 'customers', localField: 'customer', foreignField: 'id', as: 'buyer' };
+    for (const spec of [
+      { ...lookup, from: undefined },
+      { ...lookup, localField: '$customer' },
+      { ...lookup, foreignField: 7 },
+      { ...lookup, as: 'buyer.name' },
+      { ...lookup, pipeline: [] }
+    ]) {
+      await expect(db.aggregate('orders', [{ $lookup: spec }])).rejects.toThrow(ValidationError);
+    }
+  });
+});
@@ -0,0 +1,69 @@
+const HyperDB = require('..');
+const Cursor = require('../src/cursor');
+const { ValidationError } = require('../src/errors');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('collection cursors', () => {
+  let dir;
+  let db;
+  let users;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    db = await HyperDB.open({ path: dir });
+    users = db.collection('users');
+    for (const [id, name, age] of [['u1', 'Ada', 36], ['u2', 'Grace', 45], ['u3', 'Alan', 41], ['u4', 'Barbara', 29], ['u5', 'Edsger', 41]]) {
+      await users.insert({ id, name, age, password: 'secret' });
+    }
+  });
+
+  afterEach(async () => {
+    await db.close();
+    removeDir(dir);
+  });
+
+  test('are chainable and thenable', async () => {
+    const cursor = users.find({ age: { $gt: 30 } }).sort({ age: -1, name: 1 }).skip(1).limit(2);
+
+    expect(cursor).toBeInstanceOf(Cursor);
+    expect((await cursor).map(doc => doc.id)).toEqual(['u3', 'u5']);
+  });
+
+  test('project fields in or out', async () => {
+    expect(await users.find({ id: 'u1' }).project({ password: 0, created_at: 0, updated_at: 0 }).toArray())
+      .toEqual([{ id: 'u1', name: 'Ada', age: 36 }]);
+    expect(await users.find({ id: 'u1' }).project({ name: 1 }).toArray()).toEqual([{ id: 'u1', name: 'Ada' }]);
+  });
+
+  test('count the matches, ignoring skip and limit', async () => {
+    expect(await users.find({ age: 41 }).limit(1).count()).toBe(2);
+  });
+
+  test('size the results, applying skip and limit', async () => {
+    expect(await users.find({ age: 41 }).limit(1).size()).toBe(1);
+    expect(await users.find().skip(3).size()).toBe(2);
+    expect(await users.find().skip(2).limit(2).size()).toBe(2);
+    expect(await users.find().skip(6).size()).toBe(0);
+  });
+
+  test('are async iterable', async () => {
+    const names = [];
+    for await (const doc of users.find().sort({ name: 1 })) {
+      names.push(doc.name);
+    }
+
+    expect(names).toEqual(['Ada', 'Alan', 'Barbara', 'Edsger', 'Grace']);
+  });
+
+  test('stop scanning once an unsorted limit is reached', async () => {
+    const before = db.metrics().scans.users || { scanned: 0 };
+
+    expect(await users.find({}).limit(2)).toHaveLength(2);
+    expect(db.metrics().scans.users.scanned - before.scanned).toBe(2);
+  });
+
+  test('reject malformed options when run', async () => {
+    await expect(users.find().sort({ age: 'up' }).toArray()).rejects.toThrow(ValidationError);
+    await expect(users.find().limit(-1).toArray()).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const HyperDB = require('..');
+const {
+  HyperDBError,
+  DuplicateKeyError,
+  ValidationError,
+  NotFoundError,
+  CorruptionError,
+  StorageIOError,
+  ConnectionError,
+  LockTimeoutError,
+  TransactionInactiveError,
+  ReadOnlyError,
+  UnsupportedOperationError
+} = HyperDB;
+const { encodeFileName } = require('../src/file-utils');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('errors', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('share a base class and carry a code', () => {
+    const cases = [
+      [new ValidationError('bad'), 'VALIDATION_ERROR'],
+      [new NotFoundError('missing', { key: 'k' }), 'NOT_FOUND'],
+      [new CorruptionError('garbled', { file: 'f' }), 'CORRUPTION'],
+      [new StorageIOError('disk'), 'STORAGE_IO'],
+      [new ConnectionError('down'), 'CONNECTION_FAILED'],
+      [new LockTimeoutError({ resource: 'catalog', timeout: 10 }), 'LOCK_TIMEOUT'],
+      [new TransactionInactiveError(), 'TRANSACTION_INACTIVE'],
+      [new ReadOnlyError('read-only'), 'READ_ONLY'],
+      [new UnsupportedOperationError('unsupported', { operation: 'createIndex' }), 'UNSUPPORTED_OPERATION']
+    ];
+
+    for (const [error, code] of cases) {
+      expect(error).toBeInstanceOf(HyperDBError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.code).toBe(code);
+      expect(error.name).toBe(error.constructor.name);
+    }
+  });
+
+  test('duplicate keys are reported with the conflicting document', async () => {
+    const db = await HyperDB.open({ path: dir });
+    await db.createCollection('users', { unique: ['email'] });
+    await db.insert('users', { id: 'u1', email: 'ada@example.com' });
+
+    const error = await db.insert('users', { id: 'u2', email: 'ada@example.com' }).catch(e => e);
+    expect(error).toBeInstanceOf(DuplicateKeyError);
+    expect(error).toMatchObject({ collection: 'users', field: 'email', value: 'ada@example.com', conflictingId: 'u1' });
+    await db.close();
+  });
+
+  test('writes to read-only storage and unsupported operations are typed', async () => {
+    const writer = await HyperDB.open({ path: dir });
+    await writer.insert('users', { id: 'u1' });
+    await writer.close();
+
+    const reader = await HyperDB.open({ path: dir, readOnly: true });
+    await expect(reader.update('users', { id: 'u1' }, { $set: { n: 1 } })).rejects.toMatchObject({
+      name: 'ReadOnlyError',
+      code: 'READ_ONLY'
+    });
+    await reader.close();
+
+    const db = await HyperDB.open({ storage: 'memory' });
+    db.storage.adapter.createIndex = undefined;
+    const error = await db.createIndex('users', 'email').catch(e => e);
+    await db.close();
+
+    expect(error).toBeInstanceOf(UnsupportedOperationError);
+    expect(error).toMatchObject({ code: 'UNSUPPORTED_OPERATION', operation: 'createIndex' });
+  });
+
+  describe('default mode', () => {
+    test('returns null for missing and unreadable values', async () => {
+      const db = await HyperDB.open({ path: dir });
+      fs.writeFileSync(path.join(dir, 'keyvalue', `${encodeFileName('broken')}.json`), '{"trunc');
+
+      expect(await db.get('missing')).toBeNull();
+      expect(await db.get('broken')).toBeNull();
+      await db.close();
+    });
+  });
+
+  describe('strict mode', () => {
+    test('throws NotFoundError for missing keys', async () => {
+      const db = await HyperDB.open({ path: dir, strict: true });
+
+      await expect(db.get('missing')).rejects.toMatchObject({ code: 'NOT_FOUND', key: 'missing' });
+      await expect(db.dropIndex('users', 'nope')).rejects.toThrow(NotFoundError);
+      await db.close();
+    });
+
+    test('throws CorruptionError for unreadable files', async () => {
+      const db = await HyperDB.open({ path: dir, strict: true });
+      const file = path.join(dir, 'keyvalue', `${encodeFileName('broken')}.json`);
+      fs.writeFileSync(file, '{"trunc');
+
+      const error = await db.get('broken').catch(e => e);
+      expect(error).toBeInstanceOf(CorruptionError);
+      expect(error.cause).toBeInstanceOf(SyntaxError);
+      await db.close();
+    });
+
+    test('throws ConnectionError when the storage cannot be opened', async () => {
+      const file = path.join(dir, 'file');
+      fs.writeFileSync(file, '');
+
+      const error = await HyperDB.open({ path: file, strict: true }).catch(e => e);
+      expect(error).toBeInstanceOf(ConnectionError);
+      expect(error.cause).toBeDefined();
+    });
+  });
+});
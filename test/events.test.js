@@ -0,0 +1,159 @@
+const HyperDB = require('..');
+const MemoryAdapter = require('../src/adapters/memory-adapter');
+const StorageEngine = require('../src/storage-engine');
+const { tempDir, removeDir, hasSqlite } = require('./helpers');
+
+describe('events', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await HyperDB.open({ storage: 'memory' });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('ready and close are emitted around the instance lifetime', async () => {
+    const other = new HyperDB({ storage: 'memory' });
+    const seen = [];
+    other.on('ready', () => seen.push('ready'));
+    other.on('close', () => seen.push('close'));
+
+    await other.ready;
+    await other.close();
+
+    expect(seen).toEqual(['ready', 'close']);
+  });
+
+  test('key and document writes are emitted with what changed', async () => {
+    const events = [];
+    db.on('*', (event, payload) => events.push([event, payload]));
+
+    await db.set('k', 1);
+    await db.delete('k');
+    await db.insert('users', { id: 'u1', name: 'Ada' });
+    await db.findOneAndUpdate('users', { id: 'u1' }, { $set: { name: 'Grace' } });
+    await db.findOneAndDelete('users', { id: 'u1' });
+
+    expect(events.map(([event]) => event)).toEqual(['set', 'delete', 'insert', 'update', 'remove']);
+    expect(events[0][1]).toEqual({ key: 'k', value: 1 });
+    expect(events[2][1]).toMatchObject({ collection: 'users', id: 'u1', document: { name: 'Ada' } });
+    expect(events[3][1]).toMatchObject({ id: 'u1', before: { name: 'Ada' }, after: { name: 'Grace' }, count: 1 });
+    expect(events[4][1]).toMatchObject({ id: 'u1', before: { name: 'Grace' }, count: 1 });
+  });
+
+  const storages = ['memory', 'filestore', 'json', 'logstore', ...(hasSqlite() ? ['sqlite'] : [])];
+
+  test.each(storages)('update() and deleteFrom() emit the documents they changed with %s storage', async storage => {
+    const dir = tempDir();
+    const store = await HyperDB.open({ storage, path: dir });
+    await store.insert('users', { id: 'u1', role: 'admin', n: 1 });
+    await store.insert('users', { id: 'u2', role: 'admin', n: 2 });
+    await store.insert('users', { id: 'u3', role: 'guest', n: 3 });
+
+    const events = [];
+    for (const event of ['insert', 'update', 'remove']) {
+      store.on(event, payload => events.push([event, payload]));
+    }
+
+    await store.update('users', { role: 'admin' }, { $inc: { n: 10 } });
+    await store.update('users', { id: 'u4' }, { $set: { role: 'guest' } }, { upsert: true });
+    await store.deleteFrom('users', { role: 'guest' });
+    await store.close();
+    removeDir(dir);
+
+    expect(events.map(([event]) => event)).toEqual(['update', 'insert', 'remove']);
+
+    const [, updated] = events[0];
+    expect(updated).toMatchObject({ collection: 'users', count: 2 });
+    expect(updated.ids.sort()).toEqual(['u1', 'u2']);
+    const u1 = updated.changes.find(({ after }) => after.id === 'u1');
+    expect(u1.before).toMatchObject({ id: 'u1', n: 1 });
+    expect(u1.after).toMatchObject({ id: 'u1', n: 11 });
+
+    expect(events[1][1]).toMatchObject({ collection: 'users', id: 'u4', document: { role: 'guest' } });
+
+    const [, removed] = events[2];
+    expect(removed).toMatchObject({ collection: 'users', count: 2 });
+    expect(removed.ids.sort()).toEqual(['u3', 'u4']);
+    expect(removed.documents.map(doc => doc.n).sort()).toEqual([3, undefined]);
+  });
+
+  test('update() and deleteFrom() report only the count for adapters returning numbers', async () => {
+    const inner = new MemoryAdapter({});
+    const adapter = {};
+    for (const method of StorageEngine.REQUIRED_METHODS) {
+      adapter[method] = (...args) => inner[method](...args);
+    }
+    // Ignore returnDocuments, as adapters written before it do
+    adapter.update = (collection, query, update) => inner.update(collection, query, update);
+    adapter.deleteFrom = (collection, query) => inner.deleteFrom(collection, query);
+    const store = await HyperDB.open({ adapter });
+    const events = [];
+    store.on('update', payload => events.push(['update', payload]));
+    store.on('remove', payload => events.push(['remove', payload]));
+
+    await store.insert('users', { id: 'u1', n: 1 });
+    expect(await store.update('users', { id: 'u1' }, { $inc: { n: 1 } })).toBe(1);
+    expect(await store.deleteFrom('users', { id: 'u1' })).toBe(1);
+    await store.close();
+
+    expect(events).toEqual([
+      ['update', { collection: 'users', query: { id: 'u1' }, update: { $inc: { n: 1 } }, count: 1 }],
+      ['remove', { collection: 'users', query: { id: 'u1' }, count: 1 }]
+    ]);
+  });
+
+  test('committed transactions emit their writes', async () => {
+    const events = [];
+    db.on('*', (event, payload) => events.push([event, payload]));
+
+    await db.transaction(async tx => {
+      await tx.set('k', 1);
+      await tx.insert('users', { id: 'u1' });
+    });
+    await db.transaction(async tx => {
+      await tx.set('never', 1);
+      throw new Error('rolled back');
+    }).catch(() => {});
+
+    expect(events).toEqual([
+      ['set', { key: 'k', value: 1, transaction: true }],
+      ['insert', expect.objectContaining({ collection: 'users', id: 'u1', transaction: true })]
+    ]);
+  });
+
+  test('once() listeners run a single time and off() removes them', async () => {
+    const once = jest.fn();
+    const removed = jest.fn();
+    db.once('set', once);
+    db.once('set', removed);
+    db.off('set', removed);
+
+    await db.set('a', 1);
+    await db.set('b', 2);
+
+    expect(once).toHaveBeenCalledTimes(1);
+    expect(removed).not.toHaveBeenCalled();
+  });
+
+  test('listener errors are emitted as error events instead of failing the write', async () => {
+    const errors = [];
+    db.on('error', payload => errors.push(payload));
+    db.on('set', () => {
+      throw new Error('listener broke');
+    });
+    db.on('set', async () => {
+      throw new Error('async listener broke');
+    });
+
+    expect(await db.set('k', 1)).toBe(true);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(errors.map(({ error, event }) => [error.message, event])).toEqual([
+      ['listener broke', 'set'],
+      ['async listener broke', 'set']
+    ]);
+  });
+});
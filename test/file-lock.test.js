@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HyperDB = require('..');
+const { FileLock, LockManager } = require('../src/file-lock');
+const { LockTimeoutError } = require('../src/errors');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('FileLock', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('is exclusive until released', async () => {
+    const file = path.join(dir, 'catalog.lock');
+    const first = await new FileLock(file).acquire();
+    const second = new FileLock(file, { timeout: 50 });
+
+    expect(second.tryAcquire()).toBe(false);
+    await expect(second.acquire()).rejects.toMatchObject({
+      name: 'LockTimeoutError',
+      code: 'LOCK_TIMEOUT',
+      resource: 'catalog'
+    });
+
+    first.release();
+    expect(second.tryAcquire()).toBe(true);
+    second.release();
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  test('takes over a lock left by a process that no longer runs', () => {
+    const file = path.join(dir, 'catalog.lock');
+    fs.writeFileSync(file, JSON.stringify({ pid: 999999999, hostname: os.hostname(), token: 'x' }));
+
+    const lock = new FileLock(file);
+    expect(lock.tryAcquire()).toBe(true);
+    lock.release();
+  });
+
+  test('takes over a lock that was not refreshed within staleTimeout', () => {
+    const file = path.join(dir, 'catalog.lock');
+    fs.writeFileSync(file, JSON.stringify({ pid: process.pid, hostname: 'elsewhere', token: 'x' }));
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(file, old, old);
+
+    const lock = new FileLock(file, { staleTimeout: 30000 });
+    expect(lock.tryAcquire()).toBe(true);
+    lock.release();
+  });
+});
+
+describe('LockManager.withLocks()', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('serializes callers locking overlapping resources', async () => {
+    const locks = new LockManager(dir);
+    const order = [];
+    const task = (name, resources) => locks.withLocks(resources, async () => {
+      order.push(`${name}:start`);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      order.push(`${name}:end`);
+    });
+
+    await Promise.all([task('a', ['x', 'y']), task('b', ['y', 'x'])]);
+
+    expect(order).toEqual(['a:start', 'a:end', 'b:start', 'b:end']);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('keeps the locks fresh while a long function runs', async () => {
+    const locks = new LockManager(dir, { staleTimeout: 60 });
+
+    const age = await locks.withLocks(['x'], async () => {
+      await new Promise(resolve => setTimeout(resolve, 150));
+      return Date.now() - fs.statSync(path.join(dir, 'x.lock')).mtimeMs;
+    });
+
+    expect(age).toBeLessThan(60);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('releases the locks when the function throws', async () => {
+    const locks = new LockManager(dir);
+
+    await expect(locks.withLocks(['x'], async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
+
+describe('shared data directories', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('two handles on one directory see each other\'s writes and indexes', async () => {
+    const a = await HyperDB.open({ path: dir });
+    const b = await HyperDB.open({ path: dir });
+
+    await a.createCollection('users', { unique: ['email'] });
+    await a.insert('users', { id: 'u1', email: 'ada@example.com' });
+    await Promise.all([
+      a.update('users', { id: 'u1' }, { $inc: { logins: 1 } }),
+      b.update('users', { id: 'u1' }, { $inc: { logins: 1 } })
+    ]);
+
+    await expect(b.insert('users', { id: 'u2', email: 'ada@example.com' })).rejects.toMatchObject({
+      code: 'DUPLICATE_KEY'
+    });
+    expect((await b.findOne('users', { id: 'u1' })).logins).toBe(2);
+    await a.close();
+    await b.close();
+  });
+
+  test('single-writer mode refuses a second writer', async () => {
+    const options = { path: dir, locking: { mode: 'single-writer', timeout: 50 } };
+    const writer = await HyperDB.open(options);
+
+    await expect(HyperDB.open(options)).rejects.toThrow(LockTimeoutError);
+
+    const reader = await HyperDB.open({ ...options, readOnly: true });
+    await writer.set('k', 1);
+    expect(await reader.get('k')).toBe(1);
+    await reader.close();
+    await writer.close();
+  });
+});
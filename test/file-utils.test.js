@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const HyperDB = require('..');
+const {
+  MAX_NAME_LENGTH,
+  encodeFileName,
+  decodeFileName,
+  resolveInside,
+  atomicWriteFileSync,
+  atomicWriteFile,
+  removeTempFiles
+} = require('../src/file-utils');
+const { ValidationError } = require('../src/errors');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('atomic writes', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('replace the file and leave no temporary file behind', async () => {
+    const file = path.join(dir, 'value.json');
+
+    atomicWriteFileSync(file, '1');
+    await atomicWriteFile(file, '2');
+
+    expect(fs.readFileSync(file, 'utf8')).toBe('2');
+    expect(fs.readdirSync(dir)).toEqual(['value.json']);
+  });
+
+  test('keep the old content when the write fails', async () => {
+    const file = path.join(dir, 'value.json');
+    atomicWriteFileSync(file, 'old');
+
+    await expect(atomicWriteFile(path.join(dir, 'missing', 'value.json'), 'new')).rejects.toThrow();
+    expect(fs.readFileSync(file, 'utf8')).toBe('old');
+  });
+
+  test('temporary files of stopped processes are removed on connect', async () => {
+    fs.mkdirSync(path.join(dir, 'keyvalue'), { recursive: true });
+    const orphan = path.join(dir, 'keyvalue', 'a.json.999999999-deadbeef.tmp');
+    fs.writeFileSync(orphan, '{"trunc');
+
+    expect(removeTempFiles([path.join(dir, 'missing')])).toEqual([]);
+
+    const db = await HyperDB.open({ path: dir });
+    expect(fs.existsSync(orphan)).toBe(false);
+    await db.close();
+  });
+});
+
+describe('file name encoding', () => {
+  test('round-trips keys and keeps names filesystem-safe', () => {
+    for (const key of ['user:1', 'Alice', 'alice', '../../etc/passwd', 'a/b\\c', 'café ☕', 'con', 'a~41', 42]) {
+      const name = encodeFileName(key);
+
+      expect(name).toMatch(/^[a-z0-9_~-]+$/);
+      expect(decodeFileName(name)).toBe(String(key));
+    }
+  });
+
+  test('keeps keys differing only in case apart', () => {
+    expect(encodeFileName('Alice')).not.toBe(encodeFileName('alice'));
+  });
+
+  test('hashes long keys to a bounded, unique name', () => {
+    const a = encodeFileName('x'.repeat(1000) + 'a');
+    const b = encodeFileName('x'.repeat(1000) + 'b');
+
+    expect(a.length).toBeLessThanOrEqual(MAX_NAME_LENGTH);
+    expect(a).not.toBe(b);
+    expect(decodeFileName(a)).toBeNull();
+  });
+
+  test('rejects empty and non-scalar keys', () => {
+    expect(() => encodeFileName('')).toThrow(ValidationError);
+    expect(() => encodeFileName({})).toThrow(ValidationError);
+  });
+
+  test('resolveInside() refuses paths outside the directory', () => {
+    expect(resolveInside('/data', 'keyvalue/a.json')).toBe(path.resolve('/data/keyvalue/a.json'));
+    expect(() => resolveInside('/data', '../etc/passwd')).toThrow(ValidationError);
+  });
+});
+
+describe('keys and IDs on disk', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('stay inside the data directory and list back unchanged', async () => {
+    const db = await HyperDB.open({ path: dir });
+    await db.set('../outside', 1);
+    await db.set('Mixed Case/Key', 2);
+    await db.insert('files', { id: '../../escape', name: 'x' });
+
+    expect(fs.readdirSync(path.dirname(dir)).some(name => name.startsWith('outside'))).toBe(false);
+    expect(fs.readdirSync(path.join(dir, 'keyvalue')).map(name => decodeFileName(name.slice(0, -5))).sort())
+      .toEqual(['../outside', 'Mixed Case/Key']);
+    expect(await db.get('../outside')).toBe(1);
+    expect(await db.findOne('files', { id: '../../escape' })).toMatchObject({ name: 'x' });
+    await db.close();
+  });
+
+  test('files named by raw keys are migrated on connect', async () => {
+    fs.mkdirSync(path.join(dir, 'keyvalue'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'collections', 'users'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'keyvalue', 'Session.json'), '"abc"');
+    fs.writeFileSync(path.join(dir, 'collections.json'), '["users"]');
+    fs.writeFileSync(path.join(dir, 'collections', 'users', 'User 1.json'), '{"id":"User 1","name":"Ada"}');
+
+    const db = await HyperDB.open({ path: dir });
+
+    expect(await db.get('Session')).toBe('abc');
+    expect(await db.findOne('users', { id: 'User 1' })).toMatchObject({ name: 'Ada' });
+    expect(fs.existsSync(path.join(dir, 'keyvalue', `${encodeFileName('Session')}.json`))).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'format.json'), 'utf8'))).toEqual({ version: 2 });
+    await db.close();
+  });
+
+  test('raw keys that look encoded are migrated too', async () => {
+    fs.mkdirSync(path.join(dir, 'keyvalue'), { recursive: true });
+    // 'aA' encodes to 'a~41', the raw name of another key
+    fs.writeFileSync(path.join(dir, 'keyvalue', 'a~41.json'), '"tilde"');
+    fs.writeFileSync(path.join(dir, 'keyvalue', 'aA.json'), '"upper"');
+
+    const db = await HyperDB.open({ path: dir });
+
+    expect(await db.get('a~41')).toBe('tilde');
+    expect(await db.get('aA')).toBe('upper');
+    await db.close();
+  });
+
+  test('an interrupted migration resumes from the plan in format.json', async () => {
+    fs.mkdirSync(path.join(dir, 'keyvalue'), { recursive: true });
+    const migration = [
+      { dir: 'keyvalue', from: 'a~41.json', to: 'a~7e41.json' },
+      { dir: 'keyvalue', from: 'aA.json', to: 'a~41.json' }
+    ];
+    fs.writeFileSync(path.join(dir, 'format.json'), JSON.stringify({ version: 1, migration }));
+    // The first rename was made before the process stopped
+    fs.writeFileSync(path.join(dir, 'keyvalue', 'a~7e41.json'), '"tilde"');
+    fs.writeFileSync(path.join(dir, 'keyvalue', 'aA.json'), '"upper"');
+
+    const db = await HyperDB.open({ path: dir });
+
+    expect(await db.get('a~41')).toBe('tilde');
+    expect(await db.get('aA')).toBe('upper');
+    expect(fs.readdirSync(path.join(dir, 'keyvalue')).sort()).toEqual(['a~41.json', 'a~7e41.json']);
+    await db.close();
+  });
+});
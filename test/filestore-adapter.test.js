@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const HyperDB = require('..');
+const { isCompressed } = require('../src/compression');
+const { encodeFileName } = require('../src/file-utils');
+const { ValidationError } = require('../src/errors');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('FileStoreAdapter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  const collectionFiles = name => fs.readdirSync(path.join(dir, 'collections', name));
+
+  describe('I/O', () => {
+    test('reads and writes data files without blocking the event loop', async () => {
+      const db = await HyperDB.open({ path: dir });
+      await db.insert('users', { id: 'u0' });
+      const spies = ['readFileSync', 'writeFileSync', 'readdirSync', 'statSync', 'existsSync'].map(method => jest.spyOn(fs, method));
+
+      for (let i = 1; i < 20; i++) {
+        await db.insert('users', { id: `u${i}`, n: i });
+      }
+      await db.update('users', { n: { $gt: 10 } }, { $set: { big: true } });
+      expect(await db.count('users', { big: true })).toBe(9);
+      await db.deleteFrom('users', { n: { $lt: 5 } });
+
+      // Lock files are tiny and taken with synchronous calls on purpose
+      const locksDir = path.join(dir, 'locks');
+      for (const spy of spies) {
+        expect(spy.mock.calls.filter(([file]) => !String(file).startsWith(locksDir))).toEqual([]);
+        spy.mockRestore();
+      }
+      await db.close();
+    });
+
+    test('handles many operations in flight at once', async () => {
+      const db = await HyperDB.open({ path: dir, filestore: { concurrency: 4 } });
+
+      await Promise.all(Array.from({ length: 100 }, (_, i) => db.insert('events', { id: `e${i}`, n: i })));
+      await Promise.all(Array.from({ length: 20 }, (_, i) => db.update('events', { id: `e${i}` }, { $inc: { n: 1000 } })));
+
+      expect(await db.count('events')).toBe(100);
+      expect(await db.count('events', { n: { $gte: 1000 } })).toBe(20);
+      await db.close();
+    });
+  });
+
+  describe('packed layout', () => {
+    test('stores documents in page files that split as they fill', async () => {
+      const db = await HyperDB.open({ path: dir, filestore: { layout: 'packed', pageSize: 4 } });
+      for (let i = 0; i < 20; i++) {
+        await db.insert('events', { id: `e${i}`, n: i });
+      }
+
+      const pages = collectionFiles('events').filter(name => name.endsWith('.page'));
+      expect(pages.length).toBeGreaterThan(1);
+      expect(collectionFiles('events').some(name => name === `${encodeFileName('e1')}.json`)).toBe(false);
+
+      await db.update('events', { n: { $lt: 10 } }, { $set: { low: true } });
+      await db.deleteFrom('events', { n: 19 });
+      await db.close();
+
+      const reopened = await HyperDB.open({ path: dir });
+      expect(await reopened.count('events')).toBe(19);
+      expect(await reopened.count('events', { low: true })).toBe(10);
+      expect(await reopened.findOne('events', { id: 'e7' })).toMatchObject({ n: 7 });
+      await reopened.close();
+    });
+
+    test('collections convert between layouts without losing documents', async () => {
+      const db = await HyperDB.open({ path: dir });
+      for (let i = 0; i < 10; i++) {
+        await db.insert('users', { id: `u${i}`, n: i });
+      }
+
+      expect(await db.getCollectionLayout('users')).toBe('files');
+      expect(await db.convertCollection('users', 'packed')).toBe(true);
+      expect(await db.getCollectionLayout('users')).toBe('packed');
+      expect(collectionFiles('users').some(name => name.endsWith('.json') && name.startsWith('u'))).toBe(false);
+      expect(await db.count('users')).toBe(10);
+
+      expect(await db.convertCollection('users', 'files')).toBe(true);
+      expect(await db.getCollectionLayout('users')).toBe('files');
+      expect(await db.findOne('users', { id: 'u3' })).toMatchObject({ n: 3 });
+      expect(await db.getCollectionLayout('missing')).toBeNull();
+      await expect(db.convertCollection('users', 'columns')).rejects.toThrow(ValidationError);
+      await db.close();
+    });
+
+    test('layouts are rejected by storage without them', async () => {
+      const db = await HyperDB.open({ storage: 'memory' });
+
+      await expect(db.getCollectionLayout('users')).rejects.toThrow(/does not support getCollectionLayout/);
+      await expect(db.convertCollection('users', 'packed')).rejects.toThrow(/does not support convertCollection/);
+      await db.close();
+    });
+  });
+
+  describe('compression', () => {
+    test('compresses files above the threshold and reads them back', async () => {
+      const db = await HyperDB.open({ path: dir, compression: { enabled: true, algorithm: 'brotli', threshold: 100 } });
+      await db.set('small', 'x');
+      await db.set('large', 'x'.repeat(1000));
+      await db.insert('docs', { id: 'd1', body: 'y'.repeat(1000) });
+
+      const read = name => fs.readFileSync(path.join(dir, 'keyvalue', `${encodeFileName(name)}.json`));
+      expect(isCompressed(read('small'))).toBe(false);
+      expect(isCompressed(read('large'))).toBe(true);
+      expect(read('large').length).toBeLessThan(1000);
+      expect(await db.get('large')).toBe('x'.repeat(1000));
+      expect((await db.findOne('docs', { id: 'd1' })).body).toHaveLength(1000);
+      await db.close();
+    });
+
+    test('reads compressed and uncompressed files side by side', async () => {
+      const plain = await HyperDB.open({ path: dir });
+      await plain.set('before', 'x'.repeat(2000));
+      await plain.close();
+
+      const compressed = await HyperDB.open({ path: dir, compression: { enabled: true, algorithm: 'gzip', threshold: 0 } });
+      await compressed.set('after', 'y'.repeat(2000));
+      expect(await compressed.get('before')).toBe('x'.repeat(2000));
+      await compressed.close();
+
+      const reopened = await HyperDB.open({ path: dir });
+      expect(await reopened.get('after')).toBe('y'.repeat(2000));
+      await reopened.close();
+    });
+
+    test('is turned on by naming an algorithm', async () => {
+      const read = name => fs.readFileSync(path.join(dir, 'keyvalue', `${encodeFileName(name)}.json`));
+
+      const byOptions = await HyperDB.open({ path: dir, compression: { algorithm: 'brotli', threshold: 0 } });
+      await byOptions.set('a', 'x'.repeat(2000));
+      await byOptions.close();
+
+      const byName = await HyperDB.open({ path: dir, compression: 'gzip' });
+      await byName.set('b', 'x'.repeat(2000));
+      await byName.close();
+
+      const disabled = await HyperDB.open({ path: dir, compression: { enabled: false, algorithm: 'gzip', threshold: 0 } });
+      await disabled.set('c', 'x'.repeat(2000));
+      await disabled.close();
+
+      expect(isCompressed(read('a'))).toBe(true);
+      expect(isCompressed(read('b'))).toBe(true);
+      expect(isCompressed(read('c'))).toBe(false);
+    });
+
+    test('rejects invalid settings', () => {
+      expect(() => new HyperDB({ path: dir, compression: 'zip' })).toThrow(ValidationError);
+      expect(() => new HyperDB({ path: dir, compression: true })).toThrow(ValidationError);
+      expect(() => new HyperDB({ path: dir, compression: { threshold: -1 } })).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const HyperDB = require('..');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('upserts and findOneAnd*', () => {
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    db = await HyperDB.open({ path: dir });
+    await db.insert('profiles', { id: 'p1', email: 'ada@example.com', visits: 1 });
+  });
+
+  afterEach(async () => {
+    await db.close();
+    removeDir(dir);
+  });
+
+  test('update() with upsert inserts a document built from the query when nothing matches', async () => {
+    expect(await db.update('profiles', { email: 'grace@example.com' }, { $set: { visits: 1 } }, { upsert: true })).toBe(1);
+    expect(await db.update('profiles', { email: 'grace@example.com' }, { $inc: { visits: 1 } }, { upsert: true })).toBe(1);
+
+    const docs = await db.find('profiles', { email: 'grace@example.com' });
+    expect(docs).toHaveLength(1);
+    expect(docs[0].visits).toBe(2);
+    expect(docs[0].id).toBeDefined();
+  });
+
+  test('update() with multi: false updates only the first match', async () => {
+    await db.insert('profiles', { id: 'p2', email: 'grace@example.com', visits: 1 });
+
+    expect(await db.update('profiles', {}, { $inc: { visits: 1 } }, { multi: false })).toBe(1);
+    expect(await db.count('profiles', { visits: 2 })).toBe(1);
+  });
+
+  test('findOneAndUpdate() returns the document before or after the change', async () => {
+    const before = await db.findOneAndUpdate('profiles', { id: 'p1' }, { $inc: { visits: 1 } });
+    const after = await db.findOneAndUpdate('profiles', { id: 'p1' }, { $inc: { visits: 1 } }, { returnDocument: 'after' });
+
+    expect(before.visits).toBe(1);
+    expect(after.visits).toBe(3);
+    expect(await db.findOneAndUpdate('profiles', { id: 'none' }, { $set: { visits: 0 } })).toBeNull();
+  });
+
+  test('findOneAndUpdate() upserts', async () => {
+    const inserted = await db.findOneAndUpdate('profiles', { email: 'alan@example.com' }, { $set: { visits: 5 } }, {
+      upsert: true,
+      returnDocument: 'after'
+    });
+
+    expect(inserted).toMatchObject({ email: 'alan@example.com', visits: 5 });
+    expect(await db.findOneAndUpdate('profiles', { email: 'ken@example.com' }, { $set: { visits: 1 } }, { upsert: true }))
+      .toBeNull();
+    expect(await db.count('profiles')).toBe(3);
+  });
+
+  test('findOneAndDelete() returns the deleted document', async () => {
+    expect(await db.findOneAndDelete('profiles', { email: 'ada@example.com' })).toMatchObject({ id: 'p1' });
+    expect(await db.findOneAndDelete('profiles', { email: 'ada@example.com' })).toBeNull();
+    expect(await db.count('profiles')).toBe(0);
+  });
+});
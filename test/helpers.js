@@ -0,0 +1,46 @@
+/**
+ * Test helpers - Temporary data directories and environment checks for the test suites
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Creates an empty temporary directory
+ *
+ * @param {string} [prefix='hyperdb-test-'] - Directory name prefix
+ * @returns {string} - Directory path
+ */
+function tempDir(prefix = 'hyperdb-test-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+/**
+ * Removes a directory and everything in it
+ *
+ * @param {string} dir - Directory path
+ */
+function removeDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Checks if node:sqlite is available, which it is from Node.js 22.5
+ *
+ * @returns {boolean} - True if the SQLite adapter can be used
+ */
+function hasSqlite() {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  tempDir,
+  removeDir,
+  hasSqlite
+};
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const HyperDB = require('..');
+const { DuplicateKeyError } = require('../src/errors');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('secondary indexes', () => {
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    db = await HyperDB.open({ path: dir });
+    for (let i = 0; i < 20; i++) {
+      await db.insert('users', { id: `u${i}`, age: 20 + i, city: i % 2 ? 'London' : 'Paris' });
+    }
+  });
+
+  afterEach(async () => {
+    await db.close();
+    removeDir(dir);
+  });
+
+  test('are listed, stored next to the collection directory and dropped', async () => {
+    expect(await db.createIndex('users', 'age')).toBe('age');
+    expect(await db.createIndex('users', ['city', 'age'], { name: 'city_age' })).toBe('city_age');
+
+    expect((await db.listIndexes('users')).map(index => index.name).sort()).toEqual(['age', 'city_age']);
+    expect(fs.existsSync(path.join(dir, 'collections', 'users.indexes.json'))).toBe(true);
+
+    expect(await db.dropIndex('users', 'age')).toBe(true);
+    expect(await db.dropIndex('users', 'age')).toBe(false);
+    expect((await db.listIndexes('users')).map(index => index.name)).toEqual(['city_age']);
+  });
+
+  test('answer equality and range queries by reading only the matching documents', async () => {
+    await db.createIndex('users', 'age');
+    const before = db.metrics().scans.users || { scanned: 0 };
+
+    const docs = await db.find('users', { age: { $gte: 30, $lt: 33 } });
+    const after = db.metrics().scans.users;
+
+    expect(docs.map(doc => doc.id).sort()).toEqual(['u10', 'u11', 'u12']);
+    expect(after.scanned - before.scanned).toBe(3);
+    expect((await db.findOne('users', { age: 25 })).id).toBe('u5');
+  });
+
+  test('are kept up to date by insert, update and deleteFrom', async () => {
+    await db.createIndex('users', 'city');
+
+    await db.insert('users', { id: 'u20', city: 'Rome' });
+    await db.update('users', { id: 'u1' }, { $set: { city: 'Rome' } });
+    await db.deleteFrom('users', { id: 'u20' });
+
+    expect((await db.find('users', { city: 'Rome' })).map(doc => doc.id)).toEqual(['u1']);
+    expect(await db.count('users', { city: 'London' })).toBe(9);
+  });
+
+  test('survive a reopen', async () => {
+    await db.createIndex('users', 'age');
+    await db.close();
+
+    db = await HyperDB.open({ path: dir });
+
+    expect((await db.listIndexes('users')).map(index => index.name)).toEqual(['age']);
+    const before = db.metrics().scans.users || { scanned: 0 };
+    expect((await db.find('users', { age: 39 })).map(doc => doc.id)).toEqual(['u19']);
+    expect(db.metrics().scans.users.scanned - before.scanned).toBe(1);
+  });
+
+  test('log changes instead of rewriting the index file on every write', async () => {
+    await db.createIndex('users', 'city');
+    const indexFile = path.join(dir, 'collections', 'users.indexes.json');
+    const logFile = path.join(dir, 'collections', 'users.indexes.log');
+    const saved = fs.statSync(indexFile).ino;
+
+    for (let i = 20; i < 40; i++) {
+      await db.insert('users', { id: `u${i}`, city: 'Rome' });
+    }
+    await db.update('users', { id: 'u0' }, { $set: { city: 'Rome' } });
+    await db.deleteFrom('users', { id: 'u20' });
+    // A write cut short by a crash leaves an incomplete last line
+    fs.appendFileSync(logFile, '{"removed":[["city",');
+
+    expect(fs.statSync(indexFile).ino).toBe(saved);
+    expect(fs.readFileSync(logFile, 'utf8').split('\n')).toHaveLength(23);
+
+    await db.close();
+    db = await HyperDB.open({ path: dir });
+
+    const before = db.metrics().scans.users || { scanned: 0 };
+    expect(await db.find('users', { city: 'Rome' })).toHaveLength(20);
+    expect(await db.find('users', { city: 'Paris' })).toHaveLength(9);
+    expect(db.metrics().scans.users.scanned - before.scanned).toBe(29);
+  });
+});
+
+describe('unique constraints', () => {
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    db = await HyperDB.open({ path: dir });
+  });
+
+  afterEach(async () => {
+    await db.close();
+    removeDir(dir);
+  });
+
+  test('reject inserts and updates that would duplicate a key, naming the field and document', async () => {
+    await db.createCollection('users', { unique: ['email'] });
+    await db.insert('users', { id: 'u1', email: 'ada@example.com' });
+    await db.insert('users', { id: 'u2', email: 'grace@example.com' });
+
+    const error = await db.insert('users', { id: 'u3', email: 'ada@example.com' }).catch(e => e);
+    expect(error).toBeInstanceOf(DuplicateKeyError);
+    expect(error).toMatchObject({
+      code: 'DUPLICATE_KEY',
+      collection: 'users',
+      field: 'email',
+      value: 'ada@example.com',
+      conflictingId: 'u1'
+    });
+
+    await expect(db.update('users', { id: 'u2' }, { $set: { email: 'ada@example.com' } }))
+      .rejects.toThrow(DuplicateKeyError);
+    expect((await db.findOne('users', { id: 'u2' })).email).toBe('grace@example.com');
+    expect(await db.findOne('users', { id: 'u3' })).toBeNull();
+  });
+
+  test('are left unchanged when writing an update fails', async () => {
+    await db.createCollection('users', { unique: ['email'] });
+    await db.insert('users', { id: 'u1', email: 'ada@example.com' });
+
+    jest.spyOn(db.storage.adapter, '_writeDocuments').mockRejectedValueOnce(new Error('disk full'));
+    await db.update('users', { id: 'u1' }, { $set: { email: 'grace@example.com' } });
+
+    expect((await db.findOne('users', { email: 'ada@example.com' })).id).toBe('u1');
+    await db.insert('users', { id: 'u2', email: 'grace@example.com' });
+    await expect(db.insert('users', { id: 'u3', email: 'ada@example.com' })).rejects.toThrow(DuplicateKeyError);
+  });
+
+  test('support compound keys', async () => {
+    await db.createCollection('members', { unique: [['team', 'number']] });
+    await db.insert('members', { id: 'm1', team: 'red', number: 7 });
+    await db.insert('members', { id: 'm2', team: 'blue', number: 7 });
+
+    await expect(db.insert('members', { id: 'm3', team: 'red', number: 7 }))
+      .rejects.toMatchObject({ fields: ['team', 'number'], value: ['red', 7], conflictingId: 'm1' });
+  });
+
+  test('refuse to build over existing duplicates', async () => {
+    await db.insert('users', { id: 'u1', email: 'same@example.com' });
+    await db.insert('users', { id: 'u2', email: 'same@example.com' });
+
+    await expect(db.createIndex('users', 'email', { unique: true })).rejects.toThrow(DuplicateKeyError);
+    expect(await db.listIndexes('users')).toEqual([]);
+  });
+
+  test('let documents replace themselves', async () => {
+    await db.createIndex('users', 'email', { unique: true });
+    await db.insert('users', { id: 'u1', email: 'ada@example.com', name: 'Ada' });
+    await db.insert('users', { id: 'u1', email: 'ada@example.com', name: 'Ada Lovelace' });
+
+    expect((await db.findOne('users', { email: 'ada@example.com' })).name).toBe('Ada Lovelace');
+  });
+
+  test('insert-only mode refuses to replace an existing ID', async () => {
+    await db.insert('users', { id: 'u1', name: 'Ada' });
+
+    await expect(db.insert('users', { id: 'u1', name: 'Grace' }, { overwrite: false }))
+      .rejects.toMatchObject({ name: 'DuplicateKeyError', fields: ['id'], conflictingId: 'u1' });
+    expect((await db.findOne('users', { id: 'u1' })).name).toBe('Ada');
+  });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const HyperDB = require('..');
+const JSONAdapter = require('../src/adapters/json-adapter');
+const { DuplicateKeyError } = require('../src/errors');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('JSONAdapter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  const open = (options = {}) => HyperDB.open({ path: dir, storage: 'json', json: options });
+
+  const readCollections = () => JSON.parse(fs.readFileSync(path.join(dir, 'collections.json'), 'utf8'));
+
+  test('is selected with storage: \'json\'', async () => {
+    const db = await open();
+
+    expect(db.storage.adapter).toBeInstanceOf(JSONAdapter);
+    await db.close();
+  });
+
+  test('batches a burst of writes into one save', async () => {
+    const db = await open({ writeDelay: 1000, maxWriteDelay: 5000 });
+    const write = jest.spyOn(db.storage.adapter, '_writeFiles');
+
+    for (let i = 0; i < 20; i++) {
+      await db.insert('events', { id: `e${i}` });
+    }
+    expect(write).not.toHaveBeenCalled();
+
+    await db.storage.adapter.flush();
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(Object.keys(readCollections().events)).toHaveLength(20);
+    await db.close();
+  });
+
+  test('saves pending writes on close', async () => {
+    const db = await open({ writeDelay: 10000 });
+    await db.set('k', 'v');
+    await db.close();
+
+    const reopened = await open();
+    expect(await reopened.get('k')).toBe('v');
+    await reopened.close();
+  });
+
+  test('finds documents by ID without scanning the collection', async () => {
+    const db = await open();
+    for (let i = 0; i < 50; i++) {
+      await db.insert('users', { id: `u${i}`, n: i });
+    }
+    const before = db.metrics().scans.users || { scanned: 0 };
+
+    expect(await db.findOne('users', { id: 'u42' })).toMatchObject({ n: 42 });
+    expect(db.metrics().scans.users.scanned - before.scanned).toBeLessThanOrEqual(1);
+    await db.close();
+  });
+
+  test('enforces unique constraints declared with createCollection()', async () => {
+    const db = await open({ writeDelay: 0 });
+    await db.createCollection('users', { unique: ['email'] });
+    await db.insert('users', { id: 'u1', email: 'ada@example.com' });
+    await db.insert('users', { id: 'u2', email: 'grace@example.com' });
+
+    await expect(db.insert('users', { id: 'u3', email: 'ada@example.com' })).rejects.toThrow(DuplicateKeyError);
+    await expect(db.update('users', { id: 'u2' }, { $set: { email: 'ada@example.com' } })).rejects.toThrow(DuplicateKeyError);
+    await expect(db.transaction(async tx => {
+      await tx.set('flag', true);
+      await tx.insert('users', { id: 'u4', email: 'grace@example.com' });
+    })).rejects.toThrow(DuplicateKeyError);
+
+    expect(await db.count('users')).toBe(2);
+    expect((await db.findOne('users', { id: 'u2' })).email).toBe('grace@example.com');
+    expect(await db.get('flag')).toBeNull();
+
+    // The freed value can be reused
+    await db.deleteFrom('users', { id: 'u1' });
+    await db.insert('users', { id: 'u5', email: 'ada@example.com' });
+    await db.close();
+  });
+
+  test('reads only indexed documents and rebuilds indexes on connect', async () => {
+    const db = await open({ writeDelay: 0 });
+    await db.createIndex('users', 'email', { unique: true });
+    for (let i = 0; i < 20; i++) {
+      await db.insert('users', { id: `u${i}`, email: `user${i}@example.com` });
+    }
+    await db.close();
+
+    const reopened = await open();
+    const before = reopened.metrics().scans.users || { scanned: 0 };
+
+    expect(await reopened.listIndexes('users')).toEqual([{ name: 'email', fields: ['email'], unique: true, sparse: false }]);
+    expect(await reopened.find('users', { email: 'user7@example.com' })).toHaveLength(1);
+    expect(reopened.metrics().scans.users.scanned - before.scanned).toBe(1);
+    await expect(reopened.insert('users', { id: 'x', email: 'user7@example.com' })).rejects.toThrow(DuplicateKeyError);
+
+    expect(await reopened.dropIndex('users', 'email')).toBe(true);
+    await reopened.insert('users', { id: 'x', email: 'user7@example.com' });
+    await reopened.close();
+  });
+
+  test('drops a transaction journal once a later save covers it', async () => {
+    const db = await open({ writeDelay: 0 });
+    const adapter = db.storage.adapter;
+    const journalFile = path.join(dir, 'transaction.journal');
+
+    // The transaction's own save fails, leaving its journal behind
+    jest.spyOn(adapter, 'flush').mockResolvedValueOnce(false);
+    await db.transaction(async tx => {
+      await tx.set('balance', 100);
+    });
+    expect(fs.existsSync(journalFile)).toBe(true);
+
+    await db.set('balance', 50);
+    expect(fs.existsSync(journalFile)).toBe(false);
+    await db.close();
+
+    const reopened = await open();
+    expect(await reopened.get('balance')).toBe(50);
+    await reopened.close();
+  });
+});
@@ -0,0 +1,79 @@
+const HyperDB = require('..');
+const { Logger } = require('../src/logger');
+
+/**
+ * Creates a console-like logger recording its calls
+ */
+function recorder() {
+  return {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+}
+
+describe('logging', () => {
+  test('HyperDB logs nothing without a logger', async () => {
+    const spies = ['log', 'info', 'warn', 'error', 'debug'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+    const db = await HyperDB.open({ storage: 'memory', logLevel: 'debug' });
+
+    await db.set('k', 1);
+    await db.find('users', { $bogus: 1 }).catch(() => {});
+    await db.close();
+
+    for (const spy of spies) {
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+    }
+  });
+
+  test('storage operations are logged at debug level with their subsystem and duration', async () => {
+    const logger = recorder();
+    const db = await HyperDB.open({ storage: 'memory', logger, logLevel: 'debug' });
+
+    await db.set('k', 1);
+
+    expect(logger.debug).toHaveBeenCalledWith(
+      expect.objectContaining({ subsystem: 'StorageEngine', op: 'set', key: 'k', durationMs: expect.any(Number) }),
+      'Storage set'
+    );
+    await db.close();
+  });
+
+  test('entries below the configured level are dropped', async () => {
+    const logger = recorder();
+    const db = await HyperDB.open({ storage: 'memory', logger });
+
+    await db.set('k', 1);
+
+    expect(logger.debug).not.toHaveBeenCalled();
+    await db.close();
+  });
+
+  test('winston loggers are called with the message first', () => {
+    const winston = { ...recorder(), transports: [] };
+
+    new Logger(winston).child({ subsystem: 'FileStore' }).warn('Disk nearly full', { free: 1 });
+
+    expect(winston.warn).toHaveBeenCalledWith('Disk nearly full', { subsystem: 'FileStore', free: 1 });
+  });
+
+  test('child loggers of the target are used when it has them', () => {
+    const child = recorder();
+    const pino = { ...recorder(), child: jest.fn(() => child) };
+
+    new Logger(pino, { level: 'debug' }).child({ subsystem: 'LogStore' }).info('Compacted', { segments: 2 });
+
+    expect(pino.child).toHaveBeenCalledWith({ subsystem: 'LogStore' });
+    expect(child.info).toHaveBeenCalledWith({ segments: 2 }, 'Compacted');
+  });
+
+  test('the silent level drops everything', () => {
+    const logger = recorder();
+
+    new Logger(logger, { level: 'silent' }).error('Ignored');
+
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+});
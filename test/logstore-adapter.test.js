@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const HyperDB = require('..');
+const LogStoreAdapter = require('../src/adapters/logstore-adapter');
+const { LockTimeoutError } = require('../src/errors');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('LogStoreAdapter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  const open = (options = {}) => HyperDB.open({
+    path: dir,
+    storage: 'logstore',
+    logstore: { compactionInterval: 0, fsync: false, ...options }
+  });
+
+  const segments = () => fs.readdirSync(dir).filter(name => name.endsWith('.log'));
+
+  test('is selected with storage: \'logstore\'', async () => {
+    const db = await open();
+
+    expect(db.storage.adapter).toBeInstanceOf(LogStoreAdapter);
+    await db.close();
+  });
+
+  test('rebuilds keys, documents and indexes from the log on reopen', async () => {
+    const db = await open();
+    await db.set('config', { theme: 'dark' });
+    await db.set('config', { theme: 'light' });
+    await db.set('gone', 1);
+    await db.delete('gone');
+    await db.createCollection('users', { unique: ['email'] });
+    await db.insert('users', { id: 'u1', email: 'ada@example.com', visits: 1 });
+    await db.update('users', { id: 'u1' }, { $inc: { visits: 1 } });
+    await db.close();
+
+    const reopened = await open();
+    expect(await reopened.get('config')).toEqual({ theme: 'light' });
+    expect(await reopened.has('gone')).toBe(false);
+    expect((await reopened.findOne('users', { id: 'u1' })).visits).toBe(2);
+    await expect(reopened.insert('users', { email: 'ada@example.com' })).rejects.toMatchObject({ code: 'DUPLICATE_KEY' });
+    await reopened.close();
+  });
+
+  test('starts a new segment once the active one is full', async () => {
+    const db = await open({ segmentSize: 256 });
+    for (let i = 0; i < 20; i++) {
+      await db.set(`key${i}`, 'x'.repeat(50));
+    }
+
+    expect(segments().length).toBeGreaterThan(1);
+    await db.close();
+  });
+
+  test('compaction drops overwritten and deleted records and keeps live data', async () => {
+    const db = await open({ segmentSize: 256 });
+    for (let i = 0; i < 20; i++) {
+      await db.set('counter', i);
+      await db.set(`temp${i}`, 'x'.repeat(50));
+      await db.delete(`temp${i}`);
+    }
+    const sizeBefore = segments().reduce((sum, name) => sum + fs.statSync(path.join(dir, name)).size, 0);
+
+    await db.storage.adapter.compact();
+
+    const sizeAfter = segments().reduce((sum, name) => sum + fs.statSync(path.join(dir, name)).size, 0);
+    expect(sizeAfter).toBeLessThan(sizeBefore);
+    expect(await db.get('counter')).toBe(19);
+    await db.close();
+
+    const reopened = await open();
+    expect(await reopened.get('counter')).toBe(19);
+    expect(await reopened.has('temp0')).toBe(false);
+    await reopened.close();
+  });
+
+  test('ignores a record torn by a crash', async () => {
+    const db = await open();
+    await db.set('a', 1);
+    await db.close();
+    fs.appendFileSync(path.join(dir, segments()[0]), '{"seq":99,"type":"set","key":"b","va');
+
+    const reopened = await open();
+    expect(await reopened.get('a')).toBe(1);
+    expect(await reopened.has('b')).toBe(false);
+    await reopened.set('c', 3);
+    await reopened.close();
+
+    const again = await open();
+    expect(await again.get('c')).toBe(3);
+    await again.close();
+  });
+
+  test('allows one writer per directory', async () => {
+    const db = await open();
+
+    await expect(HyperDB.open({ path: dir, storage: 'logstore', locking: { timeout: 50 } }))
+      .rejects.toThrow(LockTimeoutError);
+    await db.close();
+  });
+});
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const HyperDB = require('..');
+const MemoryAdapter = require('../src/adapters/memory-adapter');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('MemoryAdapter', () => {
+  test('is selected with storage: \'memory\' and never touches the filesystem', async () => {
+    const spies = ['writeFileSync', 'mkdirSync', 'openSync'].map(method => jest.spyOn(fs, method));
+    const db = await HyperDB.open({ storage: 'memory', path: '/nonexistent/hyperdb' });
+
+    await db.set('k', 1);
+    await db.insert('users', { id: 'u1' });
+    await db.update('users', { id: 'u1' }, { $set: { name: 'Ada' } });
+    await db.close();
+
+    expect(db.storage.adapter).toBeInstanceOf(MemoryAdapter);
+    for (const spy of spies) {
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+    }
+  });
+
+  test('gives every instance its own data', async () => {
+    const a = await HyperDB.open({ storage: 'memory' });
+    const b = await HyperDB.open({ storage: 'memory' });
+    await a.set('k', 1);
+
+    expect(await b.get('k')).toBeNull();
+    await a.close();
+    await b.close();
+  });
+
+  test('hands out copies, so callers cannot change stored data', async () => {
+    const db = await HyperDB.open({ storage: 'memory' });
+    const doc = { id: 'u1', tags: ['a'] };
+    await db.insert('users', doc);
+    doc.tags.push('b');
+    (await db.findOne('users', { id: 'u1' })).tags.push('c');
+
+    expect((await db.findOne('users', { id: 'u1' })).tags).toEqual(['a']);
+    await db.close();
+  });
+
+  describe('snapshots', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = tempDir();
+    });
+
+    afterEach(() => {
+      removeDir(dir);
+    });
+
+    test('save and restore keys, documents and indexes', async () => {
+      const snapshotFile = path.join(dir, 'snapshot.json');
+      const db = await HyperDB.open({ storage: 'memory', memory: { snapshotFile } });
+      await db.set('k', { v: 1 });
+      await db.createCollection('users', { unique: ['email'] });
+      await db.insert('users', { id: 'u1', email: 'ada@example.com' });
+      await db.storage.adapter.saveSnapshot();
+      await db.close();
+
+      const restored = await HyperDB.open({ storage: 'memory', memory: { snapshotFile } });
+      expect(await restored.get('k')).toEqual({ v: 1 });
+      expect(await restored.findOne('users', { id: 'u1' })).toMatchObject({ email: 'ada@example.com' });
+      await expect(restored.insert('users', { email: 'ada@example.com' })).rejects.toMatchObject({ code: 'DUPLICATE_KEY' });
+      await restored.close();
+    });
+
+    test('loadSnapshot() replaces the current data', async () => {
+      const file = path.join(dir, 'snapshot.json');
+      const db = await HyperDB.open({ storage: 'memory' });
+      await db.set('kept', 1);
+      await db.storage.adapter.saveSnapshot(file);
+      await db.set('dropped', 2);
+
+      await db.storage.adapter.loadSnapshot(file);
+
+      expect(await db.storage.get('kept')).toBe(1);
+      expect(await db.storage.get('dropped')).toBeNull();
+      await db.close();
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const HyperDB = require('..');
+const { formatPrometheus } = HyperDB;
+
+describe('db.metrics()', () => {
+  let db;
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('counts operations and errors with latency histograms', async () => {
+    db = await HyperDB.open({ storage: 'memory' });
+    await db.set('a', 1);
+    await db.set('b', 2);
+    await db.find('users', { $bogus: 1 }).catch(() => {});
+
+    const { operations } = db.metrics();
+
+    expect(operations.set).toMatchObject({ count: 2, errors: 0 });
+    expect(operations.set.buckets[operations.set.buckets.length - 1].count).toBe(2);
+    expect(operations.set.meanMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('reports documents scanned and returned per collection', async () => {
+    db = await HyperDB.open({ storage: 'memory' });
+    for (let i = 0; i < 10; i++) {
+      await db.insert('users', { id: `u${i}`, active: i < 3 });
+    }
+
+    await db.find('users', { active: true });
+
+    expect(db.metrics().scans.users).toMatchObject({ queries: 1, scanned: 10, returned: 3 });
+  });
+
+  test('records streamed and aggregated scans like find()', async () => {
+    db = await HyperDB.open({ storage: 'memory', metrics: { slowQueryThreshold: 0 } });
+    for (let i = 0; i < 10; i++) {
+      await db.insert('users', { id: `u${i}`, active: i < 3 });
+    }
+
+    for await (const doc of db.stream('users', { active: true })) {
+      expect(doc.active).toBe(true);
+    }
+    await db.aggregate('users', [{ $match: { active: false } }, { $count: 'n' }]);
+    expect(db.metrics().scans.users).toMatchObject({ queries: 2, scanned: 20, returned: 10 });
+
+    const stopped = db.stream('users', {});
+    for await (const doc of stopped) {
+      expect(doc.id).toBeDefined();
+      break;
+    }
+    if (!stopped.closed) {
+      await new Promise(resolve => stopped.once('close', resolve));
+    }
+
+    const { operations, scans, slowQueries } = db.metrics();
+    expect(operations.iterate).toMatchObject({ count: 3, errors: 0 });
+    expect(scans.users.queries).toBe(3);
+    expect(scans.users.scanned).toBeLessThan(30);
+    expect(slowQueries.recent).toEqual(expect.arrayContaining([
+      expect.objectContaining({ op: 'iterate', collection: 'users', query: { active: true } })
+    ]));
+  });
+
+  test('keeps a slow-query log when a threshold is set', async () => {
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    db = await HyperDB.open({ storage: 'memory', logger, metrics: { slowQueryThreshold: 0 } });
+    await db.insert('users', { id: 'u1' });
+
+    await db.find('users', { id: 'u1' });
+
+    const { slowQueries } = db.metrics();
+    expect(slowQueries.threshold).toBe(0);
+    expect(slowQueries.recent).toEqual(expect.arrayContaining([
+      expect.objectContaining({ op: 'find', collection: 'users', query: { id: 'u1' } })
+    ]));
+    expect(logger.warn).toHaveBeenCalled();
+  });
+
+  test('can be turned off', async () => {
+    db = await HyperDB.open({ storage: 'memory', metrics: { enabled: false } });
+    await db.set('a', 1);
+
+    expect(db.metrics().operations).toEqual({});
+  });
+
+  test('exports the Prometheus text format', async () => {
+    db = await HyperDB.open({ storage: 'memory' });
+    await db.set('a', 1);
+
+    const text = db.metrics({ format: 'prometheus', prefix: 'app' });
+
+    expect(text).toBe(formatPrometheus(db.metrics(), { prefix: 'app' }));
+    expect(text).toMatch(/^# TYPE app_\w+ \w+$/m);
+    expect(text).toMatch(/op="set"/);
+  });
+});
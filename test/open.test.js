@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const HyperDB = require('..');
+const { ConnectionError } = require('../src/errors');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('HyperDB.open() and db.ready', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('open() resolves with a ready instance', async () => {
+    const db = await HyperDB.open({ path: dir });
+
+    expect(db).toBeInstanceOf(HyperDB);
+    expect(await db.ready).toBe(db);
+    await db.close();
+  });
+
+  test('operations called before the storage is initialized wait for it', async () => {
+    const first = await HyperDB.open({ path: dir });
+    await first.insert('users', { id: 'u1', name: 'Ada' });
+    await first.close();
+
+    const db = new HyperDB({ path: dir });
+    const [found, stored] = await Promise.all([
+      db.findOne('users', { id: 'u1' }),
+      db.set('k', 1)
+    ]);
+
+    expect(found).toMatchObject({ name: 'Ada' });
+    expect(stored).toBe(true);
+    await db.close();
+  });
+
+  test('a failed initialization rejects open(), ready and queued operations', async () => {
+    const file = path.join(dir, 'not-a-directory');
+    fs.writeFileSync(file, '');
+
+    await expect(HyperDB.open({ path: file })).rejects.toThrow(ConnectionError);
+
+    const db = new HyperDB({ path: file });
+    const errors = [];
+    db.on('error', payload => errors.push(payload));
+    await expect(db.get('k')).rejects.toThrow(ConnectionError);
+    await expect(db.ready).rejects.toThrow(ConnectionError);
+    expect(errors).toEqual([expect.objectContaining({ op: 'open' })]);
+  });
+});
@@ -0,0 +1,71 @@
+const { matches, validateQuery } = require('../src/utils');
+const { ValidationError } = require('../src/errors');
+
+describe('matches()', () => {
+  const doc = {
+    id: 'u1',
+    name: 'Ada',
+    age: 36,
+    tags: ['math', 'code'],
+    scores: [{ subject: 'math', value: 90 }, { subject: 'art', value: 60 }],
+    address: { city: 'London', zip: '100' },
+    retired: null
+  };
+
+  test('matches equality on top-level and dot-notation fields', () => {
+    expect(matches(doc, { name: 'Ada', 'address.city': 'London' })).toBe(true);
+    expect(matches(doc, { 'address.city': 'Paris' })).toBe(false);
+    expect(matches(doc, { address: { city: 'London', zip: '100' } })).toBe(true);
+  });
+
+  test('matches an array field when any element equals the value', () => {
+    expect(matches(doc, { tags: 'code' })).toBe(true);
+    expect(matches(doc, { tags: 'art' })).toBe(false);
+    expect(matches(doc, { 'scores.subject': 'art' })).toBe(true);
+  });
+
+  test('supports comparison operators', () => {
+    expect(matches(doc, { age: { $gt: 30, $lte: 36 } })).toBe(true);
+    expect(matches(doc, { age: { $gte: 37 } })).toBe(false);
+    expect(matches(doc, { age: { $lt: 40 } })).toBe(true);
+    expect(matches(doc, { name: { $ne: 'Grace' } })).toBe(true);
+    expect(matches(doc, { name: { $eq: 'Ada' } })).toBe(true);
+  });
+
+  test('supports $in and $nin', () => {
+    expect(matches(doc, { name: { $in: ['Ada', 'Grace'] } })).toBe(true);
+    expect(matches(doc, { tags: { $in: ['art', 'code'] } })).toBe(true);
+    expect(matches(doc, { name: { $nin: ['Ada'] } })).toBe(false);
+  });
+
+  test('supports $exists', () => {
+    expect(matches(doc, { address: { $exists: true } })).toBe(true);
+    expect(matches(doc, { phone: { $exists: false } })).toBe(true);
+    expect(matches(doc, { retired: { $exists: true } })).toBe(true);
+  });
+
+  test('supports $regex with options and RegExp values', () => {
+    expect(matches(doc, { name: { $regex: '^a', $options: 'i' } })).toBe(true);
+    expect(matches(doc, { name: { $regex: '^a' } })).toBe(false);
+    expect(matches(doc, { name: /d/ })).toBe(true);
+  });
+
+  test('supports $elemMatch and $size', () => {
+    expect(matches(doc, { scores: { $elemMatch: { subject: 'math', value: { $gte: 90 } } } })).toBe(true);
+    expect(matches(doc, { scores: { $elemMatch: { subject: 'art', value: { $gte: 90 } } } })).toBe(false);
+    expect(matches(doc, { tags: { $size: 2 } })).toBe(true);
+  });
+
+  test('supports $and, $or, $nor and $not', () => {
+    expect(matches(doc, { $and: [{ age: { $gt: 30 } }, { name: 'Ada' }] })).toBe(true);
+    expect(matches(doc, { $or: [{ age: { $gt: 40 } }, { name: 'Ada' }] })).toBe(true);
+    expect(matches(doc, { $nor: [{ age: { $gt: 40 } }, { name: 'Grace' }] })).toBe(true);
+    expect(matches(doc, { age: { $not: { $gt: 40 } } })).toBe(true);
+  });
+
+  test('rejects unknown operators instead of matching nothing', () => {
+    expect(() => matches(doc, { age: { $between: [1, 2] } })).toThrow(ValidationError);
+    expect(() => validateQuery({ $xor: [] })).toThrow(ValidationError);
+    expect(() => validateQuery({ age: { $in: 5 } })).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const HyperDB = require('..');
+const SQLiteAdapter = require('../src/adapters/sqlite-adapter');
+const { ConnectionError } = require('../src/errors');
+const { tempDir, removeDir, hasSqlite } = require('./helpers');
+
+describe('SQLiteAdapter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  const open = (options = {}) => HyperDB.open({ path: dir, storage: 'sqlite', ...options });
+
+  (hasSqlite() ? test.skip : test)('explains that node:sqlite is missing on older Node.js versions', async () => {
+    const error = await open({ strict: true }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ConnectionError);
+    expect(error.message).toMatch(/requires Node\.js 22\.5/);
+  });
+
+  (hasSqlite() ? describe : describe.skip)('with node:sqlite', () => {
+    test('is selected with storage: \'sqlite\' and stores everything in one file', async () => {
+      const db = await open({ sqlite: { filename: 'app.db' } });
+      await db.set('k', { v: 1 });
+      await db.insert('users', { id: 'u1', name: 'Ada' });
+      await db.close();
+
+      expect(db.storage.adapter).toBeInstanceOf(SQLiteAdapter);
+      expect(fs.existsSync(path.join(dir, 'app.db'))).toBe(true);
+
+      const reopened = await open({ sqlite: { filename: 'app.db' } });
+      expect(await reopened.get('k')).toEqual({ v: 1 });
+      expect(await reopened.findOne('users', { id: 'u1' })).toMatchObject({ name: 'Ada' });
+      await reopened.close();
+    });
+
+    test('narrows indexed queries in SQL', async () => {
+      const db = await open();
+      await db.createIndex('orders', 'total');
+      for (let i = 0; i < 50; i++) {
+        await db.insert('orders', { id: `o${i}`, total: i });
+      }
+      const before = db.metrics().scans.orders || { scanned: 0 };
+
+      const found = await db.find('orders', { total: { $gte: 45 } });
+
+      expect(found).toHaveLength(5);
+      expect(db.metrics().scans.orders.scanned - before.scanned).toBe(5);
+      await db.close();
+    });
+
+    test('enforces unique constraints and rolls back failed transactions', async () => {
+      const db = await open();
+      await db.createCollection('users', { unique: ['email'] });
+      await db.insert('users', { id: 'u1', email: 'ada@example.com' });
+
+      await expect(db.transaction(async tx => {
+        await tx.set('flag', true);
+        await tx.insert('users', { id: 'u2', email: 'ada@example.com' });
+      })).rejects.toMatchObject({ code: 'DUPLICATE_KEY' });
+
+      expect(await db.get('flag')).toBeNull();
+      expect(await db.count('users')).toBe(1);
+      await db.close();
+    });
+  });
+});
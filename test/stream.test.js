@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline, Writable } = require('stream');
+const { promisify } = require('util');
+const HyperDB = require('..');
+const { ValidationError } = require('../src/errors');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('db.stream()', () => {
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    db = await HyperDB.open({ path: dir });
+    for (let i = 0; i < 50; i++) {
+      await db.insert('events', { id: `e${String(i).padStart(2, '0')}`, n: i, kind: i % 5 ? 'view' : 'click' });
+    }
+  });
+
+  afterEach(async () => {
+    await db.close();
+    removeDir(dir);
+  });
+
+  test('streams the matching documents', async () => {
+    const ids = [];
+    for await (const doc of db.stream('events', { kind: 'click' })) {
+      ids.push(doc.id);
+    }
+
+    expect(ids.sort()).toEqual(['e00', 'e05', 'e10', 'e15', 'e20', 'e25', 'e30', 'e35', 'e40', 'e45']);
+  });
+
+  test('applies skip, limit and projection', async () => {
+    const docs = [];
+    for await (const doc of db.stream('events', {}, { skip: 10, limit: 5, projection: { n: 1 } })) {
+      docs.push(doc);
+    }
+
+    expect(docs).toHaveLength(5);
+    expect(Object.keys(docs[0]).sort()).toEqual(['id', 'n']);
+  });
+
+  test('pipes newline-delimited JSON into a file with stream.pipeline', async () => {
+    const file = path.join(dir, 'export.ndjson');
+
+    await promisify(pipeline)(db.stream('events', { n: { $lt: 3 } }, { format: 'ndjson' }), fs.createWriteStream(file));
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(doc => doc.n).sort()).toEqual([0, 1, 2]);
+  });
+
+  test('respects backpressure from a slow consumer', async () => {
+    const source = db.stream('events', {});
+    const received = [];
+    const sink = new Writable({
+      objectMode: true,
+      highWaterMark: 1,
+      write(doc, encoding, callback) {
+        received.push(doc.id);
+        setTimeout(callback, 1);
+      }
+    });
+
+    await promisify(pipeline)(source, sink);
+
+    expect(received).toHaveLength(50);
+    expect(source.readableLength).toBeLessThanOrEqual(source.readableHighWaterMark);
+  });
+
+  test('works for missing collections and with collection handles', async () => {
+    const missing = [];
+    for await (const doc of db.stream('missing')) {
+      missing.push(doc);
+    }
+
+    let count = 0;
+    for await (const doc of db.collection('events').stream({ kind: 'view' })) {
+      expect(doc.kind).toBe('view');
+      count++;
+    }
+
+    expect(missing).toEqual([]);
+    expect(count).toBe(40);
+  });
+
+  test('rejects sorting and unknown formats', () => {
+    expect(() => db.stream('events', {}, { sort: { n: 1 } })).toThrow(ValidationError);
+    expect(() => db.stream('events', {}, { format: 'csv' })).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const HyperDB = require('..');
+const FileStoreAdapter = require('../src/adapters/filestore-adapter');
+const { DuplicateKeyError, TransactionConflictError, TransactionInactiveError } = require('../src/errors');
+const { tempDir, removeDir } = require('./helpers');
+
+describe('db.transaction()', () => {
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    db = await HyperDB.open({ path: dir });
+    await db.insert('inventory', { id: 'widget', qty: 10 });
+  });
+
+  afterEach(async () => {
+    await db.close();
+    removeDir(dir);
+  });
+
+  test('commits writes across collections and keys', async () => {
+    const orderId = await db.transaction(async tx => {
+      const counter = (await tx.get('orders:count')) || 0;
+      await tx.set('orders:count', counter + 1);
+      await tx.update('inventory', { id: 'widget' }, { $inc: { qty: -1 } });
+      const order = await tx.insert('orders', { item: 'widget' });
+      return order.id;
+    });
+
+    expect(await db.get('orders:count')).toBe(1);
+    expect((await db.findOne('inventory', { id: 'widget' })).qty).toBe(9);
+    expect(await db.findOne('orders', { id: orderId })).toMatchObject({ item: 'widget' });
+  });
+
+  test('sees its own writes while others do not', async () => {
+    let outside;
+    await db.transaction(async tx => {
+      await tx.update('inventory', { id: 'widget' }, { $inc: { qty: -3 } });
+      await tx.insert('inventory', { id: 'gadget', qty: 1 });
+      await tx.deleteFrom('inventory', { id: 'gadget' });
+
+      expect((await tx.findOne('inventory', { id: 'widget' })).qty).toBe(7);
+      expect(await tx.find('inventory', { qty: { $gt: 0 } })).toHaveLength(1);
+      outside = (await db.findOne('inventory', { id: 'widget' })).qty;
+    });
+
+    expect(outside).toBe(10);
+    expect((await db.findOne('inventory', { id: 'widget' })).qty).toBe(7);
+  });
+
+  test('writes nothing if the callback throws', async () => {
+    await expect(db.transaction(async tx => {
+      await tx.set('flag', true);
+      await tx.update('inventory', { id: 'widget' }, { $set: { qty: 0 } });
+      throw new Error('payment declined');
+    })).rejects.toThrow('payment declined');
+
+    expect(await db.get('flag')).toBeNull();
+    expect((await db.findOne('inventory', { id: 'widget' })).qty).toBe(10);
+  });
+
+  test('writes nothing if a unique constraint fails at commit', async () => {
+    await db.createCollection('users', { unique: ['email'] });
+    await db.insert('users', { id: 'u1', email: 'ada@example.com' });
+
+    await expect(db.transaction(async tx => {
+      await tx.set('flag', true);
+      await tx.insert('users', { id: 'u2', email: 'ada@example.com' });
+    })).rejects.toThrow(DuplicateKeyError);
+
+    expect(await db.get('flag')).toBeNull();
+    expect(await db.findOne('users', { id: 'u2' })).toBeNull();
+  });
+
+  test('cannot be used after it finished', async () => {
+    let handle;
+    await db.transaction(async tx => {
+      handle = tx;
+    });
+
+    await expect(handle.set('late', 1)).rejects.toThrow(TransactionInactiveError);
+    await expect(handle.get('late')).rejects.toMatchObject({ code: 'TRANSACTION_INACTIVE' });
+  });
+
+  test('retries when a document it read is changed before it commits', async () => {
+    let attempts = 0;
+    await db.transaction(async tx => {
+      attempts++;
+      await tx.update('inventory', { id: 'widget' }, { $inc: { qty: -1 } });
+      if (attempts === 1) {
+        // Another writer changes the document while the transaction is open
+        await db.update('inventory', { id: 'widget' }, { $inc: { qty: -5 } });
+      }
+    });
+
+    expect(attempts).toBe(2);
+    expect((await db.findOne('inventory', { id: 'widget' })).qty).toBe(4);
+  });
+
+  test('fails with TransactionConflictError once retries run out', async () => {
+    const error = await db.transaction(async tx => {
+      await tx.set('flag', true);
+      await tx.deleteFrom('inventory', { id: 'widget' });
+      await db.update('inventory', { id: 'widget' }, { $inc: { qty: -5 } });
+    }, { retries: 0 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(TransactionConflictError);
+    expect(error).toMatchObject({ code: 'TRANSACTION_CONFLICT', collection: 'inventory', id: 'widget' });
+    expect(await db.get('flag')).toBeNull();
+    expect((await db.findOne('inventory', { id: 'widget' })).qty).toBe(5);
+  });
+
+  test('retries when a key it read is changed before it commits', async () => {
+    await db.set('counter', 1);
+
+    let attempts = 0;
+    await db.transaction(async tx => {
+      attempts++;
+      const value = await tx.get('counter');
+      if (attempts === 1) {
+        await db.set('counter', 10);
+      }
+      await tx.set('counter', value + 1);
+    });
+
+    expect(attempts).toBe(2);
+    expect(await db.get('counter')).toBe(11);
+  });
+
+  test('fails with TransactionConflictError naming the key once retries run out', async () => {
+    const error = await db.transaction(async tx => {
+      const missing = await tx.get('owner');
+      await db.set('owner', 'grace');
+      await tx.set('owner', missing || 'ada');
+    }, { retries: 0 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(TransactionConflictError);
+    expect(error).toMatchObject({ code: 'TRANSACTION_CONFLICT', key: 'owner' });
+    expect(await db.get('owner')).toBe('grace');
+  });
+
+  test('detects a document inserted by another writer after the transaction saw it missing', async () => {
+    const error = await db.transaction(async tx => {
+      await tx.insert('inventory', { id: 'gadget', qty: 1 }, { overwrite: false });
+      await db.insert('inventory', { id: 'gadget', qty: 2 });
+    }, { retries: 0 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(TransactionConflictError);
+    expect((await db.findOne('inventory', { id: 'gadget' })).qty).toBe(2);
+  });
+
+  test('writes documents it did not read without checking them', async () => {
+    await db.transaction(async tx => {
+      await tx.insert('inventory', { id: 'widget', qty: 1 });
+      await db.update('inventory', { id: 'widget' }, { $inc: { qty: -5 } });
+    }, { retries: 0 });
+
+    expect((await db.findOne('inventory', { id: 'widget' })).qty).toBe(1);
+  });
+
+  test('runs one at a time', async () => {
+    const increment = () => db.transaction(async tx => {
+      const value = (await tx.get('counter')) || 0;
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await tx.set('counter', value + 1);
+    });
+
+    await Promise.all([increment(), increment(), increment()]);
+
+    expect(await db.get('counter')).toBe(3);
+  });
+});
+
+describe('transaction recovery', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('connect() finishes a commit interrupted after its journal was written', async () => {
+    const adapter = new FileStoreAdapter({ path: dir });
+    await adapter.connect();
+    await adapter.insert('accounts', { id: 'a', balance: 100 });
+    await adapter.insert('accounts', { id: 'b', balance: 0 });
+
+    // Journal a transfer without applying it, as if the process stopped right after the commit point
+    const writes = await Promise.all([
+      adapter._transactionWrite({ type: 'put', collection: 'accounts', document: { id: 'a', balance: 60 } }),
+      adapter._transactionWrite({ type: 'put', collection: 'accounts', document: { id: 'b', balance: 40 } }),
+      adapter._transactionWrite({ type: 'set', key: 'transfers', value: 1 })
+    ]);
+    await adapter._writeJournal(writes);
+    await adapter.close();
+
+    const reopened = new FileStoreAdapter({ path: dir });
+    await reopened.connect();
+
+    expect((await reopened.findOne('accounts', { id: 'a' })).balance).toBe(60);
+    expect((await reopened.findOne('accounts', { id: 'b' })).balance).toBe(40);
+    expect(await reopened.get('transfers')).toBe(1);
+    expect(fs.readdirSync(path.join(dir, 'transactions'))).toEqual([]);
+    await reopened.close();
+  });
+
+  test('connect() discards a journal that was never completed', async () => {
+    const adapter = new FileStoreAdapter({ path: dir });
+    await adapter.connect();
+    await adapter.set('balance', 100);
+    await adapter.close();
+
+    const journal = JSON.stringify({ id: 'x', collections: [], writes: [{ file: 'keyvalue/balance.json', content: '0' }] });
+    fs.writeFileSync(path.join(dir, 'transactions', `${process.pid}-x.journal.999.tmp`), journal);
+
+    const reopened = new FileStoreAdapter({ path: dir });
+    await reopened.connect();
+
+    expect(await reopened.get('balance')).toBe(100);
+    expect(fs.readdirSync(path.join(dir, 'transactions'))).toEqual([]);
+    await reopened.close();
+  });
+});
@@ -0,0 +1,109 @@
+const { applyUpdate, validateUpdate, buildUpsertDocument } = require('../src/utils');
+const { ValidationError } = require('../src/errors');
+
+describe('applyUpdate()', () => {
+  const doc = {
+    id: 'u1',
+    name: 'Ada',
+    visits: 2,
+    price: 10,
+    address: { city: 'London' },
+    tags: ['math', 'code'],
+    scores: [3, 7, 9]
+  };
+
+  test('merges plain fields, writing dot-notation keys as paths', () => {
+    expect(applyUpdate(doc, { 'address.zip': '100', role: 'admin' })).toMatchObject({
+      address: { city: 'London', zip: '100' },
+      role: 'admin'
+    });
+  });
+
+  test('does not change the document it is given', () => {
+    applyUpdate(doc, { $set: { 'address.city': 'Paris' }, $push: { tags: 'art' } });
+
+    expect(doc.address.city).toBe('London');
+    expect(doc.tags).toEqual(['math', 'code']);
+  });
+
+  test('supports $set, $unset and $rename', () => {
+    const updated = applyUpdate(doc, {
+      $set: { 'address.city': 'Paris' },
+      $unset: { price: '' },
+      $rename: { name: 'fullName' }
+    });
+
+    expect(updated.address.city).toBe('Paris');
+    expect(updated).not.toHaveProperty('price');
+    expect(updated).not.toHaveProperty('name');
+    expect(updated.fullName).toBe('Ada');
+  });
+
+  test('supports $inc, $mul, $min and $max', () => {
+    const updated = applyUpdate(doc, {
+      $inc: { visits: 3, missing: 1 },
+      $mul: { price: 1.5 },
+      $min: { 'scores.0': 1 }
+    });
+
+    expect(updated.visits).toBe(5);
+    expect(updated.missing).toBe(1);
+    expect(updated.price).toBe(15);
+    expect(applyUpdate(doc, { $max: { visits: 10 } }).visits).toBe(10);
+    expect(applyUpdate(doc, { $max: { visits: 1 } }).visits).toBe(2);
+  });
+
+  test('supports $push with $each and $slice, $addToSet and $pull', () => {
+    expect(applyUpdate(doc, { $push: { scores: { $each: [10, 11], $slice: -3 } } }).scores).toEqual([9, 10, 11]);
+    expect(applyUpdate(doc, { $addToSet: { tags: { $each: ['code', 'art'] } } }).tags).toEqual(['math', 'code', 'art']);
+    expect(applyUpdate(doc, { $pull: { scores: { $gt: 5 } } }).scores).toEqual([3]);
+  });
+
+  test('supports $currentDate', () => {
+    const before = Date.now();
+    const updated = applyUpdate(doc, { $currentDate: { seenAt: true, stamp: { $type: 'timestamp' } } });
+
+    expect(Date.parse(updated.seenAt)).toBeGreaterThanOrEqual(before);
+    expect(updated.stamp).toBeGreaterThanOrEqual(before);
+  });
+
+  test('refuses to change the document ID', () => {
+    expect(() => applyUpdate(doc, { $set: { id: 'u2' } })).toThrow(ValidationError);
+  });
+
+  test('rejects operators applied to fields of the wrong type', () => {
+    expect(() => applyUpdate(doc, { $inc: { name: 1 } })).toThrow(ValidationError);
+    expect(() => applyUpdate(doc, { $push: { name: 'x' } })).toThrow(ValidationError);
+  });
+
+  test('rejects paths that would write to a prototype', () => {
+    expect(() => applyUpdate(doc, { $set: { '__proto__.polluted': 'yes' } })).toThrow(ValidationError);
+    expect(() => applyUpdate(doc, { 'constructor.prototype.polluted': 'yes' })).toThrow(ValidationError);
+    expect(() => applyUpdate(doc, JSON.parse('{"__proto__": {"polluted": "yes"}}'))).toThrow(ValidationError);
+    expect(() => applyUpdate(doc, { $inc: { '__proto__.polluted': 1 } })).toThrow(ValidationError);
+    expect(() => applyUpdate(doc, { $unset: { '__proto__.toString': true } })).toThrow(ValidationError);
+    expect(() => applyUpdate(doc, { $rename: { name: '__proto__.polluted' } })).toThrow(ValidationError);
+    expect({}.polluted).toBeUndefined();
+    expect(typeof {}.toString).toBe('function');
+  });
+});
+
+describe('validateUpdate()', () => {
+  test('rejects unknown operators and mixed updates', () => {
+    expect(() => validateUpdate({ $increment: { a: 1 } })).toThrow(ValidationError);
+    expect(() => validateUpdate({ $set: { a: 1 }, b: 2 })).toThrow(ValidationError);
+    expect(() => validateUpdate({ $inc: { a: 'one' } })).toThrow(ValidationError);
+  });
+});
+
+describe('buildUpsertDocument()', () => {
+  test('starts from the equality conditions of the query', () => {
+    expect(buildUpsertDocument({ email: 'ada@example.com', age: { $gt: 30 } }, { $set: { name: 'Ada' } }))
+      .toEqual({ email: 'ada@example.com', name: 'Ada' });
+  });
+
+  test('rejects query keys that would write to a prototype', () => {
+    expect(() => buildUpsertDocument({ '__proto__.polluted': 'yes' }, { $set: { name: 'Ada' } })).toThrow(ValidationError);
+    expect({}.polluted).toBeUndefined();
+  });
+});